@@ -0,0 +1,156 @@
+'use strict';
+
+const assert = require('assert'),
+    path = require('path'),
+    grpc = require('@grpc/grpc-js'),
+    protoLoader = require('@grpc/proto-loader'),
+    api = require('../../api').create(),
+    port = api.port + 1,
+    timeout = parseInt(process.env.MB_SLOW_TEST_TIMEOUT || 4000),
+    protoFile = path.join(__dirname, 'protos/greeter.proto'),
+    Greeter = grpc.loadPackageDefinition(protoLoader.loadSync(protoFile)).mbtest.Greeter;
+
+describe('grpc imposter', function () {
+    this.timeout(timeout);
+
+    let client;
+
+    beforeEach(function () {
+        client = new Greeter(`localhost:${port}`, grpc.credentials.createInsecure());
+    });
+
+    afterEach(async function () {
+        client.close();
+        await api.del('/imposters');
+    });
+
+    function sayHello (name, metadata = new grpc.Metadata()) {
+        return new Promise((resolve, reject) => {
+            client.SayHello({ name }, metadata, (error, reply) => {
+                if (error) {
+                    reject(error);
+                }
+                else {
+                    resolve(reply);
+                }
+            });
+        });
+    }
+
+    it('should return stubbed response for unary call matching on message and metadata', async function () {
+        const stub = {
+                predicates: [{ equals: { method: 'SayHello', message: { name: 'mountebank' }, metadata: { 'x-test': 'yes' } } }],
+                responses: [{ is: { message: { message: 'Hello, mountebank' } } }]
+            },
+            request = { protocol: 'grpc', port, protoFiles: [protoFile], stubs: [stub] },
+            metadata = new grpc.Metadata();
+        await api.createImposter(request);
+
+        metadata.add('x-test', 'yes');
+        const reply = await sayHello('mountebank', metadata);
+
+        assert.deepEqual(reply, { message: 'Hello, mountebank' });
+    });
+
+    it('should record requests with service, method, metadata and message', async function () {
+        const request = { protocol: 'grpc', port, protoFiles: [protoFile], recordRequests: true };
+        await api.createImposter(request);
+
+        await sayHello('mountebank');
+        const response = await api.get(`/imposters/${port}`),
+            recorded = response.body.requests[0];
+
+        assert.strictEqual(recorded.service, 'mbtest.Greeter');
+        assert.strictEqual(recorded.method, 'SayHello');
+        assert.deepEqual(recorded.message, { name: 'mountebank', times: 0 });
+        assert.ok(recorded.metadata['user-agent']);
+    });
+
+    it('should return status code, details and trailers', async function () {
+        const stub = { responses: [{ is: { status: 'NOT_FOUND', details: 'no such greeting', trailers: { 'x-reason': 'test' } } }] },
+            request = { protocol: 'grpc', port, protoFiles: [protoFile], stubs: [stub] };
+        await api.createImposter(request);
+
+        try {
+            await sayHello('mountebank');
+            assert.fail('should have failed');
+        }
+        catch (error) {
+            assert.strictEqual(error.code, grpc.status.NOT_FOUND);
+            assert.strictEqual(error.details, 'no such greeting');
+            assert.deepEqual(error.metadata.get('x-reason'), ['test']);
+        }
+    });
+
+    it('should write each message in the response for server streaming calls', async function () {
+        const stub = { responses: [{ is: { message: [{ message: 'first' }, { message: 'second' }] } }] },
+            request = { protocol: 'grpc', port, protoFiles: [protoFile], stubs: [stub] };
+        await api.createImposter(request);
+
+        const replies = await new Promise((resolve, reject) => {
+            const call = client.SayHelloToMany({ name: 'mountebank' }),
+                messages = [];
+
+            call.on('data', reply => messages.push(reply.message));
+            call.on('end', () => resolve(messages));
+            call.on('error', reject);
+        });
+
+        assert.deepEqual(replies, ['first', 'second']);
+    });
+
+    it('should match on all messages for client streaming calls', async function () {
+        const stub = {
+                predicates: [{ deepEquals: { message: [{ name: 'first', times: 0 }, { name: 'second', times: 0 }] } }],
+                responses: [{ is: { message: { message: 'both' } } }]
+            },
+            request = { protocol: 'grpc', port, protoFiles: [protoFile], stubs: [stub] };
+        await api.createImposter(request);
+
+        const reply = await new Promise((resolve, reject) => {
+            const call = client.CollectHellos((error, result) => {
+                if (error) {
+                    reject(error);
+                }
+                else {
+                    resolve(result);
+                }
+            });
+            call.write({ name: 'first' });
+            call.write({ name: 'second' });
+            call.end();
+        });
+
+        assert.deepEqual(reply, { message: 'both' });
+    });
+
+    it('should respond to each message for bidirectional streaming calls', async function () {
+        const stubs = [
+                { predicates: [{ equals: { message: { name: 'first' } } }], responses: [{ is: { message: { message: 'one' } } }] },
+                { predicates: [{ equals: { message: { name: 'second' } } }], responses: [{ is: { message: { message: 'two' } } }] }
+            ],
+            request = { protocol: 'grpc', port, protoFiles: [protoFile], stubs };
+        await api.createImposter(request);
+
+        const replies = await new Promise((resolve, reject) => {
+            const call = client.Chat(),
+                messages = [];
+
+            call.on('data', reply => messages.push(reply.message));
+            call.on('end', () => resolve(messages));
+            call.on('error', reject);
+            call.write({ name: 'first' });
+            call.write({ name: 'second' });
+            call.end();
+        });
+
+        assert.deepEqual(replies, ['one', 'two']);
+    });
+
+    it('should reject imposter without protoFiles', async function () {
+        const response = await api.post('/imposters', { protocol: 'grpc', port });
+
+        assert.strictEqual(response.statusCode, 400);
+        assert.strictEqual(response.body.errors[0].message, "'protoFiles' must list at least one .proto file");
+    });
+});
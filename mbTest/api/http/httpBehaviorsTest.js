@@ -57,6 +57,42 @@ const assert = require('assert'),
                 assert.ok(time >= 975, `actual time: ${time}`); // Occasionally there's some small inaccuracies
             });
 
+            it('should add latency sampled from a distribution when using behaviors.latency', async function () {
+                const stub = {
+                        responses: [{
+                            is: { body: 'stub' },
+                            behaviors: [{ latency: { distribution: 'percentiles', percentiles: { 0: 500, 100: 600 } } }]
+                        }]
+                    },
+                    imposter = { protocol, port, stubs: [stub] };
+                await api.createImposter(imposter);
+
+                const start = new Date(),
+                    response = await client.get('/', port),
+                    time = new Date() - start;
+
+                assert.strictEqual(response.body, 'stub');
+                assert.ok(time >= 490, `actual time: ${time}`); // Occasionally there's some small inaccuracies
+            });
+
+            it('should trickle the response out when using behaviors.throttle', async function () {
+                const stub = {
+                        responses: [{
+                            is: { body: '0123456789' },
+                            behaviors: [{ throttle: { bytesPerSecond: 10, chunkSize: 5 } }]
+                        }]
+                    },
+                    imposter = { protocol, port, stubs: [stub] };
+                await api.createImposter(imposter);
+
+                const start = new Date(),
+                    response = await client.get('/', port),
+                    time = new Date() - start;
+
+                assert.strictEqual(response.body, '0123456789');
+                assert.ok(time >= 975, `actual time: ${time}`);
+            });
+
             it('should support post-processing when using behaviors.decorate (old interface)', async function () {
                 const decorator = (request, response) => {
                         response.body = response.body.replace('${YEAR}', new Date().getFullYear());
@@ -222,6 +258,49 @@ const assert = require('assert'),
                 assert.strictEqual(response.body, 'This is a clone');
             });
 
+            it('should support decorate functions that return a promise', async function () {
+                const pricesPort = port + 1,
+                    decorator = `config => new Promise((resolve, reject) => {
+                        require('http').get('http://localhost:${pricesPort}/', response => {
+                            let body = '';
+                            response.on('data', chunk => { body += chunk; });
+                            response.on('end', () => {
+                                config.response.body = config.response.body.replace('\${PRICE}', body);
+                                resolve();
+                            });
+                        }).on('error', reject);
+                    })`,
+                    stub = {
+                        responses: [{
+                            is: { body: 'The price is ${PRICE}' },
+                            behaviors: [{ decorate: decorator }]
+                        }]
+                    };
+                await api.createImposter({ protocol: 'http', port: pricesPort, stubs: [{ responses: [{ is: { body: '42' } }] }] });
+                await api.createImposter({ protocol, port, stubs: [stub] });
+
+                const response = await client.get('/', port);
+
+                assert.strictEqual(response.body, 'The price is 42');
+            });
+
+            it('should return a 500 with the injection error if the decorate promise rejects', async function () {
+                const decorator = async () => { throw new Error('fixture missing'); },
+                    stub = {
+                        responses: [{
+                            is: { body: 'This is the original' },
+                            behaviors: [{ decorate: decorator.toString() }]
+                        }]
+                    };
+                await api.createImposter({ protocol, port, stubs: [stub] });
+
+                const response = await client.get('/', port);
+
+                assert.strictEqual(response.statusCode, 500);
+                assert.strictEqual(response.body.errors[0].code, 'invalid injection');
+                assert.strictEqual(response.body.errors[0].data, 'fixture missing');
+            });
+
             it('should not validate the decorate JavaScript function', async function () {
                 const decorator = "response.body = 'This should not work';",
                     stub = {
@@ -402,6 +481,47 @@ const assert = require('assert'),
                 }
             });
 
+            it('should support shell transform workers that last until the imposter is deleted', async function () {
+                const stub = {
+                        responses: [{
+                            is: { body: 'pid' },
+                            behaviors: [{ shellTransform: { worker: `node ${process.cwd()}/worker.js` } }]
+                        }]
+                    },
+                    imposter = { protocol, port, stubs: [stub] },
+                    workerFn = function work () {
+                        const stop = () => {
+                            require('fs').writeFileSync(`${__dirname}/worker.stopped`, '');
+                            process.exit(0); // eslint-disable-line no-process-exit
+                        };
+                        process.on('SIGTERM', stop);
+                        require('readline').createInterface({ input: process.stdin }).on('line', line => {
+                            const message = JSON.parse(line);
+                            message.response.body = String(process.pid);
+                            console.log(JSON.stringify({ id: message.id, response: message.response }));
+                        }).on('close', stop);
+                    };
+                fs.writeFileSync('worker.js', `${workerFn.toString()}\nwork();`);
+
+                try {
+                    await api.createImposter(imposter);
+                    const first = await client.get('/', port),
+                        second = await client.get('/', port);
+
+                    assert.strictEqual(second.body, first.body);
+
+                    await api.del(`/imposters/${port}`);
+                    for (let i = 0; i < 20 && !fs.existsSync('worker.stopped'); i += 1) {
+                        await new Promise(resolve => setTimeout(resolve, 50));
+                    }
+                    assert.ok(fs.existsSync('worker.stopped'));
+                }
+                finally {
+                    fs.removeSync('worker.js');
+                    fs.removeSync('worker.stopped');
+                }
+            });
+
             it('should support copying from request fields using regex', async function () {
                 const stub = {
                         responses: [{
@@ -618,6 +738,63 @@ const assert = require('assert'),
                 }
             });
 
+            it('should support lookup from a JSON Lines file and reload it when it changes', async function () {
+                const stub = {
+                        responses: [{
+                            is: { body: 'Hello from YOU[location]' },
+                            behaviors: [{
+                                lookup: {
+                                    key: { from: 'path', using: { method: 'regex', selector: '/(.*)$' }, index: 1 },
+                                    fromDataSource: { jsonl: { path: `${process.cwd()}/lookupTest.jsonl`, keyColumn: 'name' } },
+                                    into: 'YOU'
+                                }
+                            }]
+                        }]
+                    },
+                    imposter = { protocol, port, stubs: [stub] };
+                await api.createImposter(imposter);
+                fs.writeFileSync('lookupTest.jsonl', '{ "name": "Brandon", "location": "Dallas" }\n');
+
+                try {
+                    const first = await client.get('/Brandon', port);
+                    fs.writeFileSync('lookupTest.jsonl', '{ "name": "Brandon", "location": "Seattle" }\n');
+                    const second = await client.get('/Brandon', port);
+
+                    assert.strictEqual(first.body, 'Hello from Dallas');
+                    assert.strictEqual(second.body, 'Hello from Seattle');
+                }
+                finally {
+                    fs.unlinkSync('lookupTest.jsonl');
+                }
+            });
+
+            it('should support lookup from an imposter table replaced while the imposter runs', async function () {
+                const stub = {
+                        responses: [{
+                            is: { body: 'Hello, YOU[name]' },
+                            behaviors: [{
+                                lookup: {
+                                    key: { from: { query: 'id' }, using: { method: 'regex', selector: '.*' } },
+                                    fromDataSource: { table: { name: 'users', keyColumn: 'id' } },
+                                    into: 'YOU'
+                                }
+                            }]
+                        }]
+                    },
+                    imposter = { protocol, port, stubs: [stub], tables: { users: [{ id: 1, name: 'Alice' }] } };
+                await api.createImposter(imposter);
+
+                const first = await client.get('/?id=1', port),
+                    putResponse = await api.put(`/imposters/${port}/tables/users`, { rows: [{ id: 1, name: 'Alicia' }] }),
+                    second = await client.get('/?id=1', port),
+                    json = await api.get(`/imposters/${port}?replayable=true`);
+
+                assert.strictEqual(first.body, 'Hello, Alice');
+                assert.deepEqual(putResponse.body, { table: 'users', numberOfRows: 1 });
+                assert.strictEqual(second.body, 'Hello, Alicia');
+                assert.deepEqual(json.body.tables, { users: [{ id: 1, name: 'Alicia' }] });
+            });
+
             it('should compose multiple behaviors together (old interface for backwards compatibility)', async function () {
                 const shellFn = function exec () {
                         console.log(process.argv[3].replace('${SALUTATION}', 'Hello'));
@@ -759,6 +936,28 @@ const assert = require('assert'),
                     fs.unlinkSync('shellTransformTest.js');
                 }
             });
+
+            it('should generate the same fake data for the same seed after recreating the imposter', async function () {
+                const stub = {
+                        responses: [{
+                            is: { body: '${FAKE}[id] ${FAKE}[name]' },
+                            behaviors: [{ fake: { into: '${FAKE}', seed: 'checkout', fields: { id: 'uuid', name: 'fullName' } } }]
+                        }]
+                    },
+                    request = { protocol, port, stubs: [stub] };
+
+                await api.createImposter(request);
+                const first = await client.get('/', port),
+                    second = await client.get('/', port);
+                await api.del(`/imposters/${port}`);
+
+                await api.createImposter(request);
+                const replayed = await client.get('/', port);
+
+                assert.ok(/^[0-9a-f-]{36} \w+ \w+$/.test(first.body), first.body);
+                assert.notStrictEqual(first.body, second.body);
+                assert.strictEqual(replayed.body, first.body);
+            });
         });
     });
 });
@@ -0,0 +1,109 @@
+'use strict';
+
+const assert = require('assert'),
+    api = require('../../api').create(),
+    client = require('../../baseHttpClient').create('http'),
+    port = api.port + 1,
+    timeout = parseInt(process.env.MB_SLOW_TEST_TIMEOUT || 2000);
+
+describe('http imposter chaos', function () {
+    this.timeout(timeout);
+
+    afterEach(async function () {
+        await api.del('/imposters');
+    });
+
+    const stubs = [{ responses: [{ is: { body: 'stubbed' } }] }],
+        chaos = {
+            rules: [{
+                percentage: 100,
+                predicates: [{ equals: { path: '/orders' } }],
+                error: { statusCode: 503, body: 'chaos' }
+            }]
+        };
+
+    it('should inject errors into matching requests without changing the stubs', async function () {
+        await api.createImposter({ protocol: 'http', port, stubs, chaos });
+
+        const injected = await client.get('/orders', port);
+        assert.strictEqual(injected.statusCode, 503);
+        assert.strictEqual(injected.body, 'chaos');
+
+        const normal = await client.get('/customers', port);
+        assert.strictEqual(normal.body, 'stubbed');
+    });
+
+    it('should toggle chaos at runtime', async function () {
+        await api.createImposter({ protocol: 'http', port, stubs, chaos });
+
+        const disabled = await api.put(`/imposters/${port}/chaos`, { enabled: false });
+        assert.deepEqual(disabled.body, { chaos: Object.assign({ enabled: false }, chaos) });
+
+        const normal = await client.get('/orders', port);
+        assert.strictEqual(normal.body, 'stubbed');
+
+        await api.put(`/imposters/${port}/chaos`, { enabled: true });
+        const injected = await client.get('/orders', port);
+        assert.strictEqual(injected.statusCode, 503);
+
+        const removed = await api.del(`/imposters/${port}/chaos`);
+        assert.deepEqual(removed.body, { chaos: null });
+        const imposter = await api.get(`/imposters/${port}`);
+        assert.strictEqual(imposter.body.chaos, undefined);
+    });
+
+    it('should add chaos to an imposter without any', async function () {
+        await api.createImposter({ protocol: 'http', port, stubs });
+
+        const response = await api.put(`/imposters/${port}/chaos`, chaos);
+        assert.strictEqual(response.statusCode, 200);
+
+        const injected = await client.get('/orders', port);
+        assert.strictEqual(injected.statusCode, 503);
+
+        const imposter = await api.get(`/imposters/${port}`);
+        assert.deepEqual(imposter.body.chaos, chaos);
+    });
+
+    it('should reject invalid chaos changes', async function () {
+        await api.createImposter({ protocol: 'http', port, stubs, chaos });
+
+        const response = await api.put(`/imposters/${port}/chaos`, { rules: [{ percentage: 'all', latency: 100 }] });
+
+        assert.strictEqual(response.statusCode, 400);
+        assert.strictEqual(response.body.errors[0].message, "'chaos.rules[0]' \"percentage\" must be a number between 0 and 100");
+    });
+
+    it('should inject latency before the stub responds', async function () {
+        const latency = { rules: [{ percentage: 100, latency: 500 }] };
+        await api.createImposter({ protocol: 'http', port, stubs, chaos: latency });
+
+        const start = Date.now(),
+            response = await client.get('/', port);
+
+        assert.strictEqual(response.body, 'stubbed');
+        assert.ok(Date.now() - start >= 450, 'did not wait');
+    });
+
+    it('should inject faults', async function () {
+        const fault = { rules: [{ percentage: 100, fault: 'CONNECTION_RESET_BY_PEER' }] };
+        await api.createImposter({ protocol: 'http', port, stubs, chaos: fault });
+
+        try {
+            await client.get('/', port);
+            assert.fail('did not close socket');
+        }
+        catch (error) {
+            assert.strictEqual(error.code, 'ECONNRESET');
+        }
+    });
+
+    it('should count the injected chaos in the metrics', async function () {
+        await api.createImposter({ protocol: 'http', port, stubs, chaos });
+        await client.get('/orders', port);
+
+        const response = await client.get('/metrics', api.port);
+
+        assert.match(response.body, /mb_chaos_injected_total{imposter=".+",type="error"} [1-9]/);
+    });
+});
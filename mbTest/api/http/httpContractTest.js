@@ -0,0 +1,79 @@
+'use strict';
+
+const assert = require('assert'),
+    api = require('../../api').create(),
+    client = require('../../baseHttpClient').create('http'),
+    port = api.port + 1,
+    timeout = parseInt(process.env.MB_SLOW_TEST_TIMEOUT || 2000);
+
+describe('http imposter contract', function () {
+    this.timeout(timeout);
+
+    afterEach(async function () {
+        await api.del('/imposters');
+    });
+
+    const openapi = {
+        openapi: '3.0.3',
+        info: { title: 'Orders', version: '1' },
+        paths: {
+            '/orders': {
+                post: {
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'object',
+                                    required: ['quantity'],
+                                    properties: { quantity: { type: 'integer', minimum: 1 } }
+                                }
+                            }
+                        }
+                    },
+                    responses: { 201: { description: 'created' } }
+                }
+            }
+        }
+    };
+
+    it('should expose request and response violations in the imposter JSON', async function () {
+        const stubs = [{ responses: [{ is: { statusCode: 200 } }] }];
+        await api.createImposter({ protocol: 'http', port, contract: { openapi }, stubs });
+
+        const response = await client.post('/orders', { quantity: 0 }, port);
+        assert.strictEqual(response.statusCode, 200);
+
+        const imposter = await api.get(`/imposters/${port}`),
+            violations = imposter.body.contractViolations.map(violation => ({
+                type: violation.type,
+                operation: violation.operation,
+                errors: violation.errors
+            }));
+
+        assert.deepEqual(violations, [
+            { type: 'request', operation: 'POST /orders', errors: ['body/quantity must be >= 1'] },
+            { type: 'response', operation: 'POST /orders', errors: ['status code 200 is not documented'] }
+        ]);
+    });
+
+    it('should respond with the violationResponse for invalid requests', async function () {
+        const contract = { openapi, violationResponse: { statusCode: 422 } },
+            stubs = [{ responses: [{ is: { statusCode: 201 } }] }];
+        await api.createImposter({ protocol: 'http', port, contract, stubs });
+
+        const invalid = await client.post('/orders', { quantity: 'many' }, port),
+            valid = await client.post('/orders', { quantity: 1 }, port);
+
+        assert.strictEqual(invalid.statusCode, 422);
+        assert.deepEqual(invalid.body, { errors: ['body/quantity must be integer'] });
+        assert.strictEqual(valid.statusCode, 201);
+    });
+
+    it('should reject a contract on a tcp imposter', async function () {
+        const response = await api.post('/imposters', { protocol: 'tcp', port, contract: { openapi } });
+
+        assert.strictEqual(response.statusCode, 400);
+        assert.strictEqual(response.body.errors[0].message, 'contract validation is only supported for http and https imposters');
+    });
+});
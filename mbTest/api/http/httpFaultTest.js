@@ -3,6 +3,7 @@
 const assert = require('assert'),
     api = require('../../api').create(),
     BaseHttpClient = require('../../baseHttpClient'),
+    tcp = require('../tcp/tcpClient'),
     port = api.port + 1,
     timeout = parseInt(process.env.MB_SLOW_TEST_TIMEOUT || 2000);
 
@@ -45,6 +46,61 @@ const assert = require('assert'),
                 }
             });
 
+            it('should close the connection without responding when fault EMPTY_RESPONSE is specified', async function () {
+                const stub = { responses: [{ fault: 'EMPTY_RESPONSE' }] },
+                    request = { protocol, port, stubs: [stub] };
+                await api.createImposter(request);
+
+                try {
+                    await client.get('/', port);
+                    assert.fail('did not close socket');
+                }
+                catch (error) {
+                    assert.strictEqual(error.code, 'ECONNRESET');
+                }
+            });
+
+            it('should send an unparseable response when fault MALFORMED_STATUS_LINE is specified', async function () {
+                const stub = { responses: [{ fault: 'MALFORMED_STATUS_LINE' }] },
+                    request = { protocol, port, stubs: [stub] };
+                await api.createImposter(request);
+
+                try {
+                    await client.get('/', port);
+                    assert.fail('did not send malformed response');
+                }
+                catch (error) {
+                    assert.strictEqual(error.code, 'HPE_INVALID_STATUS');
+                }
+            });
+
+            it('should reset the connection after the delay when fault DELAYED_RESET is specified', async function () {
+                const stub = { responses: [{ fault: { type: 'DELAYED_RESET', delay: 500 } }] },
+                    request = { protocol, port, stubs: [stub] },
+                    start = new Date();
+                await api.createImposter(request);
+
+                try {
+                    await client.get('/', port);
+                    assert.fail('did not close socket');
+                }
+                catch (error) {
+                    const time = new Date() - start;
+                    assert.strictEqual(error.code, 'ECONNRESET');
+                    assert.ok(time >= 490, `actual time: ${time}`);
+                }
+            });
+
+            it('should reject faults missing required options', async function () {
+                const stub = { responses: [{ fault: { type: 'CLOSE_AFTER_BYTES' } }] },
+                    request = { protocol, port, stubs: [stub] },
+                    response = await api.post('/imposters', request);
+
+                assert.strictEqual(response.statusCode, 400);
+                assert.strictEqual(response.body.errors[0].message,
+                    'CLOSE_AFTER_BYTES fault requires "bytes" to be an integer greater than or equal to 0');
+            });
+
             it('should do nothing when undefined fault is specified', async function () {
                 const stub = { responses: [{ fault: 'NON_EXISTENT_FAULT' }] },
                     request = { protocol, port, stubs: [stub] };
@@ -57,3 +113,49 @@ const assert = require('assert'),
         });
     });
 });
+
+describe('http imposter faults on the wire', function () {
+    this.timeout(timeout);
+
+    const rawRequest = 'GET / HTTP/1.1\r\nHost: localhost\r\n\r\n';
+
+    afterEach(async function () {
+        await api.del('/imposters');
+    });
+
+    it('should send only the headers when fault STALL_BODY is specified', async function () {
+        const stub = { responses: [{ fault: { type: 'STALL_BODY', response: { body: 'never sent' } } }] };
+        await api.createImposter({ protocol: 'http', port, stubs: [stub] });
+
+        const response = await tcp.send(rawRequest, port);
+
+        assert.strictEqual(response.toString(), 'HTTP/1.1 200 OK\r\nConnection: close\r\nContent-Length: 10\r\n\r\n');
+    });
+
+    it('should send part of the body when fault TRUNCATED_BODY is specified', async function () {
+        const stub = { responses: [{ fault: { type: 'TRUNCATED_BODY', bytes: 5, response: { statusCode: 201, body: 'hello world' } } }] };
+        await api.createImposter({ protocol: 'http', port, stubs: [stub] });
+
+        const response = await tcp.send(rawRequest, port, 0, undefined, 62);
+
+        assert.strictEqual(response.toString(), 'HTTP/1.1 201 Created\r\nConnection: close\r\nContent-Length: 11\r\n\r\nhello');
+    });
+
+    it('should close after the given number of bytes when fault CLOSE_AFTER_BYTES is specified', async function () {
+        const stub = { responses: [{ fault: { type: 'CLOSE_AFTER_BYTES', bytes: 12 } }] };
+        await api.createImposter({ protocol: 'http', port, stubs: [stub] });
+
+        const response = await tcp.send(rawRequest, port);
+
+        assert.strictEqual(response.toString(), 'HTTP/1.1 200');
+    });
+
+    it('should not respond when fault HANG is specified', async function () {
+        const stub = { responses: [{ fault: 'HANG' }] };
+        await api.createImposter({ protocol: 'http', port, stubs: [stub] });
+
+        const response = await tcp.send(rawRequest, port, 500);
+
+        assert.strictEqual(response, '');
+    });
+});
@@ -0,0 +1,59 @@
+'use strict';
+
+const assert = require('assert'),
+    api = require('../../api').create(),
+    client = require('../../baseHttpClient').create('http'),
+    port = api.port + 1,
+    timeout = parseInt(process.env.MB_SLOW_TEST_TIMEOUT || 2000);
+
+describe('http imposter HAR export', function () {
+    this.timeout(timeout);
+
+    afterEach(async function () {
+        await api.del('/imposters');
+    });
+
+    it('should export responses recorded by a proxy', async function () {
+        const originPort = port + 1,
+            origin = {
+                protocol: 'http',
+                port: originPort,
+                stubs: [{ responses: [{ is: { statusCode: 201, headers: { 'Content-Type': 'text/plain' }, body: 'recorded' } }] }]
+            },
+            proxy = {
+                protocol: 'http',
+                port,
+                stubs: [{
+                    responses: [{
+                        proxy: {
+                            to: `http://localhost:${originPort}`,
+                            predicateGenerators: [{ matches: { method: true, path: true } }]
+                        }
+                    }]
+                }]
+            };
+        await api.createImposter(origin);
+        await api.createImposter(proxy);
+        await client.post('/orders', 'order', port);
+
+        const response = await api.get(`/imposters/${port}?format=har`),
+            entries = response.body.log.entries;
+
+        assert.strictEqual(response.body.log.version, '1.2');
+        assert.strictEqual(entries.length, 1);
+        assert.strictEqual(entries[0].request.method, 'POST');
+        assert.strictEqual(entries[0].request.url, `http://localhost:${port}/orders`);
+        assert.strictEqual(entries[0].response.status, 201);
+        assert.strictEqual(entries[0].response.content.text, 'recorded');
+        assert.strictEqual(entries[0].response.content.mimeType, 'text/plain');
+    });
+
+    it('should reject unsupported formats', async function () {
+        await api.createImposter({ protocol: 'http', port });
+
+        const response = await api.get(`/imposters/${port}?format=xml`);
+
+        assert.strictEqual(response.statusCode, 400);
+        assert.strictEqual(response.body.errors[0].message, 'unsupported format: xml');
+    });
+});
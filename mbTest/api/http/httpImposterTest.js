@@ -237,5 +237,33 @@ const assert = require('assert'),
                 assert.strictEqual(0, secondQuery.body.numberOfRequests);
             });
         });
+
+        describe('GET /imposters/:id/unmatched', function () {
+            it('should list unmatched requests with the closest stubs', async function () {
+                const stub = { predicates: [{ equals: { path: '/orders' } }], responses: [{ is: { body: 'orders' } }] };
+                await api.createImposter({ protocol, port, stubs: [stub] });
+
+                await client.get('/orders', port);
+                await client.get('/order', port);
+                const response = await api.get(`/imposters/${port}/unmatched`),
+                    unmatched = response.body.unmatched;
+
+                assert.deepEqual(unmatched.map(entry => entry.request.path), ['/order']);
+                assert.deepEqual(unmatched[0].closestStubs, [{
+                    index: 0,
+                    differences: [{ operator: 'equals', field: 'path', expected: '/orders', actual: '/order' }]
+                }]);
+            });
+
+            it('should forget unmatched requests after a DELETE', async function () {
+                await api.createImposter({ protocol, port });
+
+                await client.get('/', port);
+                await api.del(`/imposters/${port}/unmatched`);
+                const response = await api.get(`/imposters/${port}/unmatched`);
+
+                assert.deepEqual(response.body, { unmatched: [] });
+            });
+        });
     });
 });
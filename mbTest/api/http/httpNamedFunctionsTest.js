@@ -0,0 +1,58 @@
+'use strict';
+
+const assert = require('assert'),
+    api = require('../../api').create(),
+    client = require('../../baseHttpClient').create('http'),
+    port = api.port + 1,
+    timeout = parseInt(process.env.MB_SLOW_TEST_TIMEOUT || 2000);
+
+describe('http imposter named functions', function () {
+    this.timeout(timeout);
+
+    afterEach(async function () {
+        await api.del('/imposters');
+    });
+
+    const functions = {
+        discounted: 'config => ({ body: String(100 - config.args.discount) })',
+        isMember: 'config => config.request.query.member === config.args.value',
+        tag: '(config, response) => { response.headers = { "X-Tag": config.args.tag }; }'
+    };
+
+    it('should resolve named functions in predicates, responses, and behaviors', async function () {
+        const stubs = [
+            {
+                predicates: [{ inject: { fn: 'isMember', args: { value: 'true' } } }],
+                responses: [{
+                    inject: { fn: 'discounted', args: { discount: 10 } },
+                    behaviors: [{ decorate: { fn: 'tag', args: { tag: 'member' } } }]
+                }]
+            },
+            { responses: [{ inject: { fn: 'discounted', args: { discount: 0 } } }] }
+        ];
+        await api.createImposter({ protocol: 'http', port, functions, stubs });
+
+        const member = await client.get('/?member=true', port);
+        assert.strictEqual(member.body, '90');
+        assert.strictEqual(member.headers['x-tag'], 'member');
+
+        const guest = await client.get('/', port);
+        assert.strictEqual(guest.body, '100');
+    });
+
+    it('should include the functions in the imposter JSON', async function () {
+        await api.createImposter({ protocol: 'http', port, functions });
+
+        const response = await api.get(`/imposters/${port}?replayable=true`);
+
+        assert.deepEqual(response.body.functions, functions);
+    });
+
+    it('should reject references to unknown functions', async function () {
+        const stubs = [{ responses: [{ inject: { fn: 'missing' } }] }],
+            response = await api.post('/imposters', { protocol: 'http', port, functions, stubs });
+
+        assert.strictEqual(response.statusCode, 400);
+        assert.strictEqual(response.body.errors[0].message, 'no function named missing');
+    });
+});
@@ -0,0 +1,62 @@
+'use strict';
+
+const assert = require('assert'),
+    api = require('../../api').create(),
+    client = require('../../baseHttpClient').create('http'),
+    port = api.port + 1,
+    timeout = parseInt(process.env.MB_SLOW_TEST_TIMEOUT || 2000);
+
+describe('http imposter stub profiles', function () {
+    this.timeout(timeout);
+
+    afterEach(async function () {
+        await api.del('/imposters');
+    });
+
+    const profiles = {
+        happy: [{ responses: [{ is: { body: 'happy' } }] }],
+        degraded: [{ responses: [{ is: { body: 'slow' }, behaviors: [{ wait: 100 }] }] }],
+        outage: [{ responses: [{ is: { statusCode: 503, body: 'outage' } }] }]
+    };
+
+    it('should start with the stubs of the active profile', async function () {
+        await api.createImposter({ protocol: 'http', port, profiles, activeProfile: 'happy' });
+
+        const response = await client.get('/', port);
+
+        assert.strictEqual(response.body, 'happy');
+    });
+
+    it('should switch profiles at runtime and keep the recorded requests', async function () {
+        await api.createImposter({ protocol: 'http', port, recordRequests: true, profiles, activeProfile: 'happy' });
+        await client.get('/first', port);
+
+        const switched = await api.put(`/imposters/${port}/activeProfile`, { activeProfile: 'outage' });
+        assert.strictEqual(switched.statusCode, 200);
+        assert.strictEqual(switched.body.activeProfile, 'outage');
+
+        const response = await client.get('/second', port);
+        assert.strictEqual(response.statusCode, 503);
+        assert.strictEqual(response.body, 'outage');
+
+        const imposter = await api.get(`/imposters/${port}`);
+        assert.strictEqual(imposter.body.activeProfile, 'outage');
+        assert.deepEqual(imposter.body.requests.map(request => request.path), ['/first', '/second']);
+    });
+
+    it('should return a 404 for an unknown profile', async function () {
+        await api.createImposter({ protocol: 'http', port, profiles, activeProfile: 'happy' });
+
+        const response = await api.put(`/imposters/${port}/activeProfile`, { activeProfile: 'maintenance' });
+
+        assert.strictEqual(response.statusCode, 404);
+        assert.strictEqual(response.body.errors[0].message, 'no profile named maintenance');
+    });
+
+    it('should reject an activeProfile that is not defined', async function () {
+        const response = await api.post('/imposters', { protocol: 'http', port, profiles, activeProfile: 'maintenance' });
+
+        assert.strictEqual(response.statusCode, 400);
+        assert.strictEqual(response.body.errors[0].message, "'activeProfile' must be one of [happy, degraded, outage]");
+    });
+});
@@ -0,0 +1,70 @@
+'use strict';
+
+const assert = require('assert'),
+    api = require('../../api').create(),
+    client = require('../../baseHttpClient').create('http'),
+    port = api.port + 1,
+    timeout = parseInt(process.env.MB_SLOW_TEST_TIMEOUT || 2000);
+
+describe('http imposter scenarios', function () {
+    this.timeout(timeout);
+
+    afterEach(async function () {
+        await api.del('/imposters');
+    });
+
+    const checkoutStubs = [
+        {
+            scenario: 'checkout',
+            requiredState: 'Started',
+            newState: 'Ordered',
+            predicates: [{ equals: { method: 'POST', path: '/orders' } }],
+            responses: [{ is: { statusCode: 201 } }]
+        },
+        {
+            scenario: 'checkout',
+            requiredState: 'Ordered',
+            predicates: [{ equals: { method: 'GET', path: '/orders/1' } }],
+            responses: [{ is: { body: 'placed' } }]
+        },
+        {
+            predicates: [{ equals: { method: 'GET', path: '/orders/1' } }],
+            responses: [{ is: { statusCode: 404 } }]
+        }
+    ];
+
+    it('should only match stubs in the required scenario state', async function () {
+        await api.createImposter({ protocol: 'http', port, stubs: checkoutStubs });
+
+        const before = await client.get('/orders/1', port);
+        assert.strictEqual(before.statusCode, 404);
+
+        const created = await client.post('/orders', '', port);
+        assert.strictEqual(created.statusCode, 201);
+
+        const after = await client.get('/orders/1', port);
+        assert.strictEqual(after.body, 'placed');
+    });
+
+    it('should report and reset the scenario states', async function () {
+        await api.createImposter({ protocol: 'http', port, stubs: checkoutStubs });
+        await client.post('/orders', '', port);
+
+        const current = await api.get(`/imposters/${port}/scenarios`);
+        assert.deepEqual(current.body, { scenarios: { checkout: 'Ordered' } });
+
+        const reset = await api.del(`/imposters/${port}/scenarios`);
+        assert.deepEqual(reset.body, { scenarios: { checkout: 'Started' } });
+
+        const response = await client.get('/orders/1', port);
+        assert.strictEqual(response.statusCode, 404);
+    });
+
+    it('should reject a requiredState without a scenario', async function () {
+        const stub = { requiredState: 'Ordered', responses: [{ is: {} }] },
+            response = await api.post('/imposters', { protocol: 'http', port, stubs: [stub] });
+
+        assert.strictEqual(response.statusCode, 400);
+        assert.strictEqual(response.body.errors[0].message, "'requiredState' and 'newState' require a 'scenario'");
+    });
+});
@@ -0,0 +1,77 @@
+'use strict';
+
+const assert = require('assert'),
+    api = require('../../api').create(),
+    client = require('../../baseHttpClient').create('http'),
+    port = api.port + 1,
+    timeout = parseInt(process.env.MB_SLOW_TEST_TIMEOUT || 2000);
+
+describe('http imposter snapshots', function () {
+    this.timeout(timeout);
+
+    afterEach(async function () {
+        await api.del('/imposters');
+    });
+
+    const imposter = {
+        protocol: 'http',
+        port,
+        recordRequests: true,
+        stubs: [
+            {
+                scenario: 'order',
+                newState: 'placed',
+                predicates: [{ equals: { method: 'POST' } }],
+                responses: [{ is: { body: 'placed' } }]
+            },
+            {
+                responses: [
+                    { is: { body: 'first' } },
+                    { is: { body: 'second' } },
+                    { is: { body: 'third' } }
+                ]
+            }
+        ]
+    };
+
+    it('should include the runtime state in the snapshot', async function () {
+        await api.createImposter(imposter);
+        await client.post('/orders', '', port);
+        await client.get('/orders', port);
+
+        const response = await api.get(`/imposters/${port}?snapshot=true`),
+            snapshot = response.body.snapshot;
+
+        assert.strictEqual(response.body.numberOfRequests, undefined);
+        assert.strictEqual(snapshot.numberOfRequests, 2);
+        assert.deepEqual(snapshot.scenarios, { order: 'placed' });
+        assert.deepEqual(snapshot.stubs, [{ nextIndex: 0 }, { nextIndex: 1 }]);
+        assert.deepEqual(snapshot.requests.map(request => request.method), ['POST', 'GET']);
+    });
+
+    it('should restore the snapshot exactly', async function () {
+        await api.createImposter(imposter);
+        await client.get('/orders', port);
+
+        const saved = await api.get('/imposters?snapshot=true');
+        await client.get('/orders', port);
+        await client.get('/orders', port);
+        await api.put('/imposters', saved.body);
+
+        const response = await client.get('/orders', port),
+            restored = await api.get(`/imposters/${port}`);
+
+        assert.strictEqual(response.body, 'second');
+        assert.strictEqual(restored.body.numberOfRequests, 2);
+        assert.strictEqual(restored.body.requests.length, 2);
+        assert.strictEqual(restored.body.requests[0].timestamp, saved.body.imposters[0].snapshot.requests[0].timestamp);
+    });
+
+    it('should reject a snapshot that does not match the stubs', async function () {
+        const request = Object.assign({ snapshot: { stubs: [] } }, imposter),
+            response = await api.post('/imposters', request);
+
+        assert.strictEqual(response.statusCode, 400);
+        assert.strictEqual(response.body.errors[0].message, "'snapshot.stubs' must have one entry for each stub");
+    });
+});
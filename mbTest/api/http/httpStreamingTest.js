@@ -0,0 +1,100 @@
+'use strict';
+
+const assert = require('assert'),
+    http = require('http'),
+    api = require('../../api').create(),
+    client = require('../../baseHttpClient').create('http'),
+    port = api.port + 1,
+    timeout = parseInt(process.env.MB_SLOW_TEST_TIMEOUT || 4000);
+
+// Resolves to each chunk as received, with the milliseconds since the response headers arrived
+function timedChunks (path, requestPort) {
+    return new Promise((resolve, reject) => {
+        http.get({ hostname: 'localhost', port: requestPort, path }, response => {
+            const start = new Date(),
+                chunks = [];
+
+            response.setEncoding('utf8');
+            response.on('data', data => chunks.push({ data, elapsed: new Date() - start }));
+            response.on('end', () => resolve({ headers: response.headers, chunks }));
+        }).on('error', reject);
+    });
+}
+
+describe('http imposter streaming', function () {
+    this.timeout(timeout);
+
+    afterEach(async function () {
+        await api.del('/imposters');
+    });
+
+    it('should write each chunk after its delay', async function () {
+        const stub = { responses: [{ is: { chunks: ['first', { data: 'second', delay: 200 }, { data: { done: true } }] } }] },
+            request = { protocol: 'http', port, stubs: [stub] };
+        await api.createImposter(request);
+
+        const response = await timedChunks('/', port),
+            body = response.chunks.map(chunk => chunk.data).join('');
+
+        assert.strictEqual(response.headers['transfer-encoding'], 'chunked');
+        assert.strictEqual(body, 'firstsecond{"done":true}');
+        assert.ok(response.chunks[response.chunks.length - 1].elapsed >= 190,
+            JSON.stringify(response.chunks));
+    });
+
+    it('should format server-sent events', async function () {
+        const events = [
+                { event: 'token', id: '1', data: 'Hello' },
+                { event: 'token', id: '2', data: { text: 'world' }, delay: 50 },
+                'multi\nline'
+            ],
+            request = { protocol: 'http', port, stubs: [{ responses: [{ is: { events } }] }] };
+        await api.createImposter(request);
+
+        const response = await client.get('/', port);
+
+        assert.strictEqual(response.headers['content-type'], 'text/event-stream');
+        assert.strictEqual(response.headers['cache-control'], 'no-cache');
+        assert.strictEqual(response.body,
+            'event: token\nid: 1\ndata: Hello\n\n' +
+            'event: token\nid: 2\ndata: {"text":"world"}\n\n' +
+            'data: multi\ndata: line\n\n');
+    });
+
+    it('should record chunk timings when proxying with recordChunks', async function () {
+        const originServerPort = port + 1,
+            originServerStub = { responses: [{ is: { chunks: ['one', { data: 'two', delay: 200 }] } }] },
+            originServerRequest = { protocol: 'http', port: originServerPort, stubs: [originServerStub] },
+            proxyStub = { responses: [{ proxy: { to: `http://localhost:${originServerPort}`, recordChunks: true } }] },
+            proxyRequest = { protocol: 'http', port, stubs: [proxyStub] };
+        await api.createImposter(originServerRequest);
+        await api.createImposter(proxyRequest);
+
+        const proxied = await client.get('/', port);
+        assert.strictEqual(proxied.body, 'onetwo');
+
+        const imposter = await api.get(`/imposters/${port}`),
+            saved = imposter.body.stubs[0].responses[0].is;
+
+        assert.deepEqual(saved.chunks.map(chunk => chunk.data), ['one', 'two']);
+        assert.ok(saved.chunks[1].delay >= 150, JSON.stringify(saved.chunks));
+        assert.strictEqual(saved.body, undefined);
+    });
+
+    it('should keep an incomplete character at the end of recorded chunks', async function () {
+        const originServerPort = port + 1,
+            truncated = Buffer.from('a€').subarray(0, 3).toString('base64'),
+            originServerStub = { responses: [{ is: { headers: { 'Content-Type': 'text/plain' }, chunks: [truncated], _mode: 'binary' } }] },
+            originServerRequest = { protocol: 'http', port: originServerPort, stubs: [originServerStub] },
+            proxyStub = { responses: [{ proxy: { to: `http://localhost:${originServerPort}`, recordChunks: true } }] },
+            proxyRequest = { protocol: 'http', port, stubs: [proxyStub] };
+        await api.createImposter(originServerRequest);
+        await api.createImposter(proxyRequest);
+        await client.get('/', port);
+
+        const imposter = await api.get(`/imposters/${port}`),
+            saved = imposter.body.stubs[0].responses[0].is;
+
+        assert.deepEqual(saved.chunks.map(chunk => chunk.data), ['a\ufffd']);
+    });
+});
@@ -639,6 +639,33 @@ function merge (defaults, overrides) {
 
                 assert.strictEqual(response.body, 'Matched');
             });
+
+            it('should render templated responses from the request', async function () {
+                const stub = {
+                        responses: [{
+                            is: {
+                                _template: true,
+                                headers: { 'X-Path': '{{request.path}}' },
+                                body: 'Hello, {{jsonpath request.body "$.name"}}{{#each request.query}} {{@key}}={{this}}{{/each}}'
+                            }
+                        }]
+                    },
+                    request = { protocol, port, stubs: [stub] };
+                await api.createImposter(request);
+
+                const response = await client.post('/greeting?lang=en', { name: 'Bob' }, port);
+
+                assert.strictEqual(response.headers['x-path'], '/greeting');
+                assert.strictEqual(response.body, 'Hello, Bob lang=en');
+            });
+
+            it('should reject invalid response templates', async function () {
+                const stub = { responses: [{ is: { _template: true, body: '{{#if request.path}}' } }] },
+                    response = await api.post('/imposters', { protocol, port, stubs: [stub] });
+
+                assert.strictEqual(response.statusCode, 400);
+                assert.strictEqual(response.body.errors[0].code, 'bad data');
+            });
         });
     });
 });
@@ -0,0 +1,62 @@
+'use strict';
+
+const assert = require('assert'),
+    api = require('../../api').create(),
+    client = require('../../baseHttpClient').create('http'),
+    port = api.port + 1,
+    timeout = parseInt(process.env.MB_SLOW_TEST_TIMEOUT || 2000);
+
+describe('http imposter verifications', function () {
+    this.timeout(timeout);
+
+    afterEach(async function () {
+        await api.del('/imposters');
+    });
+
+    it('should count the recorded requests matching the predicates', async function () {
+        await api.createImposter({ protocol: 'http', port, recordRequests: true });
+        await client.get('/orders/1', port);
+        await client.post('/orders', 'first', port);
+        await client.post('/orders', 'second', port);
+
+        const verification = { predicates: [{ equals: { method: 'POST', path: '/orders' } }], exactly: 2 },
+            response = await api.post(`/imposters/${port}/verifications`, verification);
+
+        assert.strictEqual(response.statusCode, 200);
+        assert.strictEqual(response.body.verified, true);
+        assert.strictEqual(response.body.count, 2);
+        assert.deepEqual(response.body.requests.map(request => request.body), ['first', 'second']);
+    });
+
+    it('should explain the near misses when the expectation fails', async function () {
+        await api.createImposter({ protocol: 'http', port, recordRequests: true });
+        await client.get('/orders/1', port);
+
+        const verification = { predicates: [{ equals: { method: 'DELETE', path: '/orders/1' } }] },
+            response = await api.post(`/imposters/${port}/verifications`, verification);
+
+        assert.strictEqual(response.statusCode, 200);
+        assert.strictEqual(response.body.verified, false);
+        assert.deepEqual(response.body.nearMisses[0].differences, [{
+            operator: 'equals',
+            field: 'method',
+            expected: 'DELETE',
+            actual: 'GET'
+        }]);
+    });
+
+    it('should return a 400 if the imposter does not record requests', async function () {
+        await api.createImposter({ protocol: 'http', port });
+
+        const response = await api.post(`/imposters/${port}/verifications`, { never: true });
+
+        assert.strictEqual(response.statusCode, 400);
+        assert.strictEqual(response.body.errors[0].code, 'bad data');
+    });
+
+    it('should return a 404 if the imposter does not exist', async function () {
+        const response = await api.post('/imposters/3535/verifications', { never: true });
+
+        assert.strictEqual(response.statusCode, 404);
+    });
+});
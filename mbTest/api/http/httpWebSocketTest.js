@@ -0,0 +1,135 @@
+'use strict';
+
+const assert = require('assert'),
+    WebSocket = require('ws'),
+    api = require('../../api').create(),
+    BaseHttpClient = require('../../baseHttpClient'),
+    port = api.port + 1,
+    timeout = parseInt(process.env.MB_SLOW_TEST_TIMEOUT || 4000);
+
+function connect (protocol, path) {
+    const scheme = protocol === 'https' ? 'wss' : 'ws',
+        socket = new WebSocket(`${scheme}://localhost:${port}${path}`, { rejectUnauthorized: false });
+
+    socket.received = [];
+    socket.on('message', message => socket.received.push(message.toString()));
+
+    return new Promise((resolve, reject) => {
+        socket.on('open', () => resolve(socket));
+        socket.on('error', reject);
+    });
+}
+
+function waitForFrames (socket, count) {
+    return new Promise(resolve => {
+        function check () {
+            if (socket.received.length >= count) {
+                resolve(socket.received);
+            }
+            else {
+                setTimeout(check, 10);
+            }
+        }
+        check();
+    });
+}
+
+['http', 'https'].forEach(protocol => {
+    const client = BaseHttpClient.create(protocol);
+
+    describe(`${protocol} imposter WebSockets`, function () {
+        this.timeout(timeout);
+
+        afterEach(async function () {
+            await api.del('/imposters');
+        });
+
+        it('should send response frames for matching inbound frames', async function () {
+            const stubs = [
+                    {
+                        predicates: [{ equals: { path: '/chat', data: 'ping' } }],
+                        responses: [{ is: { frames: ['pong', { data: { status: 'ok' } }] } }]
+                    }
+                ],
+                request = { protocol, port, stubs };
+            await api.createImposter(request);
+
+            const socket = await connect(protocol, '/chat');
+            socket.send('ping');
+            const frames = await waitForFrames(socket, 2);
+            socket.close();
+
+            assert.deepEqual(frames, ['pong', '{"status":"ok"}']);
+        });
+
+        it('should push frames on a schedule in response to the handshake', async function () {
+            const stubs = [
+                    {
+                        predicates: [{ equals: { method: 'GET', path: '/feed' } }],
+                        responses: [{ is: { frames: [{ data: 'tick', delay: 20, repeat: 3 }, 'done'] } }]
+                    }
+                ],
+                request = { protocol, port, stubs };
+            await api.createImposter(request);
+
+            const socket = await connect(protocol, '/feed'),
+                frames = await waitForFrames(socket, 4);
+            socket.close();
+
+            assert.deepEqual(frames, ['tick', 'tick', 'tick', 'done']);
+        });
+
+        it('should record inbound frames in the requests array', async function () {
+            const request = { protocol, port, recordRequests: true };
+            await api.createImposter(request);
+
+            const socket = await connect(protocol, '/chat?room=1');
+            socket.send('hello');
+            await new Promise(resolve => setTimeout(resolve, 100));
+            socket.close();
+
+            const response = await api.get(`/imposters/${port}`),
+                frames = response.body.requests.filter(recorded => recorded.data);
+
+            assert.strictEqual(frames.length, 1);
+            assert.strictEqual(frames[0].data, 'hello');
+            assert.strictEqual(frames[0].path, '/chat');
+            assert.deepEqual(frames[0].query, { room: '1' });
+            assert.strictEqual(frames[0].headers.Upgrade.toLowerCase(), 'websocket');
+        });
+
+        it('should answer other upgrade requests over HTTP/1.1', async function () {
+            const stub = { responses: [{ is: { body: 'hello' } }] },
+                request = { protocol, port, stubs: [stub] };
+            await api.createImposter(request);
+
+            const response = await client.get('/', port, {
+                Connection: 'Upgrade, HTTP2-Settings',
+                Upgrade: 'h2c',
+                'HTTP2-Settings': 'AAMAAABkAARAAAAAAAIAAAAA'
+            });
+
+            assert.strictEqual(response.statusCode, 200);
+            assert.strictEqual(response.body, 'hello');
+        });
+
+        it('should pass the body of other upgrade requests to the stubs', async function () {
+            const stub = {
+                    predicates: [{ equals: { body: 'upgrade me' } }],
+                    responses: [{ is: { body: 'matched' } }]
+                },
+                request = { protocol, port, stubs: [stub], recordRequests: true };
+            await api.createImposter(request);
+
+            const response = await client.responseFor({
+                method: 'POST',
+                path: '/',
+                port,
+                body: 'upgrade me',
+                headers: { Connection: 'Upgrade', Upgrade: 'h2c', 'Content-Type': 'text/plain' }
+            });
+
+            assert.strictEqual(response.body, 'matched');
+        });
+    });
+});
@@ -0,0 +1,152 @@
+'use strict';
+
+const assert = require('assert'),
+    http2 = require('http2'),
+    api = require('../../api').create(),
+    httpClient = require('../../baseHttpClient').create('http'),
+    httpsClient = require('../../baseHttpClient').create('https'),
+    port = api.port + 1,
+    timeout = parseInt(process.env.MB_SLOW_TEST_TIMEOUT || 4000);
+
+function get (origin, path) {
+    return new Promise((resolve, reject) => {
+        const session = http2.connect(origin, { rejectUnauthorized: false }),
+            stream = session.request({ ':path': path });
+        let headers = {},
+            body = '';
+
+        session.on('error', reject);
+        stream.on('error', reject);
+        stream.on('response', responseHeaders => { headers = responseHeaders; });
+        stream.setEncoding('utf8');
+        stream.on('data', chunk => { body += chunk; });
+        stream.on('end', () => {
+            session.close();
+            resolve({ statusCode: headers[':status'], headers, body });
+        });
+        stream.end();
+    });
+}
+
+describe('http2 imposter', function () {
+    this.timeout(timeout);
+
+    afterEach(async function () {
+        await api.del('/imposters');
+    });
+
+    it('should respond to cleartext HTTP/2 (h2c) requests', async function () {
+        const stub = { responses: [{ is: { statusCode: 201, body: 'h2c' } }] },
+            request = { protocol: 'http2', port, stubs: [stub] };
+        await api.createImposter(request);
+
+        const response = await get(`http://localhost:${port}`, '/');
+
+        assert.strictEqual(response.statusCode, 201);
+        assert.strictEqual(response.body, 'h2c');
+    });
+
+    it('should record :authority and :scheme pseudo-headers', async function () {
+        const request = { protocol: 'http2', port, recordRequests: true };
+        await api.createImposter(request);
+
+        await get(`http://localhost:${port}`, '/path?key=value');
+        const response = await api.get(`/imposters/${port}`),
+            recorded = response.body.requests[0];
+
+        assert.strictEqual(recorded.path, '/path');
+        assert.deepEqual(recorded.query, { key: 'value' });
+        assert.strictEqual(recorded.headers[':authority'], `localhost:${port}`);
+        assert.strictEqual(recorded.headers[':scheme'], 'http');
+        assert.strictEqual(recorded.headers[':method'], undefined);
+    });
+
+    it('should strip connection-specific headers from responses', async function () {
+        const stub = { responses: [{ is: { headers: { Connection: 'keep-alive', 'Transfer-Encoding': 'chunked', 'X-Test': 'ok' } } }] },
+            request = { protocol: 'http2', port, stubs: [stub] };
+        await api.createImposter(request);
+
+        const response = await get(`http://localhost:${port}`, '/');
+
+        assert.strictEqual(response.statusCode, 200);
+        assert.strictEqual(response.headers['x-test'], 'ok');
+        assert.strictEqual(response.headers.connection, undefined);
+    });
+
+    it('should support HTTP/2 over TLS with the default certificate', async function () {
+        const stub = { responses: [{ is: { body: 'h2' } }] },
+            request = { protocol: 'http2', port, tls: true, stubs: [stub] };
+        const creationResponse = await api.createImposter(request);
+        assert.strictEqual(creationResponse.body.tls, true);
+        assert.strictEqual(creationResponse.body.allowHTTP1, true);
+
+        const response = await get(`https://localhost:${port}`, '/');
+
+        assert.strictEqual(response.body, 'h2');
+    });
+
+    it('should fall back to HTTP/1.1 over TLS by default', async function () {
+        const stub = { responses: [{ is: { body: 'fallback' } }] },
+            request = { protocol: 'http2', port, tls: true, stubs: [stub] };
+        await api.createImposter(request);
+
+        const response = await httpsClient.get('/', port);
+
+        assert.strictEqual(response.body, 'fallback');
+    });
+
+    it('should reject non-boolean tls option', async function () {
+        const response = await api.post('/imposters', { protocol: 'http2', port, tls: 'yes' });
+
+        assert.strictEqual(response.statusCode, 400);
+        assert.strictEqual(response.body.errors[0].message, "'tls' must be a boolean");
+    });
+
+    it('should proxy from http to an HTTP/2 origin server', async function () {
+        const originServerPort = port + 1,
+            originServerRequest = {
+                protocol: 'http2',
+                port: originServerPort,
+                stubs: [{ responses: [{ is: { body: 'origin server' } }] }]
+            },
+            proxyRequest = {
+                protocol: 'http',
+                port,
+                stubs: [{ responses: [{ proxy: { to: `http://localhost:${originServerPort}`, http2: true } }] }]
+            };
+        await api.createImposter(originServerRequest);
+        await api.createImposter(proxyRequest);
+
+        const response = await httpClient.get('/', port);
+
+        assert.strictEqual(response.body, 'origin server');
+    });
+
+    it('should close the session for CONNECTION_RESET_BY_PEER fault', async function () {
+        const stub = { responses: [{ fault: 'CONNECTION_RESET_BY_PEER' }] },
+            request = { protocol: 'http2', port, stubs: [stub] };
+        await api.createImposter(request);
+
+        try {
+            await get(`http://localhost:${port}`, '/');
+            assert.fail('did not close session');
+        }
+        catch (error) {
+            assert.ok(error.code);
+        }
+    });
+
+    it('should close the session for faults that write before closing', async function () {
+        const stub = { responses: [{ fault: { type: 'CLOSE_AFTER_BYTES', bytes: 5 } }] },
+            request = { protocol: 'http2', port, stubs: [stub] };
+        await api.createImposter(request);
+
+        try {
+            await get(`http://localhost:${port}`, '/');
+            assert.fail('did not close session');
+        }
+        catch (error) {
+            assert.ok(error.code);
+        }
+    });
+});
@@ -41,6 +41,24 @@ describe('tcp imposter', function () {
             assert.strictEqual(response.toString(), 'ORIGIN DECORATED');
         });
 
+        it('should trickle the response out when using behaviors.throttle', async function () {
+            const stub = {
+                    responses: [{
+                        is: { data: '0123456789' },
+                        behaviors: [{ throttle: { bytesPerSecond: 10, chunkSize: 5 } }]
+                    }]
+                },
+                request = { protocol: 'tcp', port, stubs: [stub] };
+            await api.createImposter(request);
+
+            const start = new Date(),
+                response = await tcp.send('request', port, 0, undefined, 10),
+                time = new Date() - start;
+
+            assert.strictEqual(response.toString(), '0123456789');
+            assert.ok(time >= 975, `actual time: ${time}`);
+        });
+
         it('should compose multiple behaviors together', async function () {
             const shellFn = function exec () {
                     console.log(process.argv[3].replace('${SALUTATION}', 'Hello'));
@@ -0,0 +1,43 @@
+'use strict';
+
+const assert = require('assert'),
+    api = require('../../api').create(),
+    port = api.port + 1,
+    timeout = parseInt(process.env.MB_SLOW_TEST_TIMEOUT || 2000),
+    tcp = require('./tcpClient');
+
+describe('tcp imposter', function () {
+    this.timeout(timeout);
+
+    afterEach(async function () {
+        await api.del('/imposters');
+    });
+
+    describe('POST /imposters with faults', function () {
+        it('should send part of the response then close when fault CLOSE_AFTER_BYTES is specified', async function () {
+            const stub = { responses: [{ fault: { type: 'CLOSE_AFTER_BYTES', bytes: 4, response: { data: 'partial response' } } }] };
+            await api.createImposter({ protocol: 'tcp', port, stubs: [stub] });
+
+            const response = await tcp.send('request', port);
+
+            assert.strictEqual(response.toString(), 'part');
+        });
+
+        it('should not respond when fault HANG is specified', async function () {
+            const stub = { responses: [{ fault: 'HANG' }] };
+            await api.createImposter({ protocol: 'tcp', port, stubs: [stub] });
+
+            const response = await tcp.send('request', port, 500);
+
+            assert.strictEqual(response, '');
+        });
+
+        it('should reject http-only faults', async function () {
+            const stub = { responses: [{ fault: 'TRUNCATED_BODY' }] },
+                response = await api.post('/imposters', { protocol: 'tcp', port, stubs: [stub] });
+
+            assert.strictEqual(response.statusCode, 400);
+            assert.strictEqual(response.body.errors[0].message, 'TRUNCATED_BODY fault is only supported for http, https imposters');
+        });
+    });
+});
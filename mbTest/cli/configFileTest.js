@@ -5,6 +5,7 @@ const assert = require('assert'),
     port = api.port + 1,
     mb = require('../mb').create(port),
     path = require('path'),
+    fs = require('fs-extra'),
     isWindows = require('os').platform().indexOf('win') === 0,
     BaseHttpClient = require('../baseHttpClient'),
     baseTimeout = parseInt(process.env.MB_SLOW_TEST_TIMEOUT || 3000),
@@ -136,4 +137,63 @@ describe('--configfile', function () {
 
         assert.deepEqual(response.body.code, 'SUCCESS');
     });
+
+    describe('--watch', function () {
+        const dir = path.join(__dirname, '../../.mbtest-watch'),
+            configfile = path.join(dir, 'imposters.ejs');
+
+        function imposterWithBody (imposterPort, body) {
+            return JSON.stringify({
+                protocol: 'http',
+                port: imposterPort,
+                recordRequests: true,
+                stubs: [{ responses: [{ is: { body } }] }]
+            });
+        }
+
+        function waitForReload () {
+            return new Promise(resolve => setTimeout(resolve, 1500));
+        }
+
+        beforeEach(function () {
+            this.timeout(timeout + 5000);
+            fs.outputFileSync(configfile, "{ \"imposters\": [<%- include('orders.json') %>, <%- include('users.json') %>] }");
+            fs.outputFileSync(path.join(dir, 'orders.json'), imposterWithBody(4545, 'orders'));
+            fs.outputFileSync(path.join(dir, 'users.json'), imposterWithBody(4546, 'users'));
+        });
+
+        afterEach(async function () {
+            await mb.stop();
+            fs.removeSync(dir);
+        });
+
+        it('should only recreate imposters whose included files changed', async function () {
+            this.timeout(timeout + 5000);
+            await mb.start(['--configfile', configfile, '--watch']);
+            await http.get('/', 4545);
+            await http.get('/', 4546);
+
+            fs.outputFileSync(path.join(dir, 'users.json'), imposterWithBody(4546, 'changed users'));
+            await waitForReload();
+
+            const users = await http.get('/', 4546);
+            assert.strictEqual(users.body, 'changed users');
+
+            const unchanged = await http.get('/imposters/4545', port),
+                changed = await http.get('/imposters/4546', port);
+            assert.strictEqual(unchanged.body.requests.length, 1);
+            assert.strictEqual(changed.body.requests.length, 1);
+        });
+
+        it('should remove imposters removed from the config file', async function () {
+            this.timeout(timeout + 5000);
+            await mb.start(['--configfile', configfile, '--watch']);
+
+            fs.outputFileSync(configfile, "{ \"imposters\": [<%- include('orders.json') %>] }");
+            await waitForReload();
+
+            const imposters = await http.get('/imposters', port);
+            assert.deepEqual(imposters.body.imposters.map(imposter => imposter.port), [4545]);
+        });
+    });
 });
@@ -0,0 +1,58 @@
+'use strict';
+
+const assert = require('assert'),
+    api = require('../api').create(),
+    port = api.port + 1,
+    mb = require('../mb').create(port),
+    path = require('path'),
+    isWindows = require('os').platform().indexOf('win') === 0,
+    BaseHttpClient = require('../baseHttpClient'),
+    baseTimeout = parseInt(process.env.MB_SLOW_TEST_TIMEOUT || 3000),
+    timeout = isWindows ? 2 * baseTimeout : baseTimeout,
+    http = BaseHttpClient.create('http');
+
+describe('mb import', function () {
+    this.timeout(timeout);
+
+    afterEach(async function () {
+        await mb.stop();
+    });
+
+    it('should create an imposter from an OpenAPI document', async function () {
+        const imposterPort = port + 1;
+        await mb.start();
+
+        const result = await mb.importImposter(['--openapi', path.join(__dirname, 'openapi/petstore.yaml'), '--imposterPort', imposterPort]);
+        assert.strictEqual(result.exitCode, 0, result.stderr);
+
+        const list = await http.get('/v1/pets?limit=10', imposterPort),
+            pet = await http.get('/v1/pets/abc', imposterPort),
+            unmatched = await http.get('/v1/pets', imposterPort);
+
+        assert.deepEqual(list.body, [{ id: 1, name: 'Rex' }]);
+        assert.deepEqual(pet.body, { id: 0, name: 'Fido' });
+        assert.strictEqual(unmatched.body, '');
+    });
+
+    it('should create an imposter from a HAR file', async function () {
+        const imposterPort = port + 1;
+        await mb.start();
+
+        const result = await mb.importImposter(['--har', path.join(__dirname, 'har/capture.har'), '--imposterPort', imposterPort]);
+        assert.strictEqual(result.exitCode, 0, result.stderr);
+
+        const response = await http.get('/orders?page=1', imposterPort);
+
+        assert.deepEqual(response.body, [{ id: 1 }]);
+        assert.strictEqual(response.headers['content-encoding'], undefined);
+    });
+
+    it('should fail for documents that are not OpenAPI 3', async function () {
+        await mb.start();
+
+        const result = await mb.importImposter(['--openapi', path.join(__dirname, 'imposters/accounts.json')]);
+
+        assert.strictEqual(result.exitCode, 1);
+        assert.ok(result.stderr.indexOf('only OpenAPI 3 documents are supported') >= 0, result.stderr);
+    });
+});
@@ -140,6 +140,36 @@ describe('security', function () {
         });
     });
 
+    describe('mb with --sandboxInjection', function () {
+        it('should run response injection without access to the process', async function () {
+            const fn = config => {
+                    config.state.calls = (config.state.calls || 0) + 1;
+                    return { body: `${config.state.calls} ${typeof process}` };
+                },
+                request = { protocol: 'http', port, stubs: [{ responses: [{ inject: fn.toString() }] }] };
+            await mb.start(['--allowInjection', '--sandboxInjection']);
+            await mb.post('/imposters', request);
+
+            await httpClient.get('/', port);
+            const response = await httpClient.get('/', port);
+
+            assert.strictEqual(response.body, '2 undefined');
+        });
+
+        it('should stop injections that run past the timeout', async function () {
+            const stub = { responses: [{ inject: '() => { while (true) {} }' }] },
+                request = { protocol: 'http', port, stubs: [stub] };
+            await mb.start(['--allowInjection', '--sandboxInjection', '--injectionTimeout', '100']);
+            await mb.post('/imposters', request);
+
+            const response = await httpClient.get('/', port);
+
+            assert.strictEqual(response.statusCode, 500);
+            assert.strictEqual(response.body.errors[0].code, 'invalid injection');
+            assert.strictEqual(response.body.errors[0].data, 'Script execution timed out after 100ms');
+        });
+    });
+
     describe('IP blocking', function () {
         this.timeout(10000);
 
@@ -0,0 +1,45 @@
+'use strict';
+
+const assert = require('assert'),
+    api = require('../api').create(),
+    port = api.port + 1,
+    mb = require('../mb').create(port),
+    BaseHttpClient = require('../baseHttpClient'),
+    timeout = parseInt(process.env.MB_SLOW_TEST_TIMEOUT || 6000),
+    http = BaseHttpClient.create('http'),
+    fs = require('fs');
+
+describe('mb snapshot and restore', function () {
+    this.timeout(timeout);
+
+    afterEach(async function () {
+        await mb.stop();
+        if (fs.existsSync('snapshot.json')) {
+            fs.unlinkSync('snapshot.json');
+        }
+    });
+
+    it('should continue the imposters from where the snapshot was taken', async function () {
+        const imposterPort = port + 1,
+            imposter = {
+                protocol: 'http',
+                port: imposterPort,
+                recordRequests: true,
+                stubs: [{ responses: [{ is: { body: 'first' } }, { is: { body: 'second' } }, { is: { body: 'third' } }] }]
+            };
+        await mb.start();
+        await mb.post('/imposters', imposter);
+        await http.get('/', imposterPort);
+
+        await mb.snapshot(['--snapshotfile', 'snapshot.json']);
+        await http.get('/', imposterPort);
+        await mb.restore(['--snapshotfile', 'snapshot.json']);
+
+        const response = await http.get('/', imposterPort),
+            json = await mb.get(`/imposters/${imposterPort}`);
+
+        assert.strictEqual(response.body, 'second');
+        assert.strictEqual(json.body.numberOfRequests, 2);
+        assert.deepEqual(json.body.requests.map(request => request.path), ['/', '/']);
+    });
+});
@@ -135,6 +135,18 @@ function create (port, includeStdout) {
         return execCommand('replay', args);
     }
 
+    async function snapshot (args) {
+        return execCommand('snapshot', args);
+    }
+
+    async function restore (args) {
+        return execCommand('restore', args);
+    }
+
+    async function importImposter (args) {
+        return execCommand('import', args);
+    }
+
     function get (endpoint) {
         return httpClient.responseFor({ method: 'GET', path: endpoint, port, hostname: host });
     }
@@ -151,7 +163,7 @@ function create (port, includeStdout) {
         return httpClient.responseFor({ method: 'DELETE', path: endpoint, port, hostname: host });
     }
 
-    return { port, url: `http://localhost:${port}`, start, restart, stop, save, get, post, put, del, replay };
+    return { port, url: `http://localhost:${port}`, start, restart, stop, save, get, post, put, del, replay, snapshot, restore, importImposter };
 }
 
 module.exports = { create };
@@ -1,6 +1,12 @@
 'use strict';
 
-const http = require('http');
+const http = require('http'),
+    fs = require('fs-extra'),
+    yaml = require('yaml'),
+    helpers = require('../util/helpers.js'),
+    openApi = require('../models/openApi.js'),
+    har = require('../models/har.js'),
+    configWatcher = require('./configWatcher.js');
 
 function curl (options, method, path, body) {
     return new Promise((resolve, reject) => {
@@ -24,7 +30,7 @@ function curl (options, method, path, body) {
             response.setEncoding('utf8');
             response.on('data', chunk => { response.body += chunk; });
             response.on('end', () => {
-                if (response.statusCode === 200) {
+                if (response.statusCode === 200 || response.statusCode === 201) {
                     response.body = JSON.parse(response.body);
                     resolve(response);
                 }
@@ -47,6 +53,14 @@ function putImposters (options, body) {
     return curl(options, 'PUT', '/imposters', body);
 }
 
+function postImposter (options, body) {
+    return curl(options, 'POST', '/imposters', body);
+}
+
+function deleteImposter (options, port) {
+    return curl(options, 'DELETE', `/imposters/${port}`);
+}
+
 function getImposters (options) {
     let path = '/imposters?replayable=true';
     if (options.removeProxies) {
@@ -73,12 +87,63 @@ async function loadConfig (options) {
     const formatter = require(options.formatter);
 
     try {
-        const imposters = await formatter.load(options);
-        await putImposters(options, imposters);
+        const imposters = await formatter.load(options),
+            response = await putImposters(options, imposters);
+        return configWatcher.track(imposters.imposters, response.body.imposters.map(imposter => imposter.port));
     }
     catch (e) {
         logConnectionErrorAndExit(options, e);
+        return {};
+    }
+}
+
+async function applyChanges (options, loaded, imposters) {
+    const changes = configWatcher.diff(loaded, imposters),
+        ports = [];
+
+    for (const key of changes.remove) {
+        await deleteImposter(options, loaded[key].port);
+    }
+    for (let i = 0; i < imposters.length; i += 1) {
+        if (changes.changed[i]) {
+            const response = await postImposter(options, imposters[i]);
+            ports.push(response.body.port);
+        }
+        else {
+            ports.push(loaded[changes.keys[i]].port);
+        }
+    }
+    return { changes, ports };
+}
+
+/**
+ * Reloads the config file whenever it or a file it includes changes, recreating only the
+ * imposters whose definitions changed. Errors are logged so a bad edit can be fixed with another edit.
+ * @param {Object} options - The command line options
+ * @param {Object} loaded - The imposters from loadConfig
+ * @returns {Object} - The watcher
+ */
+function watchConfig (options, loaded) {
+    const formatter = require(options.formatter);
+    let current = loaded;
+
+    async function reload () {
+        try {
+            const imposters = (await formatter.load(options)).imposters,
+                result = await applyChanges(options, current, imposters),
+                created = result.changes.changed.filter(changed => changed).length;
+
+            current = configWatcher.track(imposters, result.ports);
+            console.log(`Reloaded ${options.configfile}: ${created} imposters created, ` +
+                `${imposters.length - created} unchanged, ${result.changes.remove.length} removed`);
+        }
+        catch (e) {
+            console.error(`Unable to reload ${options.configfile}: ${e.message}`);
+        }
     }
+
+    console.log(`Watching ${options.configfile} for changes`);
+    return configWatcher.watch(options, reload);
 }
 
 async function save (options) {
@@ -105,8 +170,65 @@ async function replay (options) {
     }
 }
 
+async function snapshot (options) {
+    try {
+        const response = await curl(options, 'GET', '/imposters?snapshot=true');
+        await fs.writeFile(options.snapshotfile, JSON.stringify(response.body, null, 2));
+    }
+    catch (e) {
+        logConnectionErrorAndExit(options, e);
+    }
+}
+
+async function restore (options) {
+    let imposters;
+
+    try {
+        imposters = JSON.parse(await fs.readFile(options.snapshotfile, 'utf8'));
+    }
+    catch (e) {
+        console.error(`Cannot restore ${options.snapshotfile}: ${e.message}`);
+        process.exit(1); // eslint-disable-line no-process-exit
+    }
+
+    try {
+        await putImposters(options, imposters);
+    }
+    catch (e) {
+        logConnectionErrorAndExit(options, e);
+    }
+}
+
+async function importImposter (options) {
+    const converter = options.har ? har : openApi,
+        file = options.har || options.openapi;
+    let imposter;
+
+    try {
+        // YAML is a superset of JSON, so one parser handles OpenAPI documents in either format and HAR files
+        const document = yaml.parse(await fs.readFile(file, 'utf8'));
+        imposter = converter.toImposter(document, helpers.defined(options.imposterPort) ? { port: options.imposterPort } : {});
+    }
+    catch (e) {
+        console.error(`Cannot import ${file}: ${e.message}`);
+        process.exit(1); // eslint-disable-line no-process-exit
+    }
+
+    try {
+        const response = await postImposter(options, imposter);
+        console.log(`Created imposter on port ${response.body.port} with ${imposter.stubs.length} stubs`);
+    }
+    catch (e) {
+        logConnectionErrorAndExit(options, e);
+    }
+}
+
 module.exports = {
     loadConfig,
+    watchConfig,
     save,
-    replay
+    replay,
+    snapshot,
+    restore,
+    importImposter
 };
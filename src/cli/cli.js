@@ -47,6 +47,12 @@ const fs = require('fs-extra'),
             type: 'boolean',
             global: false
         },
+        watch: {
+            default: false,
+            description: 'reload the configfile and the files it includes when they change',
+            type: 'boolean',
+            global: false
+        },
         formatter: {
             default: 'mountebank-formatters',
             description: 'the custom formatter module to interpret --configfile formats and to use during mb save operations',
@@ -107,6 +113,39 @@ const fs = require('fs-extra'),
             alias: aliases.i,
             global: false
         },
+        sandboxInjection: {
+            default: false,
+            description: 'run injected JavaScript in an isolated context with time and memory limits',
+            type: 'boolean',
+            global: false
+        },
+        injectionTimeout: {
+            default: 1000,
+            description: 'the milliseconds each sandboxed injection may run',
+            nargs: 1,
+            type: 'number',
+            global: false
+        },
+        decorateTimeout: {
+            default: 10000,
+            description: 'the milliseconds to wait for a promise returned by a decorate behavior',
+            nargs: 1,
+            type: 'number',
+            global: false
+        },
+        injectionMemory: {
+            default: 64,
+            description: 'the megabytes of memory the injection sandbox may use',
+            nargs: 1,
+            type: 'number',
+            global: false
+        },
+        functionsDir: {
+            description: 'a directory of .js files, each containing the source of a function that injections can refer to by file name',
+            nargs: 1,
+            type: 'string',
+            global: false
+        },
         localOnly: {
             default: false,
             description: 'allow connections only from localhost',
@@ -141,6 +180,13 @@ const fs = require('fs-extra'),
             type: 'string',
             global: false
         },
+        snapshotfile: {
+            default: 'mb-snapshot.json',
+            description: 'file to save the imposter snapshot to or restore it from',
+            nargs: 1,
+            type: 'string',
+            global: false
+        },
         protofile: {
             default: 'protocols.json',
             description: 'file to load custom protocol implementations from',
@@ -161,6 +207,24 @@ const fs = require('fs-extra'),
             type: 'string',
             global: false
         },
+        openapi: {
+            description: 'the OpenAPI 3 document (JSON or YAML) to create an imposter from',
+            nargs: 1,
+            type: 'string',
+            global: false
+        },
+        har: {
+            description: 'the HAR file (e.g. a browser network capture) to create an imposter from',
+            nargs: 1,
+            type: 'string',
+            global: false
+        },
+        imposterPort: {
+            description: 'the port for the imported imposter (mountebank selects one if missing)',
+            nargs: 1,
+            type: 'number',
+            global: false
+        },
         apikey: {
             description: 'An optional API key. When provided, a user must add an API key to the header.',
             default: null,
@@ -173,6 +237,7 @@ const fs = require('fs-extra'),
         host: options.host,
         configfile: options.configfile,
         noParse: options.noParse,
+        watch: options.watch,
         formatter: options.formatter,
         datadir: options.datadir,
         impostersRepository: options.impostersRepository,
@@ -182,6 +247,11 @@ const fs = require('fs-extra'),
         loglevel: options.loglevel,
         log: options.log,
         allowInjection: options.allowInjection,
+        sandboxInjection: options.sandboxInjection,
+        injectionTimeout: options.injectionTimeout,
+        injectionMemory: options.injectionMemory,
+        decorateTimeout: options.decorateTimeout,
+        functionsDir: options.functionsDir,
         localOnly: options.localOnly,
         ipWhitelist: options.ipWhitelist,
         mock: options.mock,
@@ -257,6 +327,53 @@ const fs = require('fs-extra'),
                     .example('mb replay', 'Resets the configuration of mountebank running on port 2525 to remove all proxies')
                     .epilog('For more information, see http://www.mbtest.org/docs/commandLine');
             })
+        .command('snapshot', 'Saves the imposters with their runtime state to a snapshot file', snapshotYargs => {
+            snapshotYargs
+                .usage('Usage: mb snapshot [options...]\n\nSaves the imposters along with their recorded requests, imposter state, scenario states, and response positions')
+                .help('help')
+                .wrap(null)
+                .options({ port: options.port, snapshotfile: options.snapshotfile, host: options.host, rcfile: options.rcfile })
+                .example('mb snapshot --snapshotfile before-test.json --port 3000',
+                    'Saves a snapshot into before-test.json by querying port 3000')
+                .example('mb snapshot', 'Saves a snapshot into mb-snapshot.json by querying port 2525')
+                .epilog('For more information, see http://www.mbtest.org/docs/commandLine');
+        })
+        .command('restore', 'Replaces the imposters with the ones in a snapshot file', restoreYargs => {
+            restoreYargs
+                .usage('Usage: mb restore [options...]\n\nRecreates the imposters in a snapshot file, continuing exactly where they were when the snapshot was taken')
+                .help('help')
+                .wrap(null)
+                .options({ port: options.port, snapshotfile: options.snapshotfile, host: options.host, rcfile: options.rcfile })
+                .example('mb restore --snapshotfile before-test.json --port 3000',
+                    'Restores the snapshot in before-test.json to mountebank running on port 3000')
+                .example('mb restore', 'Restores the snapshot in mb-snapshot.json to mountebank running on port 2525')
+                .epilog('For more information, see http://www.mbtest.org/docs/commandLine');
+        })
+        .command('import', 'Creates an imposter from an OpenAPI document or HAR file', importYargs => {
+            importYargs
+                .usage('Usage: mb import (--openapi <file> | --har <file>) [options...]\n\nCreates an http imposter with a stub for each operation in the OpenAPI 3 document, or each request in the HAR file')
+                .help('help')
+                .wrap(null)
+                .options({
+                    port: options.port,
+                    openapi: options.openapi,
+                    har: options.har,
+                    imposterPort: options.imposterPort,
+                    host: options.host,
+                    rcfile: options.rcfile
+                })
+                .conflicts('openapi', 'har')
+                .check(importArgs => {
+                    if (!importArgs.openapi && !importArgs.har) {
+                        throw new Error('Missing required argument: openapi or har');
+                    }
+                    return true;
+                })
+                .example('mb import --openapi petstore.yaml --imposterPort 4545',
+                    'Creates an imposter on port 4545 from petstore.yaml using mountebank running on port 2525')
+                .example('mb import --har capture.har', 'Creates an imposter on a port mountebank selects from the requests in capture.har')
+                .epilog('For more information, see http://www.mbtest.org/docs/commandLine');
+        })
         .version()
         .wrap(null)
         .epilog('mb [command] --help provides more details\n\nFor more information, see http://www.mbtest.org/docs/commandLine')
@@ -0,0 +1,164 @@
+'use strict';
+
+const fs = require('fs-extra'),
+    path = require('path'),
+    stringify = require('safe-stable-stringify');
+
+/**
+ * Supports the --watch option, which reloads the --configfile whenever it or a file it
+ * includes through EJS changes. Rather than replacing every imposter, only the imposters
+ * whose definitions changed are recreated, so the others keep their recorded requests.
+ * @module
+ */
+
+// Polling survives editors that save by replacing the file, which breaks fs.watch
+const POLL_INTERVAL = 500,
+    DEBOUNCE = 100;
+
+// Finds the literal filenames passed to include(), stringify(), or inject(), e.g. <%- include('orders.json') %>
+const INCLUDE_PATTERN = /\b(?:include|stringify|inject)\s*\(([^)]*)\)/g,
+    STRING_PATTERN = /'([^']+)'|"([^"]+)"|`([^`$]+)`/;
+
+function includesIn (contents) {
+    const result = [];
+    let match = INCLUDE_PATTERN.exec(contents);
+
+    while (match !== null) {
+        const filename = STRING_PATTERN.exec(match[1]);
+        if (filename) {
+            result.push(filename[1] || filename[2] || filename[3]);
+        }
+        match = INCLUDE_PATTERN.exec(contents);
+    }
+    return result;
+}
+
+/**
+ * Lists the config file and every file it includes through EJS, directly or indirectly.
+ * Included paths are resolved relative to the config file, the same way the default formatter
+ * resolves them. Includes built from variables can't be found without rendering, so aren't watched.
+ * @param {string} configfile - The path to the config file
+ * @param {boolean} noParse - True if the config file isn't rendered through EJS
+ * @returns {Array} - The absolute paths of the files
+ */
+function filesFor (configfile, noParse) {
+    const root = path.resolve(configfile),
+        result = [root];
+
+    if (noParse) {
+        return result;
+    }
+
+    for (let i = 0; i < result.length; i += 1) {
+        if (fs.existsSync(result[i])) {
+            includesIn(fs.readFileSync(result[i], 'utf8'))
+                .map(filename => path.resolve(path.dirname(root), filename))
+                .filter(filename => result.indexOf(filename) < 0)
+                .forEach(filename => result.push(filename));
+        }
+    }
+    return result;
+}
+
+function keyFor (imposter, index) {
+    if (imposter.port) {
+        return `port ${imposter.port}`;
+    }
+    return imposter.name ? `name ${imposter.name}` : `index ${index}`;
+}
+
+/**
+ * Compares two loads of the config file
+ * @param {Object} loaded - The imposters from the last load, keyed by keyFor, each with a
+ *   definition and the port mountebank created the imposter on
+ * @param {Array} imposters - The imposter definitions from the new load
+ * @returns {Object} - The key of each new imposter, whether each one changed, and the keys to remove
+ */
+function diff (loaded, imposters) {
+    const keys = imposters.map(keyFor),
+        changed = imposters.map((imposter, index) => {
+            const previous = loaded[keys[index]];
+            return !previous || stringify(previous.definition) !== stringify(imposter);
+        }),
+        // Changed imposters are removed before they're recreated, like PUT /imposters
+        remove = Object.keys(loaded).filter(key => keys.indexOf(key) < 0 || changed[keys.indexOf(key)]);
+
+    return { keys, changed, remove };
+}
+
+/**
+ * Creates the tracking structure diff expects from the imposters sent to mountebank
+ * @param {Array} imposters - The imposter definitions
+ * @param {Array} ports - The port mountebank created each imposter on, in the same order
+ * @returns {Object}
+ */
+function track (imposters, ports) {
+    const result = {};
+    imposters.forEach((imposter, index) => {
+        result[keyFor(imposter, index)] = { definition: imposter, port: ports[index] };
+    });
+    return result;
+}
+
+/**
+ * Calls reload whenever the config file or any file it includes changes. Changes within
+ * a short time of each other trigger a single reload, and reloads never overlap.
+ * @param {Object} options - The command line options, including configfile and noParse
+ * @param {Function} reload - Called without arguments on every change; may return a promise
+ * @returns {Object} - An object with a close function to stop watching
+ */
+function watch (options, reload) {
+    let watched = [],
+        timer,
+        running = false,
+        pending = false;
+
+    function listener (current, previous) {
+        if (current.mtimeMs !== previous.mtimeMs) {
+            clearTimeout(timer);
+            timer = setTimeout(run, DEBOUNCE);
+        }
+    }
+
+    function watchFiles () {
+        const files = filesFor(options.configfile, options.noParse);
+
+        watched.filter(file => files.indexOf(file) < 0).forEach(file => fs.unwatchFile(file, listener));
+        files.filter(file => watched.indexOf(file) < 0).forEach(file => {
+            fs.watchFile(file, { interval: POLL_INTERVAL }, listener);
+        });
+        watched = files;
+    }
+
+    async function run () {
+        if (running) {
+            pending = true;
+            return;
+        }
+
+        running = true;
+        try {
+            await reload();
+        }
+        finally {
+            // The changes may have added or removed includes
+            watchFiles();
+            running = false;
+        }
+        if (pending) {
+            pending = false;
+            await run();
+        }
+    }
+
+    function close () {
+        clearTimeout(timer);
+        watched.forEach(file => fs.unwatchFile(file, listener));
+        watched = [];
+    }
+
+    watchFiles();
+    return { close };
+}
+
+module.exports = { filesFor, diff, track, watch };
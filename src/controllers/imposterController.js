@@ -3,6 +3,8 @@
 const exceptions = require('../util/errors.js'),
     helpers = require('../util/helpers.js'),
     compatibility = require('../models/compatibility.js'),
+    har = require('../models/har.js'),
+    chaos = require('../models/chaos.js'),
     dryRunValidator = require('../models/dryRunValidator.js');
 
 /**
@@ -26,6 +28,19 @@ function create (protocols, imposters, logger, allowInjection) {
         return query[key].toLowerCase() === 'true';
     }
 
+    function sendFormatted (format, json, response) {
+        try {
+            if (format !== 'har') {
+                throw exceptions.ValidationError(`unsupported format: ${format}`, { source: ['har'] });
+            }
+            response.send(har.fromImposter(json));
+        }
+        catch (error) {
+            response.statusCode = 400;
+            response.send({ errors: [error] });
+        }
+    }
+
     /**
      * The function responding to GET /imposters/:id
      * @memberOf module:controllers/imposterController#
@@ -34,12 +49,22 @@ function create (protocols, imposters, logger, allowInjection) {
      * @returns {Object} - the promise
      */
     async function get (request, response) {
-        const options = {
-                replayable: isFlagSet(request.query, 'replayable'),
+        const snapshot = isFlagSet(request.query, 'snapshot'),
+            options = {
+                replayable: isFlagSet(request.query, 'replayable') || snapshot,
                 removeProxies: isFlagSet(request.query, 'removeProxies')
             },
-            imposter = await imposters.get(request.params.id),
-            json = await imposter.toJSON(options);
+            imposter = await imposters.get(request.params.id);
+
+        if (snapshot) {
+            options.snapshot = true;
+        }
+        const json = await imposter.toJSON(options);
+
+        if (helpers.defined(request.query.format)) {
+            sendFormatted(request.query.format, json, response);
+            return;
+        }
 
         response.format({
             json: () => response.send(json),
@@ -87,6 +112,197 @@ function create (protocols, imposters, logger, allowInjection) {
         });
     }
 
+    /**
+     * The function responding to GET /imposters/:id/scenarios
+     * @memberOf module:controllers/imposterController#
+     * @param {Object} request - the HTTP request
+     * @param {Object} response - the HTTP response
+     * @returns {Object} A promise for testing
+     */
+    async function getScenarios (request, response) {
+        const imposter = await imposters.get(request.params.id),
+            scenarios = await imposter.getScenarios();
+
+        response.send({ scenarios });
+    }
+
+    /**
+     * Corresponds to DELETE /imposters/:id/scenarios
+     * Moves every scenario back to the Started state
+     * @memberOf module:controllers/imposterController#
+     * @param {Object} request - the HTTP request
+     * @param {Object} response - the HTTP response
+     * @returns {Object} A promise for testing
+     */
+    async function resetScenarios (request, response) {
+        const imposter = await imposters.get(request.params.id);
+        await imposter.resetScenarios();
+        const scenarios = await imposter.getScenarios();
+
+        response.send({ scenarios });
+    }
+
+    /**
+     * The function responding to GET /imposters/:id/unmatched
+     * Lists the recent requests that no stub matched, with the stubs that came closest
+     * @memberOf module:controllers/imposterController#
+     * @param {Object} request - the HTTP request
+     * @param {Object} response - the HTTP response
+     * @returns {Object} A promise for testing
+     */
+    async function getUnmatched (request, response) {
+        const imposter = await imposters.get(request.params.id);
+        response.send({ unmatched: await imposter.getUnmatched() });
+    }
+
+    /**
+     * Corresponds to DELETE /imposters/:id/unmatched
+     * Forgets the recorded unmatched requests
+     * @memberOf module:controllers/imposterController#
+     * @param {Object} request - the HTTP request
+     * @param {Object} response - the HTTP response
+     * @returns {Object} A promise for testing
+     */
+    async function resetUnmatched (request, response) {
+        const imposter = await imposters.get(request.params.id);
+        imposter.resetUnmatched();
+        response.send({ unmatched: await imposter.getUnmatched() });
+    }
+
+    /**
+     * The function responding to GET /imposters/:id/chaos
+     * @memberOf module:controllers/imposterController#
+     * @param {Object} request - the HTTP request
+     * @param {Object} response - the HTTP response
+     * @returns {Object} A promise for testing
+     */
+    async function getChaos (request, response) {
+        const imposter = await imposters.get(request.params.id);
+        response.send({ chaos: imposter.getChaos() || null });
+    }
+
+    /**
+     * Corresponds to PUT /imposters/:id/chaos
+     * Changes the chaos configuration without restarting the imposter. Fields left out of
+     * the request keep their current values, so { "enabled": false } turns the chaos off
+     * @memberOf module:controllers/imposterController#
+     * @param {Object} request - the HTTP request
+     * @param {Object} response - the HTTP response
+     * @returns {Object} A promise for testing
+     */
+    async function putChaos (request, response) {
+        // The filesystem repository only keeps the imposter functions in memory, so
+        // we read the protocol from the JSON rather than the creationRequest
+        const imposter = await imposters.get(request.params.id),
+            json = await imposter.toJSON({ list: true }),
+            chaosConfig = Object.assign({}, imposter.getChaos(), request.body),
+            validationErrors = chaos.errorsFor(chaosConfig, json.protocol, allowInjection);
+
+        if (validationErrors.length > 0) {
+            logger.error(`error changing chaos: ${JSON.stringify(exceptions.details(validationErrors))}`);
+            response.statusCode = 400;
+            response.send({ errors: validationErrors });
+            return;
+        }
+
+        await imposter.setChaos(chaosConfig);
+        response.send({ chaos: imposter.getChaos() });
+    }
+
+    /**
+     * Corresponds to DELETE /imposters/:id/chaos
+     * Removes the chaos configuration
+     * @memberOf module:controllers/imposterController#
+     * @param {Object} request - the HTTP request
+     * @param {Object} response - the HTTP response
+     * @returns {Object} A promise for testing
+     */
+    async function deleteChaos (request, response) {
+        const imposter = await imposters.get(request.params.id);
+        await imposter.setChaos(undefined);
+        response.send({ chaos: null });
+    }
+
+    /**
+     * Corresponds to PUT /imposters/:id/activeProfile
+     * Replaces the stubs with the stubs of one of the imposter's named profiles
+     * @memberOf module:controllers/imposterController#
+     * @param {Object} request - the HTTP request
+     * @param {Object} response - the HTTP response
+     * @returns {Object} A promise for testing
+     */
+    async function putActiveProfile (request, response) {
+        const imposter = await imposters.get(request.params.id);
+
+        try {
+            await imposter.activateProfile(request.body.activeProfile);
+            response.send(await imposter.toJSON());
+        }
+        catch (error) {
+            logger.error(`error activating profile: ${JSON.stringify(exceptions.details(error))}`);
+            response.statusCode = (error.code === 'no such resource') ? 404 : 400;
+            response.send({ errors: [error] });
+        }
+    }
+
+    /**
+     * Corresponds to PUT /imposters/:id/tables/:name
+     * Replaces the rows of a table the lookup behavior can select from
+     * @memberOf module:controllers/imposterController#
+     * @param {Object} request - the HTTP request
+     * @param {Object} response - the HTTP response
+     * @returns {Object} A promise for testing
+     */
+    async function putTable (request, response) {
+        const imposter = await imposters.get(request.params.id);
+
+        try {
+            await imposter.setTable(request.params.name, request.body.rows);
+            response.send({ table: request.params.name, numberOfRows: request.body.rows.length });
+        }
+        catch (error) {
+            logger.error(`error replacing table: ${JSON.stringify(exceptions.details(error))}`);
+            response.statusCode = 400;
+            response.send({ errors: [error] });
+        }
+    }
+
+    /**
+     * Corresponds to DELETE /imposters/:id/tables/:name
+     * Removes a lookup table
+     * @memberOf module:controllers/imposterController#
+     * @param {Object} request - the HTTP request
+     * @param {Object} response - the HTTP response
+     * @returns {Object} A promise for testing
+     */
+    async function deleteTable (request, response) {
+        const imposter = await imposters.get(request.params.id);
+        await imposter.deleteTable(request.params.name);
+        response.send({ table: request.params.name, numberOfRows: 0 });
+    }
+
+    /**
+     * The function responding to POST /imposters/:id/verifications
+     * Checks the recorded requests against the predicates and expected count in the body
+     * @memberOf module:controllers/imposterController#
+     * @param {Object} request - the HTTP request
+     * @param {Object} response - the HTTP response
+     * @returns {Object} A promise for testing
+     */
+    async function postVerification (request, response) {
+        const imposter = await imposters.get(request.params.id);
+
+        try {
+            const result = await imposter.verify(request.body);
+            response.send(result);
+        }
+        catch (error) {
+            logger.error(`error verifying requests: ${JSON.stringify(exceptions.details(error))}`);
+            response.statusCode = 400;
+            response.send({ errors: [error] });
+        }
+    }
+
     /**
      * The function responding to DELETE /imposters/:id
      * @memberOf module:controllers/imposterController#
@@ -316,6 +532,17 @@ function create (protocols, imposters, logger, allowInjection) {
         del,
         resetProxies,
         resetRequests,
+        getScenarios,
+        resetScenarios,
+        getUnmatched,
+        resetUnmatched,
+        getChaos,
+        putChaos,
+        deleteChaos,
+        putActiveProfile,
+        putTable,
+        deleteTable,
+        postVerification,
         postRequest,
         postProxyResponse,
         putStubs,
@@ -85,6 +85,20 @@ function create (protocols, imposters, logger, allowInjection) {
         return `${helpers.socketName(request.socket)} => ${JSON.stringify(request.body)}`;
     }
 
+    // The snapshot isn't part of the imposter definition; it restores the
+    // runtime state of the imposter once its stubs are added
+    function withoutSnapshot (imposterRequest) {
+        const result = Object.assign({}, imposterRequest);
+        delete result.snapshot;
+        return result;
+    }
+
+    async function restoreSnapshot (imposter, imposterRequest) {
+        if (helpers.defined(imposterRequest.snapshot)) {
+            await imposter.restoreSnapshot(imposterRequest.snapshot);
+        }
+    }
+
     async function getAllJSON (queryOptions) {
         const allImposters = await imposters.all(),
             promises = allImposters.map(imposter => imposter.toJSON(queryOptions));
@@ -99,12 +113,16 @@ function create (protocols, imposters, logger, allowInjection) {
      * @returns {Object} - the promise
      */
     async function get (request, response) {
-        const options = {
-                replayable: isFlagSet(request.query, 'replayable'),
-                removeProxies: isFlagSet(request.query, 'removeProxies'),
-                list: !(isFlagSet(request.query, 'replayable') || isFlagSet(request.query, 'removeProxies'))
-            },
-            impostersJSON = await getAllJSON(options);
+        const snapshot = isFlagSet(request.query, 'snapshot'),
+            // snapshots are restored by recreating the imposters, so have to be replayable
+            replayable = isFlagSet(request.query, 'replayable') || snapshot,
+            removeProxies = isFlagSet(request.query, 'removeProxies'),
+            options = { replayable, removeProxies, list: !(replayable || removeProxies) };
+
+        if (snapshot) {
+            options.snapshot = true;
+        }
+        const impostersJSON = await getAllJSON(options);
 
         response.format({
             json: () => response.send({ imposters: impostersJSON }),
@@ -126,8 +144,9 @@ function create (protocols, imposters, logger, allowInjection) {
 
         if (validation.isValid) {
             try {
-                const imposter = await protocols[protocol].createImposterFrom(request.body);
+                const imposter = await protocols[protocol].createImposterFrom(withoutSnapshot(request.body));
                 await imposters.add(imposter);
+                await restoreSnapshot(imposter, request.body);
                 const json = await imposter.toJSON();
 
                 response.setHeader('Location', imposter.url);
@@ -194,10 +213,11 @@ function create (protocols, imposters, logger, allowInjection) {
         await imposters.deleteAll();
         try {
             const creationPromises = requestImposters.map(imposter =>
-                    protocols[imposter.protocol].createImposterFrom(imposter)
+                    protocols[imposter.protocol].createImposterFrom(withoutSnapshot(imposter))
                 ),
                 allImposters = await Promise.all(creationPromises);
             await Promise.all(allImposters.map(imposters.add));
+            await Promise.all(allImposters.map((imposter, index) => restoreSnapshot(imposter, requestImposters[index])));
 
             const promises = allImposters.map(imposter => imposter.toJSON({ list: true })),
                 json = await Promise.all(promises);
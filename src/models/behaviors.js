@@ -6,10 +6,8 @@
  */
 
 const os = require('os'),
-    fsExtra = require('fs-extra'),
     childProcess = require('child_process'),
     safeRegex = require('safe-regex'),
-    csvParse = require('csv-parse'),
     buffer = require('buffer'),
     prometheus = require('prom-client'),
     xPath = require('./xpath'),
@@ -17,9 +15,18 @@ const os = require('os'),
     helpers = require('../util/helpers.js'),
     exceptions = require('../util/errors.js'),
     behaviorsValidator = require('./behaviorsValidator.js'),
-    compatibility = require('./compatibility.js');
+    compatibility = require('./compatibility.js'),
+    fakeData = require('./fakeData.js'),
+    latencyDistributions = require('./latencyDistributions.js'),
+    random = require('../util/random.js'),
+    sandbox = require('./sandbox.js'),
+    namedFunctions = require('./namedFunctions.js'),
+    dataSources = require('./dataSources.js'),
+    shellWorkers = require('./shellWorkers.js');
 
 
+const DEFAULT_DECORATE_TIMEOUT = 10000;
+
 const metrics = {
     behaviorDuration: new prometheus.Histogram({
         name: 'mb_behavior_duration_seconds',
@@ -29,6 +36,30 @@ const metrics = {
     })
 };
 
+// The following schemas are used by the lookup data sources
+const keyColumnSchema = {
+    _required: true,
+    _allowedTypes: { string: {} },
+    _additionalContext: 'the column header to select against the "key" field'
+};
+
+function pathSchema (fileType) {
+    return {
+        _required: true,
+        _allowedTypes: { string: {} },
+        _additionalContext: `the path to the ${fileType} file`
+    };
+}
+
+function fileDataSourceSchema (fileType) {
+    return {
+        _required: false,
+        _allowedTypes: { object: {} },
+        path: pathSchema(fileType),
+        keyColumn: keyColumnSchema
+    };
+}
+
 // The following schemas are used by both the lookup and copy behaviors and should be kept consistent
 const fromSchema = {
         _required: true,
@@ -58,7 +89,41 @@ const fromSchema = {
     validations = {
         wait: {
             _required: true,
-            _allowedTypes: { string: {}, number: { nonNegativeInteger: true } }
+            _allowedTypes: { string: {}, number: { nonNegativeInteger: true }, object: {} },
+            _additionalContext: 'milliseconds, a JavaScript function, or a named function reference'
+        },
+        latency: {
+            distribution: {
+                _required: true,
+                _allowedTypes: { string: { enum: ['normal', 'lognormal', 'percentiles'] } }
+            },
+            min: {
+                _required: false,
+                _allowedTypes: { number: { nonNegativeInteger: true } },
+                _additionalContext: 'the shortest delay in milliseconds'
+            },
+            max: {
+                _required: false,
+                _allowedTypes: { number: { nonNegativeInteger: true } },
+                _additionalContext: 'the longest delay in milliseconds'
+            },
+            seed: {
+                _required: false,
+                _allowedTypes: { string: {}, number: {} },
+                _additionalContext: 'the seed that makes the delays reproducible'
+            }
+        },
+        throttle: {
+            bytesPerSecond: {
+                _required: true,
+                _allowedTypes: { number: { positiveInteger: true } },
+                _additionalContext: 'the number of response bytes to send each second'
+            },
+            chunkSize: {
+                _required: false,
+                _allowedTypes: { number: { positiveInteger: true } },
+                _additionalContext: 'the number of bytes to send in each write'
+            }
         },
         copy: {
             from: fromSchema,
@@ -74,38 +139,81 @@ const fromSchema = {
             },
             fromDataSource: {
                 _required: true,
-                _allowedTypes: { object: { singleKeyOnly: true, enum: ['csv'] } },
+                _allowedTypes: { object: { singleKeyOnly: true, enum: ['csv', 'json', 'jsonl', 'sqlite', 'table'] } },
                 csv: {
                     _required: false,
                     _allowedTypes: { object: {} },
-                    path: {
-                        _required: true,
-                        _allowedTypes: { string: {} },
-                        _additionalContext: 'the path to the CSV file'
-                    },
+                    path: pathSchema('CSV'),
                     delimiter: {
                         _required: false,
                         _allowedTypes: { string: {} },
                         _additionalContext: 'the delimiter separator values'
                     },
-                    keyColumn: {
+                    keyColumn: keyColumnSchema
+                },
+                json: fileDataSourceSchema('JSON'),
+                jsonl: fileDataSourceSchema('JSON Lines'),
+                sqlite: {
+                    _required: false,
+                    _allowedTypes: { object: {} },
+                    path: pathSchema('SQLite'),
+                    table: {
                         _required: true,
                         _allowedTypes: { string: {} },
-                        _additionalContext: 'the column header to select against the "key" field'
-                    }
+                        _additionalContext: 'the name of the table to select from'
+                    },
+                    keyColumn: keyColumnSchema
+                },
+                table: {
+                    _required: false,
+                    _allowedTypes: { object: {} },
+                    name: {
+                        _required: true,
+                        _allowedTypes: { string: {} },
+                        _additionalContext: 'the name of an imposter table'
+                    },
+                    keyColumn: keyColumnSchema
                 }
             },
             into: intoSchema
         },
+        fake: {
+            fields: {
+                _required: true,
+                _allowedTypes: { object: {} },
+                _additionalContext: 'a map of names to generators'
+            },
+            into: intoSchema,
+            seed: {
+                _required: false,
+                _allowedTypes: { string: {}, number: {} },
+                _additionalContext: 'the seed that makes the generated values reproducible'
+            }
+        },
         shellTransform: {
             _required: true,
-            _allowedTypes: { string: {} },
-            _additionalContext: 'the path to a command line application'
+            _allowedTypes: { string: {}, object: {} },
+            _additionalContext: 'the path to a command line application or a worker configuration',
+            worker: {
+                _required: false,
+                _allowedTypes: { string: {} },
+                _additionalContext: 'the command that starts the worker process'
+            },
+            concurrency: {
+                _required: false,
+                _allowedTypes: { number: { positiveInteger: true } },
+                _additionalContext: 'the number of messages the worker handles at once'
+            },
+            timeout: {
+                _required: false,
+                _allowedTypes: { number: { positiveInteger: true } },
+                _additionalContext: 'the milliseconds to wait for the worker to reply'
+            }
         },
         decorate: {
             _required: true,
-            _allowedTypes: { string: {} },
-            _additionalContext: 'a JavaScript function'
+            _allowedTypes: { string: {}, object: {} },
+            _additionalContext: 'a JavaScript function or a named function reference'
         }
     };
 
@@ -115,8 +223,44 @@ const fromSchema = {
  * @returns {Object} The array of errors
  */
 function validate (config) {
-    const validator = behaviorsValidator.create();
-    return validator.validate(config, validations);
+    const validator = behaviorsValidator.create(),
+        errors = validator.validate(config, validations);
+
+    // Generator names are map values, which the validations map can't describe
+    (config || []).filter(behavior => behavior.fake && helpers.isObject(behavior.fake.fields)).forEach(behavior => {
+        fakeData.errorsFor(behavior.fake.fields).forEach(error => {
+            errors.push(exceptions.ValidationError(`fake behavior "fields.${error.field}" field ${error.message}`,
+                { source: behavior }));
+        });
+    });
+    // The fields each distribution needs depend on the distribution
+    (config || []).filter(behavior => helpers.isObject(behavior.latency)).forEach(behavior => {
+        latencyDistributions.errorsFor(behavior.latency).forEach(message => {
+            errors.push(exceptions.ValidationError(`latency behavior ${message}`, { source: behavior }));
+        });
+    });
+    // Any object is allowed for named function references, but it must name the function
+    (config || []).forEach(behavior => {
+        ['wait', 'decorate'].filter(key => namedFunctions.isReference(behavior[key]) && typeof behavior[key].fn !== 'string')
+            .forEach(key => {
+                errors.push(exceptions.ValidationError(`${key} behavior "${key}.fn" field must be a string, representing a named function`,
+                    { source: behavior }));
+            });
+    });
+    // The worker command is only required for the object form of shellTransform
+    (config || []).filter(behavior => helpers.isObject(behavior.shellTransform) && !helpers.defined(behavior.shellTransform.worker))
+        .forEach(behavior => {
+            errors.push(exceptions.ValidationError('shellTransform behavior "shellTransform.worker" field required', { source: behavior }));
+        });
+    // SQLite files can only be read on versions of Node.js with the node:sqlite module
+    (config || []).filter(behavior => helpers.isObject(behavior.lookup) && helpers.isObject(behavior.lookup.fromDataSource))
+        .forEach(behavior => {
+            Object.keys(behavior.lookup.fromDataSource).filter(type => !dataSources.isSupported(type)).forEach(type => {
+                errors.push(exceptions.ValidationError(`lookup behavior "fromDataSource.${type}" field requires Node.js 22.13 or later, with the node:sqlite module`,
+                    { source: behavior }));
+            });
+        });
+    return errors;
 }
 
 /**
@@ -126,16 +270,18 @@ function validate (config) {
  * @param {Object} response - The response
  * @param {number} millisecondsOrFn - The number of milliseconds to wait before returning, or a function returning milliseconds
  * @param {Object} logger - The mountebank logger, useful for debugging
+ * @param {Object} imposterState - The imposter state, used to find named functions
  * @returns {Object} A promise resolving to the response
  */
-async function wait (request, response, millisecondsOrFn, logger) {
-    const fn = `(${millisecondsOrFn})()`;
-
+async function wait (request, response, millisecondsOrFn, logger, imposterState) {
     let milliseconds = parseInt(millisecondsOrFn);
 
     if (isNaN(milliseconds)) {
+        const source = namedFunctions.sourceFor(millisecondsOrFn, imposterState),
+            fn = `(${source})()`;
+
         try {
-            milliseconds = eval(fn);
+            milliseconds = sandbox.isEnabled() ? await sandbox.run(source, [], { logger }) : eval(fn);
         }
         catch (error) {
             logger.error('injection X=> ' + error);
@@ -151,6 +297,42 @@ async function wait (request, response, millisecondsOrFn, logger) {
     });
 }
 
+/**
+ * Waits a random number of milliseconds drawn from a distribution before sending the response
+ * @param {Object} request - The request object, unused but kept for a consistent behavior signature
+ * @param {Object} response - The response
+ * @param {Object} latencyConfig - The latency configuration, with the distribution, its parameters, and optional min, max, and seed
+ * @param {Object} logger - The mountebank logger, useful for debugging
+ * @param {Object} imposterState - The imposter state, used to continue seeded sequences
+ * @returns {Object} A promise resolving to the response
+ */
+function latency (request, response, latencyConfig, logger, imposterState) {
+    const milliseconds = latencyDistributions.sample(latencyConfig, randomFor('latency', latencyConfig, imposterState));
+
+    logger.debug('Waiting %s ms from %s distribution...', milliseconds, latencyConfig.distribution);
+    return new Promise(resolve => {
+        setTimeout(() => resolve(response), milliseconds);
+    });
+}
+
+/**
+ * Marks the response to be sent at a limited byte rate. The protocol servers do the
+ * actual throttling since they own the socket.
+ * @param {Object} request - The request object, unused but kept for a consistent behavior signature
+ * @param {Object} response - The response
+ * @param {Object} throttleConfig - The throttle configuration, with bytesPerSecond and an optional chunkSize
+ * @param {Object} logger - The mountebank logger, useful for debugging
+ * @returns {Object} The response
+ */
+function throttle (request, response, throttleConfig, logger) {
+    logger.debug('Throttling response to %s bytes per second', throttleConfig.bytesPerSecond);
+    response._throttle = {
+        bytesPerSecond: throttleConfig.bytesPerSecond,
+        chunkSize: throttleConfig.chunkSize
+    };
+    return response;
+}
+
 function quoteForShell (obj) {
     const json = JSON.stringify(obj),
         isWindows = os.platform().indexOf('win') === 0;
@@ -209,28 +391,56 @@ function execShell (command, request, response, logger) {
 
 /**
  * Runs the response through a shell function, passing the JSON in as stdin and using
- * stdout as the new response
+ * stdout as the new response. The object form sends the JSON to a long-lived worker process instead.
  * @param {Object} request - The request
  * @param {Object} response - The response
- * @param {string} command - The shell command to execute
+ * @param {string|Object} command - The shell command to execute, or the worker configuration
  * @param {Object} logger - The mountebank logger, useful in debugging
+ * @param {Object} imposterState - The imposter state, used to keep the worker processes
  * @returns {Object}
  */
-function shellTransform (request, response, command, logger) {
+function shellTransform (request, response, command, logger, imposterState) {
+    if (helpers.isObject(command)) {
+        return shellWorkers.transform(command, request, response, logger, imposterState);
+    }
     return execShell(command, request, response, logger);
 }
 
+// A decorator promise that never settles would otherwise leave the client socket hanging
+let decorateTimeout = DEFAULT_DECORATE_TIMEOUT;
+
+/**
+ * Sets how long to wait for decorators that return a promise
+ * @param {Object} options - The command line options, using decorateTimeout
+ */
+function configure (options) {
+    decorateTimeout = options.decorateTimeout || DEFAULT_DECORATE_TIMEOUT;
+}
+
+function settleWithinTimeout (result) {
+    if (!result || typeof result.then !== 'function') {
+        return result;
+    }
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`decorator did not resolve within ${decorateTimeout} ms`)), decorateTimeout);
+    });
+    return Promise.race([result, timeout]).finally(() => clearTimeout(timer));
+}
+
 /**
  * Runs the response through a post-processing function provided by the user
  * @param {Object} originalRequest - The request object, in case post-processing depends on it
  * @param {Object} response - The response
- * @param {Function} fn - The function that performs the post-processing
+ * @param {Object} injection - The function that performs the post-processing, or a named function reference
  * @param {Object} logger - The mountebank logger, useful in debugging
  * @param {Object} imposterState - The user controlled state variable
  * @returns {Object}
  */
-function decorate (originalRequest, response, fn, logger, imposterState) {
-    const config = {
+async function decorate (originalRequest, response, injection, logger, imposterState) {
+    const fn = namedFunctions.sourceFor(injection, imposterState),
+        config = {
             request: helpers.clone(originalRequest),
             response,
             logger,
@@ -241,19 +451,22 @@ function decorate (originalRequest, response, fn, logger, imposterState) {
     compatibility.downcastInjectionConfig(config);
 
     try {
-        // Support functions that mutate response in place and those
-        // that return a new response
-        let result = eval(injected);
-        if (!result) {
-            result = response;
-        }
-        return Promise.resolve(result);
+        // Support functions that mutate response in place and those that return
+        // a new response, either directly or through a promise
+        const result = await settleWithinTimeout(sandbox.isEnabled()
+            ? sandbox.run(fn, ['config', 'response', 'logger'], { config, response, logger, state: imposterState })
+            : eval(injected));
+        return result || response;
     }
     catch (error) {
+        const message = error instanceof Error ? error.message : String(error);
         logger.error('injection X=> ' + error);
         logger.error('    full source: ' + JSON.stringify(injected));
-        logger.error('    config: ' + JSON.stringify(config));
-        return Promise.reject(exceptions.InjectionError('invalid decorator injection', { source: injected, data: error.message }));
+        // The config includes the logger, which can't be serialized
+        logger.error('    config.request: ' + JSON.stringify(config.request));
+        logger.error('    config.response: ' + JSON.stringify(config.response));
+        logger.error('    config.state: ' + JSON.stringify(config.state));
+        throw exceptions.InjectionError('invalid decorator injection', { source: injected, data: message });
     }
 }
 
@@ -405,73 +618,13 @@ function copy (originalRequest, response, copyConfig, logger) {
     return response;
 }
 
-function containsKey (headers, keyColumn) {
-    const key = Object.values(headers).find(value => value === keyColumn);
-
-    return helpers.defined(key);
-}
-
-function createRowObject (headers, rowArray) {
-    const row = {};
-    rowArray.forEach(function (value, index) {
-        row[headers[index]] = value;
-    });
-    return row;
-}
-
-function selectRowFromCSV (csvConfig, keyValue, logger) {
-    const delimiter = csvConfig.delimiter || ',',
-        inputStream = fsExtra.createReadStream(csvConfig.path),
-        parser = csvParse.parse({ delimiter: delimiter }),
-        pipe = inputStream.pipe(parser);
-    let headers;
-
-    return new Promise(resolve => {
-        inputStream.on('error', e => {
-            logger.error('Cannot read ' + csvConfig.path + ': ' + e);
-            resolve({});
-        });
-
-        pipe.on('data', function (rowArray) {
-            if (!helpers.defined(headers)) {
-                headers = rowArray;
-                const keyOnHeader = containsKey(headers, csvConfig.keyColumn);
-                if (!keyOnHeader) {
-                    logger.error('CSV headers "' + headers + '" with delimiter "' + delimiter + '" does not contain keyColumn:"' + csvConfig.keyColumn + '"');
-                    resolve({});
-                }
-            }
-            else {
-                const row = createRowObject(headers, rowArray);
-                if (helpers.defined(row[csvConfig.keyColumn]) && row[csvConfig.keyColumn].localeCompare(keyValue) === 0) {
-                    resolve(row);
-                }
-            }
-        });
-
-        pipe.on('error', e => {
-            logger.debug('Error: ' + e);
-            resolve({});
-        });
-
-        pipe.on('end', () => {
-            resolve({});
-        });
-    });
-}
-
-function lookupRow (lookupConfig, originalRequest, logger) {
+function lookupRow (lookupConfig, originalRequest, logger, imposterState) {
     const from = getFrom(originalRequest, lookupConfig.key.from),
         fnMap = { regex: regexValue, xpath: xpathValue, jsonpath: jsonpathValue },
         keyValues = fnMap[lookupConfig.key.using.method](from, lookupConfig.key, logger),
         index = lookupConfig.key.index || 0;
 
-    if (lookupConfig.fromDataSource.csv) {
-        return selectRowFromCSV(lookupConfig.fromDataSource.csv, keyValues[index], logger);
-    }
-    else {
-        return Promise.resolve({});
-    }
+    return dataSources.select(lookupConfig.fromDataSource, keyValues[index], logger, imposterState);
 }
 
 function replaceObjectValuesIn (response, token, values, logger) {
@@ -496,11 +649,12 @@ function replaceObjectValuesIn (response, token, values, logger) {
  * @param {Object} response - The response
  * @param {Function} lookupConfig - The lookup configurations
  * @param {Object} logger - The mountebank logger, useful in debugging
+ * @param {Object} imposterState - The imposter state, used to find the imposter tables
  * @returns {Object}
  */
-async function lookup (originalRequest, response, lookupConfig, logger) {
+async function lookup (originalRequest, response, lookupConfig, logger, imposterState) {
     try {
-        const row = await lookupRow(lookupConfig, originalRequest, logger);
+        const row = await lookupRow(lookupConfig, originalRequest, logger, imposterState);
         replaceObjectValuesIn(response, lookupConfig.into, row, logger);
     }
     catch (error) {
@@ -509,6 +663,66 @@ async function lookup (originalRequest, response, lookupConfig, logger) {
     return response;
 }
 
+// Seeded sequences are kept per imposter so a new imposter with the same seed
+// generates the same values in the same order. The symbol keeps them out of the user-visible state,
+// and each sequence is stored as its generator state so snapshots can capture it
+const seededSequences = Symbol('seededSequences');
+
+function randomFor (behaviorName, config, imposterState) {
+    if (!helpers.defined(config.seed)) {
+        return Math.random;
+    }
+    if (!imposterState) {
+        return random.fromSeed(config.seed);
+    }
+
+    const key = `${behaviorName}:${typeof config.seed}:${config.seed}`;
+    imposterState[seededSequences] = imposterState[seededSequences] || {};
+    if (!helpers.defined(imposterState[seededSequences][key])) {
+        imposterState[seededSequences][key] = random.initialState(config.seed);
+    }
+    return () => {
+        const draw = random.next(imposterState[seededSequences][key]);
+        imposterState[seededSequences][key] = draw.state;
+        return draw.value;
+    };
+}
+
+/**
+ * Returns the generator state of each seeded behavior sequence in the imposter
+ * @param {Object} imposterState - The imposter state
+ * @returns {Object}
+ */
+function seededStateOf (imposterState) {
+    return helpers.clone(imposterState[seededSequences] || {});
+}
+
+/**
+ * Continues the seeded behavior sequences from a previously saved state
+ * @param {Object} imposterState - The imposter state
+ * @param {Object} state - The result of seededStateOf
+ */
+function restoreSeededState (imposterState, state) {
+    imposterState[seededSequences] = helpers.clone(state || {});
+}
+
+/**
+ * Generates fake data and replaces response tokens with the generated values
+ * @param {Object} originalRequest - The request object, unused but kept for a consistent behavior signature
+ * @param {Object} response - The response
+ * @param {Object} fakeConfig - The fake configuration, with fields, into, and optional seed
+ * @param {Object} logger - The mountebank logger, useful in debugging
+ * @param {Object} imposterState - The imposter state, used to continue seeded sequences
+ * @returns {Object}
+ */
+function fake (originalRequest, response, fakeConfig, logger, imposterState) {
+    const values = fakeData.generate(fakeConfig.fields, randomFor('fake', fakeConfig, imposterState));
+
+    logger.debug('Generated fake data %s', JSON.stringify(values));
+    replaceObjectValuesIn(response, fakeConfig.into, values, logger);
+    return response;
+}
+
 /**
  * The entry point to execute all behaviors provided in the API
  * @param {Object} request - The request object
@@ -521,8 +735,11 @@ async function lookup (originalRequest, response, lookupConfig, logger) {
 async function execute (request, response, behaviors, logger, imposterState) {
     const fnMap = {
         wait: wait,
+        latency: latency,
+        throttle: throttle,
         copy: copy,
         lookup: lookup,
+        fake: fake,
         shellTransform: shellTransform,
         decorate: decorate
     };
@@ -548,6 +765,9 @@ async function execute (request, response, behaviors, logger, imposterState) {
 }
 
 module.exports = {
+    configure,
     validate,
-    execute
+    execute,
+    seededStateOf,
+    restoreSeededState
 };
@@ -0,0 +1,185 @@
+'use strict';
+
+const errors = require('../util/errors.js'),
+    helpers = require('../util/helpers.js'),
+    random = require('../util/random.js'),
+    faults = require('./faults.js'),
+    verifier = require('./verifier.js'),
+    latencyDistributions = require('./latencyDistributions.js');
+
+/**
+ * Imposter-level chaos policies, which inject latency, errors, or faults into a percentage
+ * of responses without changing the stubs. Each rule has a percentage, optional predicates
+ * limiting which requests it applies to, and exactly one of latency, error, or fault.
+ * The rules are tried in order and at most one is injected per request.
+ * @module
+ */
+
+const RULE_TYPES = ['latency', 'error', 'fault'],
+    DISTRIBUTIONS = ['normal', 'lognormal', 'percentiles'];
+
+function typesOf (rule) {
+    return RULE_TYPES.filter(type => helpers.defined(rule[type]));
+}
+
+/**
+ * Returns the kind of chaos the rule injects
+ * @param {Object} rule - The chaos rule
+ * @returns {string} - One of latency, error, or fault
+ */
+function typeOf (rule) {
+    return typesOf(rule)[0];
+}
+
+function isNonNegativeInteger (value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+function latencyErrors (latency) {
+    if (isNonNegativeInteger(latency)) {
+        return [];
+    }
+    if (!helpers.isObject(latency)) {
+        return ['"latency" must be an integer number of milliseconds or a distribution object'];
+    }
+    if (DISTRIBUTIONS.indexOf(latency.distribution) < 0) {
+        return [`"latency.distribution" must be one of [${DISTRIBUTIONS.join(', ')}]`];
+    }
+
+    const result = ['min', 'max']
+        .filter(field => helpers.defined(latency[field]) && !isNonNegativeInteger(latency[field]))
+        .map(field => `"latency.${field}" must be an integer greater than or equal to 0`);
+    return result.concat(latencyDistributions.errorsFor(latency).map(message => `latency ${message}`));
+}
+
+function percentageError (rule) {
+    const percentage = rule.percentage;
+    if (typeof percentage !== 'number' || !isFinite(percentage) || percentage < 0 || percentage > 100) {
+        return '"percentage" must be a number between 0 and 100';
+    }
+    return undefined;
+}
+
+// Each check returns a message describing the problem, or undefined if the field is fine
+const ruleChecks = [
+    percentageError,
+    rule => (helpers.defined(rule.predicates) && !Array.isArray(rule.predicates) ? '"predicates" must be an array' : undefined),
+    rule => (typesOf(rule).length !== 1 ? `must have exactly one of [${RULE_TYPES.join(', ')}]` : undefined),
+    rule => (helpers.defined(rule.error) && !helpers.isObject(rule.error) ? '"error" must be a response object' : undefined)
+];
+
+function hasInjection (rule) {
+    return Array.isArray(rule.predicates) && rule.predicates.some(verifier.hasInjection);
+}
+
+function ruleErrors (rule, index, protocol, allowInjection) {
+    const messages = ruleChecks.map(check => check(rule)).filter(helpers.defined),
+        result = [];
+
+    if (helpers.defined(rule.latency)) {
+        messages.push(...latencyErrors(rule.latency));
+    }
+    result.push(...messages.map(message => errors.ValidationError(`'chaos.rules[${index}]' ${message}`, { source: rule })));
+    if (helpers.defined(rule.fault)) {
+        result.push(...faults.errorsFor(rule.fault, protocol));
+    }
+    if (!allowInjection && hasInjection(rule)) {
+        result.push(errors.InjectionError('JavaScript injection is not allowed unless mb is run with the --allowInjection flag',
+            { source: rule }));
+    }
+    return result;
+}
+
+/**
+ * Validates the chaos configuration of an imposter
+ * @param {Object} config - The chaos configuration
+ * @param {string} protocol - The imposter protocol
+ * @param {boolean} allowInjection - Whether JavaScript injection is allowed in rule predicates
+ * @returns {Array} - The validation errors
+ */
+function errorsFor (config, protocol, allowInjection) {
+    if (!helpers.isObject(config)) {
+        return [errors.ValidationError("'chaos' must be an object", { source: config })];
+    }
+
+    const result = [];
+    if (helpers.defined(config.enabled) && typeof config.enabled !== 'boolean') {
+        result.push(errors.ValidationError("'chaos.enabled' must be a boolean", { source: config }));
+    }
+    if (helpers.defined(config.seed) && ['string', 'number'].indexOf(typeof config.seed) < 0) {
+        result.push(errors.ValidationError("'chaos.seed' must be a string or number", { source: config }));
+    }
+    if (!Array.isArray(config.rules)) {
+        result.push(errors.ValidationError("'chaos.rules' must be an array", { source: config }));
+        return result;
+    }
+    config.rules.forEach((rule, index) => {
+        if (helpers.isObject(rule)) {
+            result.push(...ruleErrors(rule, index, protocol, allowInjection));
+        }
+        else {
+            result.push(errors.ValidationError(`'chaos.rules[${index}]' must be an object`, { source: rule }));
+        }
+    });
+    return result;
+}
+
+/**
+ * Creates the chaos policy for an imposter
+ * @param {Object} config - The validated chaos configuration
+ * @returns {Object}
+ */
+function create (config) {
+    const nextRandom = helpers.defined(config.seed) ? random.fromSeed(config.seed) : Math.random;
+
+    function isEnabled () {
+        return config.enabled !== false;
+    }
+
+    /**
+     * Chooses the rule to inject, if any
+     * @memberOf module:models/chaos#
+     * @param {Function} matches - Returns true if the request matches the given rule predicates
+     * @returns {Object} - The rule, or undefined if no chaos should be injected
+     */
+    function ruleFor (matches) {
+        if (!isEnabled()) {
+            return undefined;
+        }
+        // Only rules whose predicates match use up a random number, so seeded
+        // sequences stay reproducible for the same sequence of requests
+        return config.rules.find(rule => matches(rule.predicates || []) && nextRandom() * 100 < rule.percentage);
+    }
+
+    /**
+     * Injects the rule's chaos
+     * @memberOf module:models/chaos#
+     * @param {Object} rule - The rule returned by ruleFor
+     * @param {Object} logger - The logger
+     * @returns {Object} - Promise resolving to the response to send instead of the stub response,
+     *  or undefined if the stubs should still respond
+     */
+    async function inject (rule, logger) {
+        if (helpers.defined(rule.error)) {
+            logger.info('chaos: injecting error response');
+            return helpers.clone(rule.error);
+        }
+        if (helpers.defined(rule.fault)) {
+            logger.info(`chaos: injecting ${JSON.stringify(rule.fault)} fault`);
+            return faults.responseFor(rule.fault);
+        }
+
+        const milliseconds = isNonNegativeInteger(rule.latency) ? rule.latency : latencyDistributions.sample(rule.latency, nextRandom);
+        logger.info(`chaos: injecting ${milliseconds} ms of latency`);
+        await new Promise(resolve => setTimeout(resolve, milliseconds));
+        return undefined;
+    }
+
+    function toJSON () {
+        return helpers.clone(config);
+    }
+
+    return { isEnabled, ruleFor, inject, toJSON };
+}
+
+module.exports = { create, errorsFor, typeOf };
@@ -0,0 +1,301 @@
+'use strict';
+
+const Ajv = require('ajv'),
+    addFormats = require('ajv-formats'),
+    errors = require('../util/errors.js'),
+    helpers = require('../util/helpers.js'),
+    openApi = require('./openApi.js');
+
+/**
+ * Validates http requests and the responses mountebank sends back against an OpenAPI 3
+ * document attached to the imposter, so stubs can't silently drift from the contract
+ * @module
+ */
+
+const METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'],
+    CONTRACT_ID = 'contract',
+    PARAMETER_LOCATIONS = {
+        path: 'path',
+        query: 'query',
+        header: 'headers'
+    };
+
+function escapeRegex (text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function operationsFor (document) {
+    const basePath = openApi.basePathFor(document),
+        paths = Object.keys(document.paths).sort((first, second) => openApi.isTemplated(first) - openApi.isTemplated(second)),
+        result = [];
+
+    paths.forEach(path => {
+        const pathItem = openApi.resolve(document, document.paths[path]),
+            names = (path.match(/\{[^}]+\}/g) || []).map(name => name.slice(1, -1)),
+            pattern = new RegExp(`^${(basePath + path).split(/\{[^}]+\}/).map(escapeRegex).join('([^/]+)')}$`);
+
+        METHODS.filter(method => helpers.isObject(pathItem) && helpers.isObject(pathItem[method])).forEach(method => {
+            result.push({
+                name: `${method.toUpperCase()} ${path}`,
+                method,
+                pattern,
+                names,
+                definition: pathItem[method],
+                parameters: openApi.parametersFor(document, pathItem, pathItem[method])
+            });
+        });
+    });
+    return result;
+}
+
+// Lets the validator follow local references like #/components/schemas/Pet from any schema we compile
+function withContractRefs (schema) {
+    if (Array.isArray(schema)) {
+        return schema.map(withContractRefs);
+    }
+    if (!helpers.isObject(schema)) {
+        return schema;
+    }
+    const result = {};
+    Object.keys(schema).forEach(key => {
+        const value = schema[key];
+        result[key] = key === '$ref' && typeof value === 'string' && value.indexOf('#/') === 0
+            ? CONTRACT_ID + value
+            : withContractRefs(value);
+    });
+    return result;
+}
+
+function valueOf (values, name) {
+    const key = Object.keys(values || {}).find(field => field.toLowerCase() === name.toLowerCase());
+    return key ? values[key] : undefined;
+}
+
+function mediaTypeOf (headers) {
+    const contentType = valueOf(headers, 'content-type');
+    return typeof contentType === 'string' ? contentType.split(';')[0].trim().toLowerCase() : undefined;
+}
+
+function isEmpty (body) {
+    return !helpers.defined(body) || body === '';
+}
+
+function isJSON (mediaType) {
+    return /json/i.test(mediaType || '');
+}
+
+const coercions = {
+    integer: value => (/^-?\d+$/.test(value) ? Number(value) : value),
+    number: value => (value !== '' && !isNaN(Number(value)) ? Number(value) : value),
+    boolean: value => ({ true: true, false: false }[value] || value)
+};
+
+/**
+ * Creates the validator for an imposter's contract
+ * @param {Object} contract - The contract configuration, with the OpenAPI document in the openapi field
+ * @returns {Object}
+ */
+function create (contract) {
+    const document = contract.openapi,
+        ajv = addFormats(new Ajv({ strict: false, validateSchema: false, allErrors: true })),
+        operations = operationsFor(document),
+        compiled = new Map();
+
+    ajv.addSchema(document, CONTRACT_ID);
+
+    function validatorFor (schema) {
+        if (!compiled.has(schema)) {
+            compiled.set(schema, ajv.compile(withContractRefs(schema)));
+        }
+        return compiled.get(schema);
+    }
+
+    function schemaErrors (schema, value, location) {
+        if (!helpers.isObject(schema)) {
+            return [];
+        }
+        try {
+            const validate = validatorFor(schema);
+            if (validate(value)) {
+                return [];
+            }
+            return validate.errors.map(error => `${location}${error.instancePath} ${error.message}`);
+        }
+        catch (error) {
+            return [`${location} has an invalid schema: ${error.message}`];
+        }
+    }
+
+    function coerce (schema, value) {
+        const resolved = openApi.resolve(document, schema) || {};
+
+        if (resolved.type === 'array') {
+            const items = Array.isArray(value) ? value : [value];
+            return items.map(item => coerce(resolved.items, item));
+        }
+        const coercion = coercions[resolved.type];
+        return coercion && typeof value === 'string' ? coercion(value) : value;
+    }
+
+    function parameterErrors (operation, request, pathValues) {
+        const result = [];
+
+        operation.parameters.filter(parameter => PARAMETER_LOCATIONS[parameter.in]).forEach(parameter => {
+            const location = `${parameter.in} parameter "${parameter.name}"`,
+                values = parameter.in === 'path' ? pathValues : request[PARAMETER_LOCATIONS[parameter.in]],
+                value = valueOf(values, parameter.name);
+
+            if (!helpers.defined(value)) {
+                if (parameter.required) {
+                    result.push(`${location} is required`);
+                }
+                return;
+            }
+            result.push(...schemaErrors(parameter.schema, coerce(parameter.schema, value), location));
+        });
+        return result;
+    }
+
+    function mediaFor (content, mediaType) {
+        const types = Object.keys(content || {});
+
+        if (!mediaType) {
+            return types.length === 1 ? content[types[0]] : content[types.find(isJSON)];
+        }
+        const match = types.find(type => type.toLowerCase() === mediaType) ||
+            types.find(type => type === '*/*' || (/\/\*$/.test(type) && mediaType.indexOf(type.slice(0, -1)) === 0));
+        return match ? content[match] : undefined;
+    }
+
+    function bodyErrors (media, mediaType, body, location) {
+        if (!isJSON(mediaType) || !media || !media.schema) {
+            return [];
+        }
+        let value = body;
+        if (typeof body === 'string') {
+            try {
+                value = JSON.parse(body);
+            }
+            catch (error) {
+                return [`${location} is not valid JSON`];
+            }
+        }
+        return schemaErrors(media.schema, value, location);
+    }
+
+    // Assumes JSON when the message doesn't say what it is and the contract documents JSON
+    function contentErrors (content, mediaType, body, location) {
+        const documented = content || {},
+            media = mediaFor(documented, mediaType);
+
+        if (!media && mediaType && Object.keys(documented).length > 0) {
+            return [`${location} content type "${mediaType}" is not documented`];
+        }
+        return bodyErrors(media, mediaType || Object.keys(documented).find(isJSON), body, location);
+    }
+
+    function requestBodyErrors (operation, request) {
+        const requestBody = openApi.resolve(document, operation.definition.requestBody);
+
+        if (!helpers.isObject(requestBody)) {
+            return [];
+        }
+        if (isEmpty(request.body)) {
+            return requestBody.required ? ['body is required'] : [];
+        }
+        return contentErrors(requestBody.content, mediaTypeOf(request.headers), request.body, 'body');
+    }
+
+    function operationFor (request) {
+        const method = String(request.method).toLowerCase();
+
+        for (let i = 0; i < operations.length; i += 1) {
+            const operation = operations[i],
+                match = operation.method === method && operation.pattern.exec(request.path);
+
+            if (match) {
+                const pathValues = {};
+                operation.names.forEach((name, index) => {
+                    pathValues[name] = decodeURIComponent(match[index + 1]);
+                });
+                return { operation, pathValues };
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Validates a request against the operation it matches in the contract
+     * @memberOf module:models/contractValidator#
+     * @param {Object} request - The http request
+     * @returns {Object} - The matching operation (if any) and a list of error messages
+     */
+    function validateRequest (request) {
+        const found = operationFor(request);
+
+        if (!found) {
+            return { errors: [`no operation matches ${request.method} ${request.path}`] };
+        }
+        return {
+            operation: found.operation,
+            errors: parameterErrors(found.operation, request, found.pathValues).concat(requestBodyErrors(found.operation, request))
+        };
+    }
+
+    /**
+     * Validates the response mountebank is about to send against the operation's documented responses
+     * @memberOf module:models/contractValidator#
+     * @param {Object} operation - The operation returned by validateRequest
+     * @param {Object} response - The http response
+     * @returns {Array} - The error messages
+     */
+    function validateResponse (operation, response) {
+        const statusCode = String(response.statusCode || 200),
+            responses = operation.definition.responses || {},
+            key = [statusCode, `${statusCode[0]}XX`, `${statusCode[0]}xx`, 'default'].find(candidate => responses[candidate]);
+
+        if (!key) {
+            return [`status code ${statusCode} is not documented`];
+        }
+        if (isEmpty(response.body) || response._mode === 'binary') {
+            return [];
+        }
+
+        const documented = openApi.resolve(document, responses[key]) || {};
+        return contentErrors(documented.content, mediaTypeOf(response.headers), response.body, 'response body');
+    }
+
+    return { validateRequest, validateResponse };
+}
+
+/**
+ * Validates the contract configuration of an imposter
+ * @param {Object} contract - The contract configuration
+ * @param {string} protocol - The imposter protocol
+ * @returns {Array} - The validation errors
+ */
+function errorsFor (contract, protocol) {
+    if (!helpers.isObject(contract)) {
+        return [errors.ValidationError("'contract' must be an object", { source: contract })];
+    }
+    if (['http', 'https'].indexOf(protocol) < 0) {
+        return [errors.ValidationError('contract validation is only supported for http and https imposters', { source: contract })];
+    }
+    const documentError = openApi.errorFor(contract.openapi);
+    if (documentError) {
+        return [documentError];
+    }
+
+    const result = [];
+    ['validateRequests', 'validateResponses'].forEach(field => {
+        if (helpers.defined(contract[field]) && typeof contract[field] !== 'boolean') {
+            result.push(errors.ValidationError(`'contract.${field}' must be a boolean`, { source: contract }));
+        }
+    });
+    if (helpers.defined(contract.violationResponse) && !helpers.isObject(contract.violationResponse)) {
+        result.push(errors.ValidationError("'contract.violationResponse' must be an object", { source: contract }));
+    }
+    return result;
+}
+
+module.exports = { create, errorsFor };
@@ -0,0 +1,323 @@
+'use strict';
+
+const fs = require('fs-extra'),
+    path = require('path'),
+    csvParse = require('csv-parse'),
+    helpers = require('../util/helpers.js'),
+    errors = require('../util/errors.js');
+
+/**
+ * The data sources for the lookup behavior: CSV, JSON, JSON Lines, and SQLite files, and tables
+ * posted to the imposter. Files are parsed once and indexed by the key column, and parsed again
+ * only when the file changes, so each lookup costs a stat and a map access.
+ * @module
+ */
+
+// Imposter tables are kept on the imposter state so the lookup behavior can find them
+// without changing its signature. The symbol keeps them out of the user-visible state.
+const imposterTables = Symbol('tables');
+
+// Parsed files, keyed by the type, absolute path, and parsing options. Each entry remembers
+// the imposters that read it, and is dropped when the last of them is deleted
+const cache = new Map(),
+    imposterFiles = Symbol('files');
+
+// Loaded at runtime through a variable since node:sqlite is only built into newer versions of node
+const SQLITE_MODULE = 'node:sqlite';
+
+function isObjectMap (value) {
+    return helpers.isObject(value) && !Array.isArray(value);
+}
+
+// The lookup replaces tokens in strings, so we convert the values once when loading
+function toStringValue (value) {
+    if (!helpers.defined(value) || value === null) {
+        return '';
+    }
+    return helpers.isObject(value) ? JSON.stringify(value) : String(value);
+}
+
+function toRow (record) {
+    const row = {};
+    Object.keys(record).forEach(column => {
+        row[column] = toStringValue(record[column]);
+    });
+    return row;
+}
+
+function createRowObject (headers, rowArray) {
+    const row = {};
+    rowArray.forEach(function (value, index) {
+        row[headers[index]] = value;
+    });
+    return row;
+}
+
+function parseCSV (contents, config, logger) {
+    // Skipping malformed records keeps the rest of the file usable, which also means
+    // the header check below can report a wrong delimiter
+    const options = {
+        delimiter: config.delimiter || ',',
+        skipRecordsWithError: true,
+        onSkip: error => logger.debug(`Skipping record in ${config.path}: ${error.message}`)
+    };
+
+    return new Promise((resolve, reject) => {
+        csvParse.parse(contents, options, (error, records) => {
+            if (error) {
+                reject(error);
+                return;
+            }
+            const headers = records[0] || [];
+            resolve({ columns: headers, records: records.slice(1).map(record => createRowObject(headers, record)) });
+        });
+    });
+}
+
+function parseJSON (contents) {
+    const records = JSON.parse(contents);
+    if (!Array.isArray(records) || !records.every(isObjectMap)) {
+        throw new Error('the file must contain an array of objects');
+    }
+    return { records };
+}
+
+function parseJSONLines (contents) {
+    const records = [];
+
+    contents.split(/\r?\n/).forEach((line, index) => {
+        if (line.trim() === '') {
+            return;
+        }
+        try {
+            records.push(JSON.parse(line));
+        }
+        catch (error) {
+            throw new Error(`line ${index + 1}: ${error.message}`);
+        }
+        if (!isObjectMap(records[records.length - 1])) {
+            throw new Error(`line ${index + 1} is not an object`);
+        }
+    });
+    return { records };
+}
+
+function quoteIdentifier (name) {
+    return `"${name.replace(/"/g, '""')}"`;
+}
+
+function loadSQLite () {
+    try {
+        return require(SQLITE_MODULE);
+    }
+    catch (error) {
+        return undefined;
+    }
+}
+
+function readSQLite (config) {
+    const sqlite = loadSQLite();
+    if (!sqlite) {
+        throw new Error('sqlite data sources require a version of Node.js with the node:sqlite module (22.13 or later)');
+    }
+
+    const db = new sqlite.DatabaseSync(config.path, { readOnly: true });
+    try {
+        return { records: db.prepare(`SELECT * FROM ${quoteIdentifier(config.table)}`).all() };
+    }
+    finally {
+        db.close();
+    }
+}
+
+const readers = {
+    csv: async (config, logger) => parseCSV(await fs.readFile(config.path, 'utf8'), config, logger),
+    json: async config => parseJSON(await fs.readFile(config.path, 'utf8')),
+    jsonl: async config => parseJSONLines(await fs.readFile(config.path, 'utf8')),
+    sqlite: async config => readSQLite(config)
+};
+
+function createSource (data) {
+    return {
+        columns: data.columns,
+        rows: data.records.map(toRow),
+        indexes: new Map()
+    };
+}
+
+function readFile (type, config, logger) {
+    return readers[type](config, logger).then(createSource);
+}
+
+function addUser (key, imposterState) {
+    imposterState[imposterFiles] = imposterState[imposterFiles] || new Set();
+    imposterState[imposterFiles].add(key);
+    cache.get(key).users.add(imposterState);
+}
+
+async function loadFile (type, config, logger, imposterState) {
+    // Without an imposter, nothing would ever release the file, so we don't cache it
+    if (!imposterState) {
+        return readFile(type, config, logger);
+    }
+
+    const key = JSON.stringify([type, path.resolve(config.path), config.delimiter, config.table]),
+        stats = await fs.stat(config.path),
+        version = `${stats.mtimeMs}:${stats.size}`,
+        cached = cache.get(key);
+
+    if (cached && cached.version === version) {
+        addUser(key, imposterState);
+        return cached.source;
+    }
+
+    logger.debug(`${cached ? 'Reloading' : 'Loading'} ${type} data source ${config.path}`);
+    const source = readFile(type, config, logger);
+    cache.set(key, { version, source, users: cached ? cached.users : new Set() });
+    addUser(key, imposterState);
+
+    // Don't cache failures, so fixing the file doesn't require changing its timestamp
+    source.catch(() => {
+        if (cache.has(key) && cache.get(key).source === source) {
+            cache.delete(key);
+        }
+    });
+    return source;
+}
+
+function tableFor (name, imposterState) {
+    const tables = (imposterState || {})[imposterTables] || {};
+
+    if (!Object.prototype.hasOwnProperty.call(tables, name)) {
+        throw new Error(`no table named ${name}`);
+    }
+    return tables[name];
+}
+
+function indexFor (source, keyColumn) {
+    if (!source.indexes.has(keyColumn)) {
+        const index = new Map();
+
+        // Like a scan, the first row with the key wins
+        source.rows.forEach(row => {
+            if (helpers.defined(row[keyColumn]) && !index.has(row[keyColumn])) {
+                index.set(row[keyColumn], row);
+            }
+        });
+        source.indexes.set(keyColumn, index);
+    }
+    return source.indexes.get(keyColumn);
+}
+
+async function sourceFor (type, config, logger, imposterState) {
+    try {
+        return type === 'table' ? tableFor(config.name, imposterState) : await loadFile(type, config, logger, imposterState);
+    }
+    catch (error) {
+        logger.error(`Cannot read ${type === 'table' ? 'table ' + config.name : config.path}: ${error}`);
+        return undefined;
+    }
+}
+
+function hasKeyColumn (source, config, logger) {
+    // Only CSV files have a header row to check
+    if (helpers.defined(source.columns) && source.columns.indexOf(config.keyColumn) < 0) {
+        logger.error(`CSV headers "${source.columns}" with delimiter "${config.delimiter || ','}" does not contain keyColumn:"${config.keyColumn}"`);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Selects the row of the data source whose key column matches the key
+ * @param {Object} dataSource - The lookup behavior's fromDataSource field
+ * @param {string} keyValue - The key selected from the request
+ * @param {Object} logger - The logger
+ * @param {Object} imposterState - The imposter state the imposter tables are registered on
+ * @returns {Object} - Promise resolving to the row, or an empty object if there is no match
+ */
+async function select (dataSource, keyValue, logger, imposterState) {
+    const type = Object.keys(dataSource)[0],
+        config = dataSource[type],
+        source = await sourceFor(type, config, logger, imposterState);
+
+    if (!source || !hasKeyColumn(source, config, logger) || !helpers.defined(keyValue)) {
+        return {};
+    }
+    return indexFor(source, config.keyColumn).get(String(keyValue)) || {};
+}
+
+/**
+ * Returns true if this version of Node.js can read the data source type
+ * @param {string} type - The key of the lookup behavior's fromDataSource field
+ * @returns {boolean}
+ */
+function isSupported (type) {
+    return type !== 'sqlite' || helpers.defined(loadSQLite());
+}
+
+/**
+ * Validates the imposter tables
+ * @param {Object} tables - The imposter's "tables" field
+ * @returns {Array} - The validation errors
+ */
+function errorsFor (tables) {
+    if (!helpers.defined(tables)) {
+        return [];
+    }
+    if (!isObjectMap(tables) || Object.keys(tables).some(name =>
+        !Array.isArray(tables[name]) || !tables[name].every(isObjectMap))) {
+
+        return [errors.ValidationError("'tables' must be an object with an array of row objects for each name",
+            { source: tables })];
+    }
+    return [];
+}
+
+/**
+ * Replaces or removes one of the imposter tables
+ * @param {Object} imposterState - The imposter state shared with the lookup behavior
+ * @param {string} name - The table name
+ * @param {Array} rows - The rows, or undefined to remove the table
+ */
+function setTable (imposterState, name, rows) {
+    imposterState[imposterTables] = imposterState[imposterTables] || {};
+
+    if (helpers.defined(rows)) {
+        imposterState[imposterTables][name] = createSource({ records: rows });
+    }
+    else {
+        delete imposterState[imposterTables][name];
+    }
+}
+
+/**
+ * Registers the imposter tables
+ * @param {Object} imposterState - The imposter state shared with the lookup behavior
+ * @param {Object} tables - The rows for each table name
+ */
+function register (imposterState, tables) {
+    imposterState[imposterTables] = {};
+    Object.keys(tables || {}).forEach(name => {
+        setTable(imposterState, name, tables[name]);
+    });
+}
+
+/**
+ * Forgets the files the imposter read, dropping the ones no other imposter has read
+ * @param {Object} imposterState - The state of the imposter being deleted
+ */
+function release (imposterState) {
+    (imposterState[imposterFiles] || new Set()).forEach(key => {
+        const cached = cache.get(key);
+        if (cached) {
+            cached.users.delete(imposterState);
+            if (cached.users.size === 0) {
+                cache.delete(key);
+            }
+        }
+    });
+    delete imposterState[imposterFiles];
+}
+
+module.exports = { select, isSupported, errorsFor, setTable, register, release };
@@ -6,7 +6,13 @@ const exceptions = require('../util/errors.js'),
     inMemoryImpostersRepository = require('./inMemoryImpostersRepository.js'),
     predicates = require('./predicates.js'),
     combinators = require('../util/combinators.js'),
-    behaviors = require('./behaviors.js');
+    behaviors = require('./behaviors.js'),
+    contractValidator = require('./contractValidator.js'),
+    faults = require('./faults.js'),
+    chaos = require('./chaos.js'),
+    namedFunctions = require('./namedFunctions.js'),
+    dataSources = require('./dataSources.js'),
+    weightedResponses = require('./weightedResponses.js');
 
 /**
  * Validating a syntactically correct imposter creation statically is quite difficult.
@@ -143,7 +149,8 @@ function create (options) {
     function hasStubInjection (stub) {
         const hasResponseInjections = stub.responses.some(response => {
                 const hasDecorator = hasBehavior(response, 'decorate'),
-                    hasWaitFunction = hasBehavior(response, 'wait', value => typeof value === 'string');
+                    hasWaitFunction = hasBehavior(response, 'wait',
+                        value => typeof value === 'string' || namedFunctions.isReference(value));
 
                 return response.inject || hasDecorator || hasWaitFunction || hasPredicateGeneratorInjection(response);
             }),
@@ -192,6 +199,12 @@ function create (options) {
         }
     }
 
+    function addFaultErrors (stub, errors, protocol) {
+        stub.responses.filter(response => helpers.defined(response.fault)).forEach(response => {
+            addAllTo(errors, faults.errorsFor(response.fault, protocol));
+        });
+    }
+
     function addBehaviorErrors (stub, errors) {
         stub.responses.forEach(response => {
             addAllTo(errors, behaviors.validate(response.behaviors));
@@ -199,9 +212,44 @@ function create (options) {
         });
     }
 
-    async function errorsForStub (stub, encoding, logger) {
+    function addScenarioErrors (stub, errors) {
+        ['scenario', 'requiredState', 'newState'].forEach(field => {
+            if (helpers.defined(stub[field]) && typeof stub[field] !== 'string') {
+                errors.push(exceptions.ValidationError(`'${field}' must be a string`, { source: stub }));
+            }
+        });
+
+        if (!helpers.defined(stub.scenario) && (helpers.defined(stub.requiredState) || helpers.defined(stub.newState))) {
+            errors.push(exceptions.ValidationError("'requiredState' and 'newState' require a 'scenario'", { source: stub }));
+        }
+    }
+
+    function isPositiveNumber (value) {
+        return typeof value === 'number' && isFinite(value) && value > 0;
+    }
+
+    function addWeightErrors (stub, errors) {
+        if (helpers.defined(stub.seed) && ['string', 'number'].indexOf(typeof stub.seed) < 0) {
+            errors.push(exceptions.ValidationError("'seed' must be a string or number", { source: stub }));
+        }
+        if (!weightedResponses.isWeighted(stub.responses)) {
+            return;
+        }
+        stub.responses.forEach(response => {
+            if (helpers.defined(response.weight) && !isPositiveNumber(response.weight)) {
+                errors.push(exceptions.ValidationError("'weight' must be a number greater than 0", { source: response }));
+            }
+            if (helpers.defined(response.repeat)) {
+                errors.push(exceptions.ValidationError("'repeat' cannot be combined with weighted responses", { source: response }));
+            }
+        });
+    }
+
+    async function errorsForStub (stub, encoding, logger, protocol) {
         const errors = [];
 
+        addScenarioErrors(stub, errors);
+
         if (!Array.isArray(stub.responses) || stub.responses.length === 0) {
             errors.push(exceptions.ValidationError("'responses' must be a non-empty array", {
                 source: stub
@@ -210,6 +258,8 @@ function create (options) {
         else {
             addStubInjectionErrors(stub, errors);
             addBehaviorErrors(stub, errors);
+            addWeightErrors(stub, errors);
+            addFaultErrors(stub, errors, protocol);
         }
 
         if (errors.length === 0) {
@@ -221,15 +271,81 @@ function create (options) {
         return errors;
     }
 
+    function snapshotErrors (snapshot, stubs) {
+        if (!helpers.isObject(snapshot)) {
+            return [exceptions.ValidationError("'snapshot' must be an object", { source: snapshot })];
+        }
+
+        const errors = ['stubs', 'requests']
+            .filter(field => helpers.defined(snapshot[field]) && !Array.isArray(snapshot[field]))
+            .map(field => exceptions.ValidationError(`'snapshot.${field}' must be an array`, { source: snapshot }));
+
+        if (Array.isArray(snapshot.stubs) && snapshot.stubs.length !== (stubs || []).length) {
+            errors.push(exceptions.ValidationError("'snapshot.stubs' must have one entry for each stub", { source: snapshot }));
+        }
+        return errors;
+    }
+
+    function hasValidProfiles (request) {
+        const profiles = request.profiles;
+        return helpers.isObject(profiles) && !Array.isArray(profiles)
+            && Object.keys(profiles).every(name => Array.isArray(profiles[name]));
+    }
+
+    function profileErrors (request) {
+        if (helpers.defined(request.profiles) && !hasValidProfiles(request)) {
+            return [exceptions.ValidationError("'profiles' must be an object with an array of stubs for each profile name",
+                { source: request.profiles })];
+        }
+
+        const profileNames = Object.keys(request.profiles || {});
+        if (helpers.defined(request.activeProfile) && profileNames.indexOf(request.activeProfile) < 0) {
+            return [exceptions.ValidationError(`'activeProfile' must be one of [${profileNames.join(', ')}]`,
+                { source: request.activeProfile })];
+        }
+        return [];
+    }
+
+    // Each stub in every profile is validated like the imposter stubs, since any profile can be activated
+    function allStubsIn (request) {
+        const stubs = request.stubs || [];
+        if (!hasValidProfiles(request)) {
+            return stubs;
+        }
+        return Object.keys(request.profiles).reduce((result, name) => result.concat(request.profiles[name]), stubs);
+    }
+
+    function requestInjectionErrors (request) {
+        const injections = [];
+
+        if (options.allowInjection) {
+            return [];
+        }
+        if (request.endOfRequestResolver && request.endOfRequestResolver.inject) {
+            injections.push(request.endOfRequestResolver);
+        }
+        if (helpers.defined(request.functions)) {
+            injections.push(request.functions);
+        }
+        return injections.map(source => exceptions.InjectionError(
+            'JavaScript injection is not allowed unless mb is run with the --allowInjection flag', { source }));
+    }
+
     function errorsForRequest (request) {
-        const errors = [],
-            hasRequestInjection = request.endOfRequestResolver && request.endOfRequestResolver.inject;
+        const errors = requestInjectionErrors(request);
 
-        if (!options.allowInjection && hasRequestInjection) {
-            errors.push(exceptions.InjectionError(
-                'JavaScript injection is not allowed unless mb is run with the --allowInjection flag',
-                { source: request.endOfRequestResolver }));
+        if (helpers.defined(request.contract)) {
+            errors.push(...contractValidator.errorsFor(request.contract, request.protocol));
+        }
+        if (helpers.defined(request.chaos)) {
+            errors.push(...chaos.errorsFor(request.chaos, request.protocol, options.allowInjection));
+        }
+        if (helpers.defined(request.snapshot)) {
+            errors.push(...snapshotErrors(request.snapshot, request.stubs));
         }
+        errors.push(...profileErrors(request));
+        errors.push(...namedFunctions.errorsFor(request.functions, allStubsIn(request)));
+        errors.push(...dataSources.errorsFor(request.tables));
         return errors;
     }
 
@@ -241,9 +357,9 @@ function create (options) {
      * @returns {Object} Promise resolving to an object containing isValid and an errors array
      */
     async function validate (request, logger) {
-        const stubs = request.stubs || [],
+        const stubs = allStubsIn(request),
             encoding = request.mode === 'binary' ? 'base64' : 'utf8',
-            validations = stubs.map(stub => errorsForStub(stub, encoding, logger));
+            validations = stubs.map(stub => errorsForStub(stub, encoding, logger, request.protocol));
 
         validations.push(Promise.resolve(errorsForRequest(request)));
         if (typeof options.additionalValidation === 'function') {
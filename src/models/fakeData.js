@@ -0,0 +1,126 @@
+'use strict';
+
+const helpers = require('../util/helpers.js');
+
+/**
+ * Named generators of realistic test data used by the fake behavior. Every generator
+ * draws from the given random function, so a seeded random function reproduces the same data
+ * @module
+ */
+
+const FIRST_NAMES = ['Ada', 'Alan', 'Barbara', 'Carlos', 'Chen', 'Dmitri', 'Elena', 'Fatima', 'Grace', 'Hiro',
+        'Ingrid', 'James', 'Kwame', 'Linus', 'Maria', 'Nadia', 'Omar', 'Priya', 'Ravi', 'Sofia', 'Tomas', 'Yuki'],
+    LAST_NAMES = ['Anderson', 'Brown', 'Cohen', 'Diaz', 'Eriksson', 'Fischer', 'Garcia', 'Hopper', 'Ivanova', 'Johnson',
+        'Kim', 'Lovelace', 'Martin', 'Nguyen', 'Okafor', 'Patel', 'Rossi', 'Silva', 'Tanaka', 'Williams'],
+    CITIES = ['Amsterdam', 'Austin', 'Berlin', 'Chicago', 'Dublin', 'Lagos', 'Lima', 'London', 'Madrid', 'Mumbai',
+        'Nairobi', 'Oslo', 'Paris', 'Seoul', 'Sydney', 'Tokyo', 'Toronto', 'Warsaw'],
+    COUNTRIES = ['Australia', 'Brazil', 'Canada', 'France', 'Germany', 'India', 'Ireland', 'Japan', 'Kenya', 'Mexico',
+        'Netherlands', 'Nigeria', 'Norway', 'Peru', 'Poland', 'South Korea', 'Spain', 'United Kingdom', 'United States'],
+    DOMAINS = ['example.com', 'example.org', 'example.net', 'test.example'],
+    WORDS = ['alpha', 'bravo', 'cobalt', 'delta', 'ember', 'falcon', 'granite', 'harbor', 'indigo', 'juniper',
+        'kestrel', 'lumen', 'meadow', 'nimbus', 'orchid', 'pebble', 'quartz', 'river', 'summit', 'tundra'];
+
+function integerBetween (random, min, max) {
+    return Math.floor(random() * (max - min + 1)) + min;
+}
+
+function pick (random, values) {
+    return values[integerBetween(random, 0, values.length - 1)];
+}
+
+function hex (random, length) {
+    let result = '';
+    for (let i = 0; i < length; i += 1) {
+        result += integerBetween(random, 0, 15).toString(16);
+    }
+    return result;
+}
+
+function dateBetween (random, options) {
+    const from = helpers.defined(options.from) ? new Date(options.from).getTime() : Date.UTC(2000, 0, 1),
+        to = helpers.defined(options.to) ? new Date(options.to).getTime() : Date.UTC(2030, 0, 1);
+    return new Date(integerBetween(random, Math.min(from, to), Math.max(from, to)));
+}
+
+const generators = {
+    uuid: random => {
+        const variant = pick(random, ['8', '9', 'a', 'b']);
+        return `${hex(random, 8)}-${hex(random, 4)}-4${hex(random, 3)}-${variant}${hex(random, 3)}-${hex(random, 12)}`;
+    },
+    firstName: random => pick(random, FIRST_NAMES),
+    lastName: random => pick(random, LAST_NAMES),
+    fullName: random => `${pick(random, FIRST_NAMES)} ${pick(random, LAST_NAMES)}`,
+    email: random => {
+        const user = `${pick(random, FIRST_NAMES)}.${pick(random, LAST_NAMES)}${integerBetween(random, 1, 99)}`;
+        return `${user.toLowerCase()}@${pick(random, DOMAINS)}`;
+    },
+    username: random => `${pick(random, WORDS)}_${pick(random, WORDS)}${integerBetween(random, 1, 999)}`,
+    phone: random => `+1-555-${integerBetween(random, 100, 999)}-${integerBetween(random, 1000, 9999)}`,
+    city: random => pick(random, CITIES),
+    country: random => pick(random, COUNTRIES),
+    word: random => pick(random, WORDS),
+    sentence: random => {
+        const words = Array.from({ length: integerBetween(random, 4, 10) }, () => pick(random, WORDS)),
+            text = words.join(' ');
+        return `${text.charAt(0).toUpperCase()}${text.substring(1)}.`;
+    },
+    boolean: random => random() < 0.5,
+    integer: (random, options) => {
+        const min = helpers.defined(options.min) ? options.min : 0,
+            max = helpers.defined(options.max) ? options.max : 1000;
+        return integerBetween(random, Math.min(min, max), Math.max(min, max));
+    },
+    number: (random, options) => {
+        const min = helpers.defined(options.min) ? options.min : 0,
+            max = helpers.defined(options.max) ? options.max : 1000,
+            precision = helpers.defined(options.precision) ? options.precision : 2;
+        return Number((min + random() * (max - min)).toFixed(precision));
+    },
+    timestamp: (random, options) => dateBetween(random, options).toISOString(),
+    date: (random, options) => dateBetween(random, options).toISOString().substring(0, 10),
+    oneOf: (random, options) => pick(random, options.values)
+};
+
+function specFor (field) {
+    return typeof field === 'string' ? { generator: field } : field;
+}
+
+/**
+ * Returns validation messages for the fields of a fake behavior, keyed by field name
+ * @param {Object} fields - The map of field names to generator names or generator objects
+ * @returns {Array} - Each error has a field and a message
+ */
+function errorsFor (fields) {
+    const names = Object.keys(generators);
+
+    return Object.keys(fields).reduce((errors, name) => {
+        const spec = specFor(fields[name]);
+
+        if (!helpers.isObject(spec) || names.indexOf(spec.generator) < 0) {
+            errors.push({ field: name, message: `must be one of [${names.join(', ')}]` });
+        }
+        else if (spec.generator === 'oneOf' && (!Array.isArray(spec.values) || spec.values.length === 0)) {
+            errors.push({ field: name, message: 'must have a non-empty "values" array' });
+        }
+        return errors;
+    }, []);
+}
+
+/**
+ * Generates a value for every field
+ * @param {Object} fields - The map of field names to generator names or generator objects,
+ *  e.g. { "id": "uuid", "age": { "generator": "integer", "min": 18, "max": 99 } }
+ * @param {Function} random - Returns numbers in [0, 1)
+ * @returns {Object} - The map of field names to generated values
+ */
+function generate (fields, random) {
+    const result = {};
+
+    Object.keys(fields).forEach(name => {
+        const spec = specFor(fields[name]);
+        result[name] = generators[spec.generator](random, spec);
+    });
+    return result;
+}
+
+module.exports = { errorsFor, generate };
@@ -0,0 +1,189 @@
+'use strict';
+
+const errors = require('../util/errors.js'),
+    helpers = require('../util/helpers.js');
+
+/**
+ * Simulates network faults by misusing the socket instead of sending a normal response.
+ * A fault is either the name of the fault, like "CONNECTION_RESET_BY_PEER", or an object
+ * with the name in the type field and the fault's options, like
+ * { "type": "CLOSE_AFTER_BYTES", "bytes": 100 }
+ * @module
+ */
+
+// Custom protocols aren't listed, so their faults aren't checked against the protocol
+const HTTP_PROTOCOLS = ['http', 'https'],
+    ALL_PROTOCOLS = ['http', 'https', 'http2', 'tcp'];
+
+// Each fault gets the socket, its options, the message the fault corrupts, and the logger.
+// The message has a head (the status line and headers for http, empty for tcp) and a body
+const catalogue = {
+    CONNECTION_RESET_BY_PEER: {
+        protocols: ALL_PROTOCOLS,
+        simulate: (socket, options, message, logger) => {
+            logger.debug('Closing the connection');
+            socket.destroy();
+        }
+    },
+    RANDOM_DATA_THEN_CLOSE: {
+        protocols: ALL_PROTOCOLS,
+        simulate: (socket, options, message, logger) => {
+            logger.debug('Sending garbage data then closing the connection');
+            socket.write(Buffer.from('Htijy%@tWXJ/hQ#[Q:7G@dH4"gu[QaX&', 'utf-8'));
+            socket.destroy();
+        }
+    },
+    HANG: {
+        protocols: ALL_PROTOCOLS,
+        simulate: (socket, options, message, logger) => {
+            logger.debug('Leaving the connection open without responding');
+        }
+    },
+    EMPTY_RESPONSE: {
+        protocols: ALL_PROTOCOLS,
+        simulate: (socket, options, message, logger) => {
+            logger.debug('Closing the connection without responding');
+            socket.end();
+        }
+    },
+    CLOSE_AFTER_BYTES: {
+        protocols: ALL_PROTOCOLS,
+        options: { bytes: { required: true } },
+        simulate: (socket, options, message, logger) => {
+            const data = Buffer.concat([Buffer.from(message.head), message.body]).subarray(0, options.bytes);
+
+            logger.debug('Sending %s bytes then closing the connection', data.length);
+            socket.write(data, () => socket.destroy());
+        }
+    },
+    STALL_BODY: {
+        protocols: HTTP_PROTOCOLS,
+        simulate: (socket, options, message, logger) => {
+            logger.debug('Sending the headers then leaving the connection open without sending the body');
+            socket.write(message.head);
+        }
+    },
+    MALFORMED_STATUS_LINE: {
+        protocols: HTTP_PROTOCOLS,
+        simulate: (socket, options, message, logger) => {
+            const head = message.head.replace(/^[^\r\n]*/, 'HTTP/1.1 OK MALFORMED');
+
+            logger.debug('Sending a malformed status line then closing the connection');
+            socket.write(Buffer.concat([Buffer.from(head), message.body]), () => socket.end());
+        }
+    },
+    TRUNCATED_BODY: {
+        protocols: HTTP_PROTOCOLS,
+        options: { bytes: { required: false } },
+        simulate: (socket, options, message, logger) => {
+            // The Content-Length header still promises the whole body
+            const bytes = helpers.defined(options.bytes) ? options.bytes : Math.floor(message.body.length / 2),
+                body = message.body.subarray(0, bytes);
+
+            logger.debug('Sending %s of %s body bytes then closing the connection', body.length, message.body.length);
+            socket.write(Buffer.concat([Buffer.from(message.head), body]), () => socket.end());
+        }
+    },
+    DELAYED_RESET: {
+        protocols: ALL_PROTOCOLS,
+        options: { delay: { required: true } },
+        simulate: (socket, options, message, logger) => {
+            logger.debug('Resetting the connection in %s ms', options.delay);
+            setTimeout(() => socket.destroy(), options.delay);
+        }
+    }
+};
+
+function nameOf (fault) {
+    return helpers.isObject(fault) ? fault.type : fault;
+}
+
+function optionsOf (fault) {
+    return helpers.isObject(fault) ? fault : {};
+}
+
+function optionErrors (fault, definition) {
+    const options = optionsOf(fault),
+        specs = definition.options || {};
+
+    return Object.keys(specs).filter(option => {
+        const value = options[option];
+        if (!helpers.defined(value)) {
+            return specs[option].required;
+        }
+        return !Number.isInteger(value) || value < 0;
+    }).map(option => errors.ValidationError(
+        `${nameOf(fault)} fault requires "${option}" to be an integer greater than or equal to 0`, { source: fault }));
+}
+
+function shapeError (fault) {
+    if (helpers.isObject(fault) && typeof fault.type !== 'string') {
+        return errors.ValidationError('fault objects require a "type" field with the name of the fault', { source: fault });
+    }
+    if (!helpers.isObject(fault) && typeof fault !== 'string') {
+        return errors.ValidationError('fault must be a string or an object', { source: fault });
+    }
+    return undefined;
+}
+
+/**
+ * Validates the fault configuration. Unrecognized fault names are allowed for backwards compatibility;
+ * they're logged and ignored when the response is sent
+ * @param {Object} fault - The fault name or object
+ * @param {string} protocol - The imposter protocol
+ * @returns {Array} - The validation errors
+ */
+function errorsFor (fault, protocol) {
+    const error = shapeError(fault);
+    if (error) {
+        return [error];
+    }
+
+    const definition = catalogue[nameOf(fault)];
+    if (!definition) {
+        return [];
+    }
+    if (ALL_PROTOCOLS.indexOf(protocol) >= 0 && definition.protocols.indexOf(protocol) < 0) {
+        return [errors.ValidationError(`${nameOf(fault)} fault is only supported for ${definition.protocols.join(', ')} imposters`,
+            { source: fault })];
+    }
+    return optionErrors(fault, definition);
+}
+
+/**
+ * Simulates the fault, if any
+ * @param {Object} socket - The client socket
+ * @param {Object} fault - The fault name or object, or undefined if there is no fault
+ * @param {Object} message - The response the fault corrupts, with a head string and a body buffer
+ * @param {Object} logger - The logger
+ * @returns {boolean} - True if a fault was simulated, in which case the caller should not respond
+ */
+function simulate (socket, fault, message, logger) {
+    if (!helpers.defined(fault)) {
+        return false;
+    }
+
+    const definition = catalogue[nameOf(fault)];
+    if (!definition) {
+        logger.error(`Unexpected fault type [${nameOf(fault)}], expected one of ${Object.keys(catalogue).join(', ')}`);
+        return false;
+    }
+
+    definition.simulate(socket, optionsOf(fault), message, logger);
+    return true;
+}
+
+/**
+ * Creates the response that carries the fault to the protocol server. Faults that corrupt
+ * a response, like TRUNCATED_BODY, send the fault's response fields merged with the default response
+ * @param {Object} fault - The fault name or object
+ * @returns {Object} - The response, with the fault in the fault field
+ */
+function responseFor (fault) {
+    const response = helpers.isObject(fault) && helpers.isObject(fault.response) ? helpers.clone(fault.response) : {};
+
+    response.fault = helpers.clone(fault);
+    return response;
+}
+
+module.exports = { errorsFor, simulate, responseFor };
@@ -5,7 +5,9 @@ const fsExtra = require('fs-extra'),
     properLockFile = require('proper-lockfile'),
     pathModule = require('path'),
     helpers = require('../util/helpers.js'),
-    errors = require('../util/errors.js');
+    errors = require('../util/errors.js'),
+    random = require('../util/random.js'),
+    weightedResponses = require('./weightedResponses.js');
 
 /**
  * An abstraction for loading imposters from the filesystem
@@ -20,6 +22,7 @@ const fsExtra = require('fs-extra'),
  *         "port": 3000,
  *         "stubs: [{
  *           "predicates": [{ "equals": { "path": "/" } }],
+ *           "scenario": "checkout",
  *           "meta": {
  *             "dir": "stubs/{epoch-pid-counter}"
  *           }
@@ -34,7 +37,11 @@ const fsExtra = require('fs-extra'),
  *               // An array of indexes into responseFiles which handle repeat behavior
  *             "orderWithRepeats": [0],
  *               // The next index into orderWithRepeats; incremented with each call to nextResponse()
- *             "nextIndex": 0
+ *             "nextIndex": 0,
+ *               // Only for weighted stubs: the weight of each response file and, if the stub
+ *               // has a seed, the state of the random number generator between calls
+ *             "weights": [1],
+ *             "randomState": 1234
  *           }
  *
  *         /responses
@@ -316,9 +323,7 @@ function create (config, logger) {
     }
 
     async function saveStubMetaAndResponses (stub, baseDir) {
-        const stubDefinition = {
-                meta: { dir: `stubs/${filenameFor(new Date())}` }
-            },
+        const stubDefinition = {},
             meta = {
                 responseFiles: [],
                 orderWithRepeats: [],
@@ -327,9 +332,12 @@ function create (config, logger) {
             responses = stub.responses || [],
             writes = [];
 
-        if (stub.predicates) {
-            stubDefinition.predicates = stub.predicates;
-        }
+        // Everything but the responses is kept in the imposter file so stubs can be matched
+        // without reading the response files, including fields like the scenario states
+        Object.keys(stub).filter(key => ['responses', 'matches'].indexOf(key) < 0).forEach(key => {
+            stubDefinition[key] = stub[key];
+        });
+        stubDefinition.meta = { dir: `stubs/${filenameFor(new Date())}` };
 
         for (let i = 0; i < responses.length; i += 1) {
             const responseFile = `responses/${filenameFor(new Date())}.json`;
@@ -342,6 +350,13 @@ function create (config, logger) {
             writes.push(writeFile(`${baseDir}/${stubDefinition.meta.dir}/${responseFile}`, responses[i]));
         }
 
+        if (weightedResponses.isWeighted(responses)) {
+            meta.weights = responses.map(weightedResponses.weightOf);
+            if (helpers.defined(stub.seed)) {
+                meta.randomState = random.initialState(stub.seed);
+            }
+        }
+
         writes.push(writeFile(`${baseDir}/${stubDefinition.meta.dir}/meta.json`, meta));
         await Promise.all(writes);
         return stubDefinition;
@@ -407,6 +422,9 @@ function create (config, logger) {
                     for (let repeats = 0; repeats < repeatsFor(response); repeats += 1) {
                         meta.orderWithRepeats.push(responseIndex);
                     }
+                    if (meta.weights) {
+                        meta.weights.push(weightedResponses.weightOf(response));
+                    }
 
                     await writeFile(responsePath(stubDir, responseFile), response);
                     return meta;
@@ -429,14 +447,30 @@ function create (config, logger) {
                 return result;
             }
 
+            // The generator state lives in the meta file so seeded choices survive restarts
+            function nextWeightedIndex (meta) {
+                if (!helpers.defined(meta.randomState)) {
+                    return weightedResponses.choose(meta.weights, Math.random());
+                }
+                const draw = random.next(meta.randomState);
+                meta.randomState = draw.state;
+                return weightedResponses.choose(meta.weights, draw.value);
+            }
+
             /**
-             * Returns the next response for the stub, taking into consideration repeat behavior and cycling back the beginning
+             * Returns the next response for the stub, taking into consideration repeat behavior and cycling back the beginning,
+             * or choosing by weight if the responses have weights
              * @memberOf module:models/filesystemBackedImpostersRepository#
              * @returns {Object} - the promise
              */
             cloned.nextResponse = async () => {
                 let responseFile;
                 await readAndWriteFile(metaPath(stubDir), 'nextResponse', async meta => {
+                    if (meta.weights) {
+                        responseFile = meta.responseFiles[nextWeightedIndex(meta)];
+                        return meta;
+                    }
+
                     const maxIndex = meta.orderWithRepeats.length,
                         responseIndex = meta.orderWithRepeats[meta.nextIndex % maxIndex];
 
@@ -487,7 +521,7 @@ function create (config, logger) {
         /**
          * Returns the first stub whose predicates matches the filter
          * @memberOf module:models/filesystemBackedImpostersRepository#
-         * @param {Function} filter - the filter function
+         * @param {Function} filter - the filter function, passed the stub's predicates and the stub definition
          * @param {Number} startIndex - the index to to start searching
          * @returns {Object} - the promise
          */
@@ -495,7 +529,7 @@ function create (config, logger) {
             const header = await readHeader();
 
             for (let i = startIndex; i < header.stubs.length; i += 1) {
-                if (filter(header.stubs[i].predicates || [])) {
+                if (filter(header.stubs[i].predicates || [], header.stubs[i])) {
                     return { success: true, stub: wrap(header.stubs[i]) };
                 }
             }
@@ -562,17 +596,17 @@ function create (config, logger) {
          * @returns {Object} - the promise
          */
         async function overwriteAll (newStubs) {
+            // Saving the new stubs before swapping them into the header in a single write
+            // means requests never see a partial list of stubs
+            const stubDefinitions = await Promise.all(newStubs.map(stub => saveStubMetaAndResponses(stub, baseDir)));
+            let oldStubDirs = [];
+
             await readAndWriteHeader('overwriteAllStubs', async header => {
-                header.stubs = [];
-                await remove(`${baseDir}/stubs`);
+                oldStubDirs = header.stubs.map(stub => stub.meta.dir);
+                header.stubs = stubDefinitions;
                 return header;
             });
-
-            let addSequence = Promise.resolve();
-            newStubs.forEach(stub => {
-                addSequence = addSequence.then(() => add(stub));
-            });
-            await addSequence;
+            await Promise.all(oldStubDirs.map(stubDir => remove(`${baseDir}/${stubDir}`)));
         }
 
         /**
@@ -672,6 +706,76 @@ function create (config, logger) {
             await remove(`${baseDir}/requests`);
         }
 
+        /**
+         * Saves runtime changes to the imposter fields outside the stubs, like the active profile,
+         * so the imposter keeps them when it's loaded again. Fields set to undefined are removed.
+         * @memberOf module:models/filesystemBackedImpostersRepository#
+         * @param {Object} fields - the changed imposter fields
+         * @returns {Object} - the promise
+         */
+        async function updateHeader (fields) {
+            await readAndWriteHeader('updateHeader', async header => {
+                Object.keys(fields).forEach(key => {
+                    if (helpers.defined(fields[key])) {
+                        header[key] = helpers.clone(fields[key]);
+                    }
+                    else {
+                        delete header[key];
+                    }
+                });
+                return header;
+            });
+        }
+
+        function stubStateOf (meta) {
+            const result = { nextIndex: meta.nextIndex };
+            if (helpers.defined(meta.randomState)) {
+                result.randomState = meta.randomState;
+            }
+            return result;
+        }
+
+        /**
+         * Returns the runtime state of the stubs and the saved requests, for snapshots
+         * @memberOf module:models/filesystemBackedImpostersRepository#
+         * @returns {Object} - the promise resolving to the stub states, in order, and the requests
+         */
+        async function getState () {
+            const header = await readHeader(),
+                metas = await Promise.all(header.stubs.map(stub => readFile(metaPath(stub.meta.dir)))),
+                requests = await loadRequests();
+
+            return { stubs: metas.map(stubStateOf), requests };
+        }
+
+        /**
+         * Restores the runtime state of the stubs and replaces the saved requests
+         * @memberOf module:models/filesystemBackedImpostersRepository#
+         * @param {Object} state - the result of getState
+         * @returns {Object} - the promise
+         */
+        async function setState (state) {
+            const header = await readHeader(),
+                stubStates = state.stubs || [];
+
+            await Promise.all(stubStates.slice(0, header.stubs.length).map((stubState, index) =>
+                readAndWriteFile(metaPath(header.stubs[index].meta.dir), 'setState', async meta => {
+                    meta.nextIndex = stubState.nextIndex || 0;
+                    if (helpers.defined(stubState.randomState)) {
+                        meta.randomState = stubState.randomState;
+                    }
+                    return meta;
+                })));
+
+            // Unlike addRequest, this keeps the original timestamps
+            await deleteSavedRequests();
+            await Promise.all((state.requests || []).map(request => {
+                const savedRequest = helpers.clone(request);
+                savedRequest.timestamp = savedRequest.timestamp || new Date().toJSON();
+                return writeFile(requestPath(savedRequest), savedRequest);
+            }));
+        }
+
         return {
             count,
             first,
@@ -684,7 +788,10 @@ function create (config, logger) {
             deleteSavedProxyResponses,
             addRequest,
             loadRequests,
-            deleteSavedRequests
+            deleteSavedRequests,
+            getState,
+            setState,
+            updateHeader
         };
     }
 
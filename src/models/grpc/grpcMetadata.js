@@ -0,0 +1,54 @@
+'use strict';
+
+const grpc = require('@grpc/grpc-js');
+
+/**
+ * Translates between gRPC metadata and the JSON objects used in mountebank requests and responses
+ * @module
+ */
+
+function isBinaryKey (key) {
+    return /-bin$/.test(key);
+}
+
+/**
+ * Converts gRPC metadata into a JSON object, base64 encoding binary (-bin) values
+ * @param {Object} metadata - The grpc-js Metadata
+ * @returns {Object}
+ */
+function toObject (metadata) {
+    const result = {},
+        map = metadata ? metadata.getMap() : {};
+
+    Object.keys(map).forEach(key => {
+        const value = map[key];
+        result[key] = Buffer.isBuffer(value) ? value.toString('base64') : value;
+    });
+    return result;
+}
+
+/**
+ * Converts a JSON object into gRPC metadata. Array values are sent as repeated entries
+ * and binary (-bin) values are expected to be base64 encoded
+ * @param {Object} obj - The JSON metadata
+ * @returns {Object} - The grpc-js Metadata
+ */
+function fromObject (obj) {
+    const metadata = new grpc.Metadata();
+
+    Object.keys(obj || {}).forEach(key => {
+        const values = Array.isArray(obj[key]) ? obj[key] : [obj[key]];
+
+        values.forEach(value => {
+            if (isBinaryKey(key)) {
+                metadata.add(key, Buffer.from(String(value), 'base64'));
+            }
+            else {
+                metadata.add(key, String(value));
+            }
+        });
+    });
+    return metadata;
+}
+
+module.exports = { toObject, fromObject };
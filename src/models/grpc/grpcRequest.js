@@ -0,0 +1,30 @@
+'use strict';
+
+const grpcMetadata = require('./grpcMetadata.js');
+
+/**
+ * Transforms a gRPC call into the API-friendly representation of a request
+ * @module
+ */
+
+/**
+ * Transforms the gRPC call into a mountebank grpc request
+ * @param {Object} call - The grpc-js server call
+ * @param {Object} method - The service and method names being called
+ * @param {Object} message - The decoded request message, or an array of messages for client streaming calls
+ * @returns {Object} - A promise resolving to the mountebank grpc request
+ */
+function createFrom (call, method, message) {
+    const peer = call.getPeer();
+
+    return Promise.resolve({
+        requestFrom: peer,
+        ip: peer.replace(/:\d+$/, '').replace(/^\[(.*)\]$/, '$1'),
+        service: method.service,
+        method: method.name,
+        metadata: grpcMetadata.toObject(call.metadata),
+        message
+    });
+}
+
+module.exports = { createFrom };
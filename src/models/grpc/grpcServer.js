@@ -0,0 +1,235 @@
+'use strict';
+
+const grpc = require('@grpc/grpc-js'),
+    helpers = require('../../util/helpers.js'),
+    errors = require('../../util/errors.js'),
+    grpcMetadata = require('./grpcMetadata.js'),
+    grpcRequest = require('./grpcRequest.js'),
+    grpcValidator = require('./grpcValidator.js'),
+    protoFiles = require('./protoFiles.js');
+
+/**
+ * Represents a grpc imposter, supporting unary and streaming calls
+ * for the services defined in the imposter's protoFiles
+ * @module
+ */
+
+function statusCodeFor (status) {
+    if (!helpers.defined(status)) {
+        return grpc.status.OK;
+    }
+    if (typeof status === 'number') {
+        return status;
+    }
+    if (!helpers.defined(grpc.status[status])) {
+        throw errors.ValidationError(`Unknown gRPC status: ${status}`, { source: status });
+    }
+    return grpc.status[status];
+}
+
+function create (options, logger, responseFn) {
+    const packageDefinition = protoFiles.load(options),
+        services = protoFiles.servicesFrom(packageDefinition),
+        defaultResponse = options.defaultResponse || {},
+        server = new grpc.Server();
+
+    function valueFor (response, field, fallback) {
+        if (helpers.defined(response[field])) {
+            return response[field];
+        }
+        return helpers.defined(defaultResponse[field]) ? defaultResponse[field] : fallback;
+    }
+
+    function postProcess (mbResponse) {
+        const message = valueFor(mbResponse, 'message', {});
+
+        return {
+            messages: Array.isArray(message) ? message : [message],
+            metadata: valueFor(mbResponse, 'metadata', undefined),
+            trailers: grpcMetadata.fromObject(valueFor(mbResponse, 'trailers', {})),
+            status: statusCodeFor(valueFor(mbResponse, 'status', grpc.status.OK)),
+            details: valueFor(mbResponse, 'details', '')
+        };
+    }
+
+    function errorFor (response) {
+        return { code: response.status, details: response.details, metadata: response.trailers };
+    }
+
+    async function respond (call, method, message) {
+        const clientName = call.getPeer();
+        logger.info(`${clientName} => ${method.service}/${method.name}`);
+
+        try {
+            const request = await grpcRequest.createFrom(call, method, message);
+            logger.debug('%s => %s', clientName, JSON.stringify(request));
+
+            const mbResponse = await responseFn(request);
+            if (mbResponse.blocked) {
+                return { messages: [], trailers: new grpc.Metadata(), status: grpc.status.PERMISSION_DENIED, details: mbResponse.code };
+            }
+
+            const response = postProcess(mbResponse);
+            logger.debug('%s <= %s', clientName, JSON.stringify(mbResponse));
+            return response;
+        }
+        catch (error) {
+            logger.error('%s X=> %s', clientName, JSON.stringify(errors.details(error)));
+            return { messages: [], trailers: new grpc.Metadata(), status: grpc.status.INTERNAL, details: error.message };
+        }
+    }
+
+    function sendMetadata (call, response) {
+        if (response.metadata) {
+            call.sendMetadata(grpcMetadata.fromObject(response.metadata));
+        }
+    }
+
+    function replyOnce (call, callback, response) {
+        sendMetadata(call, response);
+        if (response.status === grpc.status.OK) {
+            callback(null, response.messages[0], response.trailers);
+        }
+        else {
+            callback(errorFor(response));
+        }
+    }
+
+    // Returns true if the stream is still open
+    function replyOnStream (call, response) {
+        response.messages.forEach(message => call.write(message));
+        if (response.status !== grpc.status.OK) {
+            call.emit('error', errorFor(response));
+            return false;
+        }
+        return true;
+    }
+
+    function unaryHandler (method) {
+        return async (call, callback) => {
+            replyOnce(call, callback, await respond(call, method, call.request));
+        };
+    }
+
+    function clientStreamingHandler (method) {
+        return (call, callback) => {
+            const messages = [];
+            call.on('data', message => messages.push(message));
+            call.on('end', async () => {
+                replyOnce(call, callback, await respond(call, method, messages));
+            });
+        };
+    }
+
+    function serverStreamingHandler (method) {
+        return async call => {
+            const response = await respond(call, method, call.request);
+
+            sendMetadata(call, response);
+            if (replyOnStream(call, response)) {
+                call.end(response.trailers);
+            }
+        };
+    }
+
+    // Each message received on a bidirectional stream is treated as its own request,
+    // with the responses written back in order
+    function bidiStreamingHandler (method) {
+        return call => {
+            let pending = Promise.resolve(),
+                isOpen = true,
+                hasSentMetadata = false,
+                trailers;
+
+            call.on('data', message => {
+                pending = pending.then(async () => {
+                    if (!isOpen) {
+                        return;
+                    }
+                    const response = await respond(call, method, message);
+                    if (!hasSentMetadata) {
+                        sendMetadata(call, response);
+                        hasSentMetadata = true;
+                    }
+                    trailers = response.trailers;
+                    isOpen = replyOnStream(call, response);
+                });
+            });
+            call.on('end', () => {
+                pending.then(() => {
+                    if (isOpen) {
+                        call.end(trailers);
+                    }
+                });
+            });
+        };
+    }
+
+    function handlerFor (method, definition) {
+        if (definition.requestStream && definition.responseStream) {
+            return bidiStreamingHandler(method);
+        }
+        else if (definition.requestStream) {
+            return clientStreamingHandler(method);
+        }
+        else if (definition.responseStream) {
+            return serverStreamingHandler(method);
+        }
+        return unaryHandler(method);
+    }
+
+    services.forEach(service => {
+        const implementation = {};
+
+        Object.keys(service.definition).forEach(name => {
+            const method = { service: service.name, name };
+            implementation[name] = handlerFor(method, service.definition[name]);
+        });
+        server.addService(service.definition, implementation);
+    });
+
+    return new Promise((resolve, reject) => {
+        const address = `${options.host || '0.0.0.0'}:${options.port || 0}`;
+
+        server.bindAsync(address, grpc.ServerCredentials.createInsecure(), (error, port) => {
+            if (error) {
+                if (/EADDRINUSE|No address added/.test(error.message)) {
+                    reject(errors.ResourceConflictError(`Port ${options.port} is already in use`));
+                }
+                else {
+                    reject(error);
+                }
+                return;
+            }
+
+            server.start();
+            resolve({
+                port,
+                metadata: {
+                    protoFiles: options.protoFiles,
+                    includeDirs: options.includeDirs || [],
+                    services: services.map(service => service.name)
+                },
+                close: callback => {
+                    server.forceShutdown();
+                    callback();
+                },
+                proxy: {},
+                encoding: 'utf8'
+            });
+        });
+    });
+}
+
+module.exports = {
+    testRequest: {
+        requestFrom: '',
+        service: '',
+        method: '',
+        metadata: {},
+        message: {}
+    },
+    testProxyResponse: {},
+    create: create,
+    validate: grpcValidator.validate
+};
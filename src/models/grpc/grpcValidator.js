@@ -0,0 +1,28 @@
+'use strict';
+
+const exceptions = require('../../util/errors.js'),
+    protoFiles = require('./protoFiles.js');
+
+/**
+ * Additional grpc-specific validations
+ * @module
+ */
+
+function validate (request) {
+    if (!request.protoFiles || request.protoFiles.length === 0) {
+        return [exceptions.ValidationError("'protoFiles' must list at least one .proto file")];
+    }
+
+    try {
+        const services = protoFiles.servicesFrom(protoFiles.load(request));
+        if (services.length === 0) {
+            return [exceptions.ValidationError('No services defined in protoFiles', { source: request.protoFiles })];
+        }
+        return [];
+    }
+    catch (error) {
+        return [exceptions.ValidationError(`Unable to load protoFiles: ${error.message}`, { source: request.protoFiles })];
+    }
+}
+
+module.exports = { validate };
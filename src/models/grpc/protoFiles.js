@@ -0,0 +1,49 @@
+'use strict';
+
+const protoLoader = require('@grpc/proto-loader');
+
+/**
+ * Loads gRPC service definitions from .proto files
+ * @module
+ */
+
+// Keep field names as written in the .proto file and avoid types that don't survive JSON
+const LOADER_OPTIONS = {
+    keepCase: true,
+    longs: String,
+    enums: String,
+    bytes: String,
+    defaults: true,
+    oneofs: true
+};
+
+function asArray (value) {
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Loads the package definition for the imposter's protoFiles
+ * @param {Object} options - The imposter creation options
+ * @param {Array} options.protoFiles - The .proto files (a single path is also accepted)
+ * @param {Array} options.includeDirs - Directories used to resolve imports
+ * @returns {Object} - The proto-loader package definition
+ */
+function load (options) {
+    return protoLoader.loadSync(asArray(options.protoFiles), Object.assign({
+        includeDirs: options.includeDirs ? asArray(options.includeDirs) : []
+    }, LOADER_OPTIONS));
+}
+
+/**
+ * Lists the services in the package definition. Message and enum types
+ * are also in the package definition, but are distinguishable by their format field
+ * @param {Object} packageDefinition - The proto-loader package definition
+ * @returns {Array} - The services, each with a fully qualified name and a definition keyed by method name
+ */
+function servicesFrom (packageDefinition) {
+    return Object.keys(packageDefinition)
+        .filter(name => !packageDefinition[name].format)
+        .map(name => ({ name, definition: packageDefinition[name] }));
+}
+
+module.exports = { load, servicesFrom };
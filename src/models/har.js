@@ -0,0 +1,210 @@
+'use strict';
+
+const http = require('http'),
+    errors = require('../util/errors.js'),
+    helpers = require('../util/helpers.js'),
+    thisPackage = require('../../package.json');
+
+/**
+ * Converts between http imposters and HAR 1.2 (HTTP Archive) files, the format browser
+ * developer tools use to save network captures. Exporting turns each is response
+ * into an entry, rebuilding the request from the stub's predicates; importing turns
+ * each entry into a stub with predicates and an is response.
+ * @module
+ */
+
+// These describe how the captured body was transferred, not the decoded body in the HAR
+const TRANSFER_HEADERS = ['content-length', 'content-encoding', 'transfer-encoding', 'connection'];
+
+function nameValuePairs (values) {
+    const result = [];
+
+    Object.keys(values || {}).forEach(name => {
+        const all = Array.isArray(values[name]) ? values[name] : [values[name]];
+        all.forEach(value => {
+            result.push({ name, value: String(value) });
+        });
+    });
+    return result;
+}
+
+function fromNameValuePairs (pairs) {
+    const result = {};
+
+    (pairs || []).forEach(pair => {
+        if (!helpers.defined(result[pair.name])) {
+            result[pair.name] = pair.value;
+        }
+        else {
+            result[pair.name] = [].concat(result[pair.name], pair.value);
+        }
+    });
+    return result;
+}
+
+function headerValue (headers, name) {
+    const key = Object.keys(headers || {}).find(header => header.toLowerCase() === name);
+    return key ? String(headers[key]) : undefined;
+}
+
+function textOf (body) {
+    if (!helpers.defined(body)) {
+        return '';
+    }
+    return helpers.isObject(body) ? JSON.stringify(body) : String(body);
+}
+
+// Proxies record predicates with equals or deepEquals, so those describe the recorded request
+function requestFieldsFrom (predicates) {
+    const fields = {};
+
+    (predicates || []).forEach(predicate => {
+        ['equals', 'deepEquals'].filter(operator => helpers.isObject(predicate[operator])).forEach(operator => {
+            Object.assign(fields, predicate[operator]);
+        });
+    });
+    return fields;
+}
+
+function harRequestFor (stub, baseURL) {
+    const fields = requestFieldsFrom(stub.predicates),
+        queryString = nameValuePairs(fields.query),
+        search = queryString.map(pair => `${encodeURIComponent(pair.name)}=${encodeURIComponent(pair.value)}`).join('&'),
+        body = textOf(fields.body),
+        request = {
+            method: String(fields.method || 'GET').toUpperCase(),
+            url: `${baseURL}${fields.path || '/'}${search ? '?' + search : ''}`,
+            httpVersion: 'HTTP/1.1',
+            cookies: [],
+            headers: nameValuePairs(fields.headers),
+            queryString,
+            headersSize: -1,
+            bodySize: Buffer.byteLength(body)
+        };
+
+    if (body !== '') {
+        request.postData = { mimeType: headerValue(fields.headers, 'content-type') || '', text: body };
+    }
+    return request;
+}
+
+function harResponseFor (is) {
+    const statusCode = Number(is.statusCode || 200),
+        text = textOf(is.body),
+        content = {
+            size: is._mode === 'binary' ? Buffer.from(text, 'base64').length : Buffer.byteLength(text),
+            mimeType: headerValue(is.headers, 'content-type') || '',
+            text
+        };
+
+    if (is._mode === 'binary') {
+        content.encoding = 'base64';
+    }
+    return {
+        status: statusCode,
+        statusText: http.STATUS_CODES[statusCode] || '',
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: nameValuePairs(is.headers),
+        content,
+        redirectURL: headerValue(is.headers, 'location') || '',
+        headersSize: -1,
+        bodySize: content.size
+    };
+}
+
+/**
+ * Exports the is responses of an http imposter as a HAR log
+ * @param {Object} imposter - The imposter JSON
+ * @returns {Object} - The HAR document
+ */
+function fromImposter (imposter) {
+    if (['http', 'https'].indexOf(imposter.protocol) < 0) {
+        throw errors.ValidationError('only http and https imposters can be exported as HAR', { source: imposter.protocol });
+    }
+
+    const baseURL = `${imposter.protocol}://localhost:${imposter.port}`,
+        startedDateTime = new Date().toISOString(),
+        entries = [];
+
+    (imposter.stubs || []).forEach(stub => {
+        (stub.responses || []).filter(response => helpers.isObject(response.is)).forEach(response => {
+            const time = Number(response.is._proxyResponseTime || 0);
+
+            entries.push({
+                startedDateTime,
+                time,
+                request: harRequestFor(stub, baseURL),
+                response: harResponseFor(response.is),
+                cache: {},
+                timings: { send: 0, wait: time, receive: 0 }
+            });
+        });
+    });
+
+    return {
+        log: {
+            version: '1.2',
+            creator: { name: 'mountebank', version: thisPackage.version },
+            entries
+        }
+    };
+}
+
+function predicatesFor (request) {
+    const url = new URL(request.url, 'http://localhost'),
+        query = fromNameValuePairs(Array.from(url.searchParams).map(pair => ({ name: pair[0], value: pair[1] }))),
+        equals = { method: String(request.method || 'GET').toUpperCase(), path: url.pathname },
+        text = request.postData && request.postData.text;
+
+    if (Object.keys(query).length > 0) {
+        equals.query = query;
+    }
+    if (text) {
+        equals.body = text;
+    }
+    return [{ equals }];
+}
+
+function isResponseFor (response) {
+    const content = response.content || {},
+        headers = (response.headers || []).filter(header =>
+            header.name.indexOf(':') !== 0 && TRANSFER_HEADERS.indexOf(header.name.toLowerCase()) < 0),
+        is = { statusCode: response.status, headers: fromNameValuePairs(headers) };
+
+    if (content.text) {
+        is.body = content.text;
+    }
+    if (content.encoding === 'base64') {
+        is._mode = 'binary';
+    }
+    return is;
+}
+
+/**
+ * Creates an http imposter from a HAR log. Entries for the same request become a sequence of
+ * responses on one stub, the same way proxies record them
+ * @param {Object} har - The parsed HAR document
+ * @param {Object} options - Optional imposter fields, like port
+ * @returns {Object} - The imposter configuration, ready to POST to /imposters
+ */
+function toImposter (har, options) {
+    if (!helpers.isObject(har) || !helpers.isObject(har.log) || !Array.isArray(har.log.entries)) {
+        throw errors.ValidationError("the HAR document must have a 'log.entries' array");
+    }
+
+    const stubsByPredicates = {};
+
+    // Requests the browser never got a response for have a status of 0
+    har.log.entries.filter(entry => entry.request && entry.response && entry.response.status > 0).forEach(entry => {
+        const predicates = predicatesFor(entry.request),
+            key = JSON.stringify(predicates);
+
+        stubsByPredicates[key] = stubsByPredicates[key] || { predicates, responses: [] };
+        stubsByPredicates[key].responses.push({ is: isResponseFor(entry.response) });
+    });
+
+    return Object.assign({ protocol: 'http', stubs: Object.keys(stubsByPredicates).map(key => stubsByPredicates[key]) }, options || {});
+}
+
+module.exports = { fromImposter, toImposter };
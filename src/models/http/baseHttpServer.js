@@ -6,10 +6,17 @@
  */
 
 const net = require('net'),
+    http = require('http'),
+    http2 = require('http2'),
     headersMap = require('./headersMap.js'),
     errors = require('../../util/errors.js'),
     httpProxy = require('./httpProxy.js'),
     httpRequest = require('./httpRequest.js'),
+    streamingResponse = require('./streamingResponse.js'),
+    throttle = require('../throttle.js'),
+    faults = require('../faults.js'),
+    webSocket = require('./webSocket.js'),
+    http2Headers = require('../http2/http2Headers.js'),
     helpers = require('../../util/helpers.js');
 
 module.exports = function (createBaseServer) {
@@ -18,7 +25,32 @@ module.exports = function (createBaseServer) {
         const connections = {},
             defaultResponse = options.defaultResponse || {};
 
-        function postProcess (stubResponse, request) {
+        function chunksFor (stubResponse, body, encoding) {
+            const chunks = streamingResponse.chunksFor(stubResponse);
+
+            if (!stubResponse._throttle) {
+                return chunks;
+            }
+            // Throttled responses trickle out as chunks, even if they weren't streamed
+            return throttle.chunksFor(chunks || [{ data: body, delay: 0 }], stubResponse._throttle, encoding);
+        }
+
+        // Faults like TRUNCATED_BODY write a corrupted version of the response directly to the socket
+        function faultMessageFor (stubResponse, encoding) {
+            const body = Buffer.from(stubResponse.body.toString(), encoding),
+                headers = headersMap.of(helpers.clone(stubResponse.headers)),
+                lines = [`HTTP/1.1 ${stubResponse.statusCode} ${http.STATUS_CODES[stubResponse.statusCode] || ''}`];
+
+            headers.set('Content-Length', body.length);
+            Object.keys(headers.all()).forEach(name => {
+                [].concat(headers.get(name)).forEach(value => {
+                    lines.push(`${name}: ${value}`);
+                });
+            });
+            return { head: lines.join('\r\n') + '\r\n\r\n', body };
+        }
+
+        function postProcess (stubResponse, request, isHttp2) {
             /* eslint complexity: 0 */
             const defaultHeaders = defaultResponse.headers || {},
                 response = {
@@ -56,22 +88,86 @@ module.exports = function (createBaseServer) {
                 response.body = response.body.replace(/[^A-Za-z0-9=+/]+/g, '');
             }
 
-            if (!responseHeaders.has('Connection')) {
-                responseHeaders.set('Connection', 'close');
+            const chunks = chunksFor(stubResponse, response.body, encoding);
+            if (chunks) {
+                // The length isn't known up front, so streamed responses use chunked encoding
+                response.chunks = chunks;
+                responseHeaders.remove('Content-Length');
+                if (Array.isArray(stubResponse.events) && !responseHeaders.has('Content-Type')) {
+                    responseHeaders.set('Content-Type', 'text/event-stream');
+                    responseHeaders.set('Cache-Control', 'no-cache');
+                }
             }
-
-            if (responseHeaders.has('Content-Length')) {
+            else if (responseHeaders.has('Content-Length')) {
                 responseHeaders.set('Content-Length', Buffer.byteLength(response.body, encoding));
             }
 
+            if (isHttp2) {
+                // HTTP/2 rejects connection-specific headers, which are common in responses recorded over HTTP/1.1
+                response.headers = http2Headers.withoutConnectionHeaders(responseHeaders.all());
+            }
+            else if (!responseHeaders.has('Connection')) {
+                responseHeaders.set('Connection', 'close');
+            }
+
             return response;
         }
 
+        function socketFor (request) {
+            if (request.httpVersionMajor !== 2) {
+                return request.socket;
+            }
+
+            // The HTTP/2 session owns the socket and stops responding if we write to it directly,
+            // so we simulate sending garbage by terminating the session with a protocol error
+            const session = request.stream.session;
+            let sentGarbage = false;
+
+            function destroy () {
+                if (sentGarbage) {
+                    session.destroy(undefined, http2.constants.NGHTTP2_PROTOCOL_ERROR);
+                }
+                else {
+                    session.destroy();
+                }
+            }
+
+            return {
+                write: (...args) => {
+                    const callback = args.find(arg => typeof arg === 'function');
+
+                    sentGarbage = true;
+                    if (callback) {
+                        setImmediate(callback);
+                    }
+                },
+                end: destroy,
+                destroy
+            };
+        }
+
+        // Node gives every request with an Upgrade header to the upgrade listener, so requests that
+        // aren't WebSocket handshakes, like h2c upgrades, are replayed into a server without one,
+        // which parses them like any other request and lets the stubs answer over HTTP/1.1
+        function answerWithoutUpgrade (request, socket, head) {
+            const lines = [`${request.method} ${request.url} HTTP/${request.httpVersion}`];
+
+            for (let i = 0; i < request.rawHeaders.length; i += 2) {
+                lines.push(`${request.rawHeaders[i]}: ${request.rawHeaders[i + 1]}`);
+            }
+            socket.unshift(Buffer.concat([Buffer.from(lines.join('\r\n') + '\r\n\r\n'), head]));
+            plainServer.emit('connection', socket);
+        }
+
         const baseServer = createBaseServer(options),
-            server = baseServer.createNodeServer();
+            server = baseServer.createNodeServer(),
+            plainServer = http.createServer(),
+            webSockets = webSocket.create(logger, responseFn);
 
         // Allow long wait behaviors
         server.timeout = 0;
+        plainServer.timeout = 0;
+        plainServer.on('request', (request, response) => server.emit('request', request, response));
 
         server.on('connect', (response, client, head) => {
             const host = response.socket.servername;
@@ -95,6 +191,18 @@ module.exports = function (createBaseServer) {
             });
         });
 
+        server.on('upgrade', (request, socket, head) => {
+            if (webSocket.isUpgrade(request)) {
+                webSockets.handleUpgrade(request, socket, head).catch(error => {
+                    logger.error('%s WebSocket upgrade X=> %s', helpers.socketName(socket), JSON.stringify(errors.details(error)));
+                    socket.destroy();
+                });
+            }
+            else {
+                answerWithoutUpgrade(request, socket, head);
+            }
+        });
+
         server.on('connection', socket => {
             const name = helpers.socketName(socket);
 
@@ -119,7 +227,8 @@ module.exports = function (createBaseServer) {
         });
 
         server.on('request', async (request, response) => {
-            const clientName = helpers.socketName(request.socket);
+            const clientName = helpers.socketName(request.socket),
+                isHttp2 = request.httpVersionMajor === 2;
 
             logger.info(`${clientName} => ${request.method} ${request.url}`);
 
@@ -128,20 +237,25 @@ module.exports = function (createBaseServer) {
                 logger.debug('%s => %s', clientName, JSON.stringify(simplifiedRequest));
 
                 const mbResponse = await responseFn(simplifiedRequest, { rawUrl: request.url }),
-                    stubResponse = postProcess(mbResponse, simplifiedRequest),
+                    stubResponse = postProcess(mbResponse, simplifiedRequest, isHttp2),
                     encoding = stubResponse._mode === 'binary' ? 'base64' : 'utf8';
 
                 if (mbResponse.blocked) {
-                    request.socket.destroy();
+                    socketFor(request).destroy();
                     return;
                 }
 
-                if (helpers.simulateFault(request.socket, mbResponse.fault, logger)) {
+                if (mbResponse.fault && faults.simulate(socketFor(request), mbResponse.fault, faultMessageFor(stubResponse, encoding), logger)) {
                     return;
                 }
 
                 response.writeHead(stubResponse.statusCode, stubResponse.headers);
-                response.end(stubResponse.body.toString(), encoding);
+                if (stubResponse.chunks) {
+                    await streamingResponse.write(response, stubResponse.chunks, encoding);
+                }
+                else {
+                    response.end(stubResponse.body.toString(), encoding);
+                }
 
                 if (stubResponse) {
                     logger.debug('%s <= %s', clientName, JSON.stringify(stubResponse));
@@ -49,6 +49,14 @@ function of (headers) {
         headers[headerNameFor(headerName)] = value;
     }
 
+    /**
+     * Removes the given header in a case-insensitive way
+     * @param {String} headerName - the header name
+     */
+    function remove (headerName) {
+        delete headers[headerNameFor(headerName)];
+    }
+
     /**
      * Retrieves all the headers with the original case for the keys
      * @returns {Object} - the key/value pairs
@@ -57,7 +65,7 @@ function of (headers) {
         return headers;
     }
 
-    return { get, set, has, all };
+    return { get, set, has, remove, all };
 }
 
 function add (current, value) {
@@ -7,11 +7,13 @@
 
 const https = require('https'),
     http = require('http'),
+    http2 = require('http2'),
     queryString = require('querystring'),
+    { StringDecoder } = require('string_decoder'),
     HttpProxyAgent = require('http-proxy-agent'),
     HttpsProxyAgent = require('https-proxy-agent'),
-    helpers = require('../../util/helpers.js'),
     headersMap = require('./headersMap.js'),
+    http2Headers = require('../http2/http2Headers.js'),
     errors = require('../../util/errors.js');
 
 
@@ -96,7 +98,7 @@ function create (logger) {
                 port: parts.port || defaultPort,
                 auth: parts.auth,
                 path: toUrl(originalRequest.path, originalRequest.query, requestDetails),
-                headers: helpers.clone(originalRequest.headers),
+                headers: http2Headers.withoutPseudoHeaders(originalRequest.headers),
                 cert: proxyOptions.cert,
                 key: proxyOptions.key,
                 ciphers: proxyOptions.ciphers || 'ALL',
@@ -125,6 +127,46 @@ function create (logger) {
         return proxiedRequest;
     }
 
+    function http2HeadersFor (parts, originalRequest, proxyOptions, requestDetails) {
+        const hostIsInjected = proxyOptions.injectHeaders && headersMap.of(proxyOptions.injectHeaders).has('host'),
+            headers = http2Headers.withoutConnectionHeaders(http2Headers.withoutPseudoHeaders(originalRequest.headers)),
+            result = {
+                ':method': originalRequest.method,
+                ':path': toUrl(originalRequest.path, originalRequest.query, requestDetails),
+                // Only use the request host if overridden via injectHeaders (issue #388)
+                ':authority': hostIsInjected ? headersMap.of(headers).get('host') : parts.host
+            };
+
+        Object.keys(headers).filter(name => name.toLowerCase() !== 'host').forEach(name => {
+            result[name] = headers[name];
+        });
+        return result;
+    }
+
+    function getHttp2ProxyRequest (baseUrl, originalRequest, proxyOptions, requestDetails) {
+        const parts = new URL(baseUrl),
+            session = http2.connect(parts.origin, {
+                cert: proxyOptions.cert,
+                key: proxyOptions.key,
+                ciphers: proxyOptions.ciphers || 'ALL',
+                secureProtocol: proxyOptions.secureProtocol,
+                passphrase: proxyOptions.passphrase,
+                rejectUnauthorized: false
+            }),
+            proxiedRequest = session.request(http2HeadersFor(parts, originalRequest, proxyOptions, requestDetails));
+
+        // Connection errors are also emitted on the stream, where the caller handles them
+        session.on('error', error => {
+            logger.debug('HTTP/2 proxy session error: %s', error.message);
+        });
+        proxiedRequest.on('close', () => session.close());
+
+        if (originalRequest.body) {
+            proxiedRequest.write(originalRequest.body);
+        }
+        return proxiedRequest;
+    }
+
     function isBinaryResponse (headers) {
         const contentEncoding = headers['content-encoding'] || '',
             contentType = headers['content-type'] || '';
@@ -145,33 +187,87 @@ function create (logger) {
         }
     }
 
-    function proxy (proxiedRequest) {
+    // Remembers the milliseconds between packets, starting when the response headers arrive
+    function collectPackets (stream) {
+        const packets = [];
+        let lastPacketTime = new Date();
+
+        stream.on('data', chunk => {
+            const now = new Date();
+            packets.push({ data: chunk, delay: now - lastPacketTime });
+            lastPacketTime = now;
+        });
+        return packets;
+    }
+
+    function chunksFrom (packets, encoding) {
+        // Decode text incrementally so multi-byte characters split across packets survive
+        const decoder = new StringDecoder(encoding),
+            chunks = packets.map(packet => ({
+                data: encoding === 'base64' ? packet.data.toString(encoding) : decoder.write(packet.data),
+                delay: packet.delay
+            }));
+
+        // Flush any incomplete character left at the end of the last packet
+        if (encoding !== 'base64' && chunks.length > 0) {
+            chunks[chunks.length - 1].data += decoder.end();
+        }
+        return chunks;
+    }
+
+    function stubResponseFor (statusCode, headers, packets, mode, options) {
+        const encoding = mode === 'binary' ? 'base64' : 'utf8',
+            stubResponse = { statusCode, headers };
+
+        if (options.recordChunks) {
+            stubResponse.chunks = chunksFrom(packets, encoding);
+        }
+        else {
+            const body = Buffer.concat(packets.map(packet => packet.data));
+            stubResponse.body = maybeJSON(body.toString(encoding));
+        }
+        stubResponse._mode = mode;
+        return stubResponse;
+    }
+
+    function proxy (proxiedRequest, options) {
         return new Promise(resolve => {
             proxiedRequest.end();
 
             proxiedRequest.once('response', response => {
-                const packets = [];
-
-                response.on('data', chunk => {
-                    packets.push(chunk);
-                });
+                const packets = collectPackets(response);
 
                 response.on('end', () => {
-                    const body = Buffer.concat(packets),
-                        mode = isBinaryResponse(response.headers) ? 'binary' : 'text',
-                        encoding = mode === 'binary' ? 'base64' : 'utf8',
-                        stubResponse = {
-                            statusCode: response.statusCode,
-                            headers: headersMap.ofRaw(response.rawHeaders).all(),
-                            body: maybeJSON(body.toString(encoding)),
-                            _mode: mode
-                        };
-                    resolve(stubResponse);
+                    const mode = isBinaryResponse(response.headers) ? 'binary' : 'text',
+                        headers = headersMap.ofRaw(response.rawHeaders).all();
+
+                    resolve(stubResponseFor(response.statusCode, headers, packets, mode, options));
                 });
             });
         });
     }
 
+    function proxyHttp2 (proxiedRequest, options) {
+        return new Promise(resolve => {
+            let responseHeaders = {},
+                packets = [];
+
+            proxiedRequest.end();
+
+            proxiedRequest.once('response', headers => {
+                responseHeaders = headers;
+                packets = collectPackets(proxiedRequest);
+            });
+
+            proxiedRequest.once('end', () => {
+                const mode = isBinaryResponse(responseHeaders) ? 'binary' : 'text',
+                    headers = http2Headers.withoutPseudoHeaders(responseHeaders);
+
+                resolve(stubResponseFor(responseHeaders[':status'], headers, packets, mode, options));
+            });
+        });
+    }
+
     /**
      * Proxies an http/s request to a destination
      * @memberOf module:models/http/httpProxy#
@@ -182,6 +278,8 @@ function create (logger) {
      * @param {string} [options.key] - The private key, in case the destination requires mutual authentication
      * @param {Object} [options.injectHeaders] - The headers to inject in the proxied request
      * @param {Object} [options.passphrase] - The passphrase for the private key
+     * @param {Boolean} [options.http2] - If true, proxies using HTTP/2 (h2c for http, ALPN-negotiated h2 for https)
+     * @param {Boolean} [options.recordChunks] - If true, saves the response as timed chunks instead of a single body
      * @param {Object} requestDetails - Additional details about the request not stored in the simplified JSON
      * @returns {Object} - Promise resolving to the response
      */
@@ -195,9 +293,11 @@ function create (logger) {
         }
 
         return new Promise((resolve, reject) => {
+            const createProxyRequest = options.http2 ? getHttp2ProxyRequest : getProxyRequest,
+                sendProxyRequest = options.http2 ? proxyHttp2 : proxy;
             let proxiedRequest;
             try {
-                proxiedRequest = getProxyRequest(proxyDestination, originalRequest, options, requestDetails);
+                proxiedRequest = createProxyRequest(proxyDestination, originalRequest, options, requestDetails);
             }
             catch (e) {
                 reject(errors.InvalidProxyError(`Unable to connect to ${JSON.stringify(proxyDestination)}`));
@@ -206,10 +306,13 @@ function create (logger) {
             log('=>', originalRequest);
 
             proxiedRequest.once('error', error => {
-                if (error.code === 'ENOTFOUND' || error.code === 'EAI_AGAIN') {
+                // HTTP/2 reports connection errors as the cause of a cancelled stream
+                const code = (error.cause || error).code;
+
+                if (code === 'ENOTFOUND' || code === 'EAI_AGAIN') {
                     reject(errors.InvalidProxyError(`Cannot resolve ${JSON.stringify(proxyDestination)}`));
                 }
-                else if (error.code === 'ECONNREFUSED' || error.code === 'ECONNRESET') {
+                else if (code === 'ECONNREFUSED' || code === 'ECONNRESET') {
                     reject(errors.InvalidProxyError(`Unable to connect to ${JSON.stringify(proxyDestination)}`));
                 }
                 else {
@@ -217,7 +320,7 @@ function create (logger) {
                 }
             });
 
-            proxy(proxiedRequest).then(response => {
+            sendProxyRequest(proxiedRequest, options).then(response => {
                 log('<=', response);
                 resolve(response);
             });
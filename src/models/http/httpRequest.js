@@ -12,10 +12,24 @@ const queryString = require('querystring'),
  * @module
  */
 
+// HTTP/2 sends the method and path as pseudo-headers, which duplicate the method and path fields.
+// Other pseudo-headers, like :authority and :scheme, are kept so predicates can match on them
+const REDUNDANT_PSEUDO_HEADERS = [':method', ':path'];
+
+function rawHeadersWithoutRedundancies (rawHeaders) {
+    const result = [];
+    for (let i = 0; i < rawHeaders.length; i += 2) {
+        if (REDUNDANT_PSEUDO_HEADERS.indexOf(rawHeaders[i]) < 0) {
+            result.push(rawHeaders[i], rawHeaders[i + 1]);
+        }
+    }
+    return result;
+}
+
 function transform (request) {
     const url = new URL(request.url, 'http://localhost'),
         search = url.search === '' ? '' : url.search.substr(1),
-        headersMap = headersMapModule.ofRaw(request.rawHeaders),
+        headersMap = headersMapModule.ofRaw(rawHeadersWithoutRedundancies(request.rawHeaders)),
         transformed = {
             requestFrom: helpers.socketName(request.socket),
             method: request.method,
@@ -79,4 +93,14 @@ function createFrom (request) {
     });
 }
 
-module.exports = { createFrom };
+/**
+ * Creates the API-friendly http/s request for a WebSocket upgrade, which never has a body
+ * @param {Object} request - The raw http/s upgrade request
+ * @returns {Object} - Promise resolving to the simplified request
+ */
+function createFromUpgrade (request) {
+    request.body = '';
+    return Promise.resolve(transform(request));
+}
+
+module.exports = { createFrom, createFromUpgrade };
@@ -0,0 +1,89 @@
+'use strict';
+
+const helpers = require('../../util/helpers.js');
+
+/**
+ * Supports http responses that are written as a sequence of delayed chunks
+ * rather than a single body, including Server-Sent Events
+ * @module
+ */
+
+function stringify (data) {
+    if (!helpers.defined(data)) {
+        return '';
+    }
+    return helpers.isObject(data) ? JSON.stringify(data) : String(data);
+}
+
+/**
+ * Formats an event using the text/event-stream format
+ * @param {Object} event - The event, with optional event, id, retry, and data fields, or a string for data-only events
+ * @returns {string}
+ */
+function formatEvent (event) {
+    const fields = helpers.isObject(event) ? event : { data: event },
+        lines = [];
+
+    ['event', 'id', 'retry'].forEach(field => {
+        if (helpers.defined(fields[field])) {
+            lines.push(`${field}: ${fields[field]}`);
+        }
+    });
+    stringify(fields.data).split(/\r\n|\r|\n/).forEach(line => {
+        lines.push(`data: ${line}`);
+    });
+
+    return lines.join('\n') + '\n\n';
+}
+
+/**
+ * Converts the chunks or events field of a stub response into chunks to write
+ * @param {Object} stubResponse - The response, which may have chunks or events fields
+ * @returns {Array} - The chunks, each with data and delay fields, or undefined if the response isn't streamed
+ */
+function chunksFor (stubResponse) {
+    if (Array.isArray(stubResponse.events)) {
+        return stubResponse.events.map(event => ({
+            data: formatEvent(event),
+            delay: (helpers.isObject(event) && event.delay) || 0
+        }));
+    }
+    if (Array.isArray(stubResponse.chunks)) {
+        return stubResponse.chunks.map(chunk => {
+            const fields = helpers.isObject(chunk) ? chunk : { data: chunk };
+            return { data: stringify(fields.data), delay: fields.delay || 0 };
+        });
+    }
+    return undefined;
+}
+
+// HTTP/2 compatibility responses don't have a destroyed property, but their stream does
+function isClosed (response) {
+    return Boolean(response.destroyed || (response.stream && response.stream.destroyed));
+}
+
+/**
+ * Writes each chunk after its delay and ends the response,
+ * stopping early if the client disconnects
+ * @param {Object} response - The node http response, after the head has been written
+ * @param {Array} chunks - The chunks, each with data and delay fields
+ * @param {string} encoding - The encoding of the chunk data
+ * @returns {Object} - Promise resolving once the response has ended
+ */
+async function write (response, chunks, encoding) {
+    // Flush the headers so clients see the response start before the first delay
+    response.flushHeaders();
+
+    for (const chunk of chunks) {
+        if (chunk.delay > 0) {
+            await new Promise(resolve => setTimeout(resolve, chunk.delay));
+        }
+        if (isClosed(response)) {
+            return;
+        }
+        response.write(chunk.data, encoding);
+    }
+    response.end();
+}
+
+module.exports = { formatEvent, chunksFor, write };
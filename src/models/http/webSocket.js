@@ -0,0 +1,163 @@
+'use strict';
+
+const WebSocket = require('ws'),
+    errors = require('../../util/errors.js'),
+    helpers = require('../../util/helpers.js'),
+    httpRequest = require('./httpRequest.js');
+
+/**
+ * Accepts WebSocket upgrades on http/s imposters. The handshake and each inbound frame
+ * are resolved through the stubs, and the response frames are sent back to the client,
+ * optionally delayed and repeated to simulate server pushes
+ * @module
+ */
+
+/**
+ * Returns true if the request is asking to upgrade to a WebSocket
+ * @param {Object} request - The raw http request
+ * @returns {boolean}
+ */
+function isUpgrade (request) {
+    const upgrade = request.headers.upgrade || '';
+    return upgrade.toLowerCase() === 'websocket';
+}
+
+function normalize (frame) {
+    const result = helpers.isObject(frame) ? frame : { data: frame };
+
+    return {
+        data: helpers.isObject(result.data) ? JSON.stringify(result.data) : String(result.data || ''),
+        delay: result.delay || 0,
+        repeat: helpers.defined(result.repeat) ? result.repeat : 1
+    };
+}
+
+function frameRequestFrom (handshake, message, isBinary) {
+    return {
+        requestFrom: handshake.requestFrom,
+        ip: handshake.ip,
+        path: handshake.path,
+        query: handshake.query,
+        headers: handshake.headers,
+        data: isBinary ? message.toString('base64') : message.toString('utf8')
+    };
+}
+
+/**
+ * Creates the upgrade handler for an imposter
+ * @param {Object} logger - The imposter logger
+ * @param {Function} responseFn - The function that resolves a request to a stub response
+ * @returns {Object}
+ */
+function create (logger, responseFn) {
+    const server = new WebSocket.Server({ noServer: true });
+
+    // Frames are sent in order, each waiting for its delay after the previous frame.
+    // The timers are cleared when the connection closes so scheduled pushes don't leak
+    function send (socket, response, timers, clientName) {
+        const frames = (response.frames || []).map(normalize),
+            isBinary = response._mode === 'binary';
+        let index = 0,
+            sent = 0;
+
+        function sendNext () {
+            while (index < frames.length && sent >= frames[index].repeat) {
+                index += 1;
+                sent = 0;
+            }
+            if (index >= frames.length) {
+                return;
+            }
+
+            const frame = frames[index],
+                timer = setTimeout(() => {
+                    timers.delete(timer);
+                    if (socket.readyState === WebSocket.OPEN) {
+                        socket.send(isBinary ? Buffer.from(frame.data, 'base64') : frame.data, { binary: isBinary });
+                        logger.debug('%s <= %s', clientName, frame.data);
+                        sendNext();
+                    }
+                }, frame.delay);
+
+            sent += 1;
+            timers.add(timer);
+        }
+
+        sendNext();
+    }
+
+    async function resolve (request, rawUrl, clientName) {
+        try {
+            return await responseFn(request, { rawUrl });
+        }
+        catch (error) {
+            logger.error('%s X=> %s', clientName, JSON.stringify(errors.details(error)));
+            return { frames: [JSON.stringify({ errors: [errors.details(error)] })] };
+        }
+    }
+
+    function onConnection (socket, rawRequest, handshake, handshakeResponse) {
+        const clientName = handshake.requestFrom,
+            timers = new Set();
+
+        function respond (response) {
+            if (response.blocked) {
+                socket.terminate();
+            }
+            else {
+                send(socket, response, timers, clientName);
+            }
+        }
+
+        // The handshake's response can push frames as soon as the connection opens
+        let pending = Promise.resolve(respond(handshakeResponse));
+
+        socket.on('message', (message, isBinary) => {
+            const request = frameRequestFrom(handshake, message, isBinary);
+            logger.info(`${clientName} => WebSocket frame on ${request.path}`);
+            logger.debug('%s => %s', clientName, JSON.stringify(request));
+
+            // Resolve frames in the order received so responses aren't reordered
+            pending = pending
+                .then(() => resolve(request, rawRequest.url, clientName))
+                .then(respond);
+        });
+
+        socket.on('error', error => {
+            logger.error('%s WebSocket error X=> %s', clientName, JSON.stringify(errors.details(error)));
+        });
+
+        socket.on('close', () => {
+            logger.debug('%s WebSocket CLOSED', clientName);
+            timers.forEach(timer => clearTimeout(timer));
+            timers.clear();
+        });
+    }
+
+    /**
+     * Resolves the handshake like any other request, then completes the WebSocket handshake
+     * and starts resolving frames through the stubs. Blocked IP addresses are rejected with a 403
+     * before the handshake completes
+     * @param {Object} request - The raw http upgrade request
+     * @param {Object} socket - The network socket
+     * @param {Object} head - The first packet of the upgraded stream
+     */
+    async function handleUpgrade (request, socket, head) {
+        const handshake = await httpRequest.createFromUpgrade(request);
+        logger.info(`${handshake.requestFrom} => WebSocket upgrade ${request.url}`);
+
+        const response = await resolve(handshake, request.url, handshake.requestFrom);
+        if (response.blocked) {
+            socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\nContent-Length: 0\r\n\r\n');
+            return;
+        }
+
+        server.handleUpgrade(request, socket, head, webSocket => {
+            onConnection(webSocket, request, handshake, response);
+        });
+    }
+
+    return { handleUpgrade };
+}
+
+module.exports = { isUpgrade, create };
@@ -0,0 +1,59 @@
+'use strict';
+
+/**
+ * Helpers for translating headers between HTTP/1.x and HTTP/2, which forbids
+ * connection-specific headers and adds pseudo-headers like :authority and :scheme
+ * @module
+ */
+
+// See https://httpwg.org/specs/rfc9113.html#ConnectionSpecific
+const CONNECTION_SPECIFIC_HEADERS = [
+    'connection',
+    'keep-alive',
+    'proxy-connection',
+    'transfer-encoding',
+    'upgrade',
+    'http2-settings'
+];
+
+/**
+ * Returns true if the header is an HTTP/2 pseudo-header (e.g. :authority)
+ * @param {String} headerName - the header name
+ * @returns {boolean}
+ */
+function isPseudoHeader (headerName) {
+    return headerName.indexOf(':') === 0;
+}
+
+function filter (headers, shouldRemove) {
+    const result = {};
+
+    Object.keys(headers || {}).forEach(name => {
+        if (!shouldRemove(name)) {
+            result[name] = headers[name];
+        }
+    });
+    return result;
+}
+
+/**
+ * Returns a copy of the headers without any pseudo-headers,
+ * suitable for sending over HTTP/1.x
+ * @param {Object} headers - the headers
+ * @returns {Object}
+ */
+function withoutPseudoHeaders (headers) {
+    return filter(headers, isPseudoHeader);
+}
+
+/**
+ * Returns a copy of the headers without the connection-specific headers
+ * that HTTP/2 does not allow
+ * @param {Object} headers - the headers
+ * @returns {Object}
+ */
+function withoutConnectionHeaders (headers) {
+    return filter(headers, name => CONNECTION_SPECIFIC_HEADERS.indexOf(name.toLowerCase()) >= 0);
+}
+
+module.exports = { isPseudoHeader, withoutPseudoHeaders, withoutConnectionHeaders };
@@ -0,0 +1,44 @@
+'use strict';
+
+const path = require('path'),
+    fs = require('fs'),
+    http2 = require('http2'),
+    baseHttpServer = require('../http/baseHttpServer.js'),
+    http2Validator = require('./http2Validator.js');
+
+/**
+ * Represents an http2 imposter, supporting both cleartext (h2c) and TLS (h2).
+ * TLS imposters negotiate the protocol with ALPN and fall back to HTTP/1.1 by default.
+ * @module
+ */
+
+function createBaseServer (options) {
+    if (!options.tls) {
+        return {
+            metadata: { tls: false },
+            createNodeServer: () => http2.createServer()
+        };
+    }
+
+    const metadata = {
+            tls: true,
+            allowHTTP1: options.allowHTTP1 !== false,
+            key: options.key || fs.readFileSync(path.join(__dirname, '../https/cert/mb-key.pem'), 'utf8'),
+            cert: options.cert || fs.readFileSync(path.join(__dirname, '../https/cert/mb-cert.pem'), 'utf8')
+        },
+        config = {
+            key: metadata.key,
+            cert: metadata.cert,
+            allowHTTP1: metadata.allowHTTP1
+        };
+
+    return {
+        metadata,
+        createNodeServer: () => http2.createSecureServer(config)
+    };
+}
+
+const server = baseHttpServer(createBaseServer);
+server.validate = http2Validator.validate;
+
+module.exports = server;
@@ -0,0 +1,22 @@
+'use strict';
+
+const exceptions = require('../../util/errors.js'),
+    helpers = require('../../util/helpers.js');
+
+/**
+ * Additional http2-specific validations
+ * @module
+ */
+
+function validate (request) {
+    const errors = [];
+
+    ['tls', 'allowHTTP1'].forEach(field => {
+        if (helpers.defined(request[field]) && typeof request[field] !== 'boolean') {
+            errors.push(exceptions.ValidationError(`'${field}' must be a boolean`));
+        }
+    });
+    return errors;
+}
+
+module.exports = { validate };
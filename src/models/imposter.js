@@ -12,10 +12,26 @@ const prometheus = require('prom-client'),
     compatibility = require('./compatibility.js'),
     scopedLogger = require('../util/scopedLogger.js'),
     helpers = require('../util/helpers.js'),
+    errors = require('../util/errors.js'),
     predicates = require('./predicates.js'),
+    verifier = require('./verifier.js'),
+    contractValidator = require('./contractValidator.js'),
+    chaosPolicy = require('./chaos.js'),
+    behaviors = require('./behaviors.js'),
+    namedFunctions = require('./namedFunctions.js'),
+    dataSources = require('./dataSources.js'),
+    shellWorkers = require('./shellWorkers.js'),
     imposterPrinter = require('./imposterPrinter.js'),
     cachedObjects = {};
 
+// Every scenario starts in this state, and returns to it when the scenarios are reset
+const STARTED_STATE = 'Started';
+
+// Unmatched requests are kept in memory, so only the most recent ones are remembered
+const MAX_UNMATCHED_REQUESTS = 100,
+    MAX_CLOSEST_STUBS = 3,
+    MAX_CONTRACT_VIOLATIONS = 100;
+
 /**
  * Create the imposter
  * @param {Object} Protocol - The protocol factory for creating servers of that protocol
@@ -50,16 +66,98 @@ async function create (Protocol, creationRequest, baseLogger, config, isAllowedC
     let resolver;
     let encoding;
     let numberOfRequests = 0;
+    let scenarioStates = {};
+    let unmatchedRequests = [];
+    let contractViolations = [];
 
     compatibility.upcast(creationRequest);
 
+    const contractConfig = creationRequest.contract,
+        contract = contractConfig ? contractValidator.create(contractConfig) : undefined;
+
+    let chaos = creationRequest.chaos ? chaosPolicy.create(helpers.clone(creationRequest.chaos)) : undefined;
+
+    namedFunctions.register(imposterState, creationRequest.functions);
+    dataSources.register(imposterState, creationRequest.tables);
+
+    // Replayable JSON includes both the current stubs and the activeProfile, and the
+    // current stubs win since they may have changed after the profile was activated
+    if (creationRequest.activeProfile && !helpers.defined(creationRequest.stubs)) {
+        creationRequest.stubs = helpers.clone(creationRequest.profiles[creationRequest.activeProfile]);
+    }
+
     // If the CLI --mock flag is passed, we record even if the imposter level recordRequests = false
     const recordRequests = config.recordRequests || creationRequest.recordRequests;
 
+    function scenarioStateOf (scenario, states = scenarioStates) {
+        return states[scenario] || STARTED_STATE;
+    }
+
+    function isInRequiredState (stub, states = scenarioStates) {
+        if (!stub.scenario || !helpers.defined(stub.requiredState)) {
+            return true;
+        }
+        return scenarioStateOf(stub.scenario, states) === stub.requiredState;
+    }
+
+    function transitionScenario (stub) {
+        if (stub.scenario && helpers.defined(stub.newState)) {
+            logger.debug(`scenario ${stub.scenario} moving from ${scenarioStateOf(stub.scenario)} to ${stub.newState}`);
+            scenarioStates[stub.scenario] = stub.newState;
+        }
+    }
+
+    function evaluate (predicate, request) {
+        return predicates.evaluate(predicate, request, encoding, logger, imposterState);
+    }
+
+    function differencesForStub (stub, unmatched) {
+        const differences = [];
+
+        if (!isInRequiredState(stub, unmatched.scenarioStates)) {
+            differences.push({ scenario: stub.scenario, expected: stub.requiredState, actual: scenarioStateOf(stub.scenario, unmatched.scenarioStates) });
+        }
+        (stub.predicates || []).forEach(predicate => {
+            // Injected predicates may have side effects, so we don't run them a second time
+            if (!verifier.hasInjection(predicate)) {
+                differences.push(...verifier.differencesFor(predicate, unmatched.request, evaluate));
+            }
+        });
+        return differences;
+    }
+
+    // Finding the closest stubs reads every stub, which may mean reading files with the
+    // filesystemBackedImpostersRepository, so we only remember the request and the scenario states
+    // it saw, and find the closest stubs when someone asks for them
+    function recordUnmatched (request) {
+        unmatchedRequests.push({ timestamp: new Date().toJSON(), request, scenarioStates: helpers.clone(scenarioStates) });
+        unmatchedRequests = unmatchedRequests.slice(-MAX_UNMATCHED_REQUESTS);
+    }
+
+    async function diagnoseUnmatched () {
+        const undiagnosed = unmatchedRequests.filter(unmatched => !unmatched.closestStubs);
+        if (undiagnosed.length === 0) {
+            return;
+        }
+
+        try {
+            const allStubs = await stubs.toJSON();
+
+            undiagnosed.forEach(unmatched => {
+                unmatched.closestStubs = allStubs
+                    .map((stub, index) => ({ index, differences: differencesForStub(stub, unmatched) }))
+                    .sort((first, second) => first.differences.length - second.differences.length)
+                    .slice(0, MAX_CLOSEST_STUBS);
+            });
+        }
+        catch (error) {
+            logger.debug(`unable to diagnose unmatched requests: ${error.message}`);
+        }
+    }
+
     async function findFirstMatch (request) {
-        const filter = stubPredicates => {
-                return stubPredicates.every(predicate =>
-                    predicates.evaluate(predicate, request, encoding, logger, imposterState));
+        const filter = (stubPredicates, stub) => {
+                return isInRequiredState(stub) && stubPredicates.every(predicate => evaluate(predicate, request));
             },
             observePredicateMatchDuration = metrics.predicateMatchDuration.startTimer(),
             match = await stubs.first(filter);
@@ -67,14 +165,104 @@ async function create (Protocol, creationRequest, baseLogger, config, isAllowedC
         observePredicateMatchDuration({ imposter: logger.scopePrefix });
         if (match.success) {
             logger.debug(`using predicate match: ${JSON.stringify(match.stub.predicates || {})}`);
+            transitionScenario(match.stub);
         }
         else {
             metrics.noMatchCount.inc({ imposter: logger.scopePrefix });
             logger.info('no predicate match, using default response');
+            recordUnmatched(request);
         }
         return match;
     }
 
+    function recordContractViolation (type, request, operation, violationErrors) {
+        const violation = {
+            timestamp: new Date().toJSON(),
+            type,
+            request: { method: request.method, path: request.path },
+            errors: violationErrors
+        };
+
+        if (operation) {
+            violation.operation = operation.name;
+        }
+        contractViolations.push(violation);
+        contractViolations = contractViolations.slice(-MAX_CONTRACT_VIOLATIONS);
+        logger.warn(`contract violation in ${type} to ${request.method} ${request.path}: ${violationErrors.join('; ')}`);
+    }
+
+    function validateContractRequest (request) {
+        if (!contract) {
+            return { errors: [] };
+        }
+
+        const result = contract.validateRequest(request);
+
+        if (contractConfig.validateRequests === false) {
+            result.errors = [];
+        }
+        if (result.errors.length > 0) {
+            recordContractViolation('request', request, result.operation, result.errors);
+        }
+        return result;
+    }
+
+    // The protocol fills in missing fields from the defaultResponse after we return, so we do the same before validating
+    function withDefaultResponse (response) {
+        const defaults = creationRequest.defaultResponse || {};
+
+        return {
+            statusCode: response.statusCode || defaults.statusCode,
+            headers: response.headers || defaults.headers,
+            body: response.body || defaults.body,
+            _mode: response._mode || defaults._mode
+        };
+    }
+
+    // Out of process responses, proxies, and faults aren't finished responses we can check
+    function isResolvedResponse (response) {
+        return !response.proxy && !response.response && !response.blocked && !response.fault;
+    }
+
+    function validateContractResponse (request, operation, response) {
+        if (!operation || contractConfig.validateResponses === false || !isResolvedResponse(response)) {
+            return;
+        }
+
+        const violationErrors = contract.validateResponse(operation, withDefaultResponse(response));
+        if (violationErrors.length > 0) {
+            recordContractViolation('response', request, operation, violationErrors);
+        }
+    }
+
+    function violationResponseFor (violationErrors) {
+        const response = helpers.clone(contractConfig.violationResponse);
+
+        if (!helpers.defined(response.body)) {
+            response.body = { errors: violationErrors };
+            response.headers = response.headers || { 'Content-Type': 'application/json' };
+        }
+        return response;
+    }
+
+    // Chaos errors and faults replace the stub response without consuming it, so the stubs
+    // respond as usual once the chaos is turned off. Latency delays the stub response.
+    async function injectChaos (request) {
+        if (!chaos) {
+            return undefined;
+        }
+
+        const matches = rulePredicates => rulePredicates.every(
+                predicate => predicates.evaluate(predicate, request, encoding, logger, imposterState)),
+            rule = chaos.ruleFor(matches);
+
+        if (!rule) {
+            return undefined;
+        }
+        metrics.chaosInjectedCount.inc({ imposter: logger.scopePrefix, type: chaosPolicy.typeOf(rule) });
+        return chaos.inject(rule, logger);
+    }
+
     async function recordMatch (stub, request, response, responseConfig, start) {
         if (response.proxy) {
             // Out of process proxying, so we don't have the actual response yet.
@@ -114,6 +302,16 @@ async function create (Protocol, creationRequest, baseLogger, config, isAllowedC
             await stubs.addRequest(request);
         }
 
+        const contractResult = validateContractRequest(request);
+        if (contractResult.errors.length > 0 && contractConfig.violationResponse) {
+            return violationResponseFor(contractResult.errors);
+        }
+
+        const chaosResponse = await injectChaos(request);
+        if (chaosResponse) {
+            return chaosResponse;
+        }
+
         const match = await findFirstMatch(request),
             observeResponseGenerationDuration = metrics.responseGenerationDuration.startTimer(),
             responseConfig = await match.stub.nextResponse();
@@ -122,6 +320,7 @@ async function create (Protocol, creationRequest, baseLogger, config, isAllowedC
         const response = await resolver.resolve(responseConfig, request, logger, imposterState, requestDetails);
         observeResponseGenerationDuration({ imposter: logger.scopePrefix });
 
+        validateContractResponse(request, contractResult.operation, response);
         if (config.recordMatches) {
             await recordMatch(match.stub, request, response, responseConfig, start);
         }
@@ -140,6 +339,161 @@ async function create (Protocol, creationRequest, baseLogger, config, isAllowedC
     async function resetRequests () {
         await stubs.deleteSavedRequests();
         numberOfRequests = 0;
+        contractViolations = [];
+    }
+
+    async function getScenarios () {
+        const allStubs = await stubs.toJSON(),
+            result = {};
+
+        allStubs.filter(stub => stub.scenario).forEach(stub => {
+            result[stub.scenario] = scenarioStateOf(stub.scenario);
+        });
+        Object.keys(scenarioStates).forEach(scenario => {
+            result[scenario] = scenarioStates[scenario];
+        });
+        return result;
+    }
+
+    async function resetScenarios () {
+        scenarioStates = {};
+    }
+
+    async function getUnmatched () {
+        await diagnoseUnmatched();
+        return unmatchedRequests.map(unmatched => ({
+            timestamp: unmatched.timestamp,
+            request: unmatched.request,
+            closestStubs: unmatched.closestStubs || []
+        }));
+    }
+
+    function resetUnmatched () {
+        unmatchedRequests = [];
+    }
+
+    function getChaos () {
+        return chaos ? chaos.toJSON() : undefined;
+    }
+
+    /**
+     * Replaces or removes the chaos configuration, saving it with the imposter
+     * @param {Object} chaosConfig - The chaos configuration, or undefined to remove it
+     * @returns {Object} - Promise resolving when the change is saved
+     */
+    async function setChaos (chaosConfig) {
+        if (helpers.defined(chaosConfig)) {
+            chaos = chaosPolicy.create(helpers.clone(chaosConfig));
+            header.chaos = helpers.clone(chaosConfig);
+        }
+        else {
+            chaos = undefined;
+            delete header.chaos;
+        }
+        await stubs.updateHeader({ chaos: header.chaos });
+    }
+
+    /**
+     * Atomically replaces the stubs with the stubs of the named profile.
+     * Recorded requests and scenario states are kept.
+     * @param {string} name - The name of the profile to activate
+     * @returns {Object} - Promise resolving when the stubs are replaced
+     */
+    async function activateProfile (name) {
+        const profiles = header.profiles || {};
+
+        if (typeof name !== 'string') {
+            throw errors.ValidationError("'activeProfile' must be a string", { source: name });
+        }
+        if (!Object.prototype.hasOwnProperty.call(profiles, name)) {
+            throw errors.MissingResourceError(`no profile named ${name}`, { source: Object.keys(profiles) });
+        }
+
+        await stubs.overwriteAll(helpers.clone(profiles[name]));
+        header.activeProfile = name;
+        await stubs.updateHeader({ activeProfile: name });
+        logger.info(`activated ${name} profile`);
+    }
+
+    /**
+     * Replaces the rows of one of the lookup tables, creating it if needed, without
+     * restarting the imposter
+     * @param {string} name - The name of the table
+     * @param {Array} rows - The row objects
+     * @returns {Object} - Promise resolving when the table is saved
+     */
+    async function setTable (name, rows) {
+        if (!Array.isArray(rows) || !rows.every(row => helpers.isObject(row) && !Array.isArray(row))) {
+            throw errors.ValidationError("'rows' must be an array of objects", { source: rows });
+        }
+
+        dataSources.setTable(imposterState, name, rows);
+        header.tables = Object.assign({}, header.tables, { [name]: helpers.clone(rows) });
+        await stubs.updateHeader({ tables: header.tables });
+        logger.info(`replaced ${name} table with ${rows.length} rows`);
+    }
+
+    /**
+     * Removes one of the lookup tables
+     * @param {string} name - The name of the table
+     * @returns {Object} - Promise resolving when the change is saved
+     */
+    async function deleteTable (name) {
+        dataSources.setTable(imposterState, name, undefined);
+        if (header.tables) {
+            delete header.tables[name];
+            if (Object.keys(header.tables).length === 0) {
+                delete header.tables;
+            }
+        }
+        await stubs.updateHeader({ tables: header.tables });
+    }
+
+    /**
+     * Captures the runtime state of the imposter, which the replayable JSON leaves out,
+     * so restoreSnapshot can continue exactly where the imposter left off
+     * @returns {Object} - Promise resolving to the snapshot
+     */
+    async function getSnapshot () {
+        const state = await stubs.getState();
+
+        return {
+            numberOfRequests,
+            requests: state.requests,
+            imposterState: helpers.clone(imposterState),
+            scenarios: helpers.clone(scenarioStates),
+            seededSequences: behaviors.seededStateOf(imposterState),
+            stubs: state.stubs
+        };
+    }
+
+    /**
+     * Replaces the runtime state of the imposter with a previous snapshot. The stubs
+     * must already match the stubs the snapshot was taken from.
+     * @param {Object} snapshot - The result of getSnapshot
+     * @returns {Object} - Promise resolving when the state is restored
+     */
+    async function restoreSnapshot (snapshot) {
+        // The predicates and resolver share the imposterState object, so we change it in place
+        Object.keys(imposterState).forEach(key => {
+            delete imposterState[key];
+        });
+        Object.assign(imposterState, helpers.clone(snapshot.imposterState || {}));
+        behaviors.restoreSeededState(imposterState, snapshot.seededSequences);
+
+        scenarioStates = helpers.clone(snapshot.scenarios || {});
+        numberOfRequests = snapshot.numberOfRequests || 0;
+        await stubs.setState({ stubs: snapshot.stubs || [], requests: snapshot.requests || [] });
+    }
+
+    async function verify (verification) {
+        if (!recordRequests) {
+            throw errors.ValidationError('verification requires recorded requests; set recordRequests on the imposter or start mb with --mock');
+        }
+
+        const requests = await stubs.loadRequests();
+
+        return verifier.verify(verification, requests, evaluate, config.allowInjection);
     }
 
     function getMetrics () {
@@ -181,6 +535,11 @@ async function create (Protocol, creationRequest, baseLogger, config, isAllowedC
                 name: 'mb_blocked_ip_total',
                 help: 'Number of times a connection was blocked from a non-whitelisted IP address',
                 labelNames: ['imposter']
+            }),
+            chaosInjectedCount: new prometheus.Counter({
+                name: 'mb_chaos_injected_total',
+                help: 'Number of times a chaos rule injected latency, an error, or a fault',
+                labelNames: ['imposter', 'type']
             })
         };
 
@@ -207,6 +566,8 @@ async function create (Protocol, creationRequest, baseLogger, config, isAllowedC
                 encoding = server.encoding;
 
                 function stop () {
+                    shellWorkers.stopAll(imposterState);
+                    dataSources.release(imposterState);
                     return new Promise(closed => {
                         server.close(() => {
                             logger.info('Ciao for now');
@@ -219,8 +580,14 @@ async function create (Protocol, creationRequest, baseLogger, config, isAllowedC
                     return recordRequests ? stubs.loadRequests() : [];
                 }
 
-                const printer = imposterPrinter.create(header, server, loadRequests),
-                    toJSON = options => printer.toJSON(numberOfRequests, options);
+                const printer = imposterPrinter.create(header, server, loadRequests, () => contractViolations),
+                    toJSON = async options => {
+                        const json = await printer.toJSON(numberOfRequests, options);
+                        if (options && options.snapshot) {
+                            json.snapshot = await getSnapshot();
+                        }
+                        return json;
+                    };
 
                 return resolve({
                     port: server.port,
@@ -230,7 +597,19 @@ async function create (Protocol, creationRequest, baseLogger, config, isAllowedC
                     stop,
                     getResponseFor,
                     getProxyResponseFor,
-                    resetRequests
+                    resetRequests,
+                    getScenarios,
+                    resetScenarios,
+                    getUnmatched,
+                    resetUnmatched,
+                    getChaos,
+                    setChaos,
+                    activateProfile,
+                    setTable,
+                    deleteTable,
+                    getSnapshot,
+                    restoreSnapshot,
+                    verify
                 });
             }, reject);
         }
@@ -2,7 +2,7 @@
 
 const helpers = require('../util/helpers.js');
 
-function create (header, server, loadRequests) {
+function create (header, server, loadRequests, getContractViolations) {
     const baseURL = `/imposters/${server.port}`;
 
     function createHeader (numberOfRequests, options) {
@@ -26,6 +26,9 @@ function create (header, server, loadRequests) {
             Object.keys(server.metadata).forEach(key => {
                 result[key] = server.metadata[key];
             });
+            ['contract', 'chaos', 'profiles', 'activeProfile', 'functions', 'tables'].filter(key => header[key]).forEach(key => {
+                result[key] = header[key];
+            });
         }
         if (header.endOfRequestResolver) {
             result.endOfRequestResolver = header.endOfRequestResolver;
@@ -59,6 +62,12 @@ function create (header, server, loadRequests) {
         return imposter;
     }
 
+    function addContractViolationsTo (imposter) {
+        if (header.contract) {
+            imposter.contractViolations = getContractViolations();
+        }
+    }
+
     function removeProxiesFrom (imposter) {
         imposter.stubs.forEach(stub => {
             // eslint-disable-next-line no-prototype-builtins
@@ -96,6 +105,7 @@ function create (header, server, loadRequests) {
 
         if (!options.replayable) {
             await addRequestsTo(result);
+            addContractViolationsTo(result);
         }
 
         await addStubsTo(result, options);
@@ -1,7 +1,9 @@
 'use strict';
 
 const helpers = require('../util/helpers.js'),
-    errors = require('../util/errors.js');
+    errors = require('../util/errors.js'),
+    random = require('../util/random.js'),
+    weightedResponses = require('./weightedResponses.js');
 
 /**
  * An abstraction for loading imposters from in-memory
@@ -37,6 +39,8 @@ function createResponse (responseConfig, stubIndexFn) {
 function wrap (stub = {}) {
     const cloned = helpers.clone(stub),
         statefulResponses = repeatTransform(cloned.responses || []);
+    let nextIndex = 0,
+        randomState = helpers.defined(cloned.seed) ? random.initialState(cloned.seed) : undefined;
 
     /**
      * Adds a new response to the stub (e.g. during proxying)
@@ -51,22 +55,65 @@ function wrap (stub = {}) {
         return response;
     };
 
+    function nextRandom () {
+        if (!helpers.defined(randomState)) {
+            return Math.random();
+        }
+        const draw = random.next(randomState);
+        randomState = draw.state;
+        return draw.value;
+    }
+
+    function nextWeightedResponse () {
+        const weights = cloned.responses.map(weightedResponses.weightOf),
+            index = weightedResponses.choose(weights, nextRandom());
+
+        return createResponse(cloned.responses[index], cloned.stubIndex);
+    }
+
     /**
-     * Selects the next response from the stub, including repeat behavior and circling back to the beginning
+     * Selects the next response from the stub, including repeat behavior and circling back to the beginning,
+     * or choosing by weight if the responses have weights
      * @memberOf module:models/inMemoryImpostersRepository#
      * @returns {Object} - the response
      * @returns {Object} - the promise
      */
     cloned.nextResponse = async () => {
-        const responseConfig = statefulResponses.shift();
-
-        if (responseConfig) {
-            statefulResponses.push(responseConfig);
-            return createResponse(responseConfig, cloned.stubIndex);
+        if (weightedResponses.isWeighted(cloned.responses)) {
+            return nextWeightedResponse();
         }
-        else {
+        if (statefulResponses.length === 0) {
             return createResponse();
         }
+
+        const responseConfig = statefulResponses[nextIndex % statefulResponses.length];
+        nextIndex = (nextIndex + 1) % statefulResponses.length;
+        return createResponse(responseConfig, cloned.stubIndex);
+    };
+
+    /**
+     * Returns the position in the response cycle and the seeded random state, if any
+     * @memberOf module:models/inMemoryImpostersRepository#
+     * @returns {Object}
+     */
+    cloned.getState = () => {
+        const result = { nextIndex };
+        if (helpers.defined(randomState)) {
+            result.randomState = randomState;
+        }
+        return result;
+    };
+
+    /**
+     * Restores the position in the response cycle and the seeded random state
+     * @memberOf module:models/inMemoryImpostersRepository#
+     * @param {Object} state - the result of getState
+     */
+    cloned.setState = state => {
+        nextIndex = state.nextIndex || 0;
+        if (helpers.defined(state.randomState)) {
+            randomState = state.randomState;
+        }
     };
 
     /**
@@ -111,13 +158,13 @@ function createStubsRepository () {
     /**
      * Returns the first stub whose predicates match the filter, or a default one if none match
      * @memberOf module:models/inMemoryImpostersRepository#
-     * @param {Function} filter - the filter function
+     * @param {Function} filter - the filter function, passed the stub's predicates and the stub itself
      * @param {Number} startIndex - the index to to start searching
      * @returns {Object}
      */
     async function first (filter, startIndex = 0) {
         for (let i = startIndex; i < stubs.length; i += 1) {
-            if (filter(stubs[i].predicates || [])) {
+            if (filter(stubs[i].predicates || [], stubs[i])) {
                 return { success: true, stub: stubs[i] };
             }
         }
@@ -261,6 +308,43 @@ function createStubsRepository () {
         requests = [];
     }
 
+    /**
+     * Returns the runtime state of the stubs and the saved requests, for snapshots
+     * @memberOf module:models/inMemoryImpostersRepository#
+     * @returns {Object} - the promise resolving to the stub states, in order, and the requests
+     */
+    async function getState () {
+        return {
+            stubs: stubs.map(stub => stub.getState()),
+            requests: helpers.clone(requests)
+        };
+    }
+
+    /**
+     * Restores the runtime state of the stubs and replaces the saved requests
+     * @memberOf module:models/inMemoryImpostersRepository#
+     * @param {Object} state - the result of getState
+     * @returns {Object} - the promise
+     */
+    async function setState (state) {
+        (state.stubs || []).forEach((stubState, index) => {
+            if (stubs[index]) {
+                stubs[index].setState(stubState);
+            }
+        });
+        requests = helpers.clone(state.requests || []);
+    }
+
+    /**
+     * Saves runtime changes to the imposter fields outside the stubs. The imposter
+     * keeps those fields itself, so there's nothing to save in memory.
+     * @memberOf module:models/inMemoryImpostersRepository#
+     * @returns {Object} - the promise
+     */
+    async function updateHeader () {
+        // Nothing to save
+    }
+
     return {
         count: () => stubs.length,
         first,
@@ -273,7 +357,10 @@ function createStubsRepository () {
         deleteSavedProxyResponses,
         addRequest,
         loadRequests,
-        deleteSavedRequests
+        deleteSavedRequests,
+        getState,
+        setState,
+        updateHeader
     };
 }
 
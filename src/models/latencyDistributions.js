@@ -0,0 +1,123 @@
+'use strict';
+
+const helpers = require('../util/helpers.js');
+
+/**
+ * Samples response delays from statistical distributions for the latency behavior,
+ * so slow upstreams vary the way real ones do instead of always taking the same time.
+ * Every distribution draws from the given random function, so a seeded random function
+ * reproduces the same delays
+ * @module
+ */
+
+// Standard normal values using the Box-Muller transform
+function standardNormal (random) {
+    const radius = Math.sqrt(-2 * Math.log(1 - random())),
+        angle = 2 * Math.PI * random();
+    return radius * Math.cos(angle);
+}
+
+function percentilePoints (config) {
+    return Object.keys(config.percentiles)
+        .map(key => ({ percentile: Number(key), value: config.percentiles[key] }))
+        .sort((first, second) => first.percentile - second.percentile);
+}
+
+function interpolate (points, percentile) {
+    for (let i = 1; i < points.length; i += 1) {
+        const lower = points[i - 1],
+            upper = points[i];
+
+        if (percentile <= upper.percentile) {
+            const span = upper.percentile - lower.percentile,
+                fraction = span === 0 ? 1 : (percentile - lower.percentile) / span;
+            return lower.value + (fraction * (upper.value - lower.value));
+        }
+    }
+    return points[points.length - 1].value;
+}
+
+const distributions = {
+    normal: (config, random) => config.mean + (config.stddev * standardNormal(random)),
+
+    // Parameterized by the mean and standard deviation of the delays themselves,
+    // not of the underlying normal distribution, since those are what people measure
+    lognormal: (config, random) => {
+        if (config.mean <= 0) {
+            return 0;
+        }
+        const variance = Math.log(1 + ((config.stddev * config.stddev) / (config.mean * config.mean))),
+            mu = Math.log(config.mean) - (variance / 2);
+        return Math.exp(mu + (Math.sqrt(variance) * standardNormal(random)));
+    },
+
+    // Linear interpolation between the given percentiles, starting from min (or 0) at the
+    // 0th percentile and ending at max (or the highest value given) at the 100th
+    percentiles: (config, random) => {
+        const points = percentilePoints(config),
+            first = points[0],
+            last = points[points.length - 1];
+
+        if (first.percentile > 0) {
+            points.unshift({ percentile: 0, value: helpers.defined(config.min) ? config.min : 0 });
+        }
+        if (last.percentile < 100) {
+            points.push({ percentile: 100, value: helpers.defined(config.max) ? config.max : last.value });
+        }
+        return interpolate(points, random() * 100);
+    }
+};
+
+function isNonNegativeNumber (value) {
+    return typeof value === 'number' && isFinite(value) && value >= 0;
+}
+
+function percentileErrors (percentiles) {
+    if (!helpers.isObject(percentiles) || Object.keys(percentiles).length === 0) {
+        return ['"percentiles" field must be a non-empty object mapping percentiles to milliseconds'];
+    }
+    const result = [];
+    Object.keys(percentiles).forEach(key => {
+        const percentile = Number(key);
+        if (key.trim() === '' || isNaN(percentile) || percentile < 0 || percentile > 100) {
+            result.push(`"percentiles.${key}" field must be a percentile between 0 and 100`);
+        }
+        else if (!isNonNegativeNumber(percentiles[key])) {
+            result.push(`"percentiles.${key}" field must be a number greater than or equal to 0`);
+        }
+    });
+    return result;
+}
+
+/**
+ * Returns validation messages for the latency behavior fields the behavior schema can't describe
+ * @param {Object} config - The latency behavior configuration
+ * @returns {Array} - The messages, each starting with the field name
+ */
+function errorsFor (config) {
+    if (config.distribution === 'percentiles') {
+        return percentileErrors(config.percentiles);
+    }
+    if (!distributions[config.distribution]) {
+        return [];
+    }
+    return ['mean', 'stddev']
+        .filter(field => !isNonNegativeNumber(config[field]))
+        .map(field => `"${field}" field must be a number greater than or equal to 0 for the ${config.distribution} distribution`);
+}
+
+/**
+ * Samples a delay from the configured distribution, limited to the optional min and max
+ * @param {Object} config - The latency behavior configuration, e.g. { distribution: 'normal', mean: 200, stddev: 50 }
+ * @param {Function} random - Returns numbers in [0, 1)
+ * @returns {Number} - The delay in whole milliseconds
+ */
+function sample (config, random) {
+    const min = helpers.defined(config.min) ? config.min : 0,
+        max = helpers.defined(config.max) ? config.max : Infinity,
+        value = distributions[config.distribution](config, random);
+
+    return Math.round(Math.min(Math.max(value, min), max));
+}
+
+module.exports = { errorsFor, sample };
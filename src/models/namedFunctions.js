@@ -0,0 +1,194 @@
+'use strict';
+
+const fs = require('fs-extra'),
+    path = require('path'),
+    vm = require('vm'),
+    helpers = require('../util/helpers.js'),
+    errors = require('../util/errors.js');
+
+/**
+ * Supports injection by reference, e.g. { "inject": { "fn": "pricing", "args": { "discount": 10 } } },
+ * instead of repeating the same function source in every stub. Functions are registered on the imposter
+ * with the "functions" field, or for every imposter with the --functionsDir command line option.
+ * The named function gets the same parameters as the inline function it replaces, with the args
+ * added as config.args.
+ * @module
+ */
+
+// Imposter functions are kept on the imposter state so every injection site can find them
+// without changing its signature. The symbol keeps them out of the user-visible state.
+const imposterFunctions = Symbol('functions');
+
+let globalFunctions = {};
+
+// The files are read as source, not required, so nothing from the rest of the file,
+// like a helper function or a required module, can be silently left behind
+function readFunction (file) {
+    const source = fs.readFileSync(file, 'utf8').trim().replace(/;$/, '');
+
+    if (/^module\.exports\b/.test(source)) {
+        throw new Error('must contain only the function source, not module.exports');
+    }
+    try {
+        // Compiles without running, to report syntax errors and code outside the function now
+        // instead of on the first request
+        new vm.Script(`(${source})`, { filename: file }); // eslint-disable-line no-new
+    }
+    catch (e) {
+        throw new Error(`must contain only the source of a single function: ${e.message}`);
+    }
+    return source;
+}
+
+/**
+ * Loads the functions in the --functionsDir directory. Each .js file must contain the source
+ * of a single function, like an inline injection, registered under the file name without the
+ * extension. The files aren't loaded as modules, so the functions must be self-contained and
+ * require any modules inside the function.
+ * @param {Object} options - The command line options
+ * @param {Object} logger - The logger
+ */
+function configure (options, logger) {
+    globalFunctions = {};
+    if (!options.functionsDir) {
+        return;
+    }
+
+    const dir = path.resolve(options.functionsDir);
+    if (!fs.existsSync(dir)) {
+        logger.error(`${options.functionsDir} does not exist -- no injection functions loaded`);
+        return;
+    }
+
+    fs.readdirSync(dir).filter(file => path.extname(file) === '.js').sort().forEach(file => {
+        const name = path.basename(file, '.js');
+        try {
+            globalFunctions[name] = readFunction(path.join(dir, file));
+            logger.info(`Loaded injection function ${name}`);
+        }
+        catch (e) {
+            logger.error(`${file} ${e.message} -- function ${name} not loaded`);
+        }
+    });
+}
+
+function isObjectMap (value) {
+    return helpers.isObject(value) && !Array.isArray(value);
+}
+
+/**
+ * Registers the imposter's own functions, which take precedence over --functionsDir functions
+ * @param {Object} imposterState - The imposter state shared with the injection sites
+ * @param {Object} functions - The function source for each name
+ */
+function register (imposterState, functions) {
+    imposterState[imposterFunctions] = functions || {};
+}
+
+/**
+ * Returns true if the injection refers to a named function instead of including the source
+ * @param {Object} injection - The inject, decorate, or wait field
+ * @returns {boolean}
+ */
+function isReference (injection) {
+    return isObjectMap(injection);
+}
+
+function sourceOf (name, functions) {
+    if (Object.prototype.hasOwnProperty.call(functions || {}, name)) {
+        return functions[name];
+    }
+    if (Object.prototype.hasOwnProperty.call(globalFunctions, name)) {
+        return globalFunctions[name];
+    }
+    return undefined;
+}
+
+/**
+ * Returns the function source for the injection, which is either the source itself or a
+ * reference to a named function
+ * @param {Object} injection - The inject, decorate, or wait field
+ * @param {Object} imposterState - The imposter state the imposter functions are registered on
+ * @returns {string}
+ */
+function sourceFor (injection, imposterState) {
+    if (!isReference(injection)) {
+        return injection;
+    }
+
+    const source = sourceOf(injection.fn, (imposterState || {})[imposterFunctions]);
+    if (!helpers.defined(source)) {
+        throw errors.InjectionError(`no function named ${injection.fn}`, { source: injection });
+    }
+
+    // Wait functions take no parameters, so they get a config with only the args
+    return `function () {
+    var parameters = Array.prototype.slice.call(arguments),
+        config = parameters[0] || {};
+    config.args = ${JSON.stringify(injection.args || {})};
+    parameters[0] = config;
+    return (${source}).apply(this, parameters);
+}`;
+}
+
+function predicateInjections (predicate) {
+    if (!helpers.isObject(predicate)) {
+        return [];
+    }
+    const nested = [].concat(predicate.and || [], predicate.or || [], predicate.not || []);
+    return [predicate.inject].concat(...nested.map(predicateInjections));
+}
+
+function responseInjections (response) {
+    const behaviors = Array.isArray(response.behaviors) ? response.behaviors : [],
+        generators = response.proxy && Array.isArray(response.proxy.predicateGenerators) ? response.proxy.predicateGenerators : [];
+
+    return [response.inject]
+        .concat(behaviors.filter(helpers.isObject).map(behavior => behavior.decorate))
+        .concat(behaviors.filter(helpers.isObject).map(behavior => behavior.wait))
+        .concat(generators.filter(helpers.isObject).map(generator => generator.inject))
+        .concat(response.proxy ? [response.proxy.addDecorateBehavior] : []);
+}
+
+function referencesIn (stub) {
+    const predicates = Array.isArray(stub.predicates) ? stub.predicates : [],
+        responses = Array.isArray(stub.responses) ? stub.responses.filter(helpers.isObject) : [];
+
+    return [].concat(...predicates.map(predicateInjections), ...responses.map(responseInjections))
+        .filter(isReference);
+}
+
+/**
+ * Validates the imposter functions and every named function reference in the stubs
+ * @param {Object} functions - The imposter's "functions" field
+ * @param {Array} stubs - The stubs to check
+ * @returns {Array} - The validation errors
+ */
+function errorsFor (functions, stubs) {
+    const result = [];
+
+    if (helpers.defined(functions)) {
+        if (!isObjectMap(functions) || Object.keys(functions).some(name => typeof functions[name] !== 'string')) {
+            return [errors.ValidationError("'functions' must be an object with the function source for each name",
+                { source: functions })];
+        }
+    }
+
+    (stubs || []).filter(helpers.isObject).forEach(stub => {
+        referencesIn(stub).forEach(reference => {
+            if (typeof reference.fn !== 'string') {
+                result.push(errors.ValidationError("named function references must have an 'fn' string",
+                    { source: reference }));
+            }
+            else if (!helpers.defined(sourceOf(reference.fn, functions))) {
+                result.push(errors.ValidationError(`no function named ${reference.fn}`, { source: reference }));
+            }
+            if (helpers.defined(reference.args) && !isObjectMap(reference.args)) {
+                result.push(errors.ValidationError("'args' must be an object", { source: reference }));
+            }
+        });
+    });
+    return result;
+}
+
+module.exports = { configure, register, isReference, sourceFor, errorsFor };
@@ -0,0 +1,340 @@
+'use strict';
+
+const errors = require('../util/errors.js'),
+    helpers = require('../util/helpers.js');
+
+/**
+ * Converts an OpenAPI 3 document into an http imposter, with one stub per operation.
+ * Predicates come from the path, method, and required parameters, and the is response
+ * comes from the documented example for the first successful response, or a sample
+ * generated from its schema
+ * @module
+ */
+
+const METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// Recursive schemas are cut off rather than followed forever
+const MAX_SAMPLE_DEPTH = 8;
+
+const FORMAT_SAMPLES = {
+    date: '2024-01-01',
+    'date-time': '2024-01-01T00:00:00Z',
+    time: '00:00:00',
+    email: 'user@example.com',
+    uuid: '3fa85f64-5717-4562-b3fc-2c963f66afa6',
+    uri: 'http://example.com',
+    hostname: 'example.com',
+    ipv4: '127.0.0.1',
+    ipv6: '::1'
+};
+
+/**
+ * Follows local references (e.g. #/components/schemas/Pet) until reaching a value that isn't one
+ * @param {Object} document - The OpenAPI document
+ * @param {Object} value - The value, which may be a reference
+ * @param {Array} seen - The references already followed, to stop cycles
+ * @returns {Object}
+ */
+function resolve (document, value, seen = []) {
+    if (!helpers.isObject(value) || typeof value.$ref !== 'string') {
+        return value;
+    }
+    if (value.$ref.indexOf('#/') !== 0 || seen.indexOf(value.$ref) >= 0) {
+        return {};
+    }
+    const target = value.$ref.substring(2).split('/')
+        .map(part => decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~'))
+        .reduce((node, key) => (helpers.isObject(node) ? node[key] : undefined), document);
+
+    return resolve(document, target || {}, seen.concat([value.$ref]));
+}
+
+const samplesByType = {
+    object: (document, schema, depth, seen) => {
+        const result = {},
+            properties = schema.properties || {};
+
+        Object.keys(properties).forEach(name => {
+            const sample = sampleFor(document, properties[name], depth + 1, seen);
+            if (helpers.defined(sample)) {
+                result[name] = sample;
+            }
+        });
+        return result;
+    },
+    array: (document, schema, depth, seen) => {
+        const items = schema.items ? sampleFor(document, schema.items, depth + 1, seen) : undefined;
+        return helpers.defined(items) ? [items] : [];
+    },
+    string: (document, schema) => FORMAT_SAMPLES[schema.format] || 'string',
+    integer: (document, schema) => (helpers.defined(schema.minimum) ? Math.ceil(schema.minimum) : 0),
+    number: (document, schema) => (helpers.defined(schema.minimum) ? schema.minimum : 0),
+    boolean: () => true,
+    null: () => null
+};
+
+function typeOf (schema) {
+    const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+    if (type) {
+        return type;
+    }
+    return schema.properties ? 'object' : undefined;
+}
+
+function documentedSample (schema) {
+    if (helpers.defined(schema.example)) {
+        return schema.example;
+    }
+    if (Array.isArray(schema.examples) && schema.examples.length > 0) {
+        return schema.examples[0];
+    }
+    if (helpers.defined(schema.default)) {
+        return schema.default;
+    }
+    if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+        return schema.enum[0];
+    }
+    return schema.const;
+}
+
+function combinedSample (document, schema, depth, seen) {
+    if (Array.isArray(schema.allOf)) {
+        return schema.allOf
+            .map(part => sampleFor(document, part, depth + 1, seen))
+            .reduce((result, sample) => (helpers.isObject(sample) ? Object.assign(result, sample) : result), {});
+    }
+    const alternatives = schema.oneOf || schema.anyOf;
+    if (Array.isArray(alternatives) && alternatives.length > 0) {
+        return sampleFor(document, alternatives[0], depth + 1, seen);
+    }
+    return undefined;
+}
+
+function generatedSample (document, schema, depth, seen) {
+    const combined = combinedSample(document, schema, depth, seen),
+        generator = samplesByType[typeOf(schema)];
+
+    if (helpers.defined(combined)) {
+        return combined;
+    }
+    return generator ? generator(document, schema, depth, seen) : undefined;
+}
+
+/**
+ * Generates a sample value for a schema, preferring any documented example
+ * @param {Object} document - The OpenAPI document, used to resolve references
+ * @param {Object} schema - The schema
+ * @param {Number} depth - How deeply nested the schema is
+ * @param {Array} seen - The references already followed
+ * @returns {*}
+ */
+function sampleFor (document, schema, depth, seen) {
+    const refs = seen || [],
+        resolved = resolve(document, schema, refs),
+        nextSeen = resolved === schema ? refs : refs.concat([schema.$ref]);
+
+    if (!helpers.isObject(resolved) || depth > MAX_SAMPLE_DEPTH) {
+        return undefined;
+    }
+
+    const documented = documentedSample(resolved);
+    if (helpers.defined(documented)) {
+        return documented;
+    }
+    return generatedSample(document, resolved, depth, nextSeen);
+}
+
+function escapeRegex (text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Returns the path of the first server URL, which prefixes every path in the document
+ * @param {Object} document - The OpenAPI document
+ * @returns {string}
+ */
+function basePathFor (document) {
+    const servers = document.servers || [],
+        url = servers.length > 0 && typeof servers[0].url === 'string' ? servers[0].url : '',
+        path = url.replace(/^[a-z]+:\/\/[^/]*/i, '').replace(/\{[^}]*\}/g, '').replace(/\/+$/, '');
+
+    return path.indexOf('/') === 0 ? path : '';
+}
+
+/**
+ * Returns true if the path has parameters, like /pets/{petId}
+ * @param {string} path - The path from the OpenAPI document
+ * @returns {boolean}
+ */
+function isTemplated (path) {
+    return /\{[^}]+\}/.test(path);
+}
+
+function pathPredicateFor (path) {
+    if (!isTemplated(path)) {
+        return { equals: { path } };
+    }
+    const pattern = path.split(/\{[^}]+\}/).map(escapeRegex).join('[^/]+');
+    return { matches: { path: `^${pattern}$` } };
+}
+
+/**
+ * Returns the resolved parameters for an operation, including those shared by its path
+ * @param {Object} document - The OpenAPI document
+ * @param {Object} pathItem - The path item containing the operation
+ * @param {Object} operation - The operation
+ * @returns {Array}
+ */
+function parametersFor (document, pathItem, operation) {
+    const byKey = {};
+
+    (pathItem.parameters || []).concat(operation.parameters || []).forEach(parameter => {
+        const resolved = resolve(document, parameter, []);
+        if (helpers.isObject(resolved) && resolved.name) {
+            byKey[`${resolved.in}:${resolved.name}`] = resolved;
+        }
+    });
+    return Object.keys(byKey).map(key => byKey[key]);
+}
+
+function parameterPredicatesFor (parameters) {
+    const fields = { query: 'query', header: 'headers' },
+        exists = {};
+
+    parameters.filter(parameter => parameter.required && fields[parameter.in]).forEach(parameter => {
+        const field = fields[parameter.in];
+        exists[field] = exists[field] || {};
+        exists[field][parameter.name] = true;
+    });
+    return Object.keys(exists).length > 0 ? [{ exists }] : [];
+}
+
+function statusCodeFor (key) {
+    const code = parseInt(String(key).replace(/X/gi, '0'), 10);
+    return isNaN(code) ? 200 : code;
+}
+
+// The first documented 2xx response is the happy path; otherwise fall back to default, then anything
+function chooseResponseKey (responses) {
+    const keys = Object.keys(responses || {}).sort(),
+        success = keys.find(key => /^2/.test(key));
+
+    if (success) {
+        return success;
+    }
+    return keys.indexOf('default') >= 0 ? 'default' : keys[0];
+}
+
+function chooseMediaType (content) {
+    const types = Object.keys(content || {});
+    return types.find(type => /json/i.test(type)) || types[0];
+}
+
+function exampleFor (document, media) {
+    if (helpers.defined(media.example)) {
+        return media.example;
+    }
+    const examples = Object.keys(media.examples || {}).map(key => resolve(document, media.examples[key], []));
+    if (examples.length > 0 && helpers.isObject(examples[0]) && helpers.defined(examples[0].value)) {
+        return examples[0].value;
+    }
+    return sampleFor(document, media.schema, 0);
+}
+
+function headersFor (document, headers) {
+    const result = {};
+
+    Object.keys(headers || {}).forEach(name => {
+        const header = resolve(document, headers[name], []),
+            value = helpers.isObject(header) ? exampleFor(document, header) : undefined;
+
+        if (helpers.defined(value)) {
+            result[name] = String(value);
+        }
+    });
+    return result;
+}
+
+function responseFor (document, operation) {
+    const key = chooseResponseKey(operation.responses),
+        documented = key ? resolve(document, operation.responses[key], []) : {},
+        mediaType = chooseMediaType(documented.content),
+        headers = headersFor(document, documented.headers),
+        is = { statusCode: statusCodeFor(key) };
+
+    if (mediaType) {
+        const body = exampleFor(document, documented.content[mediaType]);
+
+        headers['Content-Type'] = mediaType;
+        if (helpers.defined(body)) {
+            is.body = body;
+        }
+    }
+    if (Object.keys(headers).length > 0) {
+        is.headers = headers;
+    }
+    return is;
+}
+
+function stubFor (document, path, method) {
+    const pathItem = resolve(document, document.paths[path], []),
+        operation = pathItem[method],
+        parameters = parametersFor(document, pathItem, operation),
+        predicates = [{ equals: { method: method.toUpperCase() } }, pathPredicateFor(basePathFor(document) + path)]
+            .concat(parameterPredicatesFor(parameters));
+
+    return {
+        predicates,
+        responses: [{ is: responseFor(document, operation) }]
+    };
+}
+
+/**
+ * Returns the first reason the document can't be used, or undefined if it can
+ * @param {Object} document - The parsed OpenAPI document
+ * @returns {Object} - A ValidationError, or undefined
+ */
+function errorFor (document) {
+    if (!helpers.isObject(document)) {
+        return errors.ValidationError('the OpenAPI document must be an object');
+    }
+    if (typeof document.openapi !== 'string' || document.openapi.indexOf('3.') !== 0) {
+        return errors.ValidationError('only OpenAPI 3 documents are supported', { source: document.openapi || document.swagger });
+    }
+    if (!helpers.isObject(document.paths)) {
+        return errors.ValidationError("the OpenAPI document must have a 'paths' object");
+    }
+    return undefined;
+}
+
+/**
+ * Creates the imposter configuration for an OpenAPI document
+ * @param {Object} document - The parsed OpenAPI 3 document
+ * @param {Object} options - Optional imposter fields, like port
+ * @returns {Object} - The imposter configuration, ready to POST to /imposters
+ */
+function toImposter (document, options) {
+    const error = errorFor(document);
+    if (error) {
+        throw error;
+    }
+
+    // Literal paths go first so /pets/mine isn't swallowed by /pets/{id}
+    const paths = Object.keys(document.paths).sort((first, second) => isTemplated(first) - isTemplated(second)),
+        stubs = [];
+
+    paths.forEach(path => {
+        const pathItem = resolve(document, document.paths[path], []);
+        METHODS.filter(method => helpers.isObject(pathItem) && helpers.isObject(pathItem[method])).forEach(method => {
+            stubs.push(stubFor(document, path, method));
+        });
+    });
+
+    const imposter = { protocol: 'http', stubs };
+    if (document.info && document.info.title) {
+        imposter.name = document.info.title;
+    }
+    return Object.assign(imposter, options || {});
+}
+
+module.exports = { toImposter, sampleFor, errorFor, resolve, parametersFor, basePathFor, isTemplated };
@@ -2,11 +2,15 @@
 
 const stringify = require('safe-stable-stringify'),
     safeRegex = require('safe-regex'),
+    Ajv = require('ajv'),
+    addFormats = require('ajv-formats'),
     jsonpath = require('./jsonpath.js'),
     helpers = require('../util/helpers.js'),
     xPath = require('./xpath.js'),
     combinators = require('../util/combinators.js'),
     errors = require('../util/errors.js'),
+    sandbox = require('./sandbox.js'),
+    namedFunctions = require('./namedFunctions.js'),
     compatibility = require('./compatibility.js');
 
 /**
@@ -14,6 +18,10 @@ const stringify = require('safe-stable-stringify'),
  * @module
  */
 
+// Schemas are compiled once and cached by their JSON, since predicates are cloned on every request
+const schemaValidator = addFormats(new Ajv({ strict: false })),
+    compiledSchemas = new Map();
+
 function sortObjects (a, b) {
     const isObject = helpers.isObject;
 
@@ -346,6 +354,74 @@ function matches (predicate, request, encoding, logger) {
     });
 }
 
+function compileSchema (schema) {
+    const key = stringify(schema);
+
+    if (!compiledSchemas.has(key)) {
+        try {
+            compiledSchemas.set(key, schemaValidator.compile(schema));
+        }
+        catch (error) {
+            throw errors.ValidationError('invalid JSON Schema', { source: schema, data: error.message });
+        }
+    }
+    return compiledSchemas.get(key);
+}
+
+function requestField (request, fieldName, caseSensitive) {
+    if (caseSensitive || helpers.defined(request[fieldName])) {
+        return request[fieldName];
+    }
+    const key = Object.keys(request).find(name => name.toLowerCase() === fieldName.toLowerCase());
+    return request[key];
+}
+
+function parseJSONText (value) {
+    try {
+        return JSON.parse(value);
+    }
+    catch (e) {
+        return value;
+    }
+}
+
+// Schema keywords are case sensitive, so unlike the other predicates, only the keys of object
+// fields like http headers are lowercased. JSON bodies are validated exactly as sent
+function schemaValueFor (value, predicate, encoding, logger) {
+    const text = typeof value === 'string' ? exceptTransform(predicate, logger)(value) : value;
+
+    if (predicate.jsonpath) {
+        return select('jsonpath', () => jsonpath.select(predicate.jsonpath.selector, text, logger), encoding);
+    }
+    else if (predicate.xpath) {
+        return select('xpath', () => xPath.select(predicate.xpath.selector, predicate.xpath.ns, text, logger), encoding);
+    }
+    else if (typeof text === 'string') {
+        return parseJSONText(text);
+    }
+    else if (helpers.isObject(text) && !predicate.caseSensitive) {
+        return transformAll(text, [lowercase], [], []);
+    }
+    return text;
+}
+
+function matchesSchema (predicate, request, encoding, logger) {
+    if (encoding === 'base64') {
+        throw errors.ValidationError('the matchesSchema predicate is not allowed in binary mode');
+    }
+
+    return Object.keys(predicate.matchesSchema).every(fieldName => {
+        const validate = compileSchema(predicate.matchesSchema[fieldName]),
+            actual = requestField(request, fieldName, predicate.caseSensitive),
+            isValid = validate(schemaValueFor(actual, predicate, encoding, logger));
+
+        if (!isValid && logger) {
+            logger.debug(`${fieldName} does not match schema: ${schemaValidator.errorsText(validate.errors)}`);
+        }
+        return isValid;
+    });
+}
+
 function not (predicate, request, encoding, logger, imposterState) {
     return !evaluate(predicate.not, request, encoding, logger, imposterState);
 }
@@ -375,9 +451,14 @@ function inject (predicate, request, encoding, logger, imposterState) {
 
     compatibility.downcastInjectionConfig(config);
 
-    const injected = `(${predicate.inject})(config, logger, imposterState);`;
+    const source = namedFunctions.sourceFor(predicate.inject, imposterState),
+        injected = `(${source})(config, logger, imposterState);`;
 
     try {
+        if (sandbox.isEnabled()) {
+            // Predicates are evaluated synchronously, so this blocks until the injection finishes
+            return sandbox.runSync(source, ['config', 'logger', 'state'], { config, logger, state: imposterState });
+        }
         return eval(injected);
     }
     catch (error) {
@@ -405,6 +486,7 @@ const predicates = {
     startsWith: create('startsWith', (expected, actual) => actual.indexOf(expected) === 0),
     endsWith: create('endsWith', (expected, actual) => actual.indexOf(expected, actual.length - expected.length) >= 0),
     matches,
+    matchesSchema,
     exists: create('exists', function (expected, actual) {
         return expected ? (typeof actual !== 'undefined' && actual !== '') : (typeof actual === 'undefined' || actual === '');
     }),
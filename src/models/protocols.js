@@ -10,6 +10,8 @@ const responseResolver = require('./responseResolver'),
     tcpServer = require('./tcp/tcpServer.js'),
     httpServer = require('./http/httpServer.js'),
     httpsServer = require('./https/httpsServer.js'),
+    http2Server = require('./http2/http2Server.js'),
+    grpcServer = require('./grpc/grpcServer.js'),
     smtpServer = require('./smtp/smtpServer.js');
 
 /**
@@ -186,7 +188,7 @@ function load (builtInProtocols, customProtocols, options, isAllowedConnection,
 }
 
 function isBuiltInProtocol (protocol) {
-    return ['tcp', 'smtp', 'http', 'https'].indexOf(protocol) >= 0;
+    return ['tcp', 'smtp', 'http', 'https', 'http2', 'grpc'].indexOf(protocol) >= 0;
 }
 
 function loadCustomProtocols (protofile, logger) {
@@ -224,6 +226,8 @@ function loadProtocols (options, baseURL, logger, isAllowedConnection, imposters
             tcp: tcpServer,
             http: httpServer,
             https: httpsServer,
+            http2: http2Server,
+            grpc: grpcServer,
             smtp: smtpServer
         },
         customProtocols = loadCustomProtocols(options.protofile, logger),
@@ -7,7 +7,11 @@ const prometheus = require('prom-client'),
     exceptions = require('../util/errors.js'),
     xpath = require('./xpath.js'),
     jsonpath = require('./jsonpath.js'),
-    behaviors = require('./behaviors.js');
+    behaviors = require('./behaviors.js'),
+    sandbox = require('./sandbox.js'),
+    namedFunctions = require('./namedFunctions.js'),
+    faults = require('./faults.js'),
+    templates = require('./templates.js');
 
 /**
  * Determines the response for a stub based on the user-provided response configuration
@@ -37,19 +41,20 @@ const metrics = {
  */
 function create (stubs, proxy, callbackURL) {
     // injectState is deprecated in favor of imposterState, but kept for backwards compatibility
-    const injectState = {}, // eslint-disable-line no-unused-vars
+    const injectState = {},
         pendingProxyResolutions = {},
         inProcessProxy = Boolean(proxy);
     let nextProxyResolutionKey = 0;
 
-    function inject (request, fn, logger, imposterState) {
+    function inject (request, injection, logger, imposterState) {
         if (request.isDryRun) {
             return Promise.resolve({});
         }
 
         return new Promise((done, reject) => {
             // Leave parameters for older interface
-            const injected = `(${fn})(config, injectState, logger, done, imposterState);`,
+            const fn = namedFunctions.sourceFor(injection, imposterState),
+                injected = `(${fn})(config, injectState, logger, done, imposterState);`,
                 config = {
                     request: helpers.clone(request),
                     state: imposterState,
@@ -59,13 +64,7 @@ function create (stubs, proxy, callbackURL) {
 
             compatibility.downcastInjectionConfig(config);
 
-            try {
-                const response = eval(injected);
-                if (helpers.defined(response)) {
-                    done(response);
-                }
-            }
-            catch (error) {
+            function fail (error) {
                 logger.error(`injection X=> ${error}`);
                 logger.error(`    full source: ${JSON.stringify(injected)}`);
                 logger.error(`    config.request: ${JSON.stringify(config.request)}`);
@@ -75,6 +74,23 @@ function create (stubs, proxy, callbackURL) {
                     data: error.message
                 }));
             }
+
+            if (sandbox.isEnabled()) {
+                // The sandbox waits for the callback itself
+                sandbox.run(fn, ['config', 'injectState', 'logger', 'callback', 'state'],
+                    { config, injectState, logger, state: imposterState }).then(done, fail);
+                return;
+            }
+
+            try {
+                const response = eval(injected);
+                if (helpers.defined(response)) {
+                    done(response);
+                }
+            }
+            catch (error) {
+                fail(error);
+            }
         });
     }
 
@@ -143,71 +159,82 @@ function create (stubs, proxy, callbackURL) {
         return initialRequest;
     }
 
-    function predicatesFor (request, matchers, logger) {
-        const predicates = [];
+    async function injectedPredicates (request, injection, logger, imposterState) {
+        const config = { request, logger },
+            source = namedFunctions.sourceFor(injection, imposterState),
+            injected = `(${source})(config);`;
 
-        matchers.forEach(matcher => {
-            if (matcher.inject) {
-                // eslint-disable-next-line no-unused-vars
-                const config = { request, logger },
-                    injected = `(${matcher.inject})(config);`;
+        try {
+            return sandbox.isEnabled()
+                ? await sandbox.run(source, ['config'], { config, logger })
+                : eval(injected);
+        }
+        catch (error) {
+            logger.error(`injection X=> ${error}`);
+            logger.error(`    source: ${JSON.stringify(injected)}`);
+            logger.error(`    request: ${JSON.stringify(request)}`);
+            throw exceptions.InjectionError('invalid predicateGenerator injection', { source: injected, data: error.message });
+        }
+    }
 
-                try {
-                    predicates.push(...eval(injected));
-                }
-                catch (error) {
-                    logger.error(`injection X=> ${error}`);
-                    logger.error(`    source: ${JSON.stringify(injected)}`);
-                    logger.error(`    request: ${JSON.stringify(request)}`);
-                    throw exceptions.InjectionError('invalid predicateGenerator injection', { source: injected, data: error.message });
-                }
-                return;
+    function matcherPredicates (request, matcher, logger) {
+        const predicates = [],
+            basePredicate = {};
+        let hasPredicateOperator = false;
+        let predicateOperator; // eslint-disable-line no-unused-vars
+        let valueOf = field => field;
+
+        // Add parameters
+        Object.keys(matcher).forEach(key => {
+            if (key !== 'matches' && key !== 'predicateOperator' && key !== 'ignore') {
+                basePredicate[key] = matcher[key];
             }
+            if (key === 'xpath') {
+                valueOf = field => xpathValue(matcher.xpath, field, logger);
+            }
+            else if (key === 'jsonpath') {
+                valueOf = field => jsonpathValue(matcher.jsonpath, field, logger);
+            }
+            else if (key === 'predicateOperator') {
+                hasPredicateOperator = true;
+            }
+        });
 
-            const basePredicate = {};
-            let hasPredicateOperator = false;
-            let predicateOperator; // eslint-disable-line no-unused-vars
-            let valueOf = field => field;
+        Object.keys(matcher.matches).forEach(fieldName => {
+            const matcherValue = matcher.matches[fieldName],
+                predicate = helpers.clone(basePredicate);
 
-            // Add parameters
-            Object.keys(matcher).forEach(key => {
-                if (key !== 'matches' && key !== 'predicateOperator' && key !== 'ignore') {
-                    basePredicate[key] = matcher[key];
-                }
-                if (key === 'xpath') {
-                    valueOf = field => xpathValue(matcher.xpath, field, logger);
-                }
-                else if (key === 'jsonpath') {
-                    valueOf = field => jsonpathValue(matcher.jsonpath, field, logger);
-                }
-                else if (key === 'predicateOperator') {
-                    hasPredicateOperator = true;
-                }
-            });
+            if (matcherValue === true && hasPredicateOperator === false) {
+                predicate.deepEquals = {};
+                predicate.deepEquals[fieldName] = buildDeepEqual(request, fieldName, matcher, valueOf);
+            }
+            else if (hasPredicateOperator === true && matcher.predicateOperator === 'exists') {
+                predicate[matcher.predicateOperator] = buildExists(request, fieldName, matcherValue, request);
+            }
+            else if (hasPredicateOperator === true && matcher.predicateOperator !== 'exists') {
+                predicate[matcher.predicateOperator] = valueOf(request);
+            }
+            else {
+                predicate.equals = {};
+                predicate.equals[fieldName] = buildEquals(request[fieldName], matcherValue, valueOf);
+            }
 
-            Object.keys(matcher.matches).forEach(fieldName => {
-                const matcherValue = matcher.matches[fieldName],
-                    predicate = helpers.clone(basePredicate);
+            predicates.push(predicate);
+        });
 
-                if (matcherValue === true && hasPredicateOperator === false) {
-                    predicate.deepEquals = {};
-                    predicate.deepEquals[fieldName] = buildDeepEqual(request, fieldName, matcher, valueOf);
-                }
-                else if (hasPredicateOperator === true && matcher.predicateOperator === 'exists') {
-                    predicate[matcher.predicateOperator] = buildExists(request, fieldName, matcherValue, request);
-                }
-                else if (hasPredicateOperator === true && matcher.predicateOperator !== 'exists') {
-                    predicate[matcher.predicateOperator] = valueOf(request);
-                }
-                else {
-                    predicate.equals = {};
-                    predicate.equals[fieldName] = buildEquals(request[fieldName], matcherValue, valueOf);
-                }
+        return predicates;
+    }
 
-                predicates.push(predicate);
-            });
-        });
+    async function predicatesFor (request, matchers, logger, imposterState) {
+        const predicates = [];
 
+        // Generators run in order so the recorded predicates keep the order of the predicateGenerators
+        for (const matcher of matchers) {
+            const generated = matcher.inject
+                ? await injectedPredicates(request, matcher.inject, logger, imposterState)
+                : matcherPredicates(request, matcher, logger);
+            predicates.push(...generated);
+        }
         return predicates;
     }
 
@@ -245,8 +272,8 @@ function create (stubs, proxy, callbackURL) {
         }
     }
 
-    async function recordProxyResponse (responseConfig, request, response, logger) {
-        const newPredicates = predicatesFor(request, responseConfig.proxy.predicateGenerators || [], logger),
+    async function recordProxyResponse (responseConfig, request, response, logger, imposterState) {
+        const newPredicates = await predicatesFor(request, responseConfig.proxy.predicateGenerators || [], logger, imposterState),
             newResponse = newIsResponse(response, responseConfig.proxy);
 
         if (responseConfig.proxy.mode === 'proxyOnce') {
@@ -275,7 +302,7 @@ function create (stubs, proxy, callbackURL) {
 
             // Run behaviors here to persist decorated response
             const transformed = await behaviors.execute(request, response, responseConfig.behaviors, logger, imposterState);
-            await recordProxyResponse(responseConfig, request, transformed, logger);
+            await recordProxyResponse(responseConfig, request, transformed, logger, imposterState);
             return transformed;
         }
         else {
@@ -296,7 +323,10 @@ function create (stubs, proxy, callbackURL) {
     }
 
     function processResponse (responseConfig, request, logger, imposterState, requestDetails) {
-        if (responseConfig.is) {
+        if (responseConfig.is && templates.isTemplate(responseConfig.is)) {
+            return Promise.resolve(templates.render(responseConfig.is, request, imposterState, logger));
+        }
+        else if (responseConfig.is) {
             // Clone to prevent accidental state changes downstream
             return Promise.resolve(helpers.clone(responseConfig.is));
         }
@@ -307,8 +337,7 @@ function create (stubs, proxy, callbackURL) {
             return inject(request, responseConfig.inject, logger, imposterState);
         }
         else if (responseConfig.fault) {
-            // Clone to prevent accidental state changes downstream
-            return Promise.resolve(helpers.clone(responseConfig));
+            return Promise.resolve(faults.responseFor(responseConfig.fault));
         }
         else {
             return Promise.reject(exceptions.ValidationError('unrecognized response type',
@@ -381,7 +410,7 @@ function create (stubs, proxy, callbackURL) {
 
             const response = await behaviors.execute(pendingProxyConfig.request, proxyResponse,
                 pendingProxyConfig.responseConfig.behaviors, logger, imposterState);
-            await recordProxyResponse(pendingProxyConfig.responseConfig, pendingProxyConfig.request, response, logger);
+            await recordProxyResponse(pendingProxyConfig.responseConfig, pendingProxyConfig.request, response, logger, imposterState);
             delete pendingProxyResolutions[proxyResolutionKey];
             return response;
         }
@@ -0,0 +1,248 @@
+'use strict';
+
+const path = require('path'),
+    { Worker, MessageChannel, receiveMessageOnPort } = require('worker_threads'),
+    helpers = require('../util/helpers.js');
+
+/**
+ * Runs injected JavaScript outside the mountebank process's own context when mb is started
+ * with --sandboxInjection. The functions run in a fresh vm context inside a worker thread with
+ * a memory cap, and can only reach the values passed to them: the request, the state, a logger,
+ * and the callback. Changes to the state and in place changes to the response are copied back,
+ * so the injection sites keep their eval semantics.
+ *
+ * Most injection sites wait for the sandbox asynchronously, so other requests keep being served
+ * while an injection runs. Predicate and tcp endOfRequestResolver injections are evaluated
+ * synchronously by their callers, so they block the mountebank process until the function
+ * finishes or times out.
+ * @module
+ */
+
+const STARTUP_TIMEOUT = 5000,
+    // Injections are timed out by the worker itself, which reports a better error
+    GRACE_PERIOD = 100,
+    // Functions and references back to the host can't cross into the sandbox
+    HOST_FIELDS = ['state', 'logger', 'callback', 'response'];
+
+// Synchronous calls wait on the signal and read their reply from syncPort. Asynchronous calls
+// are matched to their replies on asyncPort by id, so several can be in the sandbox at once
+let settings, worker, syncPort, asyncPort, signal, started,
+    nextId = 1;
+const pending = new Map();
+
+function limitMessage () {
+    return `injection did not finish within ${settings.timeout} ms or exceeded the ${settings.memory} MB memory limit`;
+}
+
+function failPending (message) {
+    pending.forEach(entry => {
+        clearTimeout(entry.timer);
+        entry.reject(new Error(message));
+    });
+    pending.clear();
+}
+
+function stopWorker (message) {
+    if (worker) {
+        worker.terminate();
+        syncPort.close();
+        asyncPort.close();
+        worker = undefined;
+    }
+    failPending(message);
+}
+
+/**
+ * Turns sandboxing on or off from the command line options
+ * @param {Object} options - The command line options, using sandboxInjection,
+ *   injectionTimeout, and injectionMemory
+ */
+function configure (options) {
+    stopWorker('the injection sandbox was reconfigured');
+    settings = undefined;
+    if (options.sandboxInjection) {
+        settings = { timeout: options.injectionTimeout, memory: options.injectionMemory };
+    }
+}
+
+/**
+ * Returns true if injected functions should run in the sandbox
+ * @returns {boolean}
+ */
+function isEnabled () {
+    return Boolean(settings);
+}
+
+function onReply (reply) {
+    const entry = pending.get(reply.id);
+    if (!entry) {
+        return;
+    }
+
+    pending.delete(reply.id);
+    clearTimeout(entry.timer);
+    entry.resolve(reply);
+}
+
+function startWorker () {
+    const syncChannel = new MessageChannel(),
+        asyncChannel = new MessageChannel();
+
+    signal = new Int32Array(new SharedArrayBuffer(2 * Int32Array.BYTES_PER_ELEMENT));
+    syncPort = syncChannel.port1;
+    asyncPort = asyncChannel.port1;
+    worker = new Worker(path.join(__dirname, 'sandboxWorker.js'), {
+        workerData: { syncPort: syncChannel.port2, asyncPort: asyncChannel.port2, signal },
+        transferList: [syncChannel.port2, asyncChannel.port2],
+        resourceLimits: { maxOldGenerationSizeMb: settings.memory }
+    });
+
+    // A worker that runs out of memory exits, failing the injections it was running
+    const current = worker;
+    worker.on('error', () => {});
+    worker.on('exit', () => {
+        if (worker === current) {
+            stopWorker(limitMessage());
+        }
+    });
+    worker.unref();
+
+    started = new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            stopWorker('unable to start the injection sandbox');
+            reject(new Error('unable to start the injection sandbox'));
+        }, STARTUP_TIMEOUT);
+
+        asyncPort.on('message', reply => {
+            if (reply.started) {
+                clearTimeout(timer);
+                resolve();
+            }
+            else {
+                onReply(reply);
+            }
+        });
+        asyncPort.unref();
+    });
+    // The synchronous path doesn't wait on the promise, so it mustn't be reported as unhandled
+    started.catch(() => {});
+}
+
+function callSync (message) {
+    if (!worker) {
+        startWorker();
+    }
+    if (Atomics.wait(signal, 1, 0, STARTUP_TIMEOUT) === 'timed-out') {
+        stopWorker('unable to start the injection sandbox');
+        throw new Error('unable to start the injection sandbox');
+    }
+
+    Atomics.store(signal, 0, 0);
+    syncPort.postMessage(message);
+
+    if (Atomics.wait(signal, 0, 0, settings.timeout + GRACE_PERIOD) === 'timed-out') {
+        stopWorker('the injection sandbox was restarted after an injection timed out');
+        throw new Error(limitMessage());
+    }
+    return receiveMessageOnPort(syncPort).message;
+}
+
+async function call (message) {
+    if (!worker) {
+        startWorker();
+    }
+    await started;
+
+    const id = nextId;
+    nextId += 1;
+
+    return new Promise((resolve, reject) => {
+        // The worker can only miss its own timeout if it's stuck or out of memory,
+        // so we replace it, which also fails any other injections it was running
+        const timer = setTimeout(() => {
+            pending.delete(id);
+            reject(new Error(limitMessage()));
+            stopWorker('the injection sandbox was restarted after an injection timed out');
+        }, settings.timeout + GRACE_PERIOD);
+
+        pending.set(id, { resolve, reject, timer });
+        asyncPort.postMessage(Object.assign({ id }, message));
+    });
+}
+
+function replaceContents (target, json) {
+    if (!helpers.isObject(target)) {
+        return;
+    }
+    const source = JSON.parse(json);
+    Object.keys(target).forEach(key => {
+        delete target[key];
+    });
+    Object.assign(target, source);
+}
+
+function serialize (scope) {
+    const values = {};
+
+    Object.keys(scope).filter(key => ['logger', 'requestData'].indexOf(key) < 0).forEach(key => {
+        let value = scope[key];
+        if (key === 'config') {
+            value = Object.assign({}, value);
+            HOST_FIELDS.forEach(field => delete value[field]);
+        }
+        values[key] = JSON.stringify(value);
+    });
+    return values;
+}
+
+function messageFor (source, parameters, scope) {
+    return {
+        source,
+        parameters,
+        values: serialize(scope),
+        requestData: scope.requestData,
+        timeout: settings.timeout
+    };
+}
+
+function resultOf (reply, scope) {
+    if (reply.error) {
+        throw new Error(reply.error);
+    }
+
+    reply.logs.forEach(log => scope.logger[log.level](...log.args));
+    Object.keys(reply.values).forEach(key => replaceContents(scope[key], reply.values[key]));
+    return reply.result;
+}
+
+/**
+ * Runs an injected function in the sandbox without blocking the mountebank process.
+ * Log calls are replayed on the logger, and changes to the state, injectState, and response
+ * are copied back in place. Functions that take a callback or return a promise are waited on
+ * until the timeout.
+ * @param {string} source - The function source
+ * @param {Array} parameters - The names of the arguments to pass, in order; config, state,
+ *   injectState, response, requestData, logger, and callback are supported
+ * @param {Object} scope - The values for the parameters; logger is the mountebank logger,
+ *   and config gets the state, logger, callback, and response added inside the sandbox
+ * @returns {Object} - Promise resolving to the function's result
+ */
+async function run (source, parameters, scope) {
+    const reply = await call(messageFor(source, parameters, scope));
+    return resultOf(reply, scope);
+}
+
+/**
+ * Runs an injected function in the sandbox like run, but blocks the mountebank process until
+ * it finishes. Only use it where the caller needs the result synchronously.
+ * @param {string} source - The function source
+ * @param {Array} parameters - The names of the arguments to pass, in order
+ * @param {Object} scope - The values for the parameters
+ * @returns {Object} - The function's result
+ */
+function runSync (source, parameters, scope) {
+    const reply = callSync(messageFor(source, parameters, scope));
+    return resultOf(reply, scope);
+}
+
+module.exports = { configure, isEnabled, run, runSync };
@@ -0,0 +1,251 @@
+'use strict';
+
+const { workerData } = require('worker_threads'),
+    vm = require('vm');
+
+/**
+ * The worker thread behind the sandbox module. Each injection runs in a new vm context
+ * whose only globals are the JavaScript built-ins, and every value the injected function
+ * can reach is created inside that context, so it can't walk prototypes back to
+ * the worker's require or process.
+ * @module
+ */
+
+const syncPort = workerData.syncPort,
+    asyncPort = workerData.asyncPort,
+    signal = workerData.signal,
+    LOG_LEVELS = ['debug', 'info', 'warn', 'error'],
+    LINKED_FIELDS = ['state', 'response'];
+
+// Wraps a worker function in one created inside the context so the injected code never
+// holds a reference to it. The worker function must not throw or return anything but primitives.
+const WRAPPER_SOURCE = '(function (fn) { return function () { return fn(Array.prototype.slice.call(arguments)); }; })';
+
+function toCloneable (value) {
+    const json = JSON.stringify(value);
+    return typeof json === 'undefined' ? undefined : JSON.parse(json);
+}
+
+function logArgument (arg) {
+    try {
+        return typeof arg === 'function' ? String(arg) : toCloneable(arg);
+    }
+    catch (error) {
+        return String(arg);
+    }
+}
+
+// Settles a value inside the context, so a thenable's then is never handed a worker function
+const SETTLE_SOURCE = `(function (report) {
+    var resolve = Promise.resolve.bind(Promise);
+    return function (value) {
+        resolve(value).then(function (result) { report(result, false); }, function (error) { report(error, true); });
+    };
+})`;
+
+// Buffers can't cross into the context without handing it the worker's realm, so binary request
+// data gets the Uint8Array of the context with the Buffer methods injections usually need.
+// Strings are decoded by the worker, which only ever sees a copy of the bytes.
+const BUFFER_SOURCE = `(function (decode) {
+    var proto = Object.create(Uint8Array.prototype),
+        sizes = { Int8: 1, Uint8: 1, Int16: 2, Uint16: 2, Int32: 4, Uint32: 4,
+            Float32: 4, Float64: 8, BigInt64: 8, BigUint64: 8 },
+        names = { Uint8: 'UInt8', Uint16: 'UInt16', Uint32: 'UInt32', Float32: 'Float',
+            Float64: 'Double', BigUint64: 'BigUInt64' };
+
+    function toBuffer (bytes) {
+        return Object.setPrototypeOf(bytes, proto);
+    }
+
+    Object.keys(sizes).forEach(function (type) {
+        var name = 'read' + (names[type] || type),
+            aliases = names[type] ? [name, 'read' + type] : [name];
+
+        function reader (littleEndian) {
+            return function (offset) {
+                var view = new DataView(this.buffer, this.byteOffset, this.byteLength);
+                return view['get' + type](offset || 0, littleEndian);
+            };
+        }
+
+        aliases.forEach(function (alias) {
+            if (sizes[type] === 1) {
+                proto[alias] = reader(false);
+            }
+            else {
+                proto[alias + 'BE'] = reader(false);
+                proto[alias + 'LE'] = reader(true);
+            }
+        });
+    });
+
+    proto.toString = function (encoding, start, end) {
+        var result = decode(Uint8Array.prototype.slice.call(this, start, end), encoding || 'utf8');
+        if (typeof result === 'undefined') {
+            throw new TypeError('Unknown encoding: ' + encoding);
+        }
+        return result;
+    };
+    proto.toJSON = function () {
+        return { type: 'Buffer', data: Array.prototype.slice.call(this) };
+    };
+    proto.equals = function (other) {
+        return this.length === other.length && this.every(function (byte, i) { return byte === other[i]; });
+    };
+    proto.slice = proto.subarray = function (start, end) {
+        return toBuffer(Uint8Array.prototype.subarray.call(this, start, end));
+    };
+
+    return function (bytes) {
+        return toBuffer(new Uint8Array(bytes));
+    };
+})`;
+
+function decodeBytes (args) {
+    try {
+        return Buffer.isEncoding(args[1]) ? Buffer.from(new Uint8Array(args[0])).toString(args[1]) : undefined;
+    }
+    catch (error) {
+        return undefined;
+    }
+}
+
+function settler (context) {
+    const wrap = vm.runInContext(WRAPPER_SOURCE, context);
+    let settleInContext;
+
+    const settled = new Promise((resolve, reject) => {
+        const report = wrap(args => {
+            if (args[1]) {
+                reject(args[0]);
+            }
+            else {
+                // Wrapped so the result is never treated as a thenable outside the context
+                resolve({ value: args[0] });
+            }
+        });
+        settleInContext = vm.runInContext(SETTLE_SOURCE, context)(report);
+    });
+    return { settle: settleInContext, settled };
+}
+
+function createScope (message, context) {
+    const parse = vm.runInContext('JSON.parse', context),
+        wrap = vm.runInContext(WRAPPER_SOURCE, context),
+        callback = settler(context),
+        scope = { callback: callback.settle },
+        logs = [];
+
+    Object.keys(message.values).forEach(key => {
+        scope[key] = parse(message.values[key]);
+    });
+    if (typeof message.requestData !== 'undefined') {
+        const toBuffer = vm.runInContext(BUFFER_SOURCE, context)(wrap(decodeBytes));
+        scope.requestData = typeof message.requestData === 'string' ? message.requestData : toBuffer(message.requestData);
+    }
+
+    scope.logger = vm.runInContext('({})', context);
+    LOG_LEVELS.forEach(level => {
+        scope.logger[level] = wrap(args => {
+            logs.push({ level, args: Array.from(args, logArgument) });
+        });
+    });
+
+    if (scope.config) {
+        LINKED_FIELDS.filter(field => field in message.values).forEach(field => {
+            scope.config[field] = scope[field];
+        });
+        scope.config.logger = scope.logger;
+        if (message.parameters.indexOf('callback') >= 0) {
+            scope.config.callback = scope.callback;
+        }
+    }
+    return { scope, logs, callbackResult: callback.settled };
+}
+
+function settleResult (context, returned, message, callbackResult) {
+    if (typeof returned === 'undefined' && message.parameters.indexOf('callback') >= 0) {
+        return callbackResult;
+    }
+    const result = settler(context);
+    result.settle(returned);
+    return result.settled;
+}
+
+// Timers are the only globals added, so callback style injections can still defer their response
+function addTimers (context) {
+    const wrap = vm.runInContext(WRAPPER_SOURCE, context),
+        timers = {};
+    let nextId = 1;
+
+    context.setTimeout = wrap(args => {
+        const id = nextId;
+        nextId += 1;
+        timers[id] = setTimeout(() => {
+            delete timers[id];
+            args[0].apply(undefined, args.slice(2));
+        }, args[1]);
+        return id;
+    });
+    context.clearTimeout = wrap(args => {
+        clearTimeout(timers[args[0]]);
+        delete timers[args[0]];
+    });
+    return timers;
+}
+
+// Callbacks and promises that never settle are failed here, so the host only has to replace
+// the worker when it's too busy or out of memory to report the timeout itself
+function withinTimeout (settled, timeout) {
+    let timer;
+    const timedOut = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`injection did not finish within ${timeout} ms`)), timeout);
+    });
+    return Promise.race([settled, timedOut]).finally(() => clearTimeout(timer));
+}
+
+async function run (message) {
+    const context = vm.createContext(Object.create(null)),
+        timers = addTimers(context),
+        { scope, logs, callbackResult } = createScope(message, context),
+        args = vm.runInContext('[]', context);
+
+    message.parameters.forEach(name => args.push(scope[name]));
+    context.mbArguments = args;
+
+    const returned = vm.runInContext(`(${message.source}).apply(undefined, mbArguments)`, context,
+            { timeout: message.timeout, filename: 'injection' }),
+        result = await withinTimeout(settleResult(context, returned, message, callbackResult), message.timeout).finally(() => {
+            Object.keys(timers).forEach(id => clearTimeout(timers[id]));
+        }),
+        reply = { result: toCloneable(result.value), logs, values: {} };
+
+    // Changes to the state and in place changes to the response are copied back
+    Object.keys(message.values).filter(key => key !== 'config').forEach(key => {
+        reply.values[key] = JSON.stringify(scope[key]);
+    });
+    return reply;
+}
+
+async function runSafely (message) {
+    try {
+        return await run(message);
+    }
+    catch (error) {
+        return { error: String(error && error.message ? error.message : error) };
+    }
+}
+
+syncPort.on('message', async message => {
+    syncPort.postMessage(await runSafely(message));
+    Atomics.store(signal, 0, 1);
+    Atomics.notify(signal, 0);
+});
+
+asyncPort.on('message', async message => {
+    asyncPort.postMessage(Object.assign({ id: message.id }, await runSafely(message)));
+});
+
+asyncPort.postMessage({ started: true });
+Atomics.store(signal, 1, 1);
+Atomics.notify(signal, 1);
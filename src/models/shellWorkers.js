@@ -0,0 +1,244 @@
+'use strict';
+
+const os = require('os'),
+    childProcess = require('child_process'),
+    helpers = require('../util/helpers.js');
+
+/**
+ * Runs shellTransform behaviors through long-lived worker processes instead of starting a
+ * process for every request. Each worker command is started once per imposter and reads one
+ * JSON message per line on stdin, for example { "id": 1, "request": {...}, "response": {...} }.
+ * It writes one line per message to stdout, either { "id": 1, "response": {...} } with the
+ * transformed response or { "id": 1, "error": "message" } to fail the request. When the
+ * concurrency allows more than one message at a time, the replies may come in any order.
+ * @module
+ */
+
+const DEFAULT_CONCURRENCY = 1,
+    DEFAULT_TIMEOUT = 10000,
+    MAX_STDERR_LINES = 20,
+    isWindows = os.platform().indexOf('win') === 0;
+
+// Workers are kept on the imposter state so the imposter can stop them when it stops.
+// The symbol keeps them out of the user-visible state.
+const imposterWorkers = Symbol('shellWorkers');
+
+function createWorker (command, concurrency, logger) {
+    const pending = new Map(),
+        queue = [];
+    let child,
+        nextId = 1,
+        stderrLines = [],
+        stopped = false;
+
+    function failPending (message) {
+        pending.forEach(entry => {
+            clearTimeout(entry.timer);
+            entry.reject(message);
+        });
+        pending.clear();
+    }
+
+    function handleReply (line) {
+        let reply;
+
+        try {
+            reply = JSON.parse(line);
+        }
+        catch (e) {
+            logger.warn(`shellTransform worker ${command} wrote a line that isn't JSON: '${line}'`);
+            return;
+        }
+
+        const entry = helpers.isObject(reply) ? pending.get(reply.id) : undefined;
+        if (!entry) {
+            logger.warn(`shellTransform worker ${command} replied to an unknown message: '${line}'`);
+            return;
+        }
+
+        logger.debug(`shellTransform worker returned '${line}'`);
+        pending.delete(reply.id);
+        clearTimeout(entry.timer);
+
+        if (helpers.defined(reply.error)) {
+            entry.reject(`shellTransform worker "${command}" returned an error: ${reply.error}`);
+        }
+        else if (!helpers.isObject(reply.response)) {
+            entry.reject(`shellTransform worker "${command}" replied without a response: '${line}'`);
+        }
+        else {
+            entry.resolve(reply.response);
+        }
+        sendQueued();
+    }
+
+    function stopProcess (workerProcess) {
+        workerProcess.stdin.end();
+
+        // Killing the shell would leave the command it started running, so we kill the whole
+        // process group, or the process tree on Windows, which has no process groups
+        try {
+            if (isWindows) {
+                childProcess.exec(`taskkill /pid ${workerProcess.pid} /T /F`);
+            }
+            else {
+                process.kill(-workerProcess.pid, 'SIGTERM');
+            }
+        }
+        catch (error) {
+            logger.debug(`Unable to stop shellTransform worker ${command}: ${error.message}`);
+        }
+    }
+
+    function onClose (workerProcess, reason) {
+        if (workerProcess !== child) {
+            return;
+        }
+        child = undefined;
+        if (stopped) {
+            return;
+        }
+
+        logger.error(`shellTransform worker ${command} ${reason}`);
+        if (stderrLines.length > 0) {
+            logger.error(stderrLines.join('\n'));
+        }
+        failPending(`shellTransform worker "${command}" ${reason}`);
+
+        // Queued messages haven't been sent yet, so a new process can handle them
+        sendQueued();
+    }
+
+    function start () {
+        const workerProcess = childProcess.spawn(command, { shell: true, detached: !isWindows, stdio: ['pipe', 'pipe', 'pipe'] });
+        let buffered = '';
+
+        logger.info(`Started shellTransform worker ${command} with pid ${workerProcess.pid}`);
+        child = workerProcess;
+        stderrLines = [];
+
+        workerProcess.stdout.setEncoding('utf8');
+        workerProcess.stdout.on('data', chunk => {
+            if (workerProcess !== child) {
+                return;
+            }
+            const lines = (buffered + chunk).split('\n');
+            buffered = lines.pop();
+            lines.filter(line => line.trim() !== '').forEach(handleReply);
+        });
+
+        workerProcess.stderr.setEncoding('utf8');
+        workerProcess.stderr.on('data', chunk => {
+            chunk.split('\n').filter(line => line.trim() !== '').forEach(line => {
+                logger.debug(`shellTransform worker ${command} stderr: ${line}`);
+                stderrLines = stderrLines.concat(line).slice(-MAX_STDERR_LINES);
+            });
+        });
+
+        // The close handler reports the failure, so we only need to prevent an unhandled error
+        workerProcess.stdin.on('error', error => {
+            logger.debug(`Unable to write to shellTransform worker ${command}: ${error.message}`);
+        });
+        workerProcess.on('error', error => onClose(workerProcess, `failed: ${error.message}`));
+        workerProcess.on('close', (code, signal) => onClose(workerProcess, signal ? `exited with signal ${signal}` : `exited with code ${code}`));
+    }
+
+    function restart () {
+        const workerProcess = child;
+
+        child = undefined;
+        failPending(`shellTransform worker "${command}" was restarted`);
+        if (workerProcess) {
+            stopProcess(workerProcess);
+        }
+        sendQueued();
+    }
+
+    function onTimeout (id) {
+        const entry = pending.get(id);
+        if (!entry) {
+            return;
+        }
+
+        pending.delete(id);
+        entry.reject(`shellTransform worker "${command}" did not respond within ${entry.timeout} ms`);
+
+        // The worker may be stuck, and would otherwise time out every message after this one
+        logger.error(`shellTransform worker ${command} did not respond within ${entry.timeout} ms; restarting it`);
+        restart();
+    }
+
+    function send (entry) {
+        const id = nextId;
+        nextId += 1;
+
+        if (!child) {
+            start();
+        }
+        entry.timer = setTimeout(() => onTimeout(id), entry.timeout);
+        pending.set(id, entry);
+        logger.debug(`Sending message ${id} to shellTransform worker ${command}`);
+        child.stdin.write(JSON.stringify({ id, request: entry.request, response: entry.response }) + '\n');
+    }
+
+    function sendQueued () {
+        while (!stopped && queue.length > 0 && pending.size < concurrency) {
+            send(queue.shift());
+        }
+    }
+
+    function post (request, response, timeout) {
+        return new Promise((resolve, reject) => {
+            queue.push({ request, response, timeout, resolve, reject });
+            sendQueued();
+        });
+    }
+
+    function stop () {
+        stopped = true;
+        queue.splice(0).forEach(entry => entry.reject(`shellTransform worker "${command}" stopped`));
+        failPending(`shellTransform worker "${command}" stopped`);
+        if (child) {
+            stopProcess(child);
+        }
+    }
+
+    return { post, stop };
+}
+
+/**
+ * Sends the request and response to the imposter's worker for the command, starting it if needed
+ * @param {Object} config - The shellTransform configuration, with the worker command and optional concurrency and timeout
+ * @param {Object} request - The request
+ * @param {Object} response - The response
+ * @param {Object} logger - The imposter logger
+ * @param {Object} imposterState - The imposter state the workers are kept on
+ * @returns {Object} - Promise resolving to the transformed response
+ */
+function transform (config, request, response, logger, imposterState) {
+    const concurrency = config.concurrency || DEFAULT_CONCURRENCY,
+        key = JSON.stringify([config.worker, concurrency]);
+
+    imposterState[imposterWorkers] = imposterState[imposterWorkers] || {};
+
+    const workers = imposterState[imposterWorkers];
+    if (!workers[key]) {
+        workers[key] = createWorker(config.worker, concurrency, logger);
+    }
+    return workers[key].post(request, response, config.timeout || DEFAULT_TIMEOUT);
+}
+
+/**
+ * Stops all the worker processes of the imposter
+ * @param {Object} imposterState - The imposter state the workers are kept on
+ */
+function stopAll (imposterState) {
+    const workers = imposterState[imposterWorkers] || {};
+
+    Object.keys(workers).forEach(key => {
+        workers[key].stop();
+    });
+    delete imposterState[imposterWorkers];
+}
+
+module.exports = { transform, stopAll };
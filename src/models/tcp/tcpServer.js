@@ -4,6 +4,9 @@ const net = require('net'),
     tcpRequest = require('./tcpRequest.js'),
     tcpProxy = require('./tcpProxy.js'),
     tcpValidator = require('./tcpValidator.js'),
+    throttle = require('../throttle.js'),
+    faults = require('../faults.js'),
+    sandbox = require('../sandbox.js'),
     errors = require('../../util/errors.js');
 
 /**
@@ -32,6 +35,10 @@ function create (options, logger, responseFn) {
         }
 
         try {
+            if (sandbox.isEnabled()) {
+                // The proxy checks each packet synchronously, so this blocks until the injection finishes
+                return sandbox.runSync(options.endOfRequestResolver.inject, ['requestData', 'logger'], { requestData, logger });
+            }
             return eval(injected);
         }
         catch (error) {
@@ -67,12 +74,17 @@ function create (options, logger, responseFn) {
                 return;
             }
 
-            if (helpers.simulateFault(socket, mbResponse.fault, logger)) {
+            if (faults.simulate(socket, mbResponse.fault, { head: '', body: buffer }, logger)) {
                 return;
             }
 
             if (buffer.length > 0) {
-                socket.write(buffer);
+                if (mbResponse._throttle) {
+                    await throttle.write(socket, throttle.chunksFor([{ data: buffer }], mbResponse._throttle));
+                }
+                else {
+                    socket.write(buffer);
+                }
                 logger.debug('%s <= %s', clientName, JSON.stringify(buffer.toString(encoding)));
             }
         }
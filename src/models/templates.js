@@ -0,0 +1,156 @@
+'use strict';
+
+const Handlebars = require('handlebars'),
+    crypto = require('crypto'),
+    helpers = require('../util/helpers.js'),
+    errors = require('../util/errors.js'),
+    jsonPath = require('./jsonpath.js'),
+    xPath = require('./xpath.js');
+
+/**
+ * Renders the string fields of an is response as Handlebars templates when the
+ * response sets _template to true. Templates can only use the request, the imposter
+ * state, and the helpers below, so they don't require --allowInjection
+ * @module
+ */
+
+const ALPHANUMERIC = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+// Handlebars passes an options object as the last argument to every helper
+function withoutOptions (args) {
+    return Array.prototype.slice.call(args, 0, -1);
+}
+
+// A single match is returned as a value, multiple matches as an array for #each
+function unwrap (matches) {
+    if (Array.isArray(matches) && matches.length === 1) {
+        return matches[0];
+    }
+    return matches;
+}
+
+function randomInt (min, max) {
+    const low = helpers.defined(min) ? Number(min) : 0,
+        high = helpers.defined(max) ? Number(max) : Number.MAX_SAFE_INTEGER;
+    return Math.floor(Math.random() * (high - low + 1)) + low;
+}
+
+const dateFormats = {
+    iso: date => date.toISOString(),
+    epoch: date => date.getTime(),
+    unix: date => Math.floor(date.getTime() / 1000),
+    date: date => date.toISOString().substring(0, 10),
+    time: date => date.toISOString().substring(11, 19)
+};
+
+// Compiled templates are cached by their source; the cap keeps stubs that are
+// replaced often from growing the cache forever
+const MAX_CACHED_TEMPLATES = 1000;
+
+// The logger is passed to each render as data, so the helpers are only registered once
+function createEnvironment () {
+    const environment = Handlebars.create();
+
+    environment.registerHelper({
+        jsonpath: (from, selector, options) => unwrap(jsonPath.select(selector, from, options.data.logger)),
+        // Namespaces are passed as hash arguments, e.g. {{xpath request.body '//isbn:title' isbn='http://...'}}
+        xpath: (from, selector, options) => unwrap(xPath.select(selector, options.hash, from, options.data.logger)),
+        json: value => JSON.stringify(value),
+        now: function () {
+            const args = withoutOptions(arguments),
+                options = arguments[arguments.length - 1],
+                format = dateFormats[args[0] || 'iso'],
+                offset = Number(options.hash.offset || 0);
+
+            if (!format) {
+                throw errors.ValidationError(`unknown date format: ${args[0]}`, { source: Object.keys(dateFormats) });
+            }
+            return format(new Date(Date.now() + offset));
+        },
+        randomInt: function () {
+            const args = withoutOptions(arguments);
+            return randomInt(args[0], args[1]);
+        },
+        randomString: function () {
+            const args = withoutOptions(arguments),
+                length = helpers.defined(args[0]) ? Number(args[0]) : 10;
+            let result = '';
+
+            for (let i = 0; i < length; i += 1) {
+                result += ALPHANUMERIC[randomInt(0, ALPHANUMERIC.length - 1)];
+            }
+            return result;
+        },
+        randomElement: array => (Array.isArray(array) && array.length > 0 ? array[randomInt(0, array.length - 1)] : undefined),
+        uuid: () => crypto.randomUUID(),
+        eq: (first, second) => first === second,
+        default: (value, fallback) => (helpers.defined(value) && value !== '' ? value : fallback)
+    });
+    return environment;
+}
+
+const environment = createEnvironment(),
+    compiledTemplates = new Map();
+
+function compile (template) {
+    if (!compiledTemplates.has(template)) {
+        if (compiledTemplates.size >= MAX_CACHED_TEMPLATES) {
+            compiledTemplates.delete(compiledTemplates.keys().next().value);
+        }
+        compiledTemplates.set(template, environment.compile(template, { noEscape: true, strict: false }));
+    }
+    return compiledTemplates.get(template);
+}
+
+function renderString (template, context, logger) {
+    try {
+        return compile(template)(context, { data: { logger } });
+    }
+    catch (error) {
+        throw errors.ValidationError('invalid response template', { source: template, data: error.message });
+    }
+}
+
+function renderAll (value, context, logger) {
+    if (typeof value === 'string') {
+        return renderString(value, context, logger);
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => renderAll(item, context, logger));
+    }
+    if (helpers.isObject(value)) {
+        const result = {};
+        Object.keys(value).forEach(key => {
+            result[key] = renderAll(value[key], context, logger);
+        });
+        return result;
+    }
+    return value;
+}
+
+/**
+ * Returns true if the is response should be rendered as a template
+ * @param {Object} response - The is response
+ * @returns {boolean}
+ */
+function isTemplate (response) {
+    return helpers.isObject(response) && response._template === true;
+}
+
+/**
+ * Renders every string in the response as a template, removing the _template flag
+ * @param {Object} response - The is response
+ * @param {Object} request - The protocol request, available as request in templates
+ * @param {Object} imposterState - The imposter state, available as state in templates
+ * @param {Object} logger - The logger
+ * @returns {Object} - The rendered response
+ */
+function render (response, request, imposterState, logger) {
+    const context = { request, state: imposterState || {} },
+        fields = helpers.clone(response);
+
+    delete fields._template;
+    return renderAll(fields, context, logger);
+}
+
+module.exports = { isTemplate, render };
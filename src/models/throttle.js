@@ -0,0 +1,64 @@
+'use strict';
+
+/**
+ * Supports the throttle behavior, which trickles the response out over the socket
+ * at a limited byte rate to simulate a slow connection
+ * @module
+ */
+
+// Without a chunkSize, throttled data is sent in ten writes per second
+const WRITES_PER_SECOND = 10;
+
+function chunkSizeFor (config) {
+    return config.chunkSize || Math.max(1, Math.ceil(config.bytesPerSecond / WRITES_PER_SECOND));
+}
+
+function split (data, config, initialDelay) {
+    const size = chunkSizeFor(config),
+        result = [];
+
+    for (let offset = 0; offset < data.length; offset += size) {
+        const slice = data.subarray(offset, offset + size);
+
+        // Each write waits as long as the previous bytes would take to send at the configured rate
+        result.push({
+            data: slice,
+            delay: (offset === 0 ? initialDelay : 0) + Math.round((slice.length * 1000) / config.bytesPerSecond)
+        });
+    }
+    return result;
+}
+
+/**
+ * Splits chunks of response data into smaller chunks delayed to match the configured byte rate
+ * @param {Array} chunks - The chunks, each with data and delay fields
+ * @param {Object} config - The throttle configuration, with bytesPerSecond and an optional chunkSize
+ * @param {string} encoding - The encoding of string chunk data
+ * @returns {Array} - The throttled chunks, each with buffer data and a delay in milliseconds
+ */
+function chunksFor (chunks, config, encoding) {
+    return chunks.reduce((result, chunk) => {
+        const data = Buffer.isBuffer(chunk.data) ? chunk.data : Buffer.from(String(chunk.data), encoding);
+        return result.concat(split(data, config, chunk.delay || 0));
+    }, []);
+}
+
+/**
+ * Writes each chunk to the socket after its delay, stopping early if the client disconnects
+ * @param {Object} socket - The socket
+ * @param {Array} chunks - The chunks returned by chunksFor
+ * @returns {Object} - Promise resolving once every chunk has been written
+ */
+async function write (socket, chunks) {
+    for (const chunk of chunks) {
+        if (chunk.delay > 0) {
+            await new Promise(resolve => setTimeout(resolve, chunk.delay));
+        }
+        if (socket.destroyed) {
+            return;
+        }
+        socket.write(chunk.data);
+    }
+}
+
+module.exports = { chunksFor, write };
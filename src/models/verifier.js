@@ -0,0 +1,202 @@
+'use strict';
+
+/**
+ * Verifies the requests an imposter has recorded against a set of predicates
+ * and an expected number of matches, explaining the closest misses when
+ * the expectation isn't met
+ * @module
+ */
+
+const errors = require('../util/errors.js'),
+    helpers = require('../util/helpers.js');
+
+// Only the closest few non-matching requests are useful when troubleshooting
+const MAX_NEAR_MISSES = 3;
+
+// Predicate operators whose fields can be evaluated one at a time to find the differences
+const FIELD_OPERATORS = ['equals', 'deepEquals', 'contains', 'startsWith', 'endsWith', 'matches', 'matchesSchema', 'exists'];
+
+const expectations = {
+    exactly: {
+        isMet: (count, expected) => count === expected,
+        describe: expected => `exactly ${expected}`,
+        minimum: expected => expected
+    },
+    atLeast: {
+        isMet: (count, expected) => count >= expected,
+        describe: expected => `at least ${expected}`,
+        minimum: expected => expected
+    },
+    atMost: {
+        isMet: (count, expected) => count <= expected,
+        describe: expected => `at most ${expected}`,
+        minimum: () => 0
+    },
+    never: {
+        isMet: (count, expected) => !expected || count === 0,
+        describe: expected => (expected ? 'no' : 'any number of'),
+        minimum: () => 0
+    }
+};
+
+function isCount (value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Returns true if the predicate, or any predicate nested inside it, uses injection
+ * @param {Object} predicate - The predicate, or an array of predicates
+ * @returns {boolean}
+ */
+function hasInjection (predicate) {
+    if (!helpers.isObject(predicate)) {
+        return false;
+    }
+    if (helpers.defined(predicate.inject)) {
+        return true;
+    }
+    return Object.keys(predicate).some(key => {
+        const value = predicate[key];
+        return Array.isArray(value) ? value.some(hasInjection) : hasInjection(value);
+    });
+}
+
+function errorsFor (verification, allowInjection) {
+    const result = [];
+
+    if (helpers.defined(verification.predicates) && !Array.isArray(verification.predicates)) {
+        result.push(errors.ValidationError("'predicates' must be an array", { source: verification }));
+    }
+    ['exactly', 'atLeast', 'atMost'].forEach(key => {
+        if (helpers.defined(verification[key]) && !isCount(verification[key])) {
+            result.push(errors.ValidationError(`'${key}' must be a non-negative integer`, { source: verification }));
+        }
+    });
+    if (helpers.defined(verification.never) && typeof verification.never !== 'boolean') {
+        result.push(errors.ValidationError("'never' must be a boolean", { source: verification }));
+    }
+    if (!allowInjection && hasInjection(verification.predicates)) {
+        result.push(errors.InjectionError(
+            'JavaScript injection is not allowed unless mb is run with the --allowInjection flag', { source: verification }));
+    }
+    return result;
+}
+
+function expectationFrom (verification) {
+    const result = {};
+
+    Object.keys(expectations).forEach(key => {
+        if (helpers.defined(verification[key])) {
+            result[key] = verification[key];
+        }
+    });
+    if (Object.keys(result).length === 0) {
+        result.atLeast = 1;
+    }
+    return result;
+}
+
+/**
+ * Lists why a request doesn't match a predicate. Field operators are split so each
+ * mismatched field is reported separately; other operators are reported as a whole
+ * @param {Object} predicate - The predicate
+ * @param {Object} request - The recorded request
+ * @param {Function} evaluate - Evaluates a predicate against a request, returning a boolean
+ * @returns {Array} - The differences, each with the operator, field, expected and actual values
+ */
+function differencesFor (predicate, request, evaluate) {
+    const operator = Object.keys(predicate).find(key => FIELD_OPERATORS.indexOf(key) >= 0);
+
+    if (!operator || !helpers.isObject(predicate[operator])) {
+        return evaluate(predicate, request) ? [] : [{ predicate }];
+    }
+
+    return Object.keys(predicate[operator]).filter(field => {
+        const fieldPredicate = helpers.clone(predicate);
+        fieldPredicate[operator] = { [field]: predicate[operator][field] };
+        return !evaluate(fieldPredicate, request);
+    }).map(field => ({
+        operator,
+        field,
+        expected: predicate[operator][field],
+        actual: request[field]
+    }));
+}
+
+function nearMissesFor (requests, predicates, evaluate) {
+    return requests
+        .map((request, index) => ({
+            index,
+            request,
+            differences: predicates.reduce((accumulator, predicate) =>
+                accumulator.concat(differencesFor(predicate, request, evaluate)), [])
+        }))
+        .filter(nearMiss => nearMiss.differences.length > 0)
+        .sort((first, second) => first.differences.length - second.differences.length)
+        .slice(0, MAX_NEAR_MISSES);
+}
+
+/**
+ * Formats a difference returned by differencesFor for logging and messages
+ * @param {Object} difference - The difference
+ * @returns {string}
+ */
+function describeDifference (difference) {
+    if (difference.scenario) {
+        return `scenario ${difference.scenario}: expected state ${JSON.stringify(difference.expected)} but was ${JSON.stringify(difference.actual)}`;
+    }
+    if (!difference.operator) {
+        return `${JSON.stringify(difference.predicate)} did not match`;
+    }
+    return `${difference.operator} ${difference.field}: expected ${JSON.stringify(difference.expected)} but was ${JSON.stringify(difference.actual)}`;
+}
+
+function messageFor (expectation, count, nearMisses) {
+    const expected = Object.keys(expectation).map(key => expectations[key].describe(expectation[key])).join(' and '),
+        lines = [`Expected ${expected} matching requests but found ${count}`];
+
+    if (nearMisses.length > 0) {
+        lines.push('Closest requests:');
+    }
+    nearMisses.forEach(nearMiss => {
+        lines.push(`  request ${nearMiss.index}:`);
+        nearMiss.differences.forEach(difference => {
+            lines.push(`    ${describeDifference(difference)}`);
+        });
+    });
+    return lines.join('\n');
+}
+
+/**
+ * Verifies the recorded requests
+ * @param {Object} verification - The predicates and expectation, e.g. { predicates: [...], exactly: 2 }
+ * @param {Array} requests - The recorded requests
+ * @param {Function} evaluate - Evaluates a predicate against a request, returning a boolean
+ * @param {boolean} allowInjection - Whether inject predicates are allowed
+ * @returns {Object} - The result, with verified, expectation, count, and requests fields,
+ *  and message and nearMisses fields if the expectation wasn't met
+ */
+function verify (verification, requests, evaluate, allowInjection) {
+    const validationErrors = errorsFor(verification, allowInjection);
+    if (validationErrors.length > 0) {
+        throw validationErrors[0];
+    }
+
+    const predicates = verification.predicates || [],
+        expectation = expectationFrom(verification),
+        matches = requests.filter(request => predicates.every(predicate => evaluate(predicate, request))),
+        count = matches.length,
+        verified = Object.keys(expectation).every(key => expectations[key].isMet(count, expectation[key])),
+        result = { verified, expectation, count, requests: matches };
+
+    if (!verified) {
+        const minimum = Math.max(...Object.keys(expectation).map(key => expectations[key].minimum(expectation[key]))),
+            nearMisses = count < minimum ? nearMissesFor(requests, predicates, evaluate) : [];
+
+        result.message = messageFor(expectation, count, nearMisses);
+        result.nearMisses = nearMisses;
+    }
+    return result;
+}
+
+module.exports = { verify, differencesFor, describeDifference, hasInjection };
@@ -0,0 +1,49 @@
+'use strict';
+
+const helpers = require('../util/helpers.js');
+
+/**
+ * Chooses a stub's responses by weight rather than in order, for stubs simulating
+ * intermittent behavior like an occasional 503. A stub is weighted if any of its
+ * responses has a weight; responses without one count as a weight of 1.
+ * @module
+ */
+
+/**
+ * Returns the weight of the response
+ * @param {Object} response - The response configuration
+ * @returns {Number}
+ */
+function weightOf (response) {
+    return helpers.defined(response.weight) ? Number(response.weight) : 1;
+}
+
+/**
+ * Returns true if the responses should be chosen by weight
+ * @param {Array} responses - The stub's responses
+ * @returns {boolean}
+ */
+function isWeighted (responses) {
+    return (responses || []).some(response => helpers.defined(response.weight));
+}
+
+/**
+ * Chooses an index in proportion to the weights
+ * @param {Array} weights - The weight of each response
+ * @param {Number} value - A random number in [0, 1)
+ * @returns {Number}
+ */
+function choose (weights, value) {
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    let remaining = value * total;
+
+    for (let i = 0; i < weights.length; i += 1) {
+        remaining -= weights[i];
+        if (remaining < 0) {
+            return i;
+        }
+    }
+    return weights.length - 1;
+}
+
+module.exports = { weightOf, isWeighted, choose };
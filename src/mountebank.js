@@ -12,6 +12,9 @@ const express = require('express'),
     utilLogger = require('./util/logger.js'),
     utilIp = require('./util/ip.js'),
     protocolsModule = require('./models/protocols.js'),
+    sandbox = require('./models/sandbox.js'),
+    namedFunctions = require('./models/namedFunctions.js'),
+    behaviors = require('./models/behaviors.js'),
     imposterRepositoryModule = require('./models/impostersRepository.js'),
     homeControllerModule = require('./controllers/homeController.js'),
     impostersControllerModule = require('./controllers/impostersController.js'),
@@ -36,7 +39,9 @@ function applyDefaults (options) {
     // Minimal defaults to start bypassing the CLI (e.g. embedding in an express app)
     const defaults = {
         port: 2525,
-        ipWhitelist: ['*']
+        ipWhitelist: ['*'],
+        injectionTimeout: 1000,
+        injectionMemory: 64
     };
     Object.keys(defaults).forEach(key => {
         options[key] = typeof options[key] === 'undefined' ? defaults[key] : options[key];
@@ -45,6 +50,8 @@ function applyDefaults (options) {
 
 async function createApp (options) {
     applyDefaults(options);
+    sandbox.configure(options);
+    behaviors.configure(options);
 
     const app = express(),
         hostname = options.host || 'localhost',
@@ -65,6 +72,8 @@ async function createApp (options) {
         validateImposterExists = middleware.createImposterValidator(imposters),
         prometheus = promClient;
 
+    namedFunctions.configure(options, logger);
+
     // Clear only matters when bound using directly in-process through JS rather than the CLI
     prometheus.register.clear();
     prometheus.collectDefaultMetrics({ prefix: 'mb_' });
@@ -95,6 +104,17 @@ async function createApp (options) {
     app.delete('/imposters/:id', imposterController.del);
     app.delete('/imposters/:id/savedProxyResponses', validateImposterExists, imposterController.resetProxies);
     app.delete('/imposters/:id/savedRequests', validateImposterExists, imposterController.resetRequests);
+    app.get('/imposters/:id/scenarios', validateImposterExists, imposterController.getScenarios);
+    app.delete('/imposters/:id/scenarios', validateImposterExists, imposterController.resetScenarios);
+    app.get('/imposters/:id/unmatched', validateImposterExists, imposterController.getUnmatched);
+    app.delete('/imposters/:id/unmatched', validateImposterExists, imposterController.resetUnmatched);
+    app.get('/imposters/:id/chaos', validateImposterExists, imposterController.getChaos);
+    app.put('/imposters/:id/chaos', validateImposterExists, imposterController.putChaos);
+    app.delete('/imposters/:id/chaos', validateImposterExists, imposterController.deleteChaos);
+    app.put('/imposters/:id/activeProfile', validateImposterExists, imposterController.putActiveProfile);
+    app.put('/imposters/:id/tables/:name', validateImposterExists, imposterController.putTable);
+    app.delete('/imposters/:id/tables/:name', validateImposterExists, imposterController.deleteTable);
+    app.post('/imposters/:id/verifications', validateImposterExists, imposterController.postVerification);
 
     // deprecated but saved for backwards compatibility
     app.delete('/imposters/:id/requests', validateImposterExists, imposterController.resetProxies);
@@ -148,8 +168,11 @@ async function createApp (options) {
         '/docs/api/behaviors',
         '/docs/api/errors',
         '/docs/api/faults',
+        '/docs/api/templates',
         '/docs/protocols/http',
         '/docs/protocols/https',
+        '/docs/protocols/http2',
+        '/docs/protocols/grpc',
         '/docs/protocols/tcp',
         '/docs/protocols/smtp',
         '/docs/protocols/custom'
@@ -166,6 +189,9 @@ async function createApp (options) {
     if (options.allowInjection) {
         logger.warn(`Running with --allowInjection set. See ${baseURL}/docs/security for security info`);
     }
+    if (options.allowInjection && sandbox.isEnabled()) {
+        logger.info(`Running injections in a sandbox limited to ${options.injectionTimeout} ms and ${options.injectionMemory} MB`);
+    }
 
     await imposters.loadAll(protocols);
 
@@ -0,0 +1,68 @@
+'use strict';
+
+/**
+ * Seeded pseudo-random numbers, so tests can reproduce "random" choices. Uses the
+ * Park-Miller generator, which is good enough for test data but not for anything secure.
+ * The state is a plain integer, so callers that persist state between calls can store it.
+ * @module
+ */
+
+const MODULUS = 2147483647,
+    MULTIPLIER = 48271;
+
+// Reduces string and number seeds to an integer for the generator
+function hash (value) {
+    const text = String(value);
+    let result = 0;
+
+    for (let i = 0; i < text.length; i += 1) {
+        result = ((result * 31) + text.charCodeAt(i)) % MODULUS;
+    }
+    return result;
+}
+
+function step (state) {
+    return (state * MULTIPLIER) % MODULUS;
+}
+
+/**
+ * Returns the generator state for a seed
+ * @param {number|string} seed - The seed
+ * @returns {number}
+ */
+function initialState (seed) {
+    let state = (hash(seed) % (MODULUS - 1)) + 1;
+
+    // Small seeds produce small first values, so skip ahead before using the sequence
+    for (let i = 0; i < 10; i += 1) {
+        state = step(state);
+    }
+    return state;
+}
+
+/**
+ * Advances the generator
+ * @param {number} state - The current state, from initialState or a previous call
+ * @returns {Object} - The value in [0, 1) and the new state
+ */
+function next (state) {
+    const newState = step(state);
+    return { value: (newState - 1) / (MODULUS - 1), state: newState };
+}
+
+/**
+ * Creates a random function returning numbers in [0, 1), reproducible for the same seed
+ * @param {number|string} seed - The seed
+ * @returns {Function}
+ */
+function fromSeed (seed) {
+    let state = initialState(seed);
+
+    return () => {
+        const result = next(state);
+        state = result.state;
+        return result.value;
+    };
+}
+
+module.exports = { fromSeed, initialState, next };
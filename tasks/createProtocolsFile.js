@@ -11,6 +11,8 @@ const protocols = {
         smtp: { createCommand: `node ${root}/src/models/smtp/index.js` },
         http: { createCommand: `node ${root}/src/models/http/index.js` },
         https: { createCommand: `node ${root}/src/models/https/index.js` },
+        http2: { createCommand: `node ${root}/src/models/http2/index.js` },
+        grpc: { createCommand: `node ${root}/src/models/grpc/index.js` },
         tcp: { createCommand: `node ${root}/src/models/tcp/index.js` }
     },
     fs = require('fs');
@@ -0,0 +1,72 @@
+'use strict';
+
+const assert = require('assert'),
+    fs = require('fs-extra'),
+    path = require('path'),
+    configWatcher = require('../../src/cli/configWatcher');
+
+describe('configWatcher', function () {
+    describe('#filesFor', function () {
+        afterEach(function () {
+            fs.removeSync('.mbtest');
+        });
+
+        it('should include the config file and the files it includes', function () {
+            fs.outputFileSync('.mbtest/imposters.ejs',
+                "{ \"imposters\": [<%- include('orders.json') %>, <%- include(\"users/users.ejs\") %>] }");
+            fs.outputFileSync('.mbtest/orders.json', '{ "port": 4545 }');
+            fs.outputFileSync('.mbtest/users/users.ejs',
+                "{ \"port\": 4546, \"stubs\": [{ \"responses\": [{ \"is\": { \"body\": \"<%- stringify(filename, 'users/body.txt') %>\" } }] }] }");
+
+            assert.deepEqual(configWatcher.filesFor('.mbtest/imposters.ejs', false), [
+                path.resolve('.mbtest/imposters.ejs'),
+                path.resolve('.mbtest/orders.json'),
+                path.resolve('.mbtest/users/users.ejs'),
+                path.resolve('.mbtest/users/body.txt')
+            ]);
+        });
+
+        it('should only include the config file with noParse', function () {
+            fs.outputFileSync('.mbtest/imposters.ejs', "<%- include('orders.json') %>");
+
+            assert.deepEqual(configWatcher.filesFor('.mbtest/imposters.ejs', true), [path.resolve('.mbtest/imposters.ejs')]);
+        });
+    });
+
+    describe('#diff', function () {
+        const orders = { protocol: 'http', port: 4545, stubs: [] },
+            users = { protocol: 'http', port: 4546, stubs: [] };
+
+        it('should not change imposters with the same definition', function () {
+            const loaded = configWatcher.track([orders, users], [4545, 4546]),
+                result = configWatcher.diff(loaded, [JSON.parse(JSON.stringify(orders)), users]);
+
+            assert.deepEqual(result, { keys: ['port 4545', 'port 4546'], changed: [false, false], remove: [] });
+        });
+
+        it('should remove and recreate changed imposters', function () {
+            const loaded = configWatcher.track([orders, users], [4545, 4546]),
+                changedUsers = { protocol: 'http', port: 4546, stubs: [{ responses: [{ is: {} }] }] },
+                result = configWatcher.diff(loaded, [orders, changedUsers]);
+
+            assert.deepEqual(result.changed, [false, true]);
+            assert.deepEqual(result.remove, ['port 4546']);
+        });
+
+        it('should remove imposters no longer in the config file and create new ones', function () {
+            const loaded = configWatcher.track([orders], [4545]),
+                result = configWatcher.diff(loaded, [users]);
+
+            assert.deepEqual(result.changed, [true]);
+            assert.deepEqual(result.remove, ['port 4545']);
+        });
+
+        it('should track imposters without a port by name', function () {
+            const unnamed = { protocol: 'tcp', name: 'ledger' },
+                loaded = configWatcher.track([unnamed], [51234]);
+
+            assert.deepEqual(loaded, { 'name ledger': { definition: unnamed, port: 51234 } });
+            assert.deepEqual(configWatcher.diff(loaded, [unnamed]).changed, [false]);
+        });
+    });
+});
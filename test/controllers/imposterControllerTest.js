@@ -65,6 +65,33 @@ describe('ImposterController', function () {
             assert.ok(second.toJSON.wasCalledWith({ replayable: false, removeProxies: true }), second.toJSON.message());
         });
 
+        it('should return a HAR log if the format querystring is har', async function () {
+            const response = FakeResponse.create(),
+                json = { protocol: 'http', port: 2, stubs: [{ responses: [{ is: { body: 'recorded' } }] }] },
+                imposter = { port: 2, toJSON: mock().returns(Promise.resolve(json)) },
+                repo = ImpostersRepo.create(),
+                controller = Controller.create({}, repo);
+
+            await repo.add(imposterize(imposter));
+            await controller.get(Request.to('/imposters/2?format=har', { id: 2 }), response);
+
+            assert.strictEqual(response.body.log.version, '1.2');
+            assert.deepEqual(response.body.log.entries.map(entry => entry.response.content.text), ['recorded']);
+        });
+
+        it('should return a 400 for an unsupported format', async function () {
+            const response = FakeResponse.create(),
+                imposter = { port: 2, toJSON: mock().returns(Promise.resolve({ protocol: 'http', port: 2 })) },
+                repo = ImpostersRepo.create(),
+                controller = Controller.create({}, repo);
+
+            await repo.add(imposterize(imposter));
+            await controller.get(Request.to('/imposters/2?format=csv', { id: 2 }), response);
+
+            assert.strictEqual(response.statusCode, 400);
+            assert.strictEqual(response.body.errors[0].message, 'unsupported format: csv');
+        });
+
         it('should return replayable and removeProxies JSON for imposter at given id if both querystring values set', async function () {
             const response = FakeResponse.create(),
                 first = { port: 1, toJSON: mock().returns(Promise.resolve('firstJSON')) },
@@ -204,6 +231,116 @@ describe('ImposterController', function () {
         });
     });
 
+    describe('#putChaos', function () {
+        it('should merge the changes into the current chaos configuration', async function () {
+            const response = FakeResponse.create(),
+                rules = [{ percentage: 10, error: { statusCode: 503 } }],
+                imposter = {
+                    port: 1,
+                    protocol: 'http',
+                    toJSON: mock().returns(Promise.resolve({ protocol: 'http' })),
+                    getChaos: mock().returns({ rules }),
+                    setChaos: mock()
+                },
+                repo = ImpostersRepo.create(),
+                logger = require('../fakes/fakeLogger').create(),
+                controller = Controller.create({}, repo, logger, false);
+
+            await repo.add(imposterize(imposter));
+            await controller.putChaos({ params: { id: 1 }, body: { enabled: false } }, response);
+
+            assert.ok(imposter.setChaos.wasCalledWith({ rules, enabled: false }), imposter.setChaos.message());
+        });
+
+        it('should return a 400 without changing the chaos if the configuration is invalid', async function () {
+            const response = FakeResponse.create(),
+                imposter = {
+                    port: 1,
+                    protocol: 'http',
+                    toJSON: mock().returns(Promise.resolve({ protocol: 'http' })),
+                    getChaos: mock().returns(undefined),
+                    setChaos: mock()
+                },
+                repo = ImpostersRepo.create(),
+                logger = require('../fakes/fakeLogger').create(),
+                controller = Controller.create({}, repo, logger, false);
+
+            await repo.add(imposterize(imposter));
+            await controller.putChaos({ params: { id: 1 }, body: { rules: [{ percentage: 10 }] } }, response);
+
+            assert.strictEqual(response.statusCode, 400);
+            assert.deepEqual(response.body.errors.map(error => error.message),
+                ["'chaos.rules[0]' must have exactly one of [latency, error, fault]"]);
+            assert.ok(!imposter.setChaos.wasCalled());
+        });
+    });
+
+    describe('#putActiveProfile', function () {
+        it('should activate the profile and return the imposter JSON', async function () {
+            const response = FakeResponse.create(),
+                imposter = {
+                    port: 1,
+                    activateProfile: mock().returns(Promise.resolve()),
+                    toJSON: mock().returns(Promise.resolve('JSON'))
+                },
+                repo = ImpostersRepo.create(),
+                controller = Controller.create({}, repo, require('../fakes/fakeLogger').create(), false);
+
+            await repo.add(imposterize(imposter));
+            await controller.putActiveProfile({ params: { id: 1 }, body: { activeProfile: 'outage' } }, response);
+
+            assert.ok(imposter.activateProfile.wasCalledWith('outage'), imposter.activateProfile.message());
+            assert.strictEqual(response.body, 'JSON');
+        });
+
+        it('should return a 404 for an unknown profile', async function () {
+            const response = FakeResponse.create(),
+                error = { code: 'no such resource', message: 'no profile named outage' },
+                imposter = { port: 1, activateProfile: mock().returns(Promise.reject(error)) },
+                repo = ImpostersRepo.create(),
+                controller = Controller.create({}, repo, require('../fakes/fakeLogger').create(), false);
+
+            await repo.add(imposterize(imposter));
+            await controller.putActiveProfile({ params: { id: 1 }, body: { activeProfile: 'outage' } }, response);
+
+            assert.strictEqual(response.statusCode, 404);
+            assert.deepEqual(response.body, { errors: [error] });
+        });
+    });
+
+    describe('#putTable', function () {
+        it('should replace the table rows', async function () {
+            const response = FakeResponse.create(),
+                imposter = { port: 1, setTable: mock() },
+                rows = [{ id: '1' }, { id: '2' }],
+                repo = ImpostersRepo.create(),
+                controller = Controller.create({}, repo, require('../fakes/fakeLogger').create(), false);
+
+            await repo.add(imposterize(imposter));
+            await controller.putTable({ params: { id: 1, name: 'users' }, body: { rows } }, response);
+
+            assert.ok(imposter.setTable.wasCalledWith('users', rows), imposter.setTable.message());
+            assert.deepEqual(response.body, { table: 'users', numberOfRows: 2 });
+        });
+
+        it('should return a 400 if the rows are invalid', async function () {
+            const response = FakeResponse.create(),
+                error = { code: 'bad data', message: "'rows' must be an array of objects" },
+                imposter = {
+                    port: 1,
+                    setTable: () => { throw error; }
+                },
+                repo = ImpostersRepo.create(),
+                controller = Controller.create({}, repo, require('../fakes/fakeLogger').create(), false);
+
+            await repo.add(imposterize(imposter));
+            await controller.putTable({ params: { id: 1, name: 'users' }, body: {} }, response);
+
+            assert.strictEqual(response.statusCode, 400);
+            assert.deepEqual(response.body, { errors: [error] });
+        });
+    });
+
     describe('#putStubs', function () {
         it('should return a 400 if no stubs element', async function () {
             const response = FakeResponse.create(),
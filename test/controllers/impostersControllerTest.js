@@ -80,6 +80,19 @@ describe('ImpostersController', function () {
             assert.ok(first.toJSON.wasCalledWith({ replayable: true, removeProxies: true, list: false }), first.toJSON.message());
             assert.ok(second.toJSON.wasCalledWith({ replayable: true, removeProxies: true, list: false }), second.toJSON.message());
         });
+
+        it('should send replayable JSON with snapshots for all imposters if snapshot querystring present', async function () {
+            const first = { port: 1, toJSON: mock().returns(Promise.resolve('firstJSON')) },
+                repo = ImpostersRepo.create(),
+                controller = Controller.create({}, repo, null, false);
+
+            await repo.add(imposterize(first));
+            await controller.get(Request.to('/imposters?snapshot=true'), response);
+
+            assert.deepEqual(response.body, { imposters: ['firstJSON'] });
+            assert.ok(first.toJSON.wasCalledWith({ replayable: true, removeProxies: false, list: false, snapshot: true }),
+                first.toJSON.message());
+        });
     });
 
     describe('#post', function () {
@@ -134,6 +147,18 @@ describe('ImpostersController', function () {
             assert.deepEqual(allImposters, [imposter]);
         });
 
+        it('should restore the snapshot after adding the imposter', async function () {
+            const snapshot = { numberOfRequests: 3, stubs: [], requests: [] };
+            imposter.port = 3535;
+            imposter.restoreSnapshot = mock().returns(Promise.resolve());
+            request.body = { protocol: 'http', snapshot };
+
+            await controller.post(request, response);
+
+            assert.ok(imposter.restoreSnapshot.wasCalledWith(snapshot), imposter.restoreSnapshot.message());
+            assert.deepEqual(imposter.creationRequest, { protocol: 'http' });
+        });
+
         it('should return a 400 for a floating point port', async function () {
             request.body = { protocol: 'http', port: '123.45' };
 
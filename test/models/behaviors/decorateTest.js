@@ -2,6 +2,7 @@
 
 const assert = require('assert'),
     behaviors = require('../../../src/models/behaviors'),
+    sandbox = require('../../../src/models/sandbox'),
     Logger = require('../../fakes/fakeLogger');
 
 describe('behaviors', function () {
@@ -56,11 +57,20 @@ describe('behaviors', function () {
             }
         });
 
-        it('should not be valid if not a string', function () {
+        it('should not be valid if not a string or object', function () {
+            const errors = behaviors.validate([{ decorate: 1 }]);
+            assert.deepEqual(errors, [{
+                code: 'bad data',
+                message: 'decorate behavior "decorate" field must be a string or an object, representing a JavaScript function or a named function reference',
+                source: { decorate: 1 }
+            }]);
+        });
+
+        it('should not be valid if a named function reference has no name', function () {
             const errors = behaviors.validate([{ decorate: {} }]);
             assert.deepEqual(errors, [{
                 code: 'bad data',
-                message: 'decorate behavior "decorate" field must be a string, representing a JavaScript function',
+                message: 'decorate behavior "decorate.fn" field must be a string, representing a named function',
                 source: { decorate: {} }
             }]);
         });
@@ -85,4 +95,141 @@ describe('behaviors', function () {
             assert.deepEqual(secondResponse, { hits: 2 });
         });
     });
+
+    describe('#decorate with promises', function () {
+        afterEach(function () {
+            behaviors.configure({});
+        });
+
+        it('should use the response a promise resolves to', async function () {
+            const fn = async config => ({ body: `${config.request.path} decorated` }),
+                actualResponse = await behaviors.execute({ path: '/' }, {}, [{ decorate: fn.toString() }], Logger.create(), {});
+
+            assert.deepEqual(actualResponse, { body: '/ decorated' });
+        });
+
+        it('should use the response changed in place when the promise resolves to nothing', async function () {
+            const fn = (config, response) => new Promise(resolve => {
+                    setTimeout(() => {
+                        response.body = 'later';
+                        resolve();
+                    }, 10);
+                }),
+                actualResponse = await behaviors.execute({}, { body: 'now' }, [{ decorate: fn.toString() }], Logger.create(), {});
+
+            assert.deepEqual(actualResponse, { body: 'later' });
+        });
+
+        it('should allow reading files asynchronously', async function () {
+            const fn = async config => {
+                    const fs = require('fs');
+                    config.response.body = JSON.parse(await fs.promises.readFile('package.json', 'utf8')).name;
+                },
+                actualResponse = await behaviors.execute({}, {}, [{ decorate: fn.toString() }], Logger.create(), {});
+
+            assert.deepEqual(actualResponse, { body: 'mountebank' });
+        });
+
+        it('should reject with an InjectionError when the promise rejects', async function () {
+            const logger = Logger.create(),
+                fn = async () => { throw new Error('BOOM'); };
+
+            try {
+                await behaviors.execute({}, {}, [{ decorate: fn.toString() }], logger, {});
+                assert.fail('should have rejected');
+            }
+            catch (error) {
+                assert.strictEqual(error.code, 'invalid injection');
+                assert.strictEqual(error.message, 'invalid decorator injection');
+                assert.strictEqual(error.data, 'BOOM');
+                logger.error.assertLogged('injection X=> Error: BOOM');
+            }
+        });
+
+        it('should not use the injectionTimeout for promises', async function () {
+            const fn = () => new Promise(resolve => setTimeout(() => resolve({ body: 'slow' }), 50));
+
+            behaviors.configure({ injectionTimeout: 10 });
+            const actualResponse = await behaviors.execute({}, {}, [{ decorate: fn.toString() }], Logger.create(), {});
+
+            assert.deepEqual(actualResponse, { body: 'slow' });
+        });
+
+        it('should reject with an InjectionError when the promise never settles using the default options', async function () {
+            const realSetTimeout = global.setTimeout,
+                delays = [];
+
+            // Fire the timeout right away rather than waiting the full default
+            global.setTimeout = (fn, delay) => {
+                delays.push(delay);
+                return realSetTimeout(fn, 0);
+            };
+            behaviors.configure({});
+
+            try {
+                await behaviors.execute({}, {}, [{ decorate: '() => new Promise(() => {})' }], Logger.create(), {});
+                assert.fail('should have rejected');
+            }
+            catch (error) {
+                assert.strictEqual(error.message, 'invalid decorator injection');
+                assert.strictEqual(error.data, 'decorator did not resolve within 10000 ms');
+                assert.deepEqual(delays, [10000]);
+            }
+            finally {
+                global.setTimeout = realSetTimeout;
+            }
+        });
+
+        it('should reject with an InjectionError when the promise does not settle within the decorateTimeout', async function () {
+            behaviors.configure({ decorateTimeout: 50 });
+
+            try {
+                await behaviors.execute({}, {}, [{ decorate: '() => new Promise(() => {})' }], Logger.create(), {});
+                assert.fail('should have rejected');
+            }
+            catch (error) {
+                assert.strictEqual(error.message, 'invalid decorator injection');
+                assert.strictEqual(error.data, 'decorator did not resolve within 50 ms');
+            }
+            finally {
+                behaviors.configure({});
+            }
+        });
+    });
+
+    describe('#decorate with --sandboxInjection', function () {
+        this.timeout(5000);
+
+        before(function () {
+            sandbox.configure({ sandboxInjection: true, injectionTimeout: 200, injectionMemory: 32 });
+        });
+
+        after(function () {
+            sandbox.configure({});
+        });
+
+        it('should support mutating the response in place and the state', async function () {
+            const state = {},
+                response = { key: 'ORIGINAL' },
+                fn = (config, original) => {
+                    config.state.decorated = true;
+                    original.key = 'CHANGED';
+                },
+                actualResponse = await behaviors.execute({}, response, [{ decorate: fn.toString() }], Logger.create(), state);
+
+            assert.deepEqual(actualResponse, { key: 'CHANGED' });
+            assert.deepEqual(state, { decorated: true });
+        });
+
+        it('should reject with an InjectionError when the decorator times out', async function () {
+            try {
+                await behaviors.execute({}, {}, [{ decorate: '() => { while (true) {} }' }], Logger.create(), {});
+                assert.fail('should have rejected');
+            }
+            catch (error) {
+                assert.strictEqual(error.message, 'invalid decorator injection');
+                assert.strictEqual(error.data, 'Script execution timed out after 200ms');
+            }
+        });
+    });
 });
@@ -0,0 +1,104 @@
+'use strict';
+
+const assert = require('assert'),
+    behaviors = require('../../../src/models/behaviors'),
+    Logger = require('../../fakes/fakeLogger');
+
+describe('behaviors', function () {
+    describe('#fake', function () {
+        it('should replace tokens with generated values', async function () {
+            const response = { body: 'id=${FAKE}["id"], email=${FAKE}[email], age=${FAKE}[\'age\']' },
+                logger = Logger.create(),
+                config = {
+                    fake: {
+                        into: '${FAKE}',
+                        fields: { id: 'uuid', email: 'email', age: { generator: 'integer', min: 18, max: 18 } }
+                    }
+                },
+                actualResponse = await behaviors.execute({}, response, [config], logger);
+
+            assert.ok(/^id=[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}, email=[a-z.0-9]+@[a-z.]+, age=18$/
+                .test(actualResponse.body), actualResponse.body);
+        });
+
+        it('should generate the same sequence for the same seed in a new imposter', async function () {
+            const logger = Logger.create(),
+                config = { fake: { into: '${FAKE}', seed: 42, fields: { name: 'fullName', when: 'timestamp' } } },
+                generateTwice = async imposterState => {
+                    const first = await behaviors.execute({}, { body: '${FAKE}[name] ${FAKE}[when]' }, [config], logger, imposterState),
+                        second = await behaviors.execute({}, { body: '${FAKE}[name] ${FAKE}[when]' }, [config], logger, imposterState);
+                    return [first.body, second.body];
+                },
+                firstRun = await generateTwice({}),
+                secondRun = await generateTwice({});
+
+            assert.deepEqual(firstRun, secondRun);
+            assert.notStrictEqual(firstRun[0], firstRun[1]);
+        });
+
+        it('should keep seeded sequences out of the visible imposter state', async function () {
+            const imposterState = {},
+                config = { fake: { into: '${FAKE}', seed: 'abc', fields: { word: 'word' } } };
+
+            await behaviors.execute({}, { body: '${FAKE}[word]' }, [config], Logger.create(), imposterState);
+
+            assert.deepEqual(Object.keys(imposterState), []);
+        });
+
+        it('should pick from the given values with oneOf', async function () {
+            const config = { fake: { into: '${FAKE}', fields: { status: { generator: 'oneOf', values: ['active'] } } } },
+                actualResponse = await behaviors.execute({}, { body: '${FAKE}[status]' }, [config], Logger.create());
+
+            assert.deepEqual(actualResponse, { body: 'active' });
+        });
+
+        it('should keep numbers and dates within the given ranges', async function () {
+            const config = {
+                    fake: {
+                        into: '${FAKE}',
+                        fields: {
+                            price: { generator: 'number', min: 1, max: 2, precision: 1 },
+                            day: { generator: 'date', from: '2024-02-29', to: '2024-02-29T12:00:00Z' }
+                        }
+                    }
+                },
+                actualResponse = await behaviors.execute({}, { price: '${FAKE}[price]', day: '${FAKE}[day]' }, [config], Logger.create());
+
+            assert.ok(Number(actualResponse.price) >= 1 && Number(actualResponse.price) <= 2, actualResponse.price);
+            assert.strictEqual(actualResponse.day, '2024-02-29');
+        });
+
+        it('should not be valid without fields', function () {
+            const errors = behaviors.validate([{ fake: { into: '${FAKE}' } }]);
+
+            assert.deepEqual(errors, [{
+                code: 'bad data',
+                message: 'fake behavior "fields" field required',
+                source: { fake: { into: '${FAKE}' } }
+            }]);
+        });
+
+        it('should not be valid with an unknown generator', function () {
+            const config = { fake: { into: '${FAKE}', fields: { pet: 'dog' } } },
+                errors = behaviors.validate([config]);
+
+            assert.strictEqual(errors.length, 1);
+            assert.ok(errors[0].message.indexOf('fake behavior "fields.pet" field must be one of [uuid, ') === 0, errors[0].message);
+        });
+
+        it('should not be valid with oneOf and no values', function () {
+            const config = { fake: { into: '${FAKE}', fields: { status: { generator: 'oneOf' } } } },
+                errors = behaviors.validate([config]);
+
+            assert.deepEqual(errors.map(error => error.message), ['fake behavior "fields.status" field must have a non-empty "values" array']);
+        });
+
+        it('should not be valid with an object seed', function () {
+            const config = { fake: { into: '${FAKE}', seed: {}, fields: { id: 'uuid' } } },
+                errors = behaviors.validate([config]);
+
+            assert.deepEqual(errors.map(error => error.message),
+                ['fake behavior "seed" field must be a string or a number, representing the seed that makes the generated values reproducible']);
+        });
+    });
+});
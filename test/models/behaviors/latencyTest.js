@@ -0,0 +1,123 @@
+'use strict';
+
+const assert = require('assert'),
+    behaviors = require('../../../src/models/behaviors'),
+    latencyDistributions = require('../../../src/models/latencyDistributions'),
+    random = require('../../../src/util/random'),
+    Logger = require('../../fakes/fakeLogger');
+
+describe('behaviors', function () {
+    describe('#latency', function () {
+        it('should not execute during dry run', async function () {
+            const start = new Date(),
+                config = { latency: { distribution: 'normal', mean: 1000, stddev: 0 } },
+                actualResponse = await behaviors.execute({ isDryRun: true }, { key: 'value' }, [config], Logger.create()),
+                time = new Date() - start;
+
+            assert.ok(time < 50, 'Took ' + time + ' milliseconds');
+            assert.deepEqual(actualResponse, { key: 'value' });
+        });
+
+        it('should wait for a delay sampled from the distribution', async function () {
+            const start = new Date(),
+                config = { latency: { distribution: 'normal', mean: 100, stddev: 0 } },
+                actualResponse = await behaviors.execute({}, { key: 'value' }, [config], Logger.create()),
+                time = new Date() - start;
+
+            assert.ok(time > 90, 'Took ' + time + ' milliseconds'); // allows for approximate timing
+            assert.deepEqual(actualResponse, { key: 'value' });
+        });
+
+        it('should sample the same delays for the same seed', function () {
+            const config = { distribution: 'lognormal', mean: 200, stddev: 100 },
+                first = random.fromSeed('slow'),
+                second = random.fromSeed('slow'),
+                firstDelays = [1, 2, 3].map(() => latencyDistributions.sample(config, first)),
+                secondDelays = [1, 2, 3].map(() => latencyDistributions.sample(config, second));
+
+            assert.deepEqual(firstDelays, secondDelays);
+        });
+
+        it('should center normal delays on the mean', function () {
+            const config = { distribution: 'normal', mean: 200, stddev: 20 },
+                nextRandom = random.fromSeed(1),
+                delays = Array.from({ length: 1000 }, () => latencyDistributions.sample(config, nextRandom)),
+                average = delays.reduce((sum, delay) => sum + delay, 0) / delays.length;
+
+            assert.ok(Math.abs(average - 200) < 5, `average was ${average}`);
+        });
+
+        it('should give lognormal delays the configured mean and a long tail', function () {
+            const config = { distribution: 'lognormal', mean: 100, stddev: 100 },
+                nextRandom = random.fromSeed(2),
+                delays = Array.from({ length: 2000 }, () => latencyDistributions.sample(config, nextRandom)),
+                average = delays.reduce((sum, delay) => sum + delay, 0) / delays.length;
+
+            assert.ok(Math.abs(average - 100) < 10, `average was ${average}`);
+            assert.ok(Math.max(...delays) > 300, 'no long tail');
+            assert.ok(Math.min(...delays) >= 0);
+        });
+
+        it('should interpolate between percentiles', function () {
+            const config = { distribution: 'percentiles', percentiles: { 50: 100, 100: 200 } };
+
+            assert.strictEqual(latencyDistributions.sample(config, () => 0), 0);
+            assert.strictEqual(latencyDistributions.sample(config, () => 0.25), 50);
+            assert.strictEqual(latencyDistributions.sample(config, () => 0.5), 100);
+            assert.strictEqual(latencyDistributions.sample(config, () => 0.75), 150);
+        });
+
+        it('should extend percentiles to the min and max', function () {
+            const config = { distribution: 'percentiles', percentiles: { 10: 20, 90: 100 }, min: 10, max: 500 };
+
+            assert.strictEqual(latencyDistributions.sample(config, () => 0), 10);
+            assert.strictEqual(latencyDistributions.sample(config, () => 0.95), 300);
+        });
+
+        it('should limit delays to the min and max', function () {
+            const low = { distribution: 'normal', mean: 0, stddev: 1000, min: 5, max: 10 },
+                nextRandom = random.fromSeed(3),
+                delays = Array.from({ length: 100 }, () => latencyDistributions.sample(low, nextRandom));
+
+            assert.ok(delays.every(delay => delay >= 5 && delay <= 10), JSON.stringify(delays));
+        });
+
+        it('should not be valid with an unknown distribution', function () {
+            const errors = behaviors.validate([{ latency: { distribution: 'uniform' } }]);
+
+            assert.deepEqual(errors, [{
+                code: 'bad data',
+                message: 'latency behavior "distribution" field must be one of [normal, lognormal, percentiles]',
+                source: { latency: { distribution: 'uniform' } }
+            }]);
+        });
+
+        it('should not be valid without a mean and stddev for the normal distribution', function () {
+            const config = { latency: { distribution: 'normal', mean: 100 } },
+                errors = behaviors.validate([config]);
+
+            assert.deepEqual(errors, [{
+                code: 'bad data',
+                message: 'latency behavior "stddev" field must be a number greater than or equal to 0 for the normal distribution',
+                source: config
+            }]);
+        });
+
+        it('should not be valid with percentiles outside 0 to 100', function () {
+            const config = { latency: { distribution: 'percentiles', percentiles: { 150: 100 } } },
+                errors = behaviors.validate([config]);
+
+            assert.deepEqual(errors, [{
+                code: 'bad data',
+                message: 'latency behavior "percentiles.150" field must be a percentile between 0 and 100',
+                source: config
+            }]);
+        });
+
+        it('should be valid with a percentile table', function () {
+            const config = { latency: { distribution: 'percentiles', percentiles: { 50: 20, 99.9: 800 }, seed: 'slow' } };
+
+            assert.deepEqual(behaviors.validate([config]), []);
+        });
+    });
+});
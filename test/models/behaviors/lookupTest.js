@@ -149,7 +149,7 @@ describe('behaviors', function () {
 
             assert.deepEqual(errors, [{
                 code: 'bad data',
-                message: 'lookup behavior "fromDataSource" field must be one of [csv]',
+                message: 'lookup behavior "fromDataSource" field must be one of [csv, json, jsonl, sqlite, table]',
                 source: { lookup: config }
             }]);
         });
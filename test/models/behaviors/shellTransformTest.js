@@ -2,9 +2,11 @@
 
 const assert = require('assert'),
     behaviors = require('../../../src/models/behaviors'),
+    shellWorkers = require('../../../src/models/shellWorkers'),
     Logger = require('../../fakes/fakeLogger'),
     fs = require('fs-extra'),
-    filename = 'test/_shellTransform.js'; // Has to be in test dir so nyc doesn't instrument during coverage runs
+    filename = 'test/_shellTransform.js', // Has to be in test dir so nyc doesn't instrument during coverage runs
+    workerFilename = 'test/_shellWorker.js';
 
 describe('behaviors', function () {
     describe('#shellTransform', function () {
@@ -119,7 +121,7 @@ describe('behaviors', function () {
             const errors = behaviors.validate([{ shellTransform: 100 }]);
             assert.deepEqual(errors, [{
                 code: 'bad data',
-                message: 'shellTransform behavior "shellTransform" field must be a string, representing the path to a command line application',
+                message: 'shellTransform behavior "shellTransform" field must be a string or an object, representing the path to a command line application or a worker configuration',
                 source: { shellTransform: 100 }
             }]);
         });
@@ -164,4 +166,148 @@ describe('behaviors', function () {
             });
         });
     });
+
+    describe('#shellTransform with a worker', function () {
+        let state;
+
+        before(function () {
+            const workerFn = function work () {
+                let inFlight = 0,
+                    maxInFlight = 0;
+
+                require('readline').createInterface({ input: process.stdin }).on('line', line => {
+                    const message = JSON.parse(line),
+                        request = message.request;
+
+                    inFlight += 1;
+                    maxInFlight = Math.max(inFlight, maxInFlight);
+                    if (request.crash) {
+                        console.error('BOOM!!!');
+                        process.exit(1); // eslint-disable-line no-process-exit
+                    }
+                    if (request.hang) {
+                        return;
+                    }
+                    setTimeout(() => {
+                        inFlight -= 1;
+                        if (request.fail) {
+                            console.log(JSON.stringify({ id: message.id, error: 'bad request' }));
+                            return;
+                        }
+                        message.response.pid = process.pid;
+                        message.response.maxInFlight = maxInFlight;
+                        message.response.body = request.path;
+                        console.log(JSON.stringify({ id: message.id, response: message.response }));
+                    }, request.delay || 0);
+                });
+            };
+            fs.writeFileSync(workerFilename, `${workerFn.toString()}\nwork();`);
+        });
+
+        after(function () {
+            fs.unlinkSync(workerFilename);
+        });
+
+        beforeEach(function () {
+            state = {};
+        });
+
+        afterEach(function () {
+            shellWorkers.stopAll(state);
+        });
+
+        function transform (request, config) {
+            const behavior = { shellTransform: Object.assign({ worker: `node ${workerFilename}` }, config) };
+            return behaviors.execute(request, {}, [behavior], Logger.create(), state);
+        }
+
+        it('should reuse the same worker process for every request', async function () {
+            const first = await transform({ path: '/first' }),
+                second = await transform({ path: '/second' });
+
+            assert.strictEqual(first.body, '/first');
+            assert.strictEqual(second.body, '/second');
+            assert.strictEqual(first.pid, second.pid);
+        });
+
+        it('should only send the concurrency limit of messages at once', async function () {
+            const requests = [1, 2, 3].map(index => ({ path: `/${index}`, delay: 20 })),
+                serial = await Promise.all(requests.map(request => transform(request)));
+
+            shellWorkers.stopAll(state);
+            const parallel = await Promise.all(requests.map(request => transform(request, { concurrency: 3 })));
+
+            assert.deepEqual(serial.map(response => response.maxInFlight), [1, 1, 1]);
+            assert.deepEqual(parallel.map(response => response.body), ['/1', '/2', '/3']);
+            assert.strictEqual(parallel[2].maxInFlight, 3);
+        });
+
+        it('should match replies that arrive out of order', async function () {
+            const responses = await Promise.all([
+                transform({ path: '/slow', delay: 50 }, { concurrency: 2 }),
+                transform({ path: '/fast', delay: 0 }, { concurrency: 2 })
+            ]);
+
+            assert.deepEqual(responses.map(response => response.body), ['/slow', '/fast']);
+        });
+
+        it('should reject with the error the worker returns', async function () {
+            try {
+                await transform({ fail: true });
+                assert.fail('should have rejected');
+            }
+            catch (error) {
+                assert.strictEqual(error, `shellTransform worker "node ${workerFilename}" returned an error: bad request`);
+            }
+        });
+
+        it('should restart the worker after it crashes', async function () {
+            const logger = Logger.create(),
+                config = { shellTransform: { worker: `node ${workerFilename}` } },
+                first = await behaviors.execute({}, {}, [config], logger, state);
+
+            try {
+                await behaviors.execute({ crash: true }, {}, [config], logger, state);
+                assert.fail('should have rejected');
+            }
+            catch (error) {
+                assert.strictEqual(error, `shellTransform worker "node ${workerFilename}" exited with code 1`);
+                logger.error.assertLogged('BOOM!!!');
+            }
+
+            const afterCrash = await behaviors.execute({}, {}, [config], logger, state);
+            assert.notStrictEqual(afterCrash.pid, first.pid);
+        });
+
+        it('should restart the worker if it does not reply in time', async function () {
+            try {
+                await transform({ hang: true }, { timeout: 100 });
+                assert.fail('should have rejected');
+            }
+            catch (error) {
+                assert.strictEqual(error, `shellTransform worker "node ${workerFilename}" did not respond within 100 ms`);
+            }
+
+            const response = await transform({ path: '/recovered' });
+            assert.strictEqual(response.body, '/recovered');
+        });
+
+        it('should require the worker command', function () {
+            const errors = behaviors.validate([{ shellTransform: { concurrency: 2 } }]);
+            assert.deepEqual(errors, [{
+                code: 'bad data',
+                message: 'shellTransform behavior "shellTransform.worker" field required',
+                source: { shellTransform: { concurrency: 2 } }
+            }]);
+        });
+
+        it('should not be valid if concurrency is not a positive integer', function () {
+            const errors = behaviors.validate([{ shellTransform: { worker: 'transform', concurrency: 0 } }]);
+            assert.deepEqual(errors, [{
+                code: 'bad data',
+                message: 'shellTransform behavior "shellTransform.concurrency" field must be an integer greater than 0',
+                source: { shellTransform: { worker: 'transform', concurrency: 0 } }
+            }]);
+        });
+    });
 });
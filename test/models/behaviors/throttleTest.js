@@ -0,0 +1,57 @@
+'use strict';
+
+const assert = require('assert'),
+    behaviors = require('../../../src/models/behaviors'),
+    throttle = require('../../../src/models/throttle'),
+    Logger = require('../../fakes/fakeLogger');
+
+describe('behaviors', function () {
+    describe('#throttle', function () {
+        it('should mark the response to be throttled', async function () {
+            const config = { throttle: { bytesPerSecond: 100 } },
+                actualResponse = await behaviors.execute({}, { data: 'hello' }, [config], Logger.create());
+
+            assert.deepEqual(actualResponse, { data: 'hello', _throttle: { bytesPerSecond: 100, chunkSize: undefined } });
+        });
+
+        it('should not be valid without a positive bytesPerSecond', function () {
+            const config = { throttle: { bytesPerSecond: 0 } },
+                errors = behaviors.validate([config]);
+
+            assert.deepEqual(errors, [{
+                code: 'bad data',
+                message: 'throttle behavior "bytesPerSecond" field must be an integer greater than 0',
+                source: config
+            }]);
+        });
+
+        it('should split data into delayed chunks of the given size', function () {
+            const chunks = throttle.chunksFor([{ data: 'abcdefghij' }], { bytesPerSecond: 4, chunkSize: 4 }, 'utf8');
+
+            assert.deepEqual(chunks.map(chunk => chunk.data.toString()), ['abcd', 'efgh', 'ij']);
+            assert.deepEqual(chunks.map(chunk => chunk.delay), [1000, 1000, 500]);
+        });
+
+        it('should default to ten writes per second', function () {
+            const chunks = throttle.chunksFor([{ data: Buffer.alloc(100) }], { bytesPerSecond: 200 }, 'utf8');
+
+            assert.strictEqual(chunks.length, 5);
+            assert.ok(chunks.every(chunk => chunk.data.length === 20 && chunk.delay === 100));
+        });
+
+        it('should keep the delay of streamed chunks before their first piece', function () {
+            const chunks = throttle.chunksFor([{ data: 'ab', delay: 50 }, { data: 'cd', delay: 300 }],
+                { bytesPerSecond: 10, chunkSize: 1 }, 'utf8');
+
+            assert.deepEqual(chunks.map(chunk => chunk.delay), [150, 100, 400, 100]);
+        });
+
+        it('should throttle decoded bytes of base64 data', function () {
+            const chunks = throttle.chunksFor([{ data: Buffer.from('binary!').toString('base64') }],
+                { bytesPerSecond: 1000, chunkSize: 7 }, 'base64');
+
+            assert.strictEqual(chunks.length, 1);
+            assert.strictEqual(chunks[0].data.toString(), 'binary!');
+        });
+    });
+});
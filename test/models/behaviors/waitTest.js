@@ -94,7 +94,7 @@ describe('behaviors', function () {
             const errors = behaviors.validate([{ wait: true }]);
             assert.deepEqual(errors, [{
                 code: 'bad data',
-                message: 'wait behavior "wait" field must be a string or a number',
+                message: 'wait behavior "wait" field must be a string or a number or an object, representing milliseconds, a JavaScript function, or a named function reference',
                 source: { wait: true }
             }]);
         });
@@ -0,0 +1,135 @@
+'use strict';
+
+const assert = require('assert'),
+    chaos = require('../../src/models/chaos'),
+    Logger = require('../fakes/fakeLogger');
+
+function always () { return true; }
+
+describe('chaos', function () {
+    describe('#errorsFor', function () {
+        it('should accept latency, error, and fault rules', function () {
+            const config = {
+                enabled: true,
+                seed: 'game day',
+                rules: [
+                    { percentage: 10, latency: 2000 },
+                    { percentage: 5, latency: { distribution: 'normal', mean: 500, stddev: 100, max: 1000 } },
+                    { percentage: 1, predicates: [{ equals: { path: '/orders' } }], error: { statusCode: 503 } },
+                    { percentage: 0.5, fault: { type: 'CLOSE_AFTER_BYTES', bytes: 10 } }
+                ]
+            };
+
+            assert.deepEqual(chaos.errorsFor(config, 'http', false), []);
+        });
+
+        it('should require rules', function () {
+            assert.deepEqual(chaos.errorsFor({ enabled: 'yes' }, 'http', false), [
+                { code: 'bad data', message: "'chaos.enabled' must be a boolean", source: { enabled: 'yes' } },
+                { code: 'bad data', message: "'chaos.rules' must be an array", source: { enabled: 'yes' } }
+            ]);
+        });
+
+        it('should validate each rule', function () {
+            const rule = { percentage: 150, latency: -1, error: { statusCode: 500 } };
+
+            assert.deepEqual(chaos.errorsFor({ rules: [rule] }, 'http', false).map(error => error.message), [
+                "'chaos.rules[0]' \"percentage\" must be a number between 0 and 100",
+                "'chaos.rules[0]' must have exactly one of [latency, error, fault]",
+                "'chaos.rules[0]' \"latency\" must be an integer number of milliseconds or a distribution object"
+            ]);
+        });
+
+        it('should validate faults for the imposter protocol', function () {
+            const rule = { percentage: 10, fault: 'STALL_BODY' };
+
+            assert.deepEqual(chaos.errorsFor({ rules: [rule] }, 'tcp', false).map(error => error.message),
+                ['STALL_BODY fault is only supported for http, https imposters']);
+        });
+
+        it('should not allow injected predicates without --allowInjection', function () {
+            const rule = { percentage: 10, predicates: [{ inject: '() => true' }], latency: 100 };
+
+            assert.deepEqual(chaos.errorsFor({ rules: [rule] }, 'http', false).map(error => error.code), ['invalid injection']);
+            assert.deepEqual(chaos.errorsFor({ rules: [rule] }, 'http', true), []);
+        });
+    });
+
+    describe('#ruleFor', function () {
+        it('should choose the first matching rule that fires', function () {
+            const rules = [
+                    { percentage: 100, predicates: [{ equals: { path: '/orders' } }], fault: 'HANG' },
+                    { percentage: 100, error: { statusCode: 503 } }
+                ],
+                policy = chaos.create({ rules }),
+                matches = rulePredicates => rulePredicates.length === 0;
+
+            assert.deepEqual(policy.ruleFor(matches), rules[1]);
+        });
+
+        it('should not inject chaos when disabled', function () {
+            const policy = chaos.create({ enabled: false, rules: [{ percentage: 100, latency: 10 }] });
+
+            assert.strictEqual(policy.ruleFor(always), undefined);
+        });
+
+        it('should never inject a rule with a percentage of 0', function () {
+            const policy = chaos.create({ rules: [{ percentage: 0, latency: 10 }] });
+
+            for (let i = 0; i < 100; i += 1) {
+                assert.strictEqual(policy.ruleFor(always), undefined);
+            }
+        });
+
+        it('should inject roughly the configured percentage of the time', function () {
+            const policy = chaos.create({ seed: 1, rules: [{ percentage: 20, latency: 10 }] });
+            let count = 0;
+
+            for (let i = 0; i < 1000; i += 1) {
+                if (policy.ruleFor(always)) {
+                    count += 1;
+                }
+            }
+            assert.ok(count > 150 && count < 250, `expected about 200, got ${count}`);
+        });
+
+        it('should repeat the same choices for the same seed', function () {
+            const config = { seed: 'game day', rules: [{ percentage: 50, latency: 10 }] },
+                first = chaos.create(config),
+                second = chaos.create(config),
+                firstChoices = Array.from({ length: 20 }, () => Boolean(first.ruleFor(always))),
+                secondChoices = Array.from({ length: 20 }, () => Boolean(second.ruleFor(always)));
+
+            assert.deepEqual(firstChoices, secondChoices);
+        });
+    });
+
+    describe('#inject', function () {
+        it('should return a copy of the error response', async function () {
+            const rule = { percentage: 100, error: { statusCode: 503, body: 'unavailable' } },
+                response = await chaos.create({ rules: [rule] }).inject(rule, Logger.create());
+
+            assert.deepEqual(response, { statusCode: 503, body: 'unavailable' });
+            assert.notStrictEqual(response, rule.error);
+        });
+
+        it('should return the fault response', async function () {
+            const fault = { type: 'TRUNCATED_BODY', response: { body: 'truncated' } },
+                rule = { percentage: 100, fault },
+                response = await chaos.create({ rules: [rule] }).inject(rule, Logger.create());
+
+            assert.deepEqual(response, { body: 'truncated', fault });
+        });
+
+        it('should wait and let the stubs respond for latency', async function () {
+            const rule = { percentage: 100, latency: 50 },
+                logger = Logger.create(),
+                start = Date.now(),
+                response = await chaos.create({ rules: [rule] }).inject(rule, logger);
+
+            assert.strictEqual(response, undefined);
+            assert.ok(Date.now() - start >= 45, 'did not wait');
+            logger.info.assertLogged('chaos: injecting 50 ms of latency');
+        });
+    });
+});
@@ -0,0 +1,150 @@
+'use strict';
+
+const assert = require('assert'),
+    contractValidator = require('../../src/models/contractValidator');
+
+describe('contractValidator', function () {
+    const openapi = {
+        openapi: '3.0.3',
+        info: { title: 'Orders', version: '1' },
+        servers: [{ url: 'http://localhost/api' }],
+        paths: {
+            '/orders': {
+                post: {
+                    parameters: [{ name: 'X-Tenant', in: 'header', required: true, schema: { type: 'string' } }],
+                    requestBody: {
+                        required: true,
+                        content: { 'application/json': { schema: { $ref: '#/components/schemas/Order' } } }
+                    },
+                    responses: {
+                        201: { content: { 'application/json': { schema: { $ref: '#/components/schemas/Order' } } } },
+                        '4XX': { description: 'client error' }
+                    }
+                }
+            },
+            '/orders/{id}': {
+                parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+                get: {
+                    parameters: [{ name: 'expand', in: 'query', schema: { type: 'boolean' } }],
+                    responses: {
+                        200: { content: { 'application/json': { schema: { $ref: '#/components/schemas/Order' } } } }
+                    }
+                }
+            }
+        },
+        components: {
+            schemas: {
+                Order: {
+                    type: 'object',
+                    required: ['quantity'],
+                    properties: {
+                        quantity: { type: 'integer', minimum: 1 },
+                        note: { type: 'string', nullable: true }
+                    }
+                }
+            }
+        }
+    };
+
+    describe('#validateRequest', function () {
+        const validator = contractValidator.create({ openapi });
+
+        it('should accept a request that follows the contract', function () {
+            const result = validator.validateRequest({
+                method: 'POST',
+                path: '/api/orders',
+                headers: { 'x-tenant': 'acme', 'Content-Type': 'application/json' },
+                body: '{ "quantity": 2, "note": null }'
+            });
+
+            assert.strictEqual(result.operation.name, 'POST /orders');
+            assert.deepEqual(result.errors, []);
+        });
+
+        it('should report requests without a matching operation', function () {
+            const result = validator.validateRequest({ method: 'DELETE', path: '/api/orders' });
+
+            assert.deepEqual(result, { errors: ['no operation matches DELETE /api/orders'] });
+        });
+
+        it('should report missing required parameters and bodies', function () {
+            const result = validator.validateRequest({ method: 'POST', path: '/api/orders', headers: {}, body: '' });
+
+            assert.deepEqual(result.errors, ['header parameter "X-Tenant" is required', 'body is required']);
+        });
+
+        it('should report body schema errors', function () {
+            const result = validator.validateRequest({
+                method: 'POST',
+                path: '/api/orders',
+                headers: { 'X-Tenant': 'acme', 'Content-Type': 'application/json' },
+                body: '{ "quantity": 0 }'
+            });
+
+            assert.deepEqual(result.errors, ['body/quantity must be >= 1']);
+        });
+
+        it('should report bodies that are not JSON or have an undocumented content type', function () {
+            const headers = { 'X-Tenant': 'acme' };
+
+            assert.deepEqual(validator.validateRequest({ method: 'POST', path: '/api/orders', headers, body: 'quantity=1' }).errors,
+                ['body is not valid JSON']);
+
+            headers['Content-Type'] = 'text/plain';
+            assert.deepEqual(validator.validateRequest({ method: 'POST', path: '/api/orders', headers, body: 'quantity=1' }).errors,
+                ['body content type "text/plain" is not documented']);
+        });
+
+        it('should coerce path and query parameters before validating them', function () {
+            assert.deepEqual(validator.validateRequest({ method: 'GET', path: '/api/orders/12', query: { expand: 'true' } }).errors, []);
+            assert.deepEqual(validator.validateRequest({ method: 'GET', path: '/api/orders/abc', query: { expand: 'yes' } }).errors, [
+                'path parameter "id" must be integer',
+                'query parameter "expand" must be boolean'
+            ]);
+        });
+    });
+
+    describe('#validateResponse', function () {
+        const validator = contractValidator.create({ openapi }),
+            operation = validator.validateRequest({ method: 'GET', path: '/api/orders/1' }).operation;
+
+        it('should accept a documented response', function () {
+            const response = { statusCode: 200, body: { quantity: 1 } };
+            assert.deepEqual(validator.validateResponse(operation, response), []);
+        });
+
+        it('should report undocumented status codes', function () {
+            assert.deepEqual(validator.validateResponse(operation, { statusCode: 404 }), ['status code 404 is not documented']);
+        });
+
+        it('should match status code ranges', function () {
+            const post = validator.validateRequest({ method: 'POST', path: '/api/orders' }).operation;
+            assert.deepEqual(validator.validateResponse(post, { statusCode: 422, body: 'invalid' }), []);
+        });
+
+        it('should report response body schema errors', function () {
+            const response = { statusCode: 200, headers: { 'content-type': 'application/json' }, body: '{ "quantity": "one" }' };
+            assert.deepEqual(validator.validateResponse(operation, response), ['response body/quantity must be integer']);
+        });
+    });
+
+    describe('#errorsFor', function () {
+        it('should only allow http and https imposters', function () {
+            const errors = contractValidator.errorsFor({ openapi }, 'tcp');
+            assert.deepEqual(errors.map(error => error.message), ['contract validation is only supported for http and https imposters']);
+        });
+
+        it('should require an OpenAPI 3 document', function () {
+            const errors = contractValidator.errorsFor({ openapi: { swagger: '2.0' } }, 'http');
+            assert.deepEqual(errors.map(error => error.message), ['only OpenAPI 3 documents are supported']);
+        });
+
+        it('should validate the options', function () {
+            const errors = contractValidator.errorsFor({ openapi, validateRequests: 'yes', violationResponse: 400 }, 'http');
+            assert.deepEqual(errors.map(error => error.message), [
+                "'contract.validateRequests' must be a boolean",
+                "'contract.violationResponse' must be an object"
+            ]);
+        });
+    });
+});
@@ -0,0 +1,269 @@
+'use strict';
+
+const assert = require('assert'),
+    fs = require('fs-extra'),
+    dataSources = require('../../src/models/dataSources'),
+    behaviors = require('../../src/models/behaviors'),
+    Logger = require('../fakes/fakeLogger');
+
+// node:sqlite is only built into newer versions of node
+const SQLITE_MODULE = 'node:sqlite';
+
+function loadSQLite () {
+    try {
+        return require(SQLITE_MODULE);
+    }
+    catch (error) {
+        return undefined;
+    }
+}
+
+describe('dataSources', function () {
+    afterEach(function () {
+        fs.removeSync('.mbtest');
+    });
+
+    describe('#select', function () {
+        it('should select the row from a JSON file by key column', async function () {
+            fs.outputFileSync('.mbtest/users.json', JSON.stringify([
+                { id: 1, name: 'Alice', roles: ['admin'] },
+                { id: 2, name: 'Bob', active: false }
+            ]));
+
+            const row = await dataSources.select({ json: { path: '.mbtest/users.json', keyColumn: 'id' } }, '2', Logger.create());
+
+            assert.deepEqual(row, { id: '2', name: 'Bob', active: 'false' });
+        });
+
+        it('should convert object values to JSON', async function () {
+            fs.outputFileSync('.mbtest/users.json', JSON.stringify([{ id: 1, roles: ['admin'], manager: null }]));
+
+            const row = await dataSources.select({ json: { path: '.mbtest/users.json', keyColumn: 'id' } }, '1', Logger.create());
+
+            assert.deepEqual(row, { id: '1', roles: '["admin"]', manager: '' });
+        });
+
+        it('should select the row from a JSON Lines file, ignoring blank lines', async function () {
+            fs.outputFileSync('.mbtest/users.jsonl', '{ "id": "a", "name": "Alice" }\n\n{ "id": "b", "name": "Bob" }\n');
+
+            const row = await dataSources.select({ jsonl: { path: '.mbtest/users.jsonl', keyColumn: 'id' } }, 'b', Logger.create());
+
+            assert.deepEqual(row, { id: 'b', name: 'Bob' });
+        });
+
+        it('should use the first row with a duplicate key', async function () {
+            fs.outputFileSync('.mbtest/users.jsonl', '{ "id": "a", "name": "first" }\n{ "id": "a", "name": "second" }');
+
+            const row = await dataSources.select({ jsonl: { path: '.mbtest/users.jsonl', keyColumn: 'id' } }, 'a', Logger.create());
+
+            assert.strictEqual(row.name, 'first');
+        });
+
+        it('should return an empty row if nothing matches', async function () {
+            fs.outputFileSync('.mbtest/users.json', '[{ "id": "a" }]');
+
+            const row = await dataSources.select({ json: { path: '.mbtest/users.json', keyColumn: 'id' } }, 'b', Logger.create());
+
+            assert.deepEqual(row, {});
+        });
+
+        it('should only parse the file once while it does not change', async function () {
+            const logger = Logger.create(),
+                state = {},
+                dataSource = { json: { path: '.mbtest/cached.json', keyColumn: 'id' } };
+            fs.outputFileSync('.mbtest/cached.json', '[{ "id": "a" }, { "id": "b" }]');
+
+            await dataSources.select(dataSource, 'a', logger, state);
+            await dataSources.select(dataSource, 'b', logger, state);
+            dataSources.release(state);
+
+            assert.strictEqual(logger.calls.debug.filter(message => message.indexOf('Loading json') >= 0).length, 1);
+        });
+
+        it('should reload the file when it changes', async function () {
+            const logger = Logger.create(),
+                state = {},
+                dataSource = { json: { path: '.mbtest/reload.json', keyColumn: 'id' } };
+            fs.outputFileSync('.mbtest/reload.json', '[{ "id": "a", "value": "old" }]');
+            await dataSources.select(dataSource, 'a', logger, state);
+
+            fs.outputFileSync('.mbtest/reload.json', '[{ "id": "a", "value": "changed" }]');
+            const row = await dataSources.select(dataSource, 'a', logger, state);
+            dataSources.release(state);
+
+            assert.strictEqual(row.value, 'changed');
+            logger.debug.assertLogged('Reloading json data source .mbtest/reload.json');
+        });
+
+        it('should keep the file while another imposter still uses it', async function () {
+            const logger = Logger.create(),
+                first = {},
+                second = {},
+                dataSource = { json: { path: '.mbtest/shared.json', keyColumn: 'id' } };
+            fs.outputFileSync('.mbtest/shared.json', '[{ "id": "a" }]');
+            await dataSources.select(dataSource, 'a', logger, first);
+            await dataSources.select(dataSource, 'a', logger, second);
+
+            dataSources.release(first);
+            await dataSources.select(dataSource, 'a', logger, second);
+            dataSources.release(second);
+
+            assert.strictEqual(logger.calls.debug.filter(message => message.indexOf('Loading json') >= 0).length, 1);
+        });
+
+        it('should drop the file when the last imposter using it is released', async function () {
+            const logger = Logger.create(),
+                first = {},
+                second = {},
+                dataSource = { json: { path: '.mbtest/released.json', keyColumn: 'id' } };
+            fs.outputFileSync('.mbtest/released.json', '[{ "id": "a" }]');
+            await dataSources.select(dataSource, 'a', logger, first);
+
+            dataSources.release(first);
+            await dataSources.select(dataSource, 'a', logger, second);
+            dataSources.release(second);
+
+            assert.strictEqual(logger.calls.debug.filter(message => message.indexOf('Loading json') >= 0).length, 2);
+        });
+
+        it('should log an error and return an empty row for invalid JSON', async function () {
+            const logger = Logger.create();
+            fs.outputFileSync('.mbtest/invalid.json', '{ "id": "a" }');
+
+            const row = await dataSources.select({ json: { path: '.mbtest/invalid.json', keyColumn: 'id' } }, 'a', logger);
+
+            assert.deepEqual(row, {});
+            logger.error.assertLogged('Cannot read .mbtest/invalid.json: Error: the file must contain an array of objects');
+        });
+
+        it('should report the line of invalid JSON Lines', async function () {
+            const logger = Logger.create();
+            fs.outputFileSync('.mbtest/invalid.jsonl', '{ "id": "a" }\n[1]');
+
+            await dataSources.select({ jsonl: { path: '.mbtest/invalid.jsonl', keyColumn: 'id' } }, 'a', logger);
+
+            logger.error.assertLogged('Cannot read .mbtest/invalid.jsonl: Error: line 2 is not an object');
+        });
+
+        it('should select the row from a registered table', async function () {
+            const state = {};
+            dataSources.register(state, { users: [{ id: 7, name: 'Alice' }] });
+
+            const row = await dataSources.select({ table: { name: 'users', keyColumn: 'id' } }, '7', Logger.create(), state);
+
+            assert.deepEqual(row, { id: '7', name: 'Alice' });
+        });
+
+        it('should use the new rows after a table is replaced', async function () {
+            const state = {},
+                dataSource = { table: { name: 'users', keyColumn: 'id' } };
+            dataSources.register(state, { users: [{ id: 'a', name: 'Alice' }] });
+            await dataSources.select(dataSource, 'a', Logger.create(), state);
+
+            dataSources.setTable(state, 'users', [{ id: 'a', name: 'Alicia' }]);
+            const row = await dataSources.select(dataSource, 'a', Logger.create(), state);
+
+            assert.strictEqual(row.name, 'Alicia');
+        });
+
+        it('should log an error for an unknown table', async function () {
+            const logger = Logger.create();
+
+            const row = await dataSources.select({ table: { name: 'users', keyColumn: 'id' } }, 'a', logger, {});
+
+            assert.deepEqual(row, {});
+            logger.error.assertLogged('Cannot read table users: Error: no table named users');
+        });
+
+        it('should select the row from a SQLite table if node supports SQLite', async function () {
+            const sqlite = loadSQLite(),
+                logger = Logger.create(),
+                dataSource = { sqlite: { path: '.mbtest/users.db', table: 'user list', keyColumn: 'id' } };
+
+            if (!sqlite) {
+                fs.outputFileSync('.mbtest/users.db', '');
+
+                await dataSources.select(dataSource, '1', logger);
+
+                logger.error.assertLogged('sqlite data sources require a version of Node.js with the node:sqlite module');
+                return;
+            }
+
+            fs.ensureDirSync('.mbtest');
+            const db = new sqlite.DatabaseSync('.mbtest/users.db');
+            db.exec('CREATE TABLE "user list" (id INTEGER, name TEXT); INSERT INTO "user list" VALUES (1, \'Alice\'), (2, NULL);');
+            db.close();
+
+            assert.deepEqual(await dataSources.select(dataSource, '1', logger), { id: '1', name: 'Alice' });
+            assert.deepEqual(await dataSources.select(dataSource, '2', logger), { id: '2', name: '' });
+        });
+    });
+
+    describe('#errorsFor', function () {
+        it('should accept an array of row objects for each table', function () {
+            assert.deepEqual(dataSources.errorsFor({ users: [{ id: 1 }], empty: [] }), []);
+        });
+
+        it('should not accept rows that are not objects', function () {
+            const tables = { users: ['Alice'] };
+
+            assert.deepEqual(dataSources.errorsFor(tables), [{
+                code: 'bad data',
+                message: "'tables' must be an object with an array of row objects for each name",
+                source: tables
+            }]);
+        });
+    });
+
+    describe('lookup behavior', function () {
+        it('should replace tokens from an imposter table', async function () {
+            const state = {},
+                config = {
+                    lookup: {
+                        key: { from: 'path', using: { method: 'regex', selector: '/users/(.*)$' }, index: 1 },
+                        fromDataSource: { table: { name: 'users', keyColumn: 'id' } },
+                        into: '${user}'
+                    }
+                };
+            dataSources.register(state, { users: [{ id: '42', name: 'Alice' }] });
+
+            const response = await behaviors.execute({ path: '/users/42' }, { body: 'Hello ${user}[name]' }, [config], Logger.create(), state);
+
+            assert.deepEqual(response, { body: 'Hello Alice' });
+        });
+
+        it('should require the table field of a SQLite data source', function () {
+            const config = {
+                    key: { from: 'path', using: { method: 'regex', selector: '.*' } },
+                    fromDataSource: { sqlite: { path: 'users.db', keyColumn: 'id' } },
+                    into: 'TOKEN'
+                },
+                errors = behaviors.validate([{ lookup: config }]);
+
+            assert.deepEqual(errors[0], {
+                code: 'bad data',
+                message: 'lookup behavior "fromDataSource.sqlite.table" field required',
+                source: { lookup: config }
+            });
+        });
+
+        it('should only accept SQLite data sources if node supports SQLite', function () {
+            const config = {
+                    key: { from: 'path', using: { method: 'regex', selector: '.*' } },
+                    fromDataSource: { sqlite: { path: 'users.db', table: 'users', keyColumn: 'id' } },
+                    into: 'TOKEN'
+                },
+                errors = behaviors.validate([{ lookup: config }]);
+
+            if (loadSQLite()) {
+                assert.deepEqual(errors, []);
+                return;
+            }
+            assert.deepEqual(errors, [{
+                code: 'bad data',
+                message: 'lookup behavior "fromDataSource.sqlite" field requires Node.js 22.13 or later, with the node:sqlite module',
+                source: { lookup: config }
+            }]);
+        });
+    });
+});
@@ -2,6 +2,7 @@
 
 const assert = require('assert'),
     Validator = require('../../src/models/dryRunValidator'),
+    dataSources = require('../../src/models/dataSources'),
     Logger = require('../fakes/fakeLogger'),
     testRequest = { requestFrom: '', path: '/', query: {}, method: 'GET', headers: {}, body: '' };
 
@@ -55,6 +56,148 @@ describe('dryRunValidator', function () {
             });
         });
 
+        it('should be valid for a stub with scenario states', async function () {
+            const stub = { scenario: 'checkout', requiredState: 'Started', newState: 'Ordered', responses: [{ is: {} }] },
+                validator = Validator.create({ testRequest }),
+                result = await validator.validate({ stubs: [stub] }, Logger.create());
+
+            assert.deepEqual(result, {
+                isValid: true,
+                errors: []
+            });
+        });
+
+        it('should not be valid for a newState without a scenario', async function () {
+            const stub = { newState: 'Ordered', responses: [{ is: {} }] },
+                validator = Validator.create({ testRequest }),
+                result = await validator.validate({ stubs: [stub] }, Logger.create());
+
+            assert.deepEqual(result, {
+                isValid: false,
+                errors: [{
+                    code: 'bad data',
+                    message: "'requiredState' and 'newState' require a 'scenario'",
+                    source: stub
+                }]
+            });
+        });
+
+        it('should not be valid for a contract on a tcp imposter', async function () {
+            const contract = { openapi: { openapi: '3.0.3', paths: {} } },
+                validator = Validator.create({ testRequest }),
+                result = await validator.validate({ protocol: 'tcp', contract, stubs: [] }, Logger.create());
+
+            assert.deepEqual(result, {
+                isValid: false,
+                errors: [{
+                    code: 'bad data',
+                    message: 'contract validation is only supported for http and https imposters',
+                    source: contract
+                }]
+            });
+        });
+
+        it('should not be valid for chaos without rules', async function () {
+            const chaos = { enabled: true },
+                validator = Validator.create({ testRequest }),
+                result = await validator.validate({ protocol: 'http', chaos, stubs: [] }, Logger.create());
+
+            assert.deepEqual(result, {
+                isValid: false,
+                errors: [{
+                    code: 'bad data',
+                    message: "'chaos.rules' must be an array",
+                    source: chaos
+                }]
+            });
+        });
+
+        it('should not be valid for a snapshot that does not match the stubs', async function () {
+            const snapshot = { stubs: [{ nextIndex: 1 }], requests: {} },
+                validator = Validator.create({ testRequest }),
+                result = await validator.validate({ protocol: 'http', snapshot, stubs: [] }, Logger.create());
+
+            assert.deepEqual(result, {
+                isValid: false,
+                errors: [
+                    {
+                        code: 'bad data',
+                        message: "'snapshot.requests' must be an array",
+                        source: snapshot
+                    },
+                    {
+                        code: 'bad data',
+                        message: "'snapshot.stubs' must have one entry for each stub",
+                        source: snapshot
+                    }
+                ]
+            });
+        });
+
+        it('should not be valid for an activeProfile that is not one of the profiles', async function () {
+            const profiles = { happy: [], outage: [] },
+                validator = Validator.create({ testRequest }),
+                result = await validator.validate({ protocol: 'http', profiles, activeProfile: 'degraded' }, Logger.create());
+
+            assert.deepEqual(result, {
+                isValid: false,
+                errors: [{
+                    code: 'bad data',
+                    message: "'activeProfile' must be one of [happy, outage]",
+                    source: 'degraded'
+                }]
+            });
+        });
+
+        it('should validate the stubs in each profile', async function () {
+            const profiles = { happy: [{ responses: [{ is: {} }] }], outage: [{ responses: [{ inject: '() => {}' }] }] },
+                validator = Validator.create({ testRequest, allowInjection: false }),
+                result = await validator.validate({ protocol: 'http', profiles }, Logger.create());
+
+            assert.deepEqual(result.errors.map(error => error.code), ['invalid injection']);
+        });
+
+        it('should not allow imposter functions if injections not allowed', async function () {
+            const functions = { pricing: '() => ({})' },
+                validator = Validator.create({ testRequest, allowInjection: false }),
+                result = await validator.validate({ protocol: 'http', functions }, Logger.create());
+
+            assert.deepEqual(result.errors.map(error => error.code), ['invalid injection']);
+        });
+
+        it('should be valid for references to imposter functions', async function () {
+            const functions = { pricing: '() => ({})' },
+                stubs = [{ responses: [{ inject: { fn: 'pricing', args: { discount: 10 } } }] }],
+                validator = Validator.create({ testRequest, allowInjection: true }),
+                result = await validator.validate({ protocol: 'http', functions, stubs }, Logger.create());
+
+            assert.deepEqual(result, { isValid: true, errors: [] });
+        });
+
+        it('should not be valid for references to unknown functions', async function () {
+            const stubs = [{ responses: [{ is: {}, behaviors: [{ decorate: { fn: 'addHeader' } }] }] }],
+                validator = Validator.create({ testRequest, allowInjection: true }),
+                result = await validator.validate({ protocol: 'http', stubs }, Logger.create());
+
+            assert.deepEqual(result, {
+                isValid: false,
+                errors: [{
+                    code: 'bad data',
+                    message: 'no function named addHeader',
+                    source: { fn: 'addHeader' }
+                }]
+            });
+        });
+
+        it('should not be valid for tables that are not arrays of rows', async function () {
+            const tables = { users: { id: 1 } },
+                validator = Validator.create({ testRequest }),
+                result = await validator.validate({ protocol: 'http', tables }, Logger.create());
+
+            assert.deepEqual(result.errors.map(error => error.message),
+                ["'tables' must be an object with an array of row objects for each name"]);
+        });
+
         it('should be valid for a valid predicate', async function () {
             const request = {
                     stubs: [{
@@ -407,6 +550,98 @@ describe('dryRunValidator', function () {
             });
         });
 
+        it('should be valid with weighted responses and a seed', async function () {
+            const request = { stubs: [{ seed: 'chaos', responses: [{ is: {}, weight: 95 }, { is: { statusCode: 503 }, weight: 5 }] }] },
+                validator = Validator.create({ testRequest }),
+                result = await validator.validate(request, Logger.create());
+
+            assert.deepEqual(result, { isValid: true, errors: [] });
+        });
+
+        it('should error on a response weight that is not a positive number', async function () {
+            const request = { stubs: [{ responses: [{ is: {}, weight: 0 }, { is: {} }] }] },
+                validator = Validator.create({ testRequest }),
+                result = await validator.validate(request, Logger.create());
+
+            assert.deepEqual(result, {
+                isValid: false,
+                errors: [{
+                    code: 'bad data',
+                    message: "'weight' must be a number greater than 0",
+                    source: { is: {}, weight: 0 }
+                }]
+            });
+        });
+
+        it('should error on combining repeat with weighted responses', async function () {
+            const request = { stubs: [{ responses: [{ is: {}, weight: 2 }, { is: {}, repeat: 3 }] }] },
+                validator = Validator.create({ testRequest }),
+                result = await validator.validate(request, Logger.create());
+
+            assert.deepEqual(result, {
+                isValid: false,
+                errors: [{
+                    code: 'bad data',
+                    message: "'repeat' cannot be combined with weighted responses",
+                    source: { is: {}, repeat: 3 }
+                }]
+            });
+        });
+
+        it('should error on a seed that is not a string or number', async function () {
+            const request = { stubs: [{ seed: true, responses: [{ is: {}, weight: 1 }] }] },
+                validator = Validator.create({ testRequest }),
+                result = await validator.validate(request, Logger.create());
+
+            assert.deepEqual(result, {
+                isValid: false,
+                errors: [{
+                    code: 'bad data',
+                    message: "'seed' must be a string or number",
+                    source: { seed: true, responses: [{ is: {}, weight: 1 }] }
+                }]
+            });
+        });
+
+        it('should add fault validation errors', async function () {
+            const request = { protocol: 'tcp', stubs: [{ responses: [{ fault: 'STALL_BODY' }] }] },
+                validator = Validator.create({ testRequest }),
+                result = await validator.validate(request, Logger.create());
+
+            assert.deepEqual(result, {
+                isValid: false,
+                errors: [{
+                    code: 'bad data',
+                    message: 'STALL_BODY fault is only supported for http, https imposters',
+                    source: 'STALL_BODY'
+                }]
+            });
+        });
+
+        it('should only allow SQLite lookups if node supports SQLite', async function () {
+            const lookup = {
+                    key: { from: 'path', using: { method: 'regex', selector: '.*' } },
+                    fromDataSource: { sqlite: { path: 'users.db', table: 'users', keyColumn: 'id' } },
+                    into: 'TOKEN'
+                },
+                request = { stubs: [{ responses: [{ is: {}, behaviors: [{ lookup }] }] }] },
+                validator = Validator.create({ testRequest }),
+                result = await validator.validate(request, Logger.create());
+
+            if (dataSources.isSupported('sqlite')) {
+                assert.deepEqual(result, { isValid: true, errors: [] });
+                return;
+            }
+            assert.deepEqual(result, {
+                isValid: false,
+                errors: [{
+                    code: 'bad data',
+                    message: 'lookup behavior "fromDataSource.sqlite" field requires Node.js 22.13 or later, with the node:sqlite module',
+                    source: { lookup }
+                }]
+            });
+        });
+
         it('should allow functions as wait behavior if injections allowed', async function () {
             const request = { stubs: [{ responses: [{
                     is: { statusCode: 400 },
@@ -0,0 +1,169 @@
+'use strict';
+
+const assert = require('assert'),
+    faults = require('../../src/models/faults'),
+    Logger = require('../fakes/fakeLogger');
+
+function fakeSocket () {
+    const socket = {
+        written: [],
+        destroyed: false,
+        ended: false,
+        write: (data, callback) => {
+            socket.written.push(Buffer.from(data).toString());
+            if (callback) {
+                callback();
+            }
+        },
+        destroy: () => { socket.destroyed = true; },
+        end: () => { socket.ended = true; }
+    };
+    return socket;
+}
+
+const message = {
+    head: 'HTTP/1.1 200 OK\r\nContent-Length: 10\r\n\r\n',
+    body: Buffer.from('0123456789')
+};
+
+describe('faults', function () {
+    describe('#simulate', function () {
+        it('should not simulate anything without a fault', function () {
+            const socket = fakeSocket();
+
+            assert.strictEqual(faults.simulate(socket, undefined, message, Logger.create()), false);
+            assert.deepEqual(socket.written, []);
+        });
+
+        it('should log and ignore unrecognized faults', function () {
+            const socket = fakeSocket(),
+                logger = Logger.create();
+
+            assert.strictEqual(faults.simulate(socket, 'NON_EXISTENT_FAULT', message, logger), false);
+            logger.error.assertLogged('Unexpected fault type [NON_EXISTENT_FAULT]');
+        });
+
+        it('should destroy the socket for CONNECTION_RESET_BY_PEER', function () {
+            const socket = fakeSocket();
+
+            assert.ok(faults.simulate(socket, 'CONNECTION_RESET_BY_PEER', message, Logger.create()));
+            assert.ok(socket.destroyed);
+        });
+
+        it('should leave the socket alone for HANG', function () {
+            const socket = fakeSocket();
+
+            assert.ok(faults.simulate(socket, 'HANG', message, Logger.create()));
+            assert.deepEqual(socket.written, []);
+            assert.ok(!socket.destroyed && !socket.ended);
+        });
+
+        it('should close the socket without writing for EMPTY_RESPONSE', function () {
+            const socket = fakeSocket();
+
+            assert.ok(faults.simulate(socket, 'EMPTY_RESPONSE', message, Logger.create()));
+            assert.deepEqual(socket.written, []);
+            assert.ok(socket.ended);
+        });
+
+        it('should write the given number of bytes then destroy the socket for CLOSE_AFTER_BYTES', function () {
+            const socket = fakeSocket();
+
+            assert.ok(faults.simulate(socket, { type: 'CLOSE_AFTER_BYTES', bytes: 8 }, message, Logger.create()));
+            assert.deepEqual(socket.written, ['HTTP/1.1']);
+            assert.ok(socket.destroyed);
+        });
+
+        it('should write only the head for STALL_BODY', function () {
+            const socket = fakeSocket();
+
+            assert.ok(faults.simulate(socket, 'STALL_BODY', message, Logger.create()));
+            assert.deepEqual(socket.written, [message.head]);
+            assert.ok(!socket.destroyed && !socket.ended);
+        });
+
+        it('should replace the status line for MALFORMED_STATUS_LINE', function () {
+            const socket = fakeSocket();
+
+            assert.ok(faults.simulate(socket, 'MALFORMED_STATUS_LINE', message, Logger.create()));
+            assert.deepEqual(socket.written, ['HTTP/1.1 OK MALFORMED\r\nContent-Length: 10\r\n\r\n0123456789']);
+            assert.ok(socket.ended);
+        });
+
+        it('should send half the body by default for TRUNCATED_BODY', function () {
+            const socket = fakeSocket();
+
+            assert.ok(faults.simulate(socket, 'TRUNCATED_BODY', message, Logger.create()));
+            assert.deepEqual(socket.written, [`${message.head}01234`]);
+            assert.ok(socket.ended);
+        });
+
+        it('should send the given number of body bytes for TRUNCATED_BODY', function () {
+            const socket = fakeSocket();
+
+            assert.ok(faults.simulate(socket, { type: 'TRUNCATED_BODY', bytes: 2 }, message, Logger.create()));
+            assert.deepEqual(socket.written, [`${message.head}01`]);
+        });
+
+        it('should destroy the socket after the delay for DELAYED_RESET', async function () {
+            const socket = fakeSocket();
+
+            assert.ok(faults.simulate(socket, { type: 'DELAYED_RESET', delay: 50 }, message, Logger.create()));
+            assert.ok(!socket.destroyed);
+            await new Promise(resolve => setTimeout(resolve, 75));
+            assert.ok(socket.destroyed);
+        });
+    });
+
+    describe('#errorsFor', function () {
+        it('should allow known faults by name', function () {
+            assert.deepEqual(faults.errorsFor('HANG', 'tcp'), []);
+        });
+
+        it('should allow unrecognized faults for backwards compatibility', function () {
+            assert.deepEqual(faults.errorsFor('NON_EXISTENT_FAULT', 'http'), []);
+        });
+
+        it('should require a type for fault objects', function () {
+            assert.deepEqual(faults.errorsFor({ bytes: 10 }, 'http'), [{
+                code: 'bad data',
+                message: 'fault objects require a "type" field with the name of the fault',
+                source: { bytes: 10 }
+            }]);
+        });
+
+        it('should require the options a fault needs', function () {
+            assert.deepEqual(faults.errorsFor('CLOSE_AFTER_BYTES', 'tcp'), [{
+                code: 'bad data',
+                message: 'CLOSE_AFTER_BYTES fault requires "bytes" to be an integer greater than or equal to 0',
+                source: 'CLOSE_AFTER_BYTES'
+            }]);
+        });
+
+        it('should reject options that are not non-negative integers', function () {
+            const fault = { type: 'DELAYED_RESET', delay: -1 };
+
+            assert.deepEqual(faults.errorsFor(fault, 'http'), [{
+                code: 'bad data',
+                message: 'DELAYED_RESET fault requires "delay" to be an integer greater than or equal to 0',
+                source: fault
+            }]);
+        });
+
+        it('should reject http faults for tcp imposters', function () {
+            assert.deepEqual(faults.errorsFor('MALFORMED_STATUS_LINE', 'tcp'), [{
+                code: 'bad data',
+                message: 'MALFORMED_STATUS_LINE fault is only supported for http, https imposters',
+                source: 'MALFORMED_STATUS_LINE'
+            }]);
+        });
+
+        it('should allow connection faults for http2 imposters', function () {
+            assert.deepEqual(faults.errorsFor('CONNECTION_RESET_BY_PEER', 'http2'), []);
+        });
+
+        it('should not check the protocol of custom protocol imposters', function () {
+            assert.deepEqual(faults.errorsFor('MALFORMED_STATUS_LINE', 'custom'), []);
+        });
+    });
+});
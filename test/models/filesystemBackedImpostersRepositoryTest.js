@@ -2,6 +2,7 @@
 
 const assert = require('assert'),
     Repo = require('../../src/models/filesystemBackedImpostersRepository'),
+    Imposter = require('../../src/models/imposter'),
     Logger = require('../fakes/fakeLogger'),
     fs = require('fs-extra'),
     mock = require('../mock').mock,
@@ -613,6 +614,95 @@ describe('filesystemBackedImpostersRepository', function () {
                     assert.ok(imposterDir.includes('requests') === false);
                 });
             });
+
+            describe('#updateHeader', function () {
+                it('should save and remove imposter fields without changing the stubs', async function () {
+                    const stubs = repo.stubsFor(3000),
+                        imposter = { port: 3000, protocol: 'test', activeProfile: 'happy', stubs: [{ responses: [{ is: {} }] }] };
+
+                    await repo.add(imposterize(imposter));
+                    const stubDefinitions = read('.mbtest/3000/imposter.json').stubs;
+
+                    await stubs.updateHeader({ activeProfile: undefined, chaos: { rules: [] } });
+
+                    assert.deepEqual(read('.mbtest/3000/imposter.json'), {
+                        port: 3000,
+                        protocol: 'test',
+                        chaos: { rules: [] },
+                        stubs: stubDefinitions
+                    });
+                });
+            });
+        });
+    });
+
+    describe('#loadAll', function () {
+        const profiles = {
+            happy: [{ responses: [{ is: { body: 'ok' } }] }],
+            outage: [{ responses: [{ is: { body: 'down' } }] }]
+        };
+
+        function protocolFor (repository) {
+            return {
+                testRequest: {},
+                testProxyResponse: {},
+                createServer: async creationRequest => ({
+                    stubs: repository.stubsFor(creationRequest.port),
+                    resolver: { resolve: mock().returns(Promise.resolve({})) },
+                    port: creationRequest.port,
+                    metadata: {},
+                    close: mock(),
+                    proxy: { to: mock() },
+                    encoding: 'utf8'
+                })
+            };
+        }
+
+        async function createImposter (creationRequest) {
+            const imposter = await Imposter.create(protocolFor(repo), creationRequest, logger, {}, () => true);
+            await repo.add(imposter);
+            return imposter;
+        }
+
+        // Loads the saved imposters into a new repository, as if mb had restarted with the same datadir
+        async function reload (port) {
+            const reloaded = Repo.create({ datadir: '.mbtest' }, logger);
+
+            await reloaded.loadAll({
+                http: { createImposterFrom: config => Imposter.create(protocolFor(reloaded), config, logger, {}, () => true) }
+            });
+            const imposter = await reloaded.get(port);
+            return imposter.toJSON({ replayable: true });
+        }
+
+        it('should keep the activated profile', async function () {
+            const imposter = await createImposter({ protocol: 'http', port: 3000, profiles, activeProfile: 'happy' });
+
+            await imposter.activateProfile('outage');
+            const json = await reload(3000);
+
+            assert.strictEqual(json.activeProfile, 'outage');
+            assert.deepEqual(json.stubs, profiles.outage);
+        });
+
+        it('should keep chaos changes', async function () {
+            const imposter = await createImposter({ protocol: 'http', port: 3000 });
+
+            await imposter.setChaos({ rules: [{ percentage: 10, latency: 100 }] });
+            assert.deepEqual((await reload(3000)).chaos, { rules: [{ percentage: 10, latency: 100 }] });
+
+            await imposter.setChaos(undefined);
+            assert.strictEqual((await reload(3000)).chaos, undefined);
+        });
+
+        it('should keep table changes', async function () {
+            const imposter = await createImposter({ protocol: 'http', port: 3000, tables: { users: [{ id: '1' }] } });
+
+            await imposter.setTable('orders', [{ id: '2' }]);
+            assert.deepEqual((await reload(3000)).tables, { users: [{ id: '1' }], orders: [{ id: '2' }] });
+
+            await imposter.deleteTable('users');
+            assert.deepEqual((await reload(3000)).tables, { orders: [{ id: '2' }] });
         });
     });
 });
@@ -0,0 +1,47 @@
+'use strict';
+
+const assert = require('assert'),
+    grpc = require('@grpc/grpc-js'),
+    grpcMetadata = require('../../../src/models/grpc/grpcMetadata');
+
+describe('grpcMetadata', function () {
+    describe('#toObject', function () {
+        it('should convert metadata to JSON', function () {
+            const metadata = new grpc.Metadata();
+            metadata.add('x-key', 'value');
+
+            assert.deepEqual(grpcMetadata.toObject(metadata), { 'x-key': 'value' });
+        });
+
+        it('should base64 encode binary values', function () {
+            const metadata = new grpc.Metadata();
+            metadata.add('x-key-bin', Buffer.from('binary'));
+
+            assert.deepEqual(grpcMetadata.toObject(metadata), { 'x-key-bin': Buffer.from('binary').toString('base64') });
+        });
+
+        it('should return empty object for undefined metadata', function () {
+            assert.deepEqual(grpcMetadata.toObject(undefined), {});
+        });
+    });
+
+    describe('#fromObject', function () {
+        it('should add each array value as a separate entry', function () {
+            const metadata = grpcMetadata.fromObject({ 'x-key': ['first', 'second'] });
+
+            assert.deepEqual(metadata.get('x-key'), ['first', 'second']);
+        });
+
+        it('should base64 decode binary values', function () {
+            const metadata = grpcMetadata.fromObject({ 'x-key-bin': Buffer.from('binary').toString('base64') });
+
+            assert.deepEqual(metadata.get('x-key-bin'), [Buffer.from('binary')]);
+        });
+
+        it('should convert non-string values to strings', function () {
+            const metadata = grpcMetadata.fromObject({ 'x-key': 1 });
+
+            assert.deepEqual(metadata.get('x-key'), ['1']);
+        });
+    });
+});
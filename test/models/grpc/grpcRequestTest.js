@@ -0,0 +1,50 @@
+'use strict';
+
+const assert = require('assert'),
+    grpc = require('@grpc/grpc-js'),
+    grpcRequest = require('../../../src/models/grpc/grpcRequest');
+
+describe('grpcRequest', function () {
+    describe('#createFrom', function () {
+        let call;
+
+        beforeEach(function () {
+            call = {
+                getPeer: () => '127.0.0.1:5000',
+                metadata: new grpc.Metadata()
+            };
+        });
+
+        it('should include service, method and message', async function () {
+            const method = { service: 'mbtest.Greeter', name: 'SayHello' },
+                request = await grpcRequest.createFrom(call, method, { name: 'test' });
+
+            assert.strictEqual(request.service, 'mbtest.Greeter');
+            assert.strictEqual(request.method, 'SayHello');
+            assert.deepEqual(request.message, { name: 'test' });
+        });
+
+        it('should set requestFrom and ip from peer', async function () {
+            const request = await grpcRequest.createFrom(call, {}, {});
+
+            assert.strictEqual(request.requestFrom, '127.0.0.1:5000');
+            assert.strictEqual(request.ip, '127.0.0.1');
+        });
+
+        it('should strip brackets from IPv6 peer', async function () {
+            call.getPeer = () => '[::1]:5000';
+
+            const request = await grpcRequest.createFrom(call, {}, {});
+
+            assert.strictEqual(request.ip, '::1');
+        });
+
+        it('should convert metadata to JSON', async function () {
+            call.metadata.add('x-key', 'value');
+
+            const request = await grpcRequest.createFrom(call, {}, {});
+
+            assert.deepEqual(request.metadata, { 'x-key': 'value' });
+        });
+    });
+});
@@ -0,0 +1,40 @@
+'use strict';
+
+const assert = require('assert'),
+    path = require('path'),
+    validator = require('../../../src/models/grpc/grpcValidator');
+
+describe('grpcValidator', function () {
+
+    describe('#validate', function () {
+        it('should be valid for proto file with a service', function () {
+            const protoFile = path.join(__dirname, 'greeter.proto');
+
+            assert.deepEqual(validator.validate({ protoFiles: [protoFile] }), []);
+        });
+
+        it('should not be valid for missing protoFiles', function () {
+            assert.deepEqual(validator.validate({}), [{
+                code: 'bad data',
+                message: "'protoFiles' must list at least one .proto file"
+            }]);
+        });
+
+        it('should not be valid for proto files without services', function () {
+            const protoFile = path.join(__dirname, 'empty.proto');
+
+            assert.deepEqual(validator.validate({ protoFiles: protoFile }), [{
+                code: 'bad data',
+                message: 'No services defined in protoFiles',
+                source: protoFile
+            }]);
+        });
+
+        it('should not be valid for missing proto file', function () {
+            const errors = validator.validate({ protoFiles: ['missing.proto'] });
+
+            assert.strictEqual(errors.length, 1);
+            assert.ok(errors[0].message.indexOf('Unable to load protoFiles: ') === 0, errors[0].message);
+        });
+    });
+});
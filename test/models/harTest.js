@@ -0,0 +1,147 @@
+'use strict';
+
+const assert = require('assert'),
+    har = require('../../src/models/har');
+
+describe('har', function () {
+    describe('#fromImposter', function () {
+        it('should only export http and https imposters', function () {
+            assert.throws(() => har.fromImposter({ protocol: 'tcp', port: 3000, stubs: [] }), {
+                code: 'bad data',
+                message: 'only http and https imposters can be exported as HAR'
+            });
+        });
+
+        it('should create an entry for each is response using the stub predicates for the request', function () {
+            const imposter = {
+                    protocol: 'http',
+                    port: 3000,
+                    stubs: [{
+                        predicates: [{ deepEquals: { method: 'POST', path: '/orders', query: { tag: ['a', 'b'] } } }, { equals: { body: { id: 1 } } }],
+                        responses: [
+                            { is: { statusCode: 201, headers: { 'Content-Type': 'application/json' }, body: '{"id":1}', _proxyResponseTime: 12 } },
+                            { proxy: { to: 'http://example.com' } }
+                        ]
+                    }]
+                },
+                entries = har.fromImposter(imposter).log.entries;
+
+            assert.strictEqual(entries.length, 1);
+            assert.strictEqual(entries[0].time, 12);
+            assert.deepEqual(entries[0].request, {
+                method: 'POST',
+                url: 'http://localhost:3000/orders?tag=a&tag=b',
+                httpVersion: 'HTTP/1.1',
+                cookies: [],
+                headers: [],
+                queryString: [{ name: 'tag', value: 'a' }, { name: 'tag', value: 'b' }],
+                headersSize: -1,
+                bodySize: 8,
+                postData: { mimeType: '', text: '{"id":1}' }
+            });
+            assert.deepEqual(entries[0].response, {
+                status: 201,
+                statusText: 'Created',
+                httpVersion: 'HTTP/1.1',
+                cookies: [],
+                headers: [{ name: 'Content-Type', value: 'application/json' }],
+                content: { size: 8, mimeType: 'application/json', text: '{"id":1}' },
+                redirectURL: '',
+                headersSize: -1,
+                bodySize: 8
+            });
+        });
+
+        it('should default the request and export binary bodies as base64', function () {
+            const imposter = { protocol: 'https', port: 3000, stubs: [{ responses: [{ is: { body: 'AQI=', _mode: 'binary' } }] }] },
+                entry = har.fromImposter(imposter).log.entries[0];
+
+            assert.strictEqual(entry.request.method, 'GET');
+            assert.strictEqual(entry.request.url, 'https://localhost:3000/');
+            assert.strictEqual(entry.response.status, 200);
+            assert.deepEqual(entry.response.content, { size: 2, mimeType: '', text: 'AQI=', encoding: 'base64' });
+        });
+    });
+
+    describe('#toImposter', function () {
+        function entry (method, url, status, text) {
+            return {
+                request: { method, url, headers: [] },
+                response: {
+                    status,
+                    headers: [
+                        { name: 'Content-Type', value: 'text/plain' },
+                        { name: 'Content-Length', value: '5' },
+                        { name: 'Set-Cookie', value: 'a=1' },
+                        { name: 'Set-Cookie', value: 'b=2' }
+                    ],
+                    content: { text }
+                }
+            };
+        }
+
+        it('should require log entries', function () {
+            assert.throws(() => har.toImposter({ entries: [] }), {
+                code: 'bad data',
+                message: "the HAR document must have a 'log.entries' array"
+            });
+        });
+
+        it('should create stubs with predicates and is responses', function () {
+            const document = { log: { entries: [entry('get', 'https://example.com/orders?page=2', 200, 'first')] } },
+                imposter = har.toImposter(document, { port: 4545 });
+
+            assert.deepEqual(imposter, {
+                protocol: 'http',
+                port: 4545,
+                stubs: [{
+                    predicates: [{ equals: { method: 'GET', path: '/orders', query: { page: '2' } } }],
+                    responses: [{
+                        is: {
+                            statusCode: 200,
+                            headers: { 'Content-Type': 'text/plain', 'Set-Cookie': ['a=1', 'b=2'] },
+                            body: 'first'
+                        }
+                    }]
+                }]
+            });
+        });
+
+        it('should add responses for repeated requests to the same stub in order', function () {
+            const document = {
+                    log: {
+                        entries: [
+                            entry('GET', 'http://example.com/status', 200, 'first'),
+                            entry('GET', 'http://example.com/other', 200, 'other'),
+                            entry('GET', 'http://example.com/status', 503, 'second')
+                        ]
+                    }
+                },
+                stubs = har.toImposter(document).stubs;
+
+            assert.deepEqual(stubs.map(stub => stub.responses.map(response => response.is.body)), [['first', 'second'], ['other']]);
+        });
+
+        it('should match request bodies and skip requests without a response', function () {
+            const posted = entry('POST', 'http://example.com/orders', 201, 'created'),
+                aborted = entry('GET', 'http://example.com/slow', 0, '');
+
+            posted.request.postData = { mimeType: 'application/json', text: '{"id":1}' };
+            const stubs = har.toImposter({ log: { entries: [posted, aborted] } }).stubs;
+
+            assert.deepEqual(stubs.map(stub => stub.predicates), [
+                [{ equals: { method: 'POST', path: '/orders', body: '{"id":1}' } }]
+            ]);
+        });
+
+        it('should import base64 content as binary', function () {
+            const binary = entry('GET', 'http://example.com/image', 200, 'AQI=');
+
+            binary.response.content.encoding = 'base64';
+            const is = har.toImposter({ log: { entries: [binary] } }).stubs[0].responses[0].is;
+
+            assert.strictEqual(is._mode, 'binary');
+            assert.strictEqual(is.body, 'AQI=');
+        });
+    });
+});
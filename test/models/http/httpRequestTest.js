@@ -61,6 +61,27 @@ describe('HttpRequest', function () {
             await promise;
         });
 
+        it('should remove redundant HTTP/2 pseudo-headers but keep :authority and :scheme', async function () {
+            request.rawHeaders = [
+                ':method', 'GET',
+                ':path', '/',
+                ':scheme', 'https',
+                ':authority', 'localhost:8000',
+                'accept', '*/*'
+            ];
+
+            const promise = httpRequest.createFrom(request)
+                .then(mbRequest => assert.deepEqual(mbRequest.headers, {
+                    ':scheme': 'https',
+                    ':authority': 'localhost:8000',
+                    accept: '*/*'
+                }));
+
+            request.emit('end');
+
+            await promise;
+        });
+
         it('should transform form', async function () {
             await shouldTransformForm('application/x-www-form-urlencoded');
         });
@@ -142,4 +163,22 @@ describe('HttpRequest', function () {
             await promise;
         });
     });
+
+    describe('#createFromUpgrade', function () {
+        it('should transform upgrade request without waiting for a body', async function () {
+            const request = {
+                socket: { remoteAddress: 'HOST', remotePort: 'PORT' },
+                method: 'GET',
+                url: 'http://localhost/chat?room=1',
+                rawHeaders: ['Upgrade', 'websocket']
+            };
+
+            const mbRequest = await httpRequest.createFromUpgrade(request);
+
+            assert.strictEqual(mbRequest.path, '/chat');
+            assert.deepEqual(mbRequest.query, { room: '1' });
+            assert.deepEqual(mbRequest.headers, { Upgrade: 'websocket' });
+            assert.strictEqual(mbRequest.body, '');
+        });
+    });
 });
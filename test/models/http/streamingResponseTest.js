@@ -0,0 +1,50 @@
+'use strict';
+
+const assert = require('assert'),
+    streamingResponse = require('../../../src/models/http/streamingResponse');
+
+describe('streamingResponse', function () {
+    describe('#formatEvent', function () {
+        it('should format string as data-only event', function () {
+            assert.strictEqual(streamingResponse.formatEvent('test'), 'data: test\n\n');
+        });
+
+        it('should include event, id and retry fields', function () {
+            const event = { event: 'update', id: 1, retry: 1000, data: 'test' };
+
+            assert.strictEqual(streamingResponse.formatEvent(event), 'event: update\nid: 1\nretry: 1000\ndata: test\n\n');
+        });
+
+        it('should split multi-line data into multiple data fields', function () {
+            assert.strictEqual(streamingResponse.formatEvent({ data: 'first\r\nsecond' }), 'data: first\ndata: second\n\n');
+        });
+
+        it('should send object data as JSON', function () {
+            assert.strictEqual(streamingResponse.formatEvent({ data: { key: 'value' } }), 'data: {"key":"value"}\n\n');
+        });
+    });
+
+    describe('#chunksFor', function () {
+        it('should return undefined for responses without chunks or events', function () {
+            assert.strictEqual(streamingResponse.chunksFor({ body: 'test' }), undefined);
+        });
+
+        it('should normalize string and object chunks', function () {
+            const chunks = streamingResponse.chunksFor({ chunks: ['first', { data: { key: 'value' }, delay: 100 }] });
+
+            assert.deepEqual(chunks, [
+                { data: 'first', delay: 0 },
+                { data: '{"key":"value"}', delay: 100 }
+            ]);
+        });
+
+        it('should convert events to chunks with their delays', function () {
+            const chunks = streamingResponse.chunksFor({ events: ['first', { data: 'second', delay: 100 }] });
+
+            assert.deepEqual(chunks, [
+                { data: 'data: first\n\n', delay: 0 },
+                { data: 'data: second\n\n', delay: 100 }
+            ]);
+        });
+    });
+});
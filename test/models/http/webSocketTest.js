@@ -0,0 +1,42 @@
+'use strict';
+
+const assert = require('assert'),
+    webSocket = require('../../../src/models/http/webSocket'),
+    mock = require('../../mock').mock,
+    Logger = require('../../fakes/fakeLogger');
+
+describe('webSocket', function () {
+    describe('#isUpgrade', function () {
+        it('should be true for websocket upgrade regardless of case', function () {
+            assert.ok(webSocket.isUpgrade({ headers: { upgrade: 'WebSocket' } }));
+        });
+
+        it('should be false for other upgrades', function () {
+            assert.ok(!webSocket.isUpgrade({ headers: { upgrade: 'h2c' } }));
+        });
+
+        it('should be false without upgrade header', function () {
+            assert.ok(!webSocket.isUpgrade({ headers: {} }));
+        });
+    });
+
+    describe('#handleUpgrade', function () {
+        it('should reject blocked IP addresses with a 403 before completing the handshake', async function () {
+            const responseFn = () => Promise.resolve({ blocked: true, code: 'unauthorized ip address' }),
+                webSockets = webSocket.create(Logger.create(), responseFn),
+                socket = { remoteAddress: '10.0.0.1', remotePort: 8000, end: mock() },
+                request = {
+                    url: '/',
+                    method: 'GET',
+                    rawHeaders: ['Upgrade', 'websocket'],
+                    headers: { upgrade: 'websocket' },
+                    socket
+                };
+
+            await webSockets.handleUpgrade(request, socket, Buffer.alloc(0));
+
+            assert.ok(socket.end.wasCalledWith('HTTP/1.1 403 Forbidden\r\nConnection: close\r\nContent-Length: 0\r\n\r\n'),
+                socket.end.message());
+        });
+    });
+});
@@ -0,0 +1,42 @@
+'use strict';
+
+const assert = require('assert'),
+    http2Headers = require('../../../src/models/http2/http2Headers');
+
+describe('http2Headers', function () {
+    describe('#isPseudoHeader', function () {
+        it('should be true for headers starting with a colon', function () {
+            assert.ok(http2Headers.isPseudoHeader(':authority'));
+        });
+
+        it('should be false for regular headers', function () {
+            assert.ok(!http2Headers.isPseudoHeader('host'));
+        });
+    });
+
+    describe('#withoutPseudoHeaders', function () {
+        it('should remove pseudo-headers without changing the original', function () {
+            const headers = { ':authority': 'localhost', ':scheme': 'http', accept: '*/*' };
+
+            assert.deepEqual(http2Headers.withoutPseudoHeaders(headers), { accept: '*/*' });
+            assert.strictEqual(headers[':authority'], 'localhost');
+        });
+
+        it('should return empty object for undefined headers', function () {
+            assert.deepEqual(http2Headers.withoutPseudoHeaders(undefined), {});
+        });
+    });
+
+    describe('#withoutConnectionHeaders', function () {
+        it('should remove connection-specific headers regardless of case', function () {
+            const headers = {
+                Connection: 'close',
+                'Keep-Alive': 'timeout=5',
+                'transfer-encoding': 'chunked',
+                'Content-Type': 'text/plain'
+            };
+
+            assert.deepEqual(http2Headers.withoutConnectionHeaders(headers), { 'Content-Type': 'text/plain' });
+        });
+    });
+});
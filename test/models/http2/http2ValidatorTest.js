@@ -0,0 +1,31 @@
+'use strict';
+
+const assert = require('assert'),
+    validator = require('../../../src/models/http2/http2Validator');
+
+describe('http2Validator', function () {
+
+    describe('#validate', function () {
+        it('should be valid for missing options', function () {
+            assert.deepEqual(validator.validate({}), []);
+        });
+
+        it('should be valid for boolean tls and allowHTTP1', function () {
+            assert.deepEqual(validator.validate({ tls: true, allowHTTP1: false }), []);
+        });
+
+        it('should not be valid for non-boolean tls', function () {
+            assert.deepEqual(validator.validate({ tls: 'true' }), [{
+                code: 'bad data',
+                message: "'tls' must be a boolean"
+            }]);
+        });
+
+        it('should not be valid for non-boolean allowHTTP1', function () {
+            assert.deepEqual(validator.validate({ allowHTTP1: 1 }), [{
+                code: 'bad data',
+                message: "'allowHTTP1' must be a boolean"
+            }]);
+        });
+    });
+});
@@ -448,6 +448,397 @@ describe('imposter', function () {
         });
     });
 
+    describe('scenarios', function () {
+        const scenarioStubs = [
+            {
+                scenario: 'cart',
+                requiredState: 'Started',
+                newState: 'filled',
+                predicates: [{ equals: { method: 'POST' } }],
+                responses: [{ is: 'added' }]
+            },
+            { scenario: 'cart', requiredState: 'filled', responses: [{ is: 'full cart' }] },
+            { scenario: 'cart', requiredState: 'Started', responses: [{ is: 'empty cart' }] }
+        ];
+
+        async function createScenarioImposter () {
+            const imposter = await Imposter.create(Protocol, { stubs: scenarioStubs }, logger, {}, allow);
+
+            for (const stub of scenarioStubs) {
+                await server.stubs.add(stub);
+            }
+            return imposter;
+        }
+
+        it('should only match stubs whose requiredState is the current scenario state', async function () {
+            const imposter = await createScenarioImposter();
+
+            await imposter.getResponseFor({ method: 'GET' });
+
+            assert.ok(server.resolver.resolve.wasCalledWith({ is: 'empty cart' }), server.resolver.resolve.message());
+        });
+
+        it('should move to newState when the stub matches', async function () {
+            const imposter = await createScenarioImposter();
+
+            await imposter.getResponseFor({ method: 'POST' });
+            await imposter.getResponseFor({ method: 'GET' });
+
+            assert.ok(server.resolver.resolve.wasCalledWith({ is: 'full cart' }), server.resolver.resolve.message());
+        });
+
+        it('should report current state for each scenario', async function () {
+            const imposter = await createScenarioImposter();
+
+            assert.deepEqual(await imposter.getScenarios(), { cart: 'Started' });
+            await imposter.getResponseFor({ method: 'POST' });
+
+            assert.deepEqual(await imposter.getScenarios(), { cart: 'filled' });
+        });
+
+        it('should reset all scenarios to Started', async function () {
+            const imposter = await createScenarioImposter();
+
+            await imposter.getResponseFor({ method: 'POST' });
+            await imposter.resetScenarios();
+            await imposter.getResponseFor({ method: 'GET' });
+
+            assert.deepEqual(await imposter.getScenarios(), { cart: 'Started' });
+            assert.ok(server.resolver.resolve.wasCalledWith({ is: 'empty cart' }), server.resolver.resolve.message());
+        });
+    });
+
+    describe('#getUnmatched', function () {
+        it('should record the closest stubs and their failed predicate fields', async function () {
+            const stubs = [
+                    { predicates: [{ equals: { method: 'POST', path: '/orders' } }], responses: [{ is: 'created' }] },
+                    { predicates: [{ equals: { method: 'GET', path: '/orders' } }], responses: [{ is: 'list' }] }
+                ],
+                imposter = await Imposter.create(Protocol, { stubs }, logger, {}, allow);
+
+            for (const stub of stubs) {
+                await server.stubs.add(stub);
+            }
+            await imposter.getResponseFor({ method: 'GET', path: '/order' });
+
+            const unmatched = await imposter.getUnmatched();
+            assert.strictEqual(unmatched.length, 1);
+            assert.deepEqual(unmatched[0].request, { method: 'GET', path: '/order' });
+            assert.deepEqual(unmatched[0].closestStubs, [
+                { index: 1, differences: [{ operator: 'equals', field: 'path', expected: '/orders', actual: '/order' }] },
+                {
+                    index: 0,
+                    differences: [
+                        { operator: 'equals', field: 'method', expected: 'POST', actual: 'GET' },
+                        { operator: 'equals', field: 'path', expected: '/orders', actual: '/order' }
+                    ]
+                }
+            ]);
+        });
+
+        it('should report a scenario in the wrong state as a difference', async function () {
+            const stub = { scenario: 'cart', requiredState: 'filled', responses: [{ is: 'full cart' }] },
+                imposter = await Imposter.create(Protocol, { stubs: [stub] }, logger, {}, allow);
+
+            await server.stubs.add(stub);
+            await imposter.getResponseFor({});
+
+            assert.deepEqual((await imposter.getUnmatched())[0].closestStubs[0].differences,
+                [{ scenario: 'cart', expected: 'filled', actual: 'Started' }]);
+        });
+
+        it('should use the scenario states from when the request was received', async function () {
+            const stubs = [
+                    { scenario: 'cart', requiredState: 'filled', predicates: [{ equals: { path: '/cart' } }], responses: [{ is: 'full cart' }] },
+                    { scenario: 'cart', newState: 'filled', predicates: [{ equals: { path: '/fill' } }], responses: [{ is: 'filled' }] }
+                ],
+                imposter = await Imposter.create(Protocol, { stubs }, logger, {}, allow);
+
+            for (const stub of stubs) {
+                await server.stubs.add(stub);
+            }
+            await imposter.getResponseFor({ path: '/other' });
+            await imposter.getResponseFor({ path: '/fill' });
+
+            const closest = (await imposter.getUnmatched())[0].closestStubs.find(stub => stub.index === 0);
+            assert.deepEqual(closest.differences[0], { scenario: 'cart', expected: 'filled', actual: 'Started' });
+        });
+
+        it('should not read the stubs until the unmatched requests are requested', async function () {
+            const imposter = await Imposter.create(Protocol, {}, logger, {}, allow);
+            let reads = 0;
+
+            server.stubs.toJSON = () => {
+                reads += 1;
+                return Promise.resolve([]);
+            };
+            await imposter.getResponseFor({});
+            await imposter.getResponseFor({});
+            assert.strictEqual(reads, 0);
+
+            await imposter.getUnmatched();
+            await imposter.getUnmatched();
+            assert.strictEqual(reads, 1);
+        });
+
+        it('should not record matched requests', async function () {
+            const imposter = await Imposter.create(Protocol, {}, logger, {}, allow);
+
+            await server.stubs.add({ responses: [{ is: 'matched' }] });
+            await imposter.getResponseFor({});
+
+            assert.deepEqual(await imposter.getUnmatched(), []);
+        });
+
+        it('should forget unmatched requests when reset', async function () {
+            const imposter = await Imposter.create(Protocol, {}, logger, {}, allow);
+
+            await imposter.getResponseFor({});
+            imposter.resetUnmatched();
+
+            assert.deepEqual(await imposter.getUnmatched(), []);
+        });
+    });
+
+    describe('contract', function () {
+        const contract = {
+            openapi: {
+                openapi: '3.0.3',
+                paths: {
+                    '/orders': {
+                        get: { responses: { 200: { content: { 'application/json': { schema: { type: 'array' } } } } } }
+                    }
+                }
+            }
+        };
+
+        it('should record request and response contract violations in the JSON', async function () {
+            server.resolver.resolve = mock().returns(Promise.resolve({ statusCode: 500 }));
+            const imposter = await Imposter.create(Protocol, { protocol: 'http', contract }, logger, {}, allow);
+
+            await imposter.getResponseFor({ method: 'POST', path: '/orders' });
+            await imposter.getResponseFor({ method: 'GET', path: '/orders' });
+            const violations = (await imposter.toJSON()).contractViolations;
+
+            assert.deepEqual(violations.map(violation => [violation.type, violation.operation, violation.errors]), [
+                ['request', undefined, ['no operation matches POST /orders']],
+                ['response', 'GET /orders', ['status code 500 is not documented']]
+            ]);
+            logger.warn.assertLogged('contract violation in response to GET /orders: status code 500 is not documented');
+        });
+
+        it('should respond with the violationResponse without matching stubs', async function () {
+            const config = Object.assign({ violationResponse: { statusCode: 400 } }, contract),
+                imposter = await Imposter.create(Protocol, { protocol: 'http', contract: config }, logger, {}, allow);
+
+            const response = await imposter.getResponseFor({ method: 'GET', path: '/unknown' });
+
+            assert.deepEqual(response, {
+                statusCode: 400,
+                headers: { 'Content-Type': 'application/json' },
+                body: { errors: ['no operation matches GET /unknown'] }
+            });
+            assert.ok(!server.resolver.resolve.wasCalled());
+        });
+
+        it('should forget contract violations when requests are reset', async function () {
+            const imposter = await Imposter.create(Protocol, { protocol: 'http', contract }, logger, {}, allow);
+
+            await imposter.getResponseFor({ method: 'DELETE', path: '/orders' });
+            await imposter.resetRequests();
+
+            assert.deepEqual((await imposter.toJSON()).contractViolations, []);
+        });
+    });
+
+    describe('chaos', function () {
+        it('should respond with the chaos error without matching stubs', async function () {
+            const chaos = { rules: [{ percentage: 100, error: { statusCode: 503 } }] },
+                imposter = await Imposter.create(Protocol, { protocol: 'http', chaos }, logger, {}, allow);
+
+            const response = await imposter.getResponseFor({ method: 'GET', path: '/' });
+
+            assert.deepEqual(response, { statusCode: 503 });
+            assert.ok(!server.resolver.resolve.wasCalled());
+        });
+
+        it('should only inject chaos for requests matching the rule predicates', async function () {
+            const chaos = { rules: [{ percentage: 100, predicates: [{ equals: { path: '/orders' } }], fault: 'HANG' }] },
+                imposter = await Imposter.create(Protocol, { protocol: 'http', chaos }, logger, {}, allow);
+
+            const unmatched = await imposter.getResponseFor({ method: 'GET', path: '/customers' }),
+                matched = await imposter.getResponseFor({ method: 'GET', path: '/orders' });
+
+            assert.deepEqual(unmatched, {});
+            assert.deepEqual(matched, { fault: 'HANG' });
+        });
+
+        it('should respond normally once chaos is disabled', async function () {
+            const chaos = { rules: [{ percentage: 100, error: { statusCode: 503 } }] },
+                imposter = await Imposter.create(Protocol, { protocol: 'http', chaos }, logger, {}, allow);
+
+            await imposter.setChaos({ enabled: false, rules: chaos.rules });
+            const response = await imposter.getResponseFor({ method: 'GET', path: '/' });
+
+            assert.deepEqual(response, {});
+            assert.deepEqual(imposter.getChaos(), { enabled: false, rules: chaos.rules });
+        });
+
+        it('should print the current chaos configuration', async function () {
+            const imposter = await Imposter.create(Protocol, { protocol: 'http' }, logger, {}, allow);
+
+            await imposter.setChaos({ rules: [{ percentage: 10, latency: 100 }] });
+            assert.deepEqual((await imposter.toJSON()).chaos, { rules: [{ percentage: 10, latency: 100 }] });
+
+            await imposter.setChaos(undefined);
+            assert.strictEqual((await imposter.toJSON()).chaos, undefined);
+        });
+    });
+
+    describe('profiles', function () {
+        const profiles = {
+            happy: [{ responses: [{ is: 'ok' }] }],
+            outage: [{ responses: [{ is: 'down' }] }]
+        };
+
+        it('should start with the stubs of the active profile', async function () {
+            const imposter = await Imposter.create(Protocol, { protocol: 'http', profiles, activeProfile: 'outage' }, logger, {}, allow);
+
+            assert.deepEqual(imposter.creationRequest.stubs, profiles.outage);
+            assert.strictEqual((await imposter.toJSON()).activeProfile, 'outage');
+        });
+
+        it('should keep the current stubs over the active profile when replaying', async function () {
+            const stubs = [{ responses: [{ is: 'edited' }] }],
+                imposter = await Imposter.create(Protocol, { protocol: 'http', profiles, activeProfile: 'outage', stubs }, logger, {}, allow);
+
+            assert.deepEqual(imposter.creationRequest.stubs, stubs);
+        });
+
+        it('should replace the stubs and keep the recorded requests when activating a profile', async function () {
+            server.resolver = { resolve: responseConfig => Promise.resolve(responseConfig) };
+            const imposter = await Imposter.create(Protocol, { protocol: 'http', profiles }, logger, { recordRequests: true }, allow);
+            await server.stubs.add(profiles.happy[0]);
+            await imposter.getResponseFor({ path: '/' });
+
+            await imposter.activateProfile('outage');
+            const response = await imposter.getResponseFor({ path: '/' }),
+                json = await imposter.toJSON();
+
+            assert.strictEqual(response.is, 'down');
+            assert.strictEqual(json.activeProfile, 'outage');
+            assert.deepEqual(json.profiles, profiles);
+            assert.strictEqual(json.requests.length, 2);
+        });
+
+        it('should not change the stubs for an unknown profile', async function () {
+            const imposter = await Imposter.create(Protocol, { protocol: 'http', profiles }, logger, {}, allow);
+            await server.stubs.add(profiles.happy[0]);
+
+            try {
+                await imposter.activateProfile('degraded');
+                assert.fail('should have rejected');
+            }
+            catch (error) {
+                assert.deepEqual(error, {
+                    code: 'no such resource',
+                    message: 'no profile named degraded',
+                    source: ['happy', 'outage']
+                });
+            }
+            assert.strictEqual(await server.stubs.count(), 1);
+        });
+    });
+
+    describe('tables', function () {
+        it('should include replaced tables in the JSON', async function () {
+            const tables = { users: [{ id: '1' }] },
+                imposter = await Imposter.create(Protocol, { protocol: 'http', tables }, logger, {}, allow);
+
+            await imposter.setTable('orders', [{ id: '2' }]);
+            const json = await imposter.toJSON({ replayable: true });
+
+            assert.deepEqual(json.tables, { users: [{ id: '1' }], orders: [{ id: '2' }] });
+        });
+
+        it('should remove deleted tables from the JSON', async function () {
+            const imposter = await Imposter.create(Protocol, { protocol: 'http', tables: { users: [] } }, logger, {}, allow);
+
+            await imposter.deleteTable('users');
+
+            assert.ok(!Object.prototype.hasOwnProperty.call(await imposter.toJSON(), 'tables'));
+        });
+
+        it('should not replace a table with rows that are not objects', async function () {
+            const imposter = await Imposter.create(Protocol, { protocol: 'http' }, logger, {}, allow);
+
+            await assert.rejects(imposter.setTable('users', ['1']), {
+                code: 'bad data',
+                message: "'rows' must be an array of objects"
+            });
+        });
+    });
+
+    describe('snapshots', function () {
+        const stubs = [
+            { scenario: 'cart', newState: 'filled', responses: [{ is: 'first' }, { is: 'second' }] }
+        ];
+
+        async function createCountingImposter () {
+            server.resolver = {
+                resolve: (responseConfig, request, scopedLogger, imposterState) => {
+                    imposterState.count = (imposterState.count || 0) + 1;
+                    return Promise.resolve(responseConfig);
+                }
+            };
+
+            const imposter = await Imposter.create(Protocol, { protocol: 'http', stubs }, logger, { recordRequests: true }, allow);
+            for (const stub of stubs) {
+                await server.stubs.add(stub);
+            }
+            return imposter;
+        }
+
+        it('should capture the runtime state of the imposter', async function () {
+            const imposter = await createCountingImposter();
+
+            await imposter.getResponseFor({ path: '/' });
+            const snapshot = await imposter.getSnapshot();
+
+            assert.strictEqual(snapshot.numberOfRequests, 1);
+            assert.deepEqual(snapshot.imposterState, { count: 1 });
+            assert.deepEqual(snapshot.scenarios, { cart: 'filled' });
+            assert.deepEqual(snapshot.stubs, [{ nextIndex: 1 }]);
+            assert.deepEqual(snapshot.requests.map(request => request.path), ['/']);
+        });
+
+        it('should add the snapshot to the replayable JSON', async function () {
+            const imposter = await createCountingImposter(),
+                json = await imposter.toJSON({ replayable: true, snapshot: true });
+
+            assert.strictEqual(json.snapshot.numberOfRequests, 0);
+            assert.strictEqual(json.numberOfRequests, undefined);
+        });
+
+        it('should continue from a restored snapshot', async function () {
+            const first = await createCountingImposter();
+            await first.getResponseFor({ path: '/' });
+            const snapshot = await first.getSnapshot();
+
+            server.stubs = createStubRepository();
+            const second = await createCountingImposter();
+            await second.restoreSnapshot(snapshot);
+            const response = await second.getResponseFor({ path: '/' });
+
+            assert.strictEqual(response.is, 'second');
+            const restored = await second.getSnapshot();
+            assert.strictEqual(restored.numberOfRequests, 2);
+            assert.deepEqual(restored.imposterState, { count: 2 });
+            assert.deepEqual(await second.getScenarios(), { cart: 'filled' });
+            assert.strictEqual(restored.requests.length, 2);
+        });
+    });
+
     describe('#resetRequests', function () {
         it('should delete requests and reset numberOfRequests', async function () {
             const imposter = await Imposter.create(Protocol, {}, logger, { recordRequests: true }, allow);
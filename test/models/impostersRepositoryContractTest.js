@@ -384,6 +384,20 @@ types.forEach(function (type) {
                     assert.strictEqual(index, 1);
                 });
 
+                it('should pass stub fields like scenario to the filter and the match', async function () {
+                    const stub = { scenario: 'cart', requiredState: 'Started', newState: 'filled', responses: [{ is: 'first' }] },
+                        imposter = { port: 1, protocol: 'test', stubs: [stub] };
+
+                    await repo.add(imposterize(imposter));
+                    const match = await repo.stubsFor(1).first((predicates, stubDefinition) => stubDefinition.scenario === 'cart');
+
+                    assert.strictEqual(match.success, true);
+                    assert.strictEqual(match.stub.requiredState, 'Started');
+                    assert.strictEqual(match.stub.newState, 'filled');
+                    const json = await repo.stubsFor(1).toJSON();
+                    assert.deepEqual(json, [stub]);
+                });
+
                 it('should loop through responses on nextResponse()', async function () {
                     const stub = { responses: [{ is: 'first' }, { is: 'second' }] },
                         imposter = { port: 1, stubs: [stub] };
@@ -416,6 +430,42 @@ types.forEach(function (type) {
                     assert.deepEqual(fourthResponse.is, 'first');
                 });
 
+                it('should choose weighted responses in proportion to their weights', async function () {
+                    const stub = { seed: 'chaos', responses: [{ is: 'success', weight: 9 }, { is: 'failure' }] },
+                        imposter = { port: 1, stubs: [stub] },
+                        counts = { success: 0, failure: 0 };
+
+                    await repo.add(imposterize(imposter));
+                    const match = await repo.stubsFor(1).first(() => true);
+                    for (let i = 0; i < 100; i += 1) {
+                        const response = await match.stub.nextResponse();
+                        counts[response.is] += 1;
+                    }
+
+                    assert.ok(counts.failure > 0, JSON.stringify(counts));
+                    assert.ok(counts.success > 5 * counts.failure, JSON.stringify(counts));
+                });
+
+                it('should repeat the same weighted choices for the same seed', async function () {
+                    const stub = { seed: 42, responses: [{ is: 'first', weight: 1 }, { is: 'second', weight: 1 }] },
+                        choicesFor = async port => {
+                            await repo.add(imposterize({ port, stubs: [stub] }));
+                            const match = await repo.stubsFor(port).first(() => true),
+                                result = [];
+                            for (let i = 0; i < 10; i += 1) {
+                                const response = await match.stub.nextResponse();
+                                result.push(response.is);
+                            }
+                            return result;
+                        };
+
+                    const firstChoices = await choicesFor(1),
+                        secondChoices = await choicesFor(2);
+
+                    assert.deepEqual(firstChoices, secondChoices);
+                    assert.ok(firstChoices.indexOf('first') >= 0 && firstChoices.indexOf('second') >= 0, firstChoices);
+                });
+
                 it('should support adding responses through addResponse()', async function () {
                     const imposter = { port: 1, stubs: [{}] };
 
@@ -466,6 +516,18 @@ types.forEach(function (type) {
                     assert.deepEqual(json, [first, second]);
                 });
 
+                it('should return the seed and weights of weighted stubs', async function () {
+                    const stub = { seed: 'chaos', responses: [{ is: { statusCode: 200 }, weight: 95 }, { is: { statusCode: 503 }, weight: 5 }] },
+                        imposter = { port: 1, stubs: [stub] };
+
+                    await repo.add(imposterize(imposter));
+                    const match = await repo.stubsFor(1).first(() => true);
+                    await match.stub.nextResponse();
+                    const json = await repo.stubsFor(1).toJSON();
+
+                    assert.deepEqual(json, [stub]);
+                });
+
                 it('should not return matches if debug option not set', async function () {
                     const imposter = { port: 1, stubs: [{}] };
 
@@ -528,6 +590,17 @@ types.forEach(function (type) {
                         [{ is: 'fifth' }, { is: 'sixth' }]
                     ]);
                 });
+
+                it('should keep the saved requests', async function () {
+                    const imposter = { port: 1, stubs: [{ responses: [{ is: 'first' }] }] };
+
+                    await repo.add(imposterize(imposter));
+                    await repo.stubsFor(1).addRequest({ value: 'request' });
+                    await repo.stubsFor(1).overwriteAll([{ responses: [{ is: 'second' }] }]);
+                    const requests = await repo.stubsFor(1).loadRequests();
+
+                    assert.deepEqual(requests.map(request => request.value), ['request']);
+                });
             });
 
             describe('#overwriteAtIndex', function () {
@@ -652,6 +725,76 @@ types.forEach(function (type) {
                 });
             });
 
+            describe('#getState', function () {
+                it('should return the position of each stub in its responses and the saved requests', async function () {
+                    const stubs = repo.stubsFor(1);
+                    await stubs.add({ responses: [{ is: 'first' }, { is: 'second' }] });
+                    await stubs.add({ responses: [{ is: 'third' }] });
+                    await stubs.addRequest({ value: 1 });
+
+                    const match = await stubs.first(() => true);
+                    await match.stub.nextResponse();
+                    const state = await stubs.getState();
+
+                    assert.deepEqual(state.stubs, [{ nextIndex: 1 }, { nextIndex: 0 }]);
+                    assert.deepEqual(state.requests.map(request => request.value), [1]);
+                });
+
+                it('should include the random state of seeded weighted stubs', async function () {
+                    const stubs = repo.stubsFor(1);
+                    await stubs.add({ seed: 7, responses: [{ is: 'first', weight: 1 }, { is: 'second', weight: 1 }] });
+
+                    const state = await stubs.getState();
+
+                    assert.ok(typeof state.stubs[0].randomState === 'number');
+                });
+            });
+
+            describe('#setState', function () {
+                it('should continue each stub from the restored position', async function () {
+                    const stubs = repo.stubsFor(1);
+                    await stubs.add({ responses: [{ is: 'first' }, { is: 'second' }, { is: 'third' }] });
+
+                    await stubs.setState({ stubs: [{ nextIndex: 2 }], requests: [] });
+                    const match = await stubs.first(() => true),
+                        response = await match.stub.nextResponse();
+
+                    assert.deepEqual(stripFunctions(response), { is: 'third' });
+                });
+
+                it('should repeat the same weighted choices from a restored random state', async function () {
+                    const stub = { seed: 'snapshot', responses: [{ is: 'first', weight: 1 }, { is: 'second', weight: 1 }] },
+                        stubs = repo.stubsFor(1);
+                    await stubs.add(stub);
+
+                    const saved = await stubs.getState(),
+                        original = [];
+                    for (let i = 0; i < 10; i += 1) {
+                        const match = await stubs.first(() => true);
+                        original.push((await match.stub.nextResponse()).is);
+                    }
+
+                    await stubs.setState(saved);
+                    const restored = [];
+                    for (let i = 0; i < 10; i += 1) {
+                        const match = await stubs.first(() => true);
+                        restored.push((await match.stub.nextResponse()).is);
+                    }
+
+                    assert.deepEqual(restored, original);
+                });
+
+                it('should replace the saved requests, keeping their timestamps', async function () {
+                    const stubs = repo.stubsFor(1),
+                        timestamp = '2020-01-02T03:04:05.678Z';
+                    await stubs.addRequest({ value: 'current' });
+
+                    await stubs.setState({ stubs: [], requests: [{ value: 'restored', timestamp }] });
+
+                    assert.deepEqual(await stubs.loadRequests(), [{ value: 'restored', timestamp }]);
+                });
+            });
+
             describe('#loadRequests', function () {
                 it('should return requests in order without losing any', async function () {
                     // Simulate enough rapid load to add two with the same millisecond timestamp
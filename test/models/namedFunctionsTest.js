@@ -0,0 +1,137 @@
+'use strict';
+
+const assert = require('assert'),
+    fs = require('fs-extra'),
+    namedFunctions = require('../../src/models/namedFunctions'),
+    predicates = require('../../src/models/predicates'),
+    behaviors = require('../../src/models/behaviors'),
+    Logger = require('../fakes/fakeLogger');
+
+describe('namedFunctions', function () {
+    afterEach(function () {
+        namedFunctions.configure({}, Logger.create());
+        fs.removeSync('.mbtest');
+    });
+
+    describe('#configure', function () {
+        it('should load each function in the functionsDir by file name', function () {
+            const logger = Logger.create();
+            fs.outputFileSync('.mbtest/functions/isOrder.js', 'config => config.request.path === "/orders"\n');
+            fs.outputFileSync('.mbtest/functions/notes.txt', 'ignored');
+
+            namedFunctions.configure({ functionsDir: '.mbtest/functions' }, logger);
+
+            logger.info.assertLogged('Loaded injection function isOrder');
+            assert.ok(predicates.evaluate({ inject: { fn: 'isOrder' } }, { path: '/orders' }, 'utf8', logger, {}));
+        });
+
+        it('should support helpers declared inside the function', function () {
+            const logger = Logger.create(),
+                source = `function (config) {
+                    const isOrderPath = path => path === '/orders';
+                    return isOrderPath(config.request.path);
+                }`;
+            fs.outputFileSync('.mbtest/functions/isOrder.js', source);
+
+            namedFunctions.configure({ functionsDir: '.mbtest/functions' }, logger);
+
+            assert.ok(predicates.evaluate({ inject: { fn: 'isOrder' } }, { path: '/orders' }, 'utf8', logger, {}));
+        });
+
+        it('should not load files with module-level helpers', function () {
+            const logger = Logger.create(),
+                source = `const isOrderPath = path => path === '/orders';
+
+function (config) {
+    return isOrderPath(config.request.path);
+}`;
+            fs.outputFileSync('.mbtest/functions/isOrder.js', source);
+
+            namedFunctions.configure({ functionsDir: '.mbtest/functions' }, logger);
+
+            logger.error.assertLogged('isOrder.js must contain only the source of a single function');
+            assert.deepEqual(namedFunctions.errorsFor(undefined, [{ predicates: [{ inject: { fn: 'isOrder' } }] }]).length, 1);
+        });
+
+        it('should not load files that use module.exports', function () {
+            const logger = Logger.create();
+            fs.outputFileSync('.mbtest/functions/isOrder.js', 'module.exports = config => config.request.path === "/orders";');
+
+            namedFunctions.configure({ functionsDir: '.mbtest/functions' }, logger);
+
+            logger.error.assertLogged('isOrder.js must contain only the function source, not module.exports -- function isOrder not loaded');
+        });
+    });
+
+    describe('#sourceFor', function () {
+        it('should return inline source unchanged', function () {
+            assert.strictEqual(namedFunctions.sourceFor('() => true', {}), '() => true');
+        });
+
+        it('should prefer imposter functions and pass the args in the config', function () {
+            const state = {},
+                logger = Logger.create();
+            fs.outputFileSync('.mbtest/functions/matches.js', 'module.exports = () => false;');
+            namedFunctions.configure({ functionsDir: '.mbtest/functions' }, logger);
+            namedFunctions.register(state, { matches: 'config => config.request.path === config.args.path' });
+
+            const predicate = { inject: { fn: 'matches', args: { path: '/orders' } } };
+
+            assert.ok(predicates.evaluate(predicate, { path: '/orders' }, 'utf8', logger, state));
+            assert.ok(!predicates.evaluate(predicate, { path: '/users' }, 'utf8', logger, state));
+        });
+
+        it('should give wait functions a config with the args', async function () {
+            const state = {},
+                start = Date.now();
+            namedFunctions.register(state, { delay: 'config => config.args.milliseconds' });
+
+            await behaviors.execute({}, {}, [{ wait: { fn: 'delay', args: { milliseconds: 50 } } }], Logger.create(), state);
+
+            assert.ok(Date.now() - start >= 45, 'did not wait');
+        });
+
+        it('should support decorating with a named function', async function () {
+            const state = {};
+            namedFunctions.register(state, { addHeader: '(config, response) => { response.headers = { "X-Test": config.args.value }; }' });
+
+            const response = await behaviors.execute({}, {}, [{ decorate: { fn: 'addHeader', args: { value: 'yes' } } }],
+                Logger.create(), state);
+
+            assert.deepEqual(response, { headers: { 'X-Test': 'yes' } });
+        });
+
+        it('should throw an InjectionError for unknown functions', function () {
+            assert.throws(() => namedFunctions.sourceFor({ fn: 'missing' }, {}),
+                { code: 'invalid injection', message: 'no function named missing' });
+        });
+    });
+
+    describe('#errorsFor', function () {
+        it('should require functions to map names to source', function () {
+            assert.deepEqual(namedFunctions.errorsFor({ pricing: 1 }, []), [{
+                code: 'bad data',
+                message: "'functions' must be an object with the function source for each name",
+                source: { pricing: 1 }
+            }]);
+        });
+
+        it('should report references to unknown functions anywhere in the stubs', function () {
+            const stub = {
+                predicates: [{ or: [{ inject: { fn: 'isOrder' } }, { equals: { path: '/' } }] }],
+                responses: [
+                    { inject: { fn: 'pricing', args: { discount: 10 } } },
+                    { is: {}, behaviors: [{ decorate: { fn: 'addHeader' } }, { wait: { fn: 'delay', args: 'slow' } }] },
+                    { proxy: { to: 'http://localhost', predicateGenerators: [{ inject: { fn: 'generate' } }] } }
+                ]
+            };
+
+            assert.deepEqual(namedFunctions.errorsFor({ pricing: '() => ({})', delay: '() => 0' }, [stub]).map(error => error.message), [
+                'no function named isOrder',
+                'no function named addHeader',
+                "'args' must be an object",
+                'no function named generate'
+            ]);
+        });
+    });
+});
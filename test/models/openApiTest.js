@@ -0,0 +1,199 @@
+'use strict';
+
+const assert = require('assert'),
+    openApi = require('../../src/models/openApi');
+
+describe('openApi', function () {
+    describe('#toImposter', function () {
+        function documentWith (paths, extra) {
+            return Object.assign({ openapi: '3.0.3', info: { title: 'Test API', version: '1' }, paths }, extra || {});
+        }
+
+        it('should reject documents that are not OpenAPI 3', function () {
+            assert.throws(() => openApi.toImposter({ swagger: '2.0', paths: {} }), {
+                code: 'bad data',
+                message: 'only OpenAPI 3 documents are supported'
+            });
+        });
+
+        it('should require paths', function () {
+            assert.throws(() => openApi.toImposter({ openapi: '3.1.0' }), {
+                code: 'bad data',
+                message: "the OpenAPI document must have a 'paths' object"
+            });
+        });
+
+        it('should create an http imposter named after the document', function () {
+            const imposter = openApi.toImposter(documentWith({}), { port: 4545 });
+
+            assert.deepEqual(imposter, { protocol: 'http', name: 'Test API', port: 4545, stubs: [] });
+        });
+
+        it('should create a stub per operation with method and path predicates', function () {
+            const document = documentWith({
+                    '/pets': {
+                        get: { responses: { 200: { description: 'ok' } } },
+                        post: { responses: { 201: { description: 'created' } } }
+                    }
+                }),
+                stubs = openApi.toImposter(document).stubs;
+
+            assert.deepEqual(stubs, [
+                {
+                    predicates: [{ equals: { method: 'GET' } }, { equals: { path: '/pets' } }],
+                    responses: [{ is: { statusCode: 200 } }]
+                },
+                {
+                    predicates: [{ equals: { method: 'POST' } }, { equals: { path: '/pets' } }],
+                    responses: [{ is: { statusCode: 201 } }]
+                }
+            ]);
+        });
+
+        it('should match templated paths with a regular expression after literal paths', function () {
+            const document = documentWith({
+                    '/pets/{petId}': { get: { responses: { 200: { description: 'ok' } } } },
+                    '/pets/mine': { get: { responses: { 200: { description: 'ok' } } } }
+                }),
+                stubs = openApi.toImposter(document).stubs;
+
+            assert.deepEqual(stubs.map(stub => stub.predicates[1]), [
+                { equals: { path: '/pets/mine' } },
+                { matches: { path: '^/pets/[^/]+$' } }
+            ]);
+        });
+
+        it('should prefix paths with the base path of the first server', function () {
+            const document = documentWith({ '/pets': { get: { responses: {} } } },
+                    { servers: [{ url: 'https://api.example.com/v1/' }] }),
+                stubs = openApi.toImposter(document).stubs;
+
+            assert.deepEqual(stubs[0].predicates[1], { equals: { path: '/v1/pets' } });
+        });
+
+        it('should require required query and header parameters to exist', function () {
+            const document = documentWith({
+                    '/pets': {
+                        parameters: [{ name: 'X-Tenant', in: 'header', required: true }],
+                        get: {
+                            parameters: [
+                                { name: 'limit', in: 'query', required: true },
+                                { name: 'offset', in: 'query' },
+                                { $ref: '#/components/parameters/Version' }
+                            ],
+                            responses: {}
+                        }
+                    }
+                }, { components: { parameters: { Version: { name: 'version', in: 'query', required: true } } } }),
+                stubs = openApi.toImposter(document).stubs;
+
+            assert.deepEqual(stubs[0].predicates[2], {
+                exists: {
+                    headers: { 'X-Tenant': true },
+                    query: { limit: true, version: true }
+                }
+            });
+        });
+
+        it('should use the documented example of the first successful response', function () {
+            const document = documentWith({
+                    '/pets': {
+                        get: {
+                            responses: {
+                                404: { description: 'missing' },
+                                200: {
+                                    description: 'ok',
+                                    headers: { 'X-Total': { schema: { type: 'integer' }, example: 2 } },
+                                    content: {
+                                        'text/plain': { example: 'ignored' },
+                                        'application/json': { example: [{ id: 1 }, { id: 2 }] }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }),
+                response = openApi.toImposter(document).stubs[0].responses[0].is;
+
+            assert.deepEqual(response, {
+                statusCode: 200,
+                headers: { 'X-Total': '2', 'Content-Type': 'application/json' },
+                body: [{ id: 1 }, { id: 2 }]
+            });
+        });
+
+        it('should use named examples', function () {
+            const document = documentWith({
+                    '/pets': {
+                        get: {
+                            responses: {
+                                200: {
+                                    content: { 'application/json': { examples: { first: { $ref: '#/components/examples/Pet' } } } }
+                                }
+                            }
+                        }
+                    }
+                }, { components: { examples: { Pet: { value: { name: 'Rex' } } } } }),
+                response = openApi.toImposter(document).stubs[0].responses[0].is;
+
+            assert.deepEqual(response.body, { name: 'Rex' });
+        });
+
+        it('should generate a sample from the schema if there is no example', function () {
+            const document = documentWith({
+                    '/pets/{id}': {
+                        get: {
+                            responses: {
+                                default: { $ref: '#/components/responses/Pet' }
+                            }
+                        }
+                    }
+                }, {
+                    components: {
+                        responses: {
+                            Pet: { content: { 'application/json': { schema: { $ref: '#/components/schemas/Pet' } } } }
+                        },
+                        schemas: {
+                            Pet: {
+                                type: 'object',
+                                properties: {
+                                    id: { type: 'integer', minimum: 1 },
+                                    name: { type: 'string', example: 'Rex' },
+                                    status: { type: 'string', enum: ['available', 'sold'] },
+                                    born: { type: 'string', format: 'date' },
+                                    tags: { type: 'array', items: { type: 'string' } },
+                                    parent: { $ref: '#/components/schemas/Pet' }
+                                }
+                            }
+                        }
+                    }
+                }),
+                response = openApi.toImposter(document).stubs[0].responses[0].is;
+
+            assert.deepEqual(response, {
+                statusCode: 200,
+                headers: { 'Content-Type': 'application/json' },
+                body: {
+                    id: 1,
+                    name: 'Rex',
+                    status: 'available',
+                    born: '2024-01-01',
+                    tags: ['string']
+                }
+            });
+        });
+    });
+
+    describe('#sampleFor', function () {
+        it('should merge allOf and choose the first oneOf', function () {
+            const schema = {
+                allOf: [
+                    { properties: { id: { type: 'integer' } } },
+                    { properties: { kind: { oneOf: [{ type: 'boolean' }, { type: 'string' }] } } }
+                ]
+            };
+
+            assert.deepEqual(openApi.sampleFor({}, schema, 0), { id: 0, kind: true });
+        });
+    });
+});
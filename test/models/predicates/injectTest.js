@@ -2,6 +2,8 @@
 
 const assert = require('assert'),
     predicates = require('../../../src/models/predicates'),
+    sandbox = require('../../../src/models/sandbox'),
+    Logger = require('../../fakes/fakeLogger'),
     util = require('util');
 
 describe('predicates', function () {
@@ -72,4 +74,37 @@ describe('predicates', function () {
             assert.ok(predicates.evaluate(predicate, request));
         });
     });
+
+    describe('#inject with --sandboxInjection', function () {
+        this.timeout(5000);
+
+        before(function () {
+            sandbox.configure({ sandboxInjection: true, injectionTimeout: 200, injectionMemory: 32 });
+        });
+
+        after(function () {
+            sandbox.configure({});
+        });
+
+        it('should match and change the state in the sandbox', function () {
+            const imposterState = { hits: 0 },
+                fn = function (config) {
+                    config.state.hits += 1;
+                    return config.request.path === '/';
+                },
+                predicate = { inject: fn.toString() };
+
+            assert.ok(predicates.evaluate(predicate, { path: '/' }, 'utf8', Logger.create(), imposterState));
+            assert.deepEqual(imposterState, { hits: 1 });
+        });
+
+        it('should throw the same error for sandbox failures', function () {
+            const logger = Logger.create(),
+                predicate = { inject: 'function () { while (true) {} }' };
+
+            assert.throws(() => predicates.evaluate(predicate, {}, 'utf8', logger, {}),
+                { message: 'invalid predicate injection', data: 'Script execution timed out after 200ms' });
+            logger.error.assertLogged('injection X=> Error: Script execution timed out after 200ms');
+        });
+    });
 });
@@ -0,0 +1,111 @@
+'use strict';
+
+const assert = require('assert'),
+    predicates = require('../../../src/models/predicates');
+
+describe('predicates', function () {
+    describe('#matchesSchema', function () {
+        const orderSchema = {
+            type: 'object',
+            required: ['id', 'quantity'],
+            properties: {
+                id: { type: 'string' },
+                quantity: { type: 'integer', minimum: 1 }
+            }
+        };
+
+        it('should return true if a JSON body matches the schema', function () {
+            const predicate = { matchesSchema: { body: orderSchema } },
+                request = { body: '{ "id": "abc", "quantity": 2 }' };
+            assert.ok(predicates.evaluate(predicate, request));
+        });
+
+        it('should return false if a JSON body does not match the schema', function () {
+            const predicate = { matchesSchema: { body: orderSchema } },
+                request = { body: '{ "id": "abc", "quantity": 0 }' };
+            assert.ok(!predicates.evaluate(predicate, request));
+        });
+
+        it('should validate non-JSON text as a string', function () {
+            const predicate = { matchesSchema: { body: { type: 'string', maxLength: 5 } } };
+
+            assert.ok(predicates.evaluate(predicate, { body: 'short' }));
+            assert.ok(!predicates.evaluate(predicate, { body: 'too long' }));
+        });
+
+        it('should support formats', function () {
+            const predicate = { matchesSchema: { body: { type: 'object', properties: { email: { format: 'email' } } } } };
+
+            assert.ok(predicates.evaluate(predicate, { body: '{ "email": "test@example.com" }' }));
+            assert.ok(!predicates.evaluate(predicate, { body: '{ "email": "not an email" }' }));
+        });
+
+        it('should not lowercase JSON body values or keys', function () {
+            const predicate = { matchesSchema: { body: { properties: { Status: { enum: ['ACTIVE'] } }, required: ['Status'] } } },
+                request = { body: '{ "Status": "ACTIVE" }' };
+            assert.ok(predicates.evaluate(predicate, request));
+        });
+
+        it('should lowercase object field keys by default', function () {
+            const predicate = { matchesSchema: { headers: { required: ['content-type'] } } },
+                request = { headers: { 'Content-Type': 'application/json' } };
+            assert.ok(predicates.evaluate(predicate, request));
+        });
+
+        it('should not lowercase object field keys if caseSensitive', function () {
+            const predicate = { matchesSchema: { headers: { required: ['content-type'] } }, caseSensitive: true },
+                request = { headers: { 'Content-Type': 'application/json' } };
+            assert.ok(!predicates.evaluate(predicate, request));
+        });
+
+        it('should validate the jsonpath selection', function () {
+            const predicate = {
+                    matchesSchema: { body: { type: 'array', minItems: 2 } },
+                    jsonpath: { selector: '$.items' }
+                },
+                request = { body: '{ "items": [1, 2], "other": "ignored" }' };
+            assert.ok(predicates.evaluate(predicate, request));
+        });
+
+        it('should validate the xpath selection', function () {
+            const predicate = {
+                    matchesSchema: { body: { type: 'string', pattern: '^[0-9]+$' } },
+                    xpath: { selector: '//quantity' }
+                },
+                request = { body: '<order><quantity>12</quantity></order>' };
+            assert.ok(predicates.evaluate(predicate, request));
+        });
+
+        it('should remove the except pattern before validating', function () {
+            const predicate = {
+                    matchesSchema: { body: orderSchema },
+                    except: '^callback\\(|\\)$'
+                },
+                request = { body: 'callback({ "id": "abc", "quantity": 2 })' };
+            assert.ok(predicates.evaluate(predicate, request));
+        });
+
+        it('should return false for a missing field if the schema requires a type', function () {
+            const predicate = { matchesSchema: { body: { type: 'object' } } };
+            assert.ok(!predicates.evaluate(predicate, {}));
+        });
+
+        it('should throw a validation error for an invalid schema', function () {
+            const predicate = { matchesSchema: { body: { type: 'not-a-type' } } };
+
+            assert.throws(() => predicates.evaluate(predicate, { body: '{}' }), {
+                code: 'bad data',
+                message: 'invalid JSON Schema'
+            });
+        });
+
+        it('should throw an error if encoding is base64', function () {
+            const predicate = { matchesSchema: { data: { type: 'string' } } };
+
+            assert.throws(() => predicates.evaluate(predicate, { data: 'dGVzdA==' }, 'base64'), {
+                code: 'bad data',
+                message: 'the matchesSchema predicate is not allowed in binary mode'
+            });
+        });
+    });
+});
@@ -0,0 +1,226 @@
+'use strict';
+
+const assert = require('assert'),
+    sandbox = require('../../src/models/sandbox'),
+    Logger = require('../fakes/fakeLogger');
+
+describe('sandbox', function () {
+    this.timeout(5000);
+
+    before(function () {
+        sandbox.configure({ sandboxInjection: true, injectionTimeout: 200, injectionMemory: 32 });
+    });
+
+    after(function () {
+        sandbox.configure({});
+    });
+
+    describe('#configure', function () {
+        it('should only be enabled with sandboxInjection', function () {
+            sandbox.configure({ injectionTimeout: 200 });
+            assert.ok(!sandbox.isEnabled());
+
+            sandbox.configure({ sandboxInjection: true, injectionTimeout: 200, injectionMemory: 32 });
+            assert.ok(sandbox.isEnabled());
+        });
+    });
+
+    describe('#run', function () {
+        it('should pass the config and return the result', async function () {
+            const fn = config => config.request.path === '/orders',
+                result = await sandbox.run(fn.toString(), ['config'], { config: { request: { path: '/orders' } }, logger: Logger.create() });
+
+            assert.strictEqual(result, true);
+        });
+
+        it('should copy state changes back in place', async function () {
+            const state = { count: 1 },
+                fn = (config, logger, imposterState) => {
+                    imposterState.count += 1;
+                    config.state.last = 'sandbox';
+                };
+
+            await sandbox.run(fn.toString(), ['config', 'logger', 'state'], { config: {}, state, logger: Logger.create() });
+
+            assert.deepEqual(state, { count: 2, last: 'sandbox' });
+        });
+
+        it('should copy in place response changes back', async function () {
+            const response = { body: 'Hello' },
+                fn = (config, original) => {
+                    original.body += ', World';
+                };
+
+            await sandbox.run(fn.toString(), ['config', 'response'], { config: {}, response, logger: Logger.create() });
+
+            assert.deepEqual(response, { body: 'Hello, World' });
+        });
+
+        it('should replay log calls on the logger', async function () {
+            const logger = Logger.create(),
+                fn = config => {
+                    config.logger.info('path is %s', config.request.path);
+                };
+
+            await sandbox.run(fn.toString(), ['config'], { config: { request: { path: '/' } }, logger });
+
+            logger.info.assertLogged('path is /');
+        });
+
+        it('should wait for the callback', async function () {
+            const fn = (config, callback) => {
+                    setTimeout(() => callback({ body: 'later' }), 10);
+                },
+                result = await sandbox.run(fn.toString(), ['config', 'callback'], { config: {}, logger: Logger.create() });
+
+            assert.deepEqual(result, { body: 'later' });
+        });
+
+        it('should wait for returned promises', async function () {
+            const fn = async () => ({ body: 'async' }),
+                result = await sandbox.run(fn.toString(), [], { logger: Logger.create() });
+
+            assert.deepEqual(result, { body: 'async' });
+        });
+
+        it('should not block the process while waiting', async function () {
+            const fn = (config, callback) => {
+                    setTimeout(() => callback('injection'), 100);
+                },
+                finished = [],
+                injection = sandbox.run(fn.toString(), ['config', 'callback'], { config: {}, logger: Logger.create() })
+                    .then(result => finished.push(result));
+
+            await new Promise(resolve => setTimeout(resolve, 10));
+            finished.push('host');
+            await injection;
+
+            assert.deepEqual(finished, ['host', 'injection']);
+        });
+
+        it('should return the results of concurrent injections to their callers', async function () {
+            const fn = (config, callback) => {
+                    setTimeout(() => callback(config.value), config.delay);
+                },
+                logger = Logger.create(),
+                results = await Promise.all([
+                    sandbox.run(fn.toString(), ['config', 'callback'], { config: { value: 'slow', delay: 50 }, logger }),
+                    sandbox.run(fn.toString(), ['config', 'callback'], { config: { value: 'fast', delay: 0 }, logger })
+                ]);
+
+            assert.deepEqual(results, ['slow', 'fast']);
+        });
+
+        it('should pass binary request data', async function () {
+            const fn = requestData => requestData[0],
+                result = await sandbox.run(fn.toString(), ['requestData'], { requestData: Buffer.from([7]), logger: Logger.create() });
+
+            assert.strictEqual(result, 7);
+        });
+
+        it('should give binary request data the Buffer methods', async function () {
+            const fn = requestData => [requestData.readUInt16LE(1), requestData.toString('hex'), requestData.slice(1).toString()].join(','),
+                result = await sandbox.run(fn.toString(), ['requestData'], { requestData: Buffer.from('abc'), logger: Logger.create() });
+
+            assert.strictEqual(result, '25442,616263,bc');
+        });
+
+        it('should not expose the worker through Buffer methods', async function () {
+            const fn = requestData => requestData.toString.constructor('return typeof process')(),
+                result = await sandbox.run(fn.toString(), ['requestData'], { requestData: Buffer.from('abc'), logger: Logger.create() });
+
+            assert.strictEqual(result, 'undefined');
+        });
+
+        it('should not expose node globals', async function () {
+            const fn = () => [typeof require, typeof process, typeof Buffer].join(','),
+                result = await sandbox.run(fn.toString(), [], { logger: Logger.create() });
+
+            assert.strictEqual(result, 'undefined,undefined,undefined');
+        });
+
+        it('should not let the function reach the host through prototypes', async function () {
+            const fn = (config, logger) => logger.info.constructor('return typeof process')(),
+                result = await sandbox.run(fn.toString(), ['config', 'logger'], { config: {}, logger: Logger.create() });
+
+            assert.strictEqual(result, 'undefined');
+        });
+
+        it('should throw errors from the function', async function () {
+            await assert.rejects(sandbox.run('() => { throw new Error("BOOM"); }', [], { logger: Logger.create() }),
+                { message: 'BOOM' });
+        });
+
+        it('should stop functions that run past the timeout', async function () {
+            await assert.rejects(sandbox.run('() => { while (true) {} }', [], { logger: Logger.create() }),
+                { message: 'Script execution timed out after 200ms' });
+        });
+
+        it('should stop callbacks that are never called', async function () {
+            await assert.rejects(sandbox.run('(config, callback) => {}', ['config', 'callback'], { config: {}, logger: Logger.create() }),
+                { message: 'injection did not finish within 200 ms' });
+        });
+
+        it('should stop functions that exceed the memory limit and recover', async function () {
+            const fn = () => {
+                const arrays = [];
+                while (arrays.length >= 0) {
+                    arrays.push(new Array(100000).fill(arrays.length));
+                }
+            };
+
+            await assert.rejects(sandbox.run(fn.toString(), [], { logger: Logger.create() }),
+                { message: 'injection did not finish within 200 ms or exceeded the 32 MB memory limit' });
+            assert.strictEqual(await sandbox.run('() => 42', [], { logger: Logger.create() }), 42);
+        });
+    });
+
+    describe('#runSync', function () {
+        it('should return the result without waiting on a promise', function () {
+            const fn = (config, logger, imposterState) => {
+                    imposterState.count += 1;
+                    return config.request.path === '/orders';
+                },
+                state = { count: 1 },
+                result = sandbox.runSync(fn.toString(), ['config', 'logger', 'state'],
+                    { config: { request: { path: '/orders' } }, state, logger: Logger.create() });
+
+            assert.strictEqual(result, true);
+            assert.deepEqual(state, { count: 2 });
+        });
+
+        it('should run the documented binary endOfRequestResolver', function () {
+            const fn = (requestData, logger) => {
+                    const messageLength = requestData.readInt32BE(0);
+                    logger.info('Message length: ' + messageLength + ', so far: ' + requestData.length);
+                    return requestData.length >= messageLength;
+                },
+                logger = Logger.create(),
+                message = Buffer.alloc(8);
+
+            message.writeInt32BE(8, 0);
+
+            assert.strictEqual(sandbox.runSync(fn.toString(), ['requestData', 'logger'], { requestData: message.subarray(0, 6), logger }), false);
+            assert.strictEqual(sandbox.runSync(fn.toString(), ['requestData', 'logger'], { requestData: message, logger }), true);
+            logger.info.assertLogged('Message length: 8, so far: 8');
+        });
+
+        it('should stop functions that run past the timeout', function () {
+            assert.throws(() => sandbox.runSync('() => { while (true) {} }', [], { logger: Logger.create() }),
+                { message: 'Script execution timed out after 200ms' });
+        });
+
+        it('should stop functions that exceed the memory limit and recover', function () {
+            const fn = () => {
+                const arrays = [];
+                while (arrays.length >= 0) {
+                    arrays.push(new Array(100000).fill(arrays.length));
+                }
+            };
+
+            assert.throws(() => sandbox.runSync(fn.toString(), [], { logger: Logger.create() }),
+                { message: 'injection did not finish within 200 ms or exceeded the 32 MB memory limit' });
+            assert.strictEqual(sandbox.runSync('() => 42', [], { logger: Logger.create() }), 42);
+        });
+    });
+});
@@ -0,0 +1,123 @@
+'use strict';
+
+const assert = require('assert'),
+    templates = require('../../src/models/templates.js'),
+    Logger = require('../fakes/fakeLogger');
+
+describe('templates', function () {
+    const logger = Logger.create();
+
+    describe('#isTemplate', function () {
+        it('should only be true if _template is true', function () {
+            assert.strictEqual(templates.isTemplate({ _template: true }), true);
+            assert.strictEqual(templates.isTemplate({ _template: 'true' }), false);
+            assert.strictEqual(templates.isTemplate({}), false);
+        });
+    });
+
+    describe('#render', function () {
+        it('should render request fields and remove the _template flag', function () {
+            const response = { _template: true, statusCode: 200, body: 'Hello, {{request.query.name}}!' },
+                request = { query: { name: 'mountebank' } };
+
+            assert.deepEqual(templates.render(response, request, {}, logger), { statusCode: 200, body: 'Hello, mountebank!' });
+        });
+
+        it('should render nested objects and arrays', function () {
+            const response = { _template: true, body: { path: '{{request.path}}', parts: ['{{request.method}}'] } },
+                request = { path: '/test', method: 'GET' };
+
+            assert.deepEqual(templates.render(response, request, {}, logger), { body: { path: '/test', parts: ['GET'] } });
+        });
+
+        it('should not escape HTML characters', function () {
+            const response = { _template: true, body: '{{request.body}}' };
+
+            assert.deepEqual(templates.render(response, { body: '<a href="x">' }, {}, logger), { body: '<a href="x">' });
+        });
+
+        it('should render the imposter state', function () {
+            const response = { _template: true, body: 'count: {{state.count}}' };
+
+            assert.deepEqual(templates.render(response, {}, { count: 3 }, logger), { body: 'count: 3' });
+        });
+
+        it('should select from JSON bodies with jsonpath', function () {
+            const response = { _template: true, body: '{{jsonpath request.body "$.book.title"}}' },
+                request = { body: '{ "book": { "title": "Mostly Harmless" } }' };
+
+            assert.deepEqual(templates.render(response, request, {}, logger), { body: 'Mostly Harmless' });
+        });
+
+        it('should loop over jsonpath arrays', function () {
+            const response = { _template: true, body: '{{#each (jsonpath request.body "$.items[*].id")}}[{{this}}]{{/each}}' },
+                request = { body: '{ "items": [{ "id": 1 }, { "id": 2 }] }' };
+
+            assert.deepEqual(templates.render(response, request, {}, logger), { body: '[1][2]' });
+        });
+
+        it('should select from XML bodies with xpath and namespaces', function () {
+            const response = { _template: true, body: '{{xpath request.body "//isbn:title" isbn="http://example.com/isbn"}}' },
+                request = { body: '<book xmlns:isbn="http://example.com/isbn"><isbn:title>Dune</isbn:title></book>' };
+
+            assert.deepEqual(templates.render(response, request, {}, logger), { body: 'Dune' });
+        });
+
+        it('should render dates in the requested format', function () {
+            const response = { _template: true, today: '{{now "date"}}', epoch: '{{now "epoch"}}', later: '{{now "epoch" offset=60000}}' },
+                before = Date.now(),
+                result = templates.render(response, {}, {}, logger);
+
+            assert.strictEqual(result.today, new Date().toISOString().substring(0, 10));
+            assert.ok(Number(result.epoch) >= before, result.epoch);
+            assert.ok(Number(result.later) >= before + 60000, result.later);
+        });
+
+        it('should render random values', function () {
+            const response = { _template: true, int: '{{randomInt 5 5}}', string: '{{randomString 8}}', id: '{{uuid}}' },
+                result = templates.render(response, {}, {}, logger);
+
+            assert.strictEqual(result.int, '5');
+            assert.ok(/^[A-Za-z0-9]{8}$/.test(result.string), result.string);
+            assert.ok(/^[0-9a-f-]{36}$/.test(result.id), result.id);
+        });
+
+        it('should support json, eq, and default helpers', function () {
+            const response = {
+                    _template: true,
+                    headers: '{{json request.headers}}',
+                    admin: '{{#if (eq request.query.role "admin")}}yes{{else}}no{{/if}}',
+                    name: '{{default request.query.name "anonymous"}}'
+                },
+                request = { headers: { accept: 'text/plain' }, query: { role: 'admin' } };
+
+            assert.deepEqual(templates.render(response, request, {}, logger), {
+                headers: '{"accept":"text/plain"}',
+                admin: 'yes',
+                name: 'anonymous'
+            });
+        });
+
+        it('should render a cached template with each request', function () {
+            const response = { _template: true, body: '{{request.path}}' };
+
+            assert.deepEqual(templates.render(response, { path: '/first' }, {}, logger), { body: '/first' });
+            assert.deepEqual(templates.render(response, { path: '/second' }, {}, logger), { body: '/second' });
+        });
+
+        it('should throw a validation error for invalid templates', function () {
+            const response = { _template: true, body: '{{#each request.items}}' };
+
+            assert.throws(() => templates.render(response, {}, {}, logger), {
+                code: 'bad data',
+                message: 'invalid response template'
+            });
+        });
+
+        it('should throw a validation error for unknown date formats', function () {
+            const response = { _template: true, body: '{{now "tomorrow"}}' };
+
+            assert.throws(() => templates.render(response, {}, {}, logger), { code: 'bad data' });
+        });
+    });
+});
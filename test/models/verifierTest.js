@@ -0,0 +1,103 @@
+'use strict';
+
+const assert = require('assert'),
+    verifier = require('../../src/models/verifier.js'),
+    predicates = require('../../src/models/predicates.js'),
+    Logger = require('../fakes/fakeLogger');
+
+describe('verifier', function () {
+    const requests = [
+            { method: 'GET', path: '/orders/1' },
+            { method: 'POST', path: '/orders' },
+            { method: 'GET', path: '/orders/2' }
+        ],
+        logger = Logger.create(),
+        evaluate = (predicate, request) => predicates.evaluate(predicate, request, 'utf8', logger, {});
+
+    describe('#verify', function () {
+        it('should return the matching requests and count', function () {
+            const result = verifier.verify({ predicates: [{ equals: { method: 'GET' } }] }, requests, evaluate);
+
+            assert.deepEqual(result, {
+                verified: true,
+                expectation: { atLeast: 1 },
+                count: 2,
+                requests: [requests[0], requests[2]]
+            });
+        });
+
+        it('should match all requests without predicates', function () {
+            const result = verifier.verify({ exactly: 3 }, requests, evaluate);
+
+            assert.strictEqual(result.verified, true);
+            assert.strictEqual(result.count, 3);
+        });
+
+        it('should fail an exactly expectation with a different count', function () {
+            const result = verifier.verify({ predicates: [{ equals: { method: 'GET' } }], exactly: 1 }, requests, evaluate);
+
+            assert.strictEqual(result.verified, false);
+            assert.strictEqual(result.message, 'Expected exactly 1 matching requests but found 2');
+            assert.deepEqual(result.nearMisses, []);
+        });
+
+        it('should fail a never expectation if any request matches', function () {
+            const result = verifier.verify({ predicates: [{ equals: { method: 'POST' } }], never: true }, requests, evaluate);
+
+            assert.strictEqual(result.verified, false);
+            assert.strictEqual(result.count, 1);
+        });
+
+        it('should combine expectations', function () {
+            const verification = { predicates: [{ startsWith: { path: '/orders' } }], atLeast: 1, atMost: 2 },
+                result = verifier.verify(verification, requests, evaluate);
+
+            assert.strictEqual(result.verified, false);
+            assert.strictEqual(result.message, 'Expected at least 1 and at most 2 matching requests but found 3');
+        });
+
+        it('should explain the closest near misses when too few requests match', function () {
+            const verification = { predicates: [{ equals: { method: 'DELETE', path: '/orders/2' } }] },
+                result = verifier.verify(verification, requests, evaluate);
+
+            assert.strictEqual(result.verified, false);
+            assert.deepEqual(result.nearMisses[0], {
+                index: 2,
+                request: requests[2],
+                differences: [{ operator: 'equals', field: 'method', expected: 'DELETE', actual: 'GET' }]
+            });
+            assert.strictEqual(result.nearMisses.length, 3);
+            assert.ok(result.message.indexOf('request 2:\n    equals method: expected "DELETE" but was "GET"') > 0, result.message);
+        });
+
+        it('should reject invalid expectations', function () {
+            assert.throws(() => verifier.verify({ exactly: -1 }, requests, evaluate), {
+                code: 'bad data',
+                message: "'exactly' must be a non-negative integer"
+            });
+        });
+
+        it('should reject predicate injection unless allowed', function () {
+            const verification = { predicates: [{ not: { inject: '() => true' } }] };
+
+            assert.throws(() => verifier.verify(verification, requests, evaluate, false), { code: 'invalid injection' });
+            assert.strictEqual(verifier.verify(verification, requests, evaluate, true).count, 0);
+        });
+    });
+
+    describe('#differencesFor', function () {
+        it('should report predicates without field operators as a whole', function () {
+            const predicate = { or: [{ equals: { path: '/a' } }, { equals: { path: '/b' } }] },
+                differences = verifier.differencesFor(predicate, requests[0], evaluate);
+
+            assert.deepEqual(differences, [{ predicate }]);
+        });
+
+        it('should keep predicate parameters when evaluating each field', function () {
+            const predicate = { equals: { method: 'get', path: '/ORDERS/1' }, caseSensitive: true },
+                differences = verifier.differencesFor(predicate, requests[0], evaluate);
+
+            assert.deepEqual(differences.map(difference => difference.field), ['method', 'path']);
+        });
+    });
+});